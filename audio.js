@@ -0,0 +1,238 @@
+const { EventEmitter } = require('events');
+const { createAudioPlayer, createAudioResource, AudioPlayerStatus, VoiceConnectionStatus } = require('@discordjs/voice');
+const config = require('./config');
+
+// Per-guild audio playback: one player per guild and a priority queue of cues
+// A cue is one or more files played back to back (e.g. a warning sound followed by its spoken announcement),
+// each as { file, volume } with volume as an inline-volume factor (1 = unchanged)
+// Events: queue, start, preempt, finish (status: played, preempted, dropped, failed, stopped), idle, error,
+// connectionError, disconnect (the queue is kept until clear())
+
+const { BOT_CONFIG } = config;
+
+// Cue priorities - a higher priority cue cuts off a lower one, equal priorities wait their turn
+const CUE_PRIORITIES = {
+    test: 0,
+    warning: 1,
+    stage: 2,
+    end: 3
+};
+
+// Volume steps used to fade out (duck) a cue that is being cut off
+const FADE_STEPS = 5;
+
+class GuildAudioManager extends EventEmitter {
+    constructor(guildId) {
+        super();
+        this.guildId = guildId;
+        this.player = createAudioPlayer();
+        this.connection = null;
+        this.queue = [];
+        this.current = null;
+        this.resource = null;
+        this.history = [];
+        this.fadeIntervalId = null;
+        this.cueCount = 0;
+        
+        this.player.on(AudioPlayerStatus.Idle, () => this.handleIdle());
+        this.player.on('error', error => {
+            if (this.current) this.current.error = error.message;
+            this.emit('error', error, this.current);
+        });
+    }
+    
+    // Subscribe a voice connection to the guild's player (listeners are attached once per connection)
+    attach(connection) {
+        if (this.connection === connection) return;
+        
+        this.connection = connection;
+        connection.subscribe(this.player);
+        
+        connection.on('error', error => {
+            this.emit('connectionError', error, connection);
+        });
+        connection.on('stateChange', (oldState, newState) => {
+            // The queue is kept - the listener decides whether a new connection is coming (see VoiceSession)
+            if (newState.status === VoiceConnectionStatus.Destroyed && this.connection === connection) {
+                this.connection = null;
+                this.emit('disconnect', connection);
+            }
+        });
+    }
+    
+    // Queue a cue of [{ file, volume }] - options: cue (test, warning, stage, end), label (shown in the history)
+    // Returns the queued cue, or null when there is nothing to play
+    play(files, options = {}) {
+        if (files.length === 0) return null;
+        
+        const cue = options.cue in CUE_PRIORITIES ? options.cue : 'test';
+        const item = {
+            id: ++this.cueCount,
+            cue,
+            label: options.label || null,
+            priority: CUE_PRIORITIES[cue],
+            files,
+            fileIndex: 0,
+            status: 'queued',
+            error: null,
+            queuedAt: Date.now(),
+            startedAt: null,
+            endedAt: null
+        };
+        
+        // Highest priority first, first in first out within a priority
+        const index = this.queue.findIndex(queued => queued.priority < item.priority);
+        this.queue.splice(index === -1 ? this.queue.length : index, 0, item);
+        if (this.queue.length > BOT_CONFIG.AUDIO_MAX_QUEUE_LENGTH) {
+            this.finish(this.queue.pop(), 'dropped');
+        }
+        this.emit('queue', item);
+        
+        if (!this.current) {
+            this.next();
+        } else if (item.priority > this.current.priority && this.current.status === 'playing') {
+            this.preempt(item);
+        }
+        return item;
+    }
+    
+    // Cut off the current cue for a higher priority one (faded out when ducking is on)
+    preempt(by) {
+        const item = this.current;
+        item.status = 'preempted';
+        this.emit('preempt', item, by);
+        
+        this.fadeOut(() => {
+            // The cue may have ended on its own while fading
+            if (this.current === item) {
+                this.player.stop(true);
+            }
+        });
+    }
+    
+    // Fade the playing resource out, then call done
+    fadeOut(done) {
+        const volume = this.resource ? this.resource.volume : null;
+        if (!config.AUDIO_DUCKING || !volume) {
+            done();
+            return;
+        }
+        
+        const startVolume = volume.volume;
+        let step = 0;
+        this.fadeIntervalId = setInterval(() => {
+            step++;
+            volume.setVolume(startVolume * (1 - step / FADE_STEPS));
+            if (step >= FADE_STEPS) {
+                this.stopFade();
+                done();
+            }
+        }, BOT_CONFIG.AUDIO_DUCK_FADE_MS / FADE_STEPS);
+    }
+    
+    // Stop a running fade
+    stopFade() {
+        if (this.fadeIntervalId) {
+            clearInterval(this.fadeIntervalId);
+            this.fadeIntervalId = null;
+        }
+    }
+    
+    // Player went idle - play the cue's next file, or move on to the next cue
+    handleIdle() {
+        const item = this.current;
+        if (!item) return;
+        
+        this.stopFade();
+        if (item.status === 'playing' && !item.error && item.fileIndex < item.files.length) {
+            this.playFile(item);
+            return;
+        }
+        
+        this.finish(item, item.status === 'playing' ? (item.error ? 'failed' : 'played') : item.status);
+        this.next();
+    }
+    
+    // Start the next queued cue (cues other than timer ends that waited too long are dropped)
+    next() {
+        this.current = null;
+        this.resource = null;
+        
+        while (this.queue.length > 0) {
+            const item = this.queue.shift();
+            if (item.priority < CUE_PRIORITIES.end && Date.now() - item.queuedAt > BOT_CONFIG.AUDIO_MAX_QUEUE_WAIT) {
+                this.finish(item, 'dropped');
+                continue;
+            }
+            
+            this.current = item;
+            item.status = 'playing';
+            item.startedAt = Date.now();
+            this.emit('start', item);
+            this.playFile(item);
+            return;
+        }
+        
+        this.emit('idle');
+    }
+    
+    // Play the cue's next file
+    playFile(item) {
+        try {
+            const { file, volume } = item.files[item.fileIndex++];
+            this.resource = createAudioResource(file, { inlineVolume: true });
+            this.resource.volume.setVolume(volume);
+            this.player.play(this.resource);
+        } catch (error) {
+            item.error = error.message;
+            this.emit('error', error, item);
+            this.finish(item, 'failed');
+            this.next();
+        }
+    }
+    
+    // Record a cue that is done in the play history
+    finish(item, status) {
+        item.status = status;
+        item.endedAt = Date.now();
+        this.history.push(item);
+        if (this.history.length > BOT_CONFIG.AUDIO_HISTORY_SIZE) {
+            this.history.shift();
+        }
+        this.emit('finish', item);
+    }
+    
+    // Drop every queued cue and stop the current one
+    clear() {
+        this.stopFade();
+        for (const item of this.queue.splice(0)) {
+            this.finish(item, 'dropped');
+        }
+        if (this.current) {
+            this.current.status = 'stopped';
+            this.player.stop(true);
+        }
+    }
+    
+    // Get the playing cue, the queue and the play history (most recent first)
+    getStatus() {
+        return {
+            current: this.current,
+            queue: [...this.queue],
+            history: [...this.history].reverse()
+        };
+    }
+    
+    // Stop playback and release the player
+    destroy() {
+        this.clear();
+        this.player.removeAllListeners();
+        this.removeAllListeners();
+        this.connection = null;
+    }
+}
+
+module.exports = {
+    GuildAudioManager,
+    CUE_PRIORITIES
+};
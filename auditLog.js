@@ -0,0 +1,72 @@
+// Moderation audit log: privileged bot actions (mutes, speaker turns, channel cleanups, settings changes)
+// Entry: { id, action, actorId, targetId, channelId, details, reason, result, error, timestamp }
+// actorId is who ran the command (the bot itself for automatic actions such as timed unmutes),
+// targetId the affected member and channelId the affected channel (either may be null)
+
+// Action types with their icon and label
+const AUDIT_ACTIONS = {
+    mute: { icon: '🔇', label: 'Member muted' },
+    unmute: { icon: '🔊', label: 'Member unmuted' },
+    speaker_turn: { icon: '🎙️', label: 'Speaker turn' },
+    clear_channel: { icon: '🧹', label: 'Channel cleared' },
+    clear_mic_history: { icon: '🗑️', label: 'Mic history cleared' },
+    settings: { icon: '⚙️', label: 'Settings changed' },
+    permissions: { icon: '🔐', label: 'Permissions changed' }
+};
+
+// Results with their icon and embed colour
+const AUDIT_RESULTS = {
+    success: { icon: '✅', color: '#00FF00' },
+    partial: { icon: '⚠️', color: '#FFA500' },
+    failed: { icon: '❌', color: '#FF0000' }
+};
+
+// Function to build a log entry (id: the guild's next entry number)
+function createAuditEntry(entry, id, now = Date.now()) {
+    return {
+        id,
+        action: entry.action,
+        actorId: entry.actorId || null,
+        targetId: entry.targetId || null,
+        channelId: entry.channelId || null,
+        details: entry.details || null,
+        reason: entry.reason || null,
+        result: entry.result in AUDIT_RESULTS ? entry.result : 'success',
+        error: entry.error || null,
+        timestamp: now
+    };
+}
+
+// Function to filter log entries (newest first)
+// Filters: actorId, targetId, action, since, until (timestamps, inclusive)
+function filterAuditEntries(entries, filters = {}) {
+    const { actorId = null, targetId = null, action = null, since = null, until = null } = filters;
+    return entries
+        .filter(entry =>
+            (!actorId || entry.actorId === actorId) &&
+            (!targetId || entry.targetId === targetId) &&
+            (!action || entry.action === action) &&
+            (since === null || entry.timestamp >= since) &&
+            (until === null || entry.timestamp <= until)
+        )
+        .reverse();
+}
+
+// Function to describe a log entry as an embed line
+function describeAuditEntry(entry) {
+    const action = AUDIT_ACTIONS[entry.action] || { icon: '•', label: entry.action };
+    const target = entry.targetId ? ` → <@${entry.targetId}>` : '';
+    const channel = entry.channelId ? ` in <#${entry.channelId}>` : '';
+    const details = entry.details ? ` - ${entry.details}` : '';
+    const reason = entry.reason ? ` (${entry.reason})` : '';
+    
+    return `${AUDIT_RESULTS[entry.result].icon} \`#${entry.id}\` <t:${Math.floor(entry.timestamp / 1000)}:f> **${action.label}** by <@${entry.actorId}>${target}${channel}${details}${reason}`;
+}
+
+module.exports = {
+    AUDIT_ACTIONS,
+    AUDIT_RESULTS,
+    createAuditEntry,
+    filterAuditEntries,
+    describeAuditEntry
+};
@@ -0,0 +1,318 @@
+// Channel cleanup: picks the messages a cleanup deletes and splits them into bulk and one-by-one deletes
+// Filter: { scope, userId, before, after, pattern, keepPinned }
+// scope picks whose messages go (see CLEANUP_SCOPES); userId, before/after (timestamps) and pattern (regex on the
+// message text, case-insensitive) narrow it down further
+
+// Scopes with their label
+const CLEANUP_SCOPES = {
+    'bot-commands': { label: 'Bot messages and commands' },
+    bot: { label: 'Bot messages' },
+    commands: { label: 'Commands' },
+    all: { label: 'All messages' }
+};
+
+// Discord only bulk deletes messages younger than 14 days (a minute of margin for the time the cleanup takes)
+const BULK_DELETE_MAX_AGE = 14 * 24 * 60 * 60 * 1000 - 60 * 1000;
+
+// Discord bulk deletes at most 100 messages per request
+const BULK_DELETE_BATCH_SIZE = 100;
+
+// Longest accepted regex pattern
+const MAX_PATTERN_LENGTH = 200;
+
+// Function to build a failed result
+function cleanupError(code, message) {
+    return { ok: false, error: { code, message } };
+}
+
+// Function to build a set of characters a regex atom can match: ASCII codes, and other=true when it can also
+// match characters outside ASCII (those are not told apart, so any two such sets overlap)
+function charSet(codes = [], other = false) {
+    return { codes: new Set(codes), other };
+}
+
+// Function to list the codes from one character code to another
+function codeRange(from, to) {
+    return Array.from({ length: Math.max(to - from + 1, 0) }, (_, index) => from + index);
+}
+
+// Function to get the characters a set does not hold
+function invertCharSet(set) {
+    return charSet(codeRange(0, 127).filter(code => !set.codes.has(code)), true);
+}
+
+// Function to add the characters of one set to another
+function addCharSet(target, set) {
+    set.codes.forEach(code => target.codes.add(code));
+    target.other = target.other || set.other;
+}
+
+// Function to check if two character sets share a character
+function charSetsOverlap(a, b) {
+    return (a.other && b.other) || [...a.codes].some(code => b.codes.has(code));
+}
+
+const WORD_CHARS = charSet([...codeRange(48, 57), ...codeRange(65, 90), ...codeRange(97, 122), 95]);
+const DIGIT_CHARS = charSet(codeRange(48, 57));
+const SPACE_CHARS = charSet([...codeRange(9, 13), 32], true);
+const ANY_CHAR = charSet(codeRange(0, 127), true);
+
+// Character class escapes (\w, \d, \s and their negations)
+const CLASS_ESCAPES = {
+    w: WORD_CHARS,
+    d: DIGIT_CHARS,
+    s: SPACE_CHARS,
+    W: invertCharSet(WORD_CHARS),
+    D: invertCharSet(DIGIT_CHARS),
+    S: invertCharSet(SPACE_CHARS)
+};
+
+// Control character escapes with their code
+const CONTROL_ESCAPES = { n: 10, r: 13, t: 9, f: 12, v: 11, 0: 0 };
+
+// Function to get the characters a literal character matches (both cases, as cleanup patterns ignore case)
+function literalCharSet(char) {
+    const code = char.charCodeAt(0);
+    if (code > 127) return charSet([], true);
+    return charSet([code, char.toLowerCase().charCodeAt(0), char.toUpperCase().charCodeAt(0)]);
+}
+
+// Function to get the characters an escape matches (\w, \n, \., ...) - escapes by code (\x41, \u0041, \p{L})
+// are read as any character
+function escapeCharSet(letter) {
+    if (letter in CLASS_ESCAPES) return CLASS_ESCAPES[letter];
+    if (letter in CONTROL_ESCAPES) return charSet([CONTROL_ESCAPES[letter]]);
+    if (/[A-Za-z]/.test(letter)) return ANY_CHAR;
+    return literalCharSet(letter);
+}
+
+// Function to read a character class ([a-z_], [^\s]) starting at its opening bracket
+// Returns { chars, end } - end is the index of the closing bracket
+function readCharClass(pattern, start) {
+    const negated = pattern[start + 1] === '^';
+    const chars = charSet();
+    let i = start + (negated ? 2 : 1);
+    let first = true;
+    
+    // Read one class member: { chars, code } - code is set for single characters, which can start a range
+    const readMember = () => {
+        if (pattern[i] === '\\') {
+            const letter = pattern[i + 1];
+            i += 2;
+            if (letter === 'b') return { chars: charSet([8]), code: 8 };
+            const set = escapeCharSet(letter);
+            return { chars: set, code: set.codes.size === 1 && !set.other ? [...set.codes][0] : null };
+        }
+        const char = pattern[i++];
+        return { chars: literalCharSet(char), code: char.charCodeAt(0) };
+    };
+    
+    while (i < pattern.length && (pattern[i] !== ']' || first)) {
+        first = false;
+        const member = readMember();
+        if (pattern[i] === '-' && pattern[i + 1] !== ']' && member.code !== null) {
+            i++;
+            const rangeEnd = readMember();
+            const to = rangeEnd.code === null ? member.code : rangeEnd.code;
+            codeRange(member.code, Math.min(to, 127)).forEach(code => addCharSet(chars, literalCharSet(String.fromCharCode(code))));
+            if (to > 127) chars.other = true;
+        } else {
+            addCharSet(chars, member.chars);
+        }
+    }
+    
+    return { chars: negated ? invertCharSet(chars) : chars, end: i };
+}
+
+// Function to find a regex construct that can backtrack catastrophically, since a cleanup runs the pattern on
+// hundreds of messages on the bot's only thread:
+// - a repeated group that itself holds a quantifier or an alternation ((a+)+, (a|aa)*, (\w*x)+)
+// - unbounded quantifiers (*, +, {n,}) on atoms that can match the same character (\w*\w*, .*\d+) - every way
+//   of splitting the text between them is tried; a required character neither of them matches in between
+//   (\d+:\d+) fixes the split
+// - a backreference
+// Returns a description of the construct or null when the pattern is safe
+function findUnsafeConstruct(pattern) {
+    const groups = []; // per open group: whether it holds a quantifier or alternation, is a lookaround, its characters
+    let unboundedAtoms = []; // characters of the atoms with an unbounded quantifier whose run can still be split
+    let afterRiskyGroup = false;
+    let atom = null; // characters of the atom a quantifier would apply to
+    let atomIsFixed = false; // whether that atom always matches exactly one of its characters (or a fixed text)
+    
+    // A required atom outside groups ends the runs of the unbounded atoms that cannot match its characters
+    const passRequiredAtom = () => {
+        if (atom && atomIsFixed && groups.length === 0) {
+            unboundedAtoms = unboundedAtoms.filter(chars => charSetsOverlap(chars, atom));
+        }
+    };
+    
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        const isQuantifier = char === '*' || char === '+' || char === '?' || (char === '{' && /^\{\d+(,\d*)?\}/.test(pattern.slice(i)));
+        let closedRiskyGroup = false;
+        let nextAtom = null;
+        let nextAtomIsFixed = true;
+        
+        if (!isQuantifier) passRequiredAtom();
+        
+        if (char === '\\') {
+            const letter = pattern[i + 1] || '';
+            if (/[1-9k]/.test(letter)) return 'backreferences';
+            if (letter !== 'b' && letter !== 'B') nextAtom = escapeCharSet(letter);
+            i++;
+        } else if (char === '[') {
+            const charClass = readCharClass(pattern, i);
+            nextAtom = charClass.chars;
+            i = charClass.end;
+        } else if (char === '(') {
+            const group = { risky: false, lookaround: false, chars: charSet() };
+            groups.push(group);
+            // Skip the group modifier ((?:, (?=, (?!, (?<=, (?<!, (?<name>)
+            if (pattern[i + 1] === '?') {
+                const modifier = pattern.slice(i + 1).match(/^\?(?::|=|!|<=|<!|<[A-Za-z_$][\w$]*>)/);
+                if (modifier) i += modifier[0].length;
+                group.lookaround = Boolean(modifier) && /^\?<?[=!]/.test(modifier[0]);
+            }
+        } else if (char === ')') {
+            const group = groups.pop() || { risky: false, lookaround: false, chars: charSet() };
+            closedRiskyGroup = group.risky;
+            if (groups.length > 0 && closedRiskyGroup) groups[groups.length - 1].risky = true;
+            nextAtom = group.chars;
+            nextAtomIsFixed = !group.risky && !group.lookaround && (group.chars.codes.size > 0 || group.chars.other);
+        } else if (char === '|') {
+            if (groups.length > 0) groups[groups.length - 1].risky = true;
+        } else if (isQuantifier) {
+            const bounds = char === '{' ? pattern.slice(i).match(/^\{(\d+)(,(\d*))?\}/) : null;
+            const repeats = char === '*' || char === '+' || (bounds && (bounds[2] ? bounds[3] === '' || Number(bounds[3]) > 1 : Number(bounds[1]) > 1));
+            const unbounded = char === '*' || char === '+' || (bounds && bounds[2] && bounds[3] === '');
+            if (afterRiskyGroup && repeats) return 'nested quantifiers';
+            if (unbounded && atom) {
+                if (unboundedAtoms.some(chars => charSetsOverlap(chars, atom))) return 'several unbounded quantifiers on the same characters';
+                unboundedAtoms.push(atom);
+            }
+            if (char === '+' || (bounds && Number(bounds[1]) > 0)) passRequiredAtom();
+            if (groups.length > 0) groups[groups.length - 1].risky = true;
+            if (bounds) i += bounds[0].length - 1;
+        } else if (char !== '^' && char !== '$') {
+            nextAtom = char === '.' ? ANY_CHAR : literalCharSet(char);
+        }
+        
+        if (nextAtom && groups.length > 0) addCharSet(groups[groups.length - 1].chars, nextAtom);
+        afterRiskyGroup = closedRiskyGroup;
+        atom = nextAtom;
+        atomIsFixed = nextAtomIsFixed;
+    }
+    
+    return null;
+}
+
+// Function to build a cleanup filter from the command options (missing options: bot messages and commands, pinned kept)
+// Returns { ok: true, filter } or { ok: false, error: { code, message } }
+function createCleanupFilter(options = {}) {
+    const { userId = null, before = null, after = null, pattern = null } = options;
+    const scope = options.scope || 'bot-commands';
+    const keepPinned = options.keepPinned ?? true;
+    
+    if (!(scope in CLEANUP_SCOPES)) {
+        return cleanupError('UNKNOWN_SCOPE', `Unknown cleanup scope \`${scope}\`. Use one of: ${Object.keys(CLEANUP_SCOPES).join(', ')}.`);
+    }
+    
+    if (pattern) {
+        if (pattern.length > MAX_PATTERN_LENGTH) {
+            return cleanupError('PATTERN_TOO_LONG', `The pattern is too long! Limit: ${MAX_PATTERN_LENGTH} characters`);
+        }
+        try {
+            new RegExp(pattern, 'i');
+        } catch (error) {
+            return cleanupError('INVALID_PATTERN', `Invalid pattern \`${pattern}\`: ${error.message}`);
+        }
+        const unsafe = findUnsafeConstruct(pattern);
+        if (unsafe) {
+            return cleanupError('UNSAFE_PATTERN', `The pattern \`${pattern}\` uses ${unsafe}, which can take too long to match - drop the extra quantifiers (e.g. \`(ab)+\` → \`(ab)\`, \`\\w+\\w*\` → \`\\w+\`) or match plain text.`);
+        }
+    }
+    
+    if (before !== null && after !== null && after >= before) {
+        return cleanupError('EMPTY_RANGE', 'No message can be both older than `older-than` and newer than `newer-than` - check the time range.');
+    }
+    
+    return { ok: true, filter: { scope, userId, before, after, pattern: pattern || null, keepPinned } };
+}
+
+// Function to check if a message is a text command for the bot
+function isCommandMessage(message) {
+    return !message.author.bot && message.content.startsWith('!');
+}
+
+// Function to check if a message is in a cleanup scope (botId: the bot's user ID)
+function isInScope(message, scope, botId) {
+    switch (scope) {
+        case 'bot':
+            return message.author.id === botId;
+        case 'commands':
+            return isCommandMessage(message);
+        case 'all':
+            return true;
+        default:
+            return message.author.id === botId || isCommandMessage(message);
+    }
+}
+
+// Function to plan a cleanup of fetched messages (newest first)
+// Returns { scanned, matched, bulk: [message], single: [message], pinnedKept } - bulk messages are young enough
+// for bulk deletion, single ones have to be deleted one at a time
+function planCleanup(messages, filter, botId, now = Date.now()) {
+    const regex = filter.pattern ? new RegExp(filter.pattern, 'i') : null;
+    const plan = { scanned: messages.length, matched: 0, bulk: [], single: [], pinnedKept: 0 };
+    
+    for (const message of messages) {
+        if (!isInScope(message, filter.scope, botId)) continue;
+        if (filter.userId && message.author.id !== filter.userId) continue;
+        if (filter.before !== null && message.createdTimestamp >= filter.before) continue;
+        if (filter.after !== null && message.createdTimestamp < filter.after) continue;
+        if (regex && !regex.test(message.content)) continue;
+        
+        if (message.pinned && filter.keepPinned) {
+            plan.pinnedKept++;
+            continue;
+        }
+        
+        plan.matched++;
+        if (now - message.createdTimestamp < BULK_DELETE_MAX_AGE) {
+            plan.bulk.push(message);
+        } else {
+            plan.single.push(message);
+        }
+    }
+    
+    return plan;
+}
+
+// Function to split bulk-deletable messages into batches of at most 100
+function getBulkBatches(messages) {
+    const batches = [];
+    for (let i = 0; i < messages.length; i += BULK_DELETE_BATCH_SIZE) {
+        batches.push(messages.slice(i, i + BULK_DELETE_BATCH_SIZE));
+    }
+    return batches;
+}
+
+// Function to describe a cleanup filter for embeds
+function describeCleanupFilter(filter) {
+    return [
+        `**${CLEANUP_SCOPES[filter.scope].label}**`,
+        filter.userId ? `by <@${filter.userId}>` : null,
+        filter.before !== null ? `older than <t:${Math.floor(filter.before / 1000)}:f>` : null,
+        filter.after !== null ? `newer than <t:${Math.floor(filter.after / 1000)}:f>` : null,
+        filter.pattern ? `matching \`${filter.pattern}\`` : null,
+        filter.keepPinned ? 'pinned messages kept' : 'pinned messages included'
+    ].filter(Boolean).join(', ');
+}
+
+module.exports = {
+    CLEANUP_SCOPES,
+    createCleanupFilter,
+    planCleanup,
+    getBulkBatches,
+    describeCleanupFilter
+};
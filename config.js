@@ -1,4 +1,5 @@
 require('dotenv').config();
+const path = require('path');
 
 // Bot configuration constants
 const BOT_CONFIG = {
@@ -6,7 +7,9 @@ const BOT_CONFIG = {
     DEFAULT_TIMER_DURATION: 5 * 60 * 1000, // 5 minutes
     MIN_TIMER_DURATION: 1000, // 1 second
     MAX_TIMER_DURATION: 24 * 60 * 60 * 1000, // 24 hours
-    WARNING_TIME_BEFORE_END: 60 * 1000, // 1 minute
+    DEFAULT_WARNINGS: '1m', // warning checkpoints before the end, e.g. "5m, 1m ping, 10..1"
+    DEFAULT_DURATION_UNIT: 'm', // unit for bare numbers, e.g. "!cs 90"
+    DEFAULT_TIMEZONE: 'UTC', // time zone for "!until 20:00" when the server has none set
     
     // Update intervals
     TIMER_UPDATE_INTERVAL: 1000, // 1 second
@@ -16,21 +19,91 @@ const BOT_CONFIG = {
     MESSAGE_EDIT_TIMEOUT: 5000, // 5 seconds
     MESSAGE_FETCH_TIMEOUT: 3000, // 3 seconds
     
-    // Rate limiting
-    RATE_LIMIT_MS: 1000, // 1 second
+    // Rate limiting (token buckets - capacity requests, refilled evenly over windowMs)
+    RATE_LIMIT_MS: 1000, // 1 second, how often a member gets a command back
+    RATE_LIMIT_BURST: 3, // commands a member may send back to back
+    RATE_LIMIT_COMMAND: { capacity: 3, windowMs: 5000 }, // the same command per member
+    RATE_LIMIT_GUILD: { capacity: 60, windowMs: 60 * 1000 }, // all commands in a server
+    RATE_LIMIT_GLOBAL: { capacity: 100, windowMs: 60 * 1000 }, // all commands the bot handles
+    MAX_RATE_LIMIT_CAPACITY: 1000,
+    MAX_RATE_LIMIT_WINDOW: 60 * 60 * 1000, // 1 hour
     
     // Voice settings
     VOICE_CONNECTION_TIMEOUT: 30 * 1000, // 30 seconds
     VOICE_DISCONNECT_DELAY: 2000, // 2 seconds
+    VOICE_RECONNECT_ATTEMPTS: 5, // rejoin attempts after a dropped connection before waiting for the gateway
+    VOICE_RECONNECT_BASE_DELAY: 2000, // 2 seconds, doubled after every attempt
+    VOICE_RECONNECT_MAX_DELAY: 30 * 1000, // 30 seconds
+    DEFAULT_VOICE_IDLE_LEAVE_MINUTES: 0, // 0 = stay in voice until told to leave
+    MAX_VOICE_IDLE_LEAVE_MINUTES: 240,
+    MAX_TIMER_LINKS: 5, // linked voice/text channels per timer
+    VOICE_LINK_CUE_TIMEOUT: 30 * 1000, // 30 seconds, longest wait for a cue to play in a linked channel
+    
+    // Audio playback queue (one player per guild)
+    AUDIO_MAX_QUEUE_LENGTH: 20,
+    AUDIO_MAX_QUEUE_WAIT: 15 * 1000, // 15 seconds - stale warnings are dropped, timer ends always play
+    AUDIO_DUCK_FADE_MS: 300, // fade-out of a sound cut off by a higher priority one
+    AUDIO_HISTORY_SIZE: 20,
+    
+    // Volume (per guild 0-100, per-sound gain overrides in dB)
+    DEFAULT_VOLUME: 100, // 100 = files play at their own level
+    MAX_SOUND_GAIN_DB: 20,
+    NORMALIZE_TARGET_DB: -20, // mean loudness sounds are brought to when normalization is on
+    MAX_NORMALIZE_GAIN_DB: 12,
+    MAX_PLAYBACK_VOLUME: 2, // cap on the final inline-volume factor (above 1 = amplified)
     
     // History settings
     MAX_MICROPHONE_HISTORY: 10,
+    DEFAULT_MIC_LOG_RETENTION_DAYS: 30, // voice activity log entries older than this are pruned
+    MAX_MIC_LOG_ENTRIES: 5000, // per guild, oldest go first
+    MIC_LOG_PAGE_SIZE: 10,
+    MAX_TIMED_MUTE_MINUTES: 24 * 60, // longest timed microphone mute
+    MAX_AUDIT_LOG_ENTRIES: 2000, // per guild, oldest go first
+    AUDIT_LOG_PAGE_SIZE: 10,
     MAX_MESSAGE_HISTORY: 50,
     
+    // Speaking queue (/queue)
+    DEFAULT_QUEUE_TURN_DURATION: 2 * 60 * 1000, // 2 minutes per speaker
+    MAX_QUEUE_LENGTH: 50, // members waiting per channel
+    QUEUE_EMBED_ENTRIES: 20, // members listed on the live queue embed
+    
+    // Channel cleanup (/clear-channel, /auto-cleanup)
+    DEFAULT_CLEANUP_SCAN: 200, // newest messages checked for a cleanup
+    MAX_CLEANUP_SCAN: 1000,
+    DEFAULT_AUTO_CLEANUP_DELAY: 60 * 1000, // 1 minute after the last timer in a channel ends
+    MAX_AUTO_CLEANUP_DELAY: 60 * 60 * 1000, // 1 hour
+    
     // File paths
     SOUNDS_DIR: 'sounds',
     WARNING_SOUND: 'cri.mp3',
     END_SOUND: 'end.mp3',
+    DATA_DIR: 'data',
+    
+    // Custom sound uploads (stored per guild under DATA_DIR/sounds)
+    SOUND_FORMATS: ['.mp3', '.ogg', '.wav'],
+    MAX_SOUND_FILE_SIZE: 1024 * 1024, // 1 MB
+    MAX_SOUND_DURATION: 15 * 1000, // 15 seconds
+    MAX_SOUNDS_PER_GUILD: 20,
+    
+    // Text-to-speech announcements (generated speech is cached under DATA_DIR/tts)
+    TTS_ENGINE: 'espeak-ng', // espeak-ng or piper
+    TTS_MODES: ['off', 'speech', 'both'], // off = sounds only, speech = speech instead of sounds, both = sound then speech
+    DEFAULT_TTS_MODE: 'off',
+    DEFAULT_TTS_LANGUAGE: 'en',
+    TTS_MAX_TEXT_LENGTH: 200,
+    TTS_CACHE_SIZE: 200, // cached speech files
+    TTS_TIMEOUT: 15 * 1000, // 15 seconds
+    
+    // Logging (JSON lines under LOG_DIR, rolled over daily and at LOG_MAX_FILE_SIZE)
+    LOG_DIR: 'logs',
+    LOG_LEVELS: ['error', 'warn', 'info', 'debug'], // most to least severe - a level includes the ones before it
+    DEFAULT_LOG_LEVEL: 'info',
+    DEFAULT_LOG_MAX_FILE_SIZE_MB: 10, // 0 = roll over daily only
+    DEFAULT_LOG_RETENTION_DAYS: 5, // log files older than this are deleted
+    LOG_FLUSH_INTERVAL: 1000, // 1 second between log file writes
+    
+    // Persistence settings
+    STATE_SAVE_DELAY: 1000, // 1 second debounce between state writes
     
     // Discord limits
     MAX_EMBED_DESCRIPTION_LENGTH: 4096,
@@ -71,6 +144,58 @@ class ConfigValidator {
             warnings.push('CLIENT_ID should be a numeric Discord application ID');
         }
         
+        // Validate default time zone
+        if (process.env.DEFAULT_TIMEZONE) {
+            try {
+                new Intl.DateTimeFormat('en-US', { timeZone: process.env.DEFAULT_TIMEZONE });
+            } catch (error) {
+                errors.push(`DEFAULT_TIMEZONE is not a valid time zone: ${process.env.DEFAULT_TIMEZONE}`);
+            }
+        }
+        
+        // Validate default warning checkpoints
+        if (process.env.DEFAULT_WARNINGS) {
+            const { parseCheckpoints } = require('./warnings');
+            const result = parseCheckpoints(process.env.DEFAULT_WARNINGS, { maxMs: BOT_CONFIG.MAX_TIMER_DURATION });
+            if (!result.ok) {
+                errors.push(`DEFAULT_WARNINGS is invalid: ${result.error.message}`);
+            }
+        }
+        
+        // Validate text-to-speech settings
+        if (process.env.TTS_ENGINE && !['espeak-ng', 'piper'].includes(process.env.TTS_ENGINE)) {
+            errors.push(`TTS_ENGINE must be espeak-ng or piper, got: ${process.env.TTS_ENGINE}`);
+        }
+        
+        if (process.env.TTS_MODE && !BOT_CONFIG.TTS_MODES.includes(process.env.TTS_MODE)) {
+            errors.push(`TTS_MODE must be one of ${BOT_CONFIG.TTS_MODES.join(', ')}, got: ${process.env.TTS_MODE}`);
+        }
+        
+        if (process.env.DEFAULT_TTS_LANGUAGE) {
+            const { TTS_LANGUAGES } = require('./tts');
+            if (!TTS_LANGUAGES.includes(process.env.DEFAULT_TTS_LANGUAGE)) {
+                errors.push(`DEFAULT_TTS_LANGUAGE must be one of ${TTS_LANGUAGES.join(', ')}, got: ${process.env.DEFAULT_TTS_LANGUAGE}`);
+            }
+        }
+        
+        // Validate logging settings
+        if (process.env.LOG_LEVEL && !BOT_CONFIG.LOG_LEVELS.includes(process.env.LOG_LEVEL)) {
+            errors.push(`LOG_LEVEL must be one of ${BOT_CONFIG.LOG_LEVELS.join(', ')}, got: ${process.env.LOG_LEVEL}`);
+        }
+        
+        if (process.env.LOG_RETENTION_DAYS && !(parseInt(process.env.LOG_RETENTION_DAYS) > 0)) {
+            errors.push(`LOG_RETENTION_DAYS must be a positive number of days, got: ${process.env.LOG_RETENTION_DAYS}`);
+        }
+        
+        if (process.env.LOG_MAX_FILE_SIZE_MB && !(parseInt(process.env.LOG_MAX_FILE_SIZE_MB) >= 0)) {
+            errors.push(`LOG_MAX_FILE_SIZE_MB must be a number of megabytes (0 = no size limit), got: ${process.env.LOG_MAX_FILE_SIZE_MB}`);
+        }
+        
+        // Validate voice activity log retention
+        if (process.env.MIC_LOG_RETENTION_DAYS && !(parseInt(process.env.MIC_LOG_RETENTION_DAYS) > 0)) {
+            errors.push(`MIC_LOG_RETENTION_DAYS must be a positive number of days, got: ${process.env.MIC_LOG_RETENTION_DAYS}`);
+        }
+        
         // Check if sounds directory exists
         const fs = require('fs');
         const path = require('path');
@@ -91,21 +216,20 @@ class ConfigValidator {
             }
         }
         
+        // The logger reads this module, so it is only loaded once the configuration exists
+        const { logger } = require('./logger');
+        
         // Log warnings
-        if (warnings.length > 0) {
-            console.warn('[CONFIG WARNINGS]:');
-            warnings.forEach(warning => console.warn(`  - ${warning}`));
-        }
+        warnings.forEach(warning => logger.warn(`[CONFIG] ${warning}`));
         
         // Log errors and exit if critical
         if (errors.length > 0) {
-            console.error('[CONFIG ERRORS]:');
-            errors.forEach(error => console.error(`  - ${error}`));
-            console.error('\nBot cannot start with invalid configuration!');
+            errors.forEach(error => logger.error(`[CONFIG] ${error}`));
+            logger.error('[CONFIG] Bot cannot start with invalid configuration!');
             process.exit(1);
         }
         
-        console.log('[CONFIG] Configuration validation passed');
+        logger.info('[CONFIG] Configuration validation passed');
         return true;
     }
     
@@ -118,13 +242,31 @@ class ConfigValidator {
             
             // Bot settings with fallbacks
             DEFAULT_TIMER_DURATION: parseInt(process.env.DEFAULT_TIMER_DURATION) || BOT_CONFIG.DEFAULT_TIMER_DURATION,
+            DEFAULT_DURATION_UNIT: ['s', 'm', 'h'].includes(process.env.DEFAULT_DURATION_UNIT) ? process.env.DEFAULT_DURATION_UNIT : BOT_CONFIG.DEFAULT_DURATION_UNIT,
+            DEFAULT_TIMEZONE: process.env.DEFAULT_TIMEZONE || BOT_CONFIG.DEFAULT_TIMEZONE,
+            DEFAULT_WARNINGS: process.env.DEFAULT_WARNINGS || BOT_CONFIG.DEFAULT_WARNINGS,
             RATE_LIMIT_MS: parseInt(process.env.RATE_LIMIT_MS) || BOT_CONFIG.RATE_LIMIT_MS,
+            
+            // Text-to-speech settings with fallbacks
+            TTS_ENGINE: process.env.TTS_ENGINE === 'piper' ? 'piper' : BOT_CONFIG.TTS_ENGINE,
+            TTS_COMMAND: process.env.TTS_COMMAND || (process.env.TTS_ENGINE === 'piper' ? 'piper' : BOT_CONFIG.TTS_ENGINE),
+            PIPER_MODELS_DIR: process.env.PIPER_MODELS_DIR || path.join(__dirname, 'voices'),
+            TTS_MODE: BOT_CONFIG.TTS_MODES.includes(process.env.TTS_MODE) ? process.env.TTS_MODE : BOT_CONFIG.DEFAULT_TTS_MODE,
+            DEFAULT_TTS_LANGUAGE: process.env.DEFAULT_TTS_LANGUAGE || BOT_CONFIG.DEFAULT_TTS_LANGUAGE,
+            
             MAX_RETRIES: parseInt(process.env.MAX_RETRIES) || ERROR_CONFIG.MAX_RETRIES,
-            LOG_LEVEL: process.env.LOG_LEVEL || 'info',
+            
+            // Logging settings with fallbacks (verbose logging and debug mode log everything)
+            LOG_LEVEL: process.env.VERBOSE_LOGGING === 'true' || process.env.DEBUG_MODE === 'true' ? 'debug' :
+                BOT_CONFIG.LOG_LEVELS.includes(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : BOT_CONFIG.DEFAULT_LOG_LEVEL,
+            LOG_MAX_FILE_SIZE: (parseInt(process.env.LOG_MAX_FILE_SIZE_MB) >= 0 ? parseInt(process.env.LOG_MAX_FILE_SIZE_MB) : BOT_CONFIG.DEFAULT_LOG_MAX_FILE_SIZE_MB) * 1024 * 1024,
+            LOG_RETENTION_DAYS: parseInt(process.env.LOG_RETENTION_DAYS) || BOT_CONFIG.DEFAULT_LOG_RETENTION_DAYS,
             
             // Feature flags with fallbacks
             ENABLE_VOICE_NOTIFICATIONS: process.env.ENABLE_VOICE_NOTIFICATIONS !== 'false',
+            AUDIO_DUCKING: process.env.AUDIO_DUCKING !== 'false',
             ENABLE_MICROPHONE_HISTORY: process.env.ENABLE_MICROPHONE_HISTORY !== 'false',
+            MIC_LOG_RETENTION_DAYS: parseInt(process.env.MIC_LOG_RETENTION_DAYS) || BOT_CONFIG.DEFAULT_MIC_LOG_RETENTION_DAYS,
             ENABLE_AUTO_CLEANUP: process.env.ENABLE_AUTO_CLEANUP !== 'false',
             
             // Debug settings
@@ -145,13 +287,29 @@ module.exports = {
     
     // Bot settings
     DEFAULT_TIMER_DURATION: config.DEFAULT_TIMER_DURATION,
+    DEFAULT_DURATION_UNIT: config.DEFAULT_DURATION_UNIT,
+    DEFAULT_TIMEZONE: config.DEFAULT_TIMEZONE,
+    DEFAULT_WARNINGS: config.DEFAULT_WARNINGS,
     RATE_LIMIT_MS: config.RATE_LIMIT_MS,
     MAX_RETRIES: config.MAX_RETRIES,
+    
+    // Logging settings
     LOG_LEVEL: config.LOG_LEVEL,
+    LOG_MAX_FILE_SIZE: config.LOG_MAX_FILE_SIZE,
+    LOG_RETENTION_DAYS: config.LOG_RETENTION_DAYS,
+    
+    // Text-to-speech settings
+    TTS_ENGINE: config.TTS_ENGINE,
+    TTS_COMMAND: config.TTS_COMMAND,
+    PIPER_MODELS_DIR: config.PIPER_MODELS_DIR,
+    TTS_MODE: config.TTS_MODE,
+    DEFAULT_TTS_LANGUAGE: config.DEFAULT_TTS_LANGUAGE,
     
     // Feature flags
     ENABLE_VOICE_NOTIFICATIONS: config.ENABLE_VOICE_NOTIFICATIONS,
+    AUDIO_DUCKING: config.AUDIO_DUCKING,
     ENABLE_MICROPHONE_HISTORY: config.ENABLE_MICROPHONE_HISTORY,
+    MIC_LOG_RETENTION_DAYS: config.MIC_LOG_RETENTION_DAYS,
     ENABLE_AUTO_CLEANUP: config.ENABLE_AUTO_CLEANUP,
     
     // Debug settings
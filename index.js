@@ -1,38 +1,29 @@
-const { Client, GatewayIntentBits, AttachmentBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
-const { joinVoiceChannel, createAudioPlayer, createAudioResource, VoiceConnectionStatus, entersState } = require('@discordjs/voice');
-const fs = require('fs');
+const { Client, GatewayIntentBits, AttachmentBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, AuditLogEvent, SnowflakeUtil, StringSelectMenuBuilder, ModalBuilder, TextInputBuilder, TextInputStyle } = require('discord.js');
+const { VoiceConnectionStatus } = require('@discordjs/voice');
 const path = require('path');
 const config = require('./config');
+const { logger } = require('./logger');
+const storage = require('./storage');
+const { parseDuration, parseClockTime, isValidTimeZone } = require('./timeParser');
+const { parseSchedule, getNextRun } = require('./scheduler');
+const { parseSequence, findPreset, BUILTIN_PRESETS } = require('./intervals');
+const { parseCheckpoints } = require('./warnings');
+const { GUILD_SOUND_PREFIX, listGuildSounds, findGuildSound, resolveSoundPath, getNormalizationGain, saveGuildSound, deleteGuildSound } = require('./sounds');
+const { TTS_LANGUAGES, buildAnnouncement, isValidVoiceName, synthesizeSpeech } = require('./tts');
+const { GuildAudioManager } = require('./audio');
+const { VoiceSession } = require('./voiceSession');
+const { MIC_EVENTS, UNMUTE_EVENTS, detectVoiceEvents, parseTimeBound, filterEntries, pruneEntries, describeEntry } = require('./micLog');
+const { createQueue, getQueuePosition, joinQueue, leaveQueue, takeNextSpeaker } = require('./speakingQueue');
+const { CAPABILITIES, isPermissionAdmin, memberHasCapability, getMemberCapabilities, updateGrant, resetCapability, describeGrant } = require('./permissions');
+const { AUDIT_ACTIONS, AUDIT_RESULTS, createAuditEntry, filterAuditEntries, describeAuditEntry } = require('./auditLog');
+const { CLEANUP_SCOPES, createCleanupFilter, planCleanup, getBulkBatches, describeCleanupFilter } = require('./channelCleanup');
+const { RATE_LIMIT_SCOPES, GUILD_RATE_LIMIT_SCOPES, RateLimiter } = require('./rateLimiter');
 
 // Validate configuration early to fail fast on missing/invalid env vars
 if (config.ConfigValidator && typeof config.ConfigValidator.validate === 'function') {
     config.ConfigValidator.validate();
 }
 
-// Simple logging system
-const logDir = path.join(__dirname, 'logs');
-if (!fs.existsSync(logDir)) {
-    fs.mkdirSync(logDir, { recursive: true });
-}
-
-const today = new Date().toISOString().split('T')[0];
-const logFile = path.join(logDir, `combined-${today}.log`);
-const errorLogFile = path.join(logDir, `error-${today}.log`);
-
-function logToFile(level, message) {
-    try {
-        const timestamp = new Date().toISOString();
-        const logEntry = `[${timestamp}] [${level}]: ${message}\n`;
-        fs.appendFileSync(logFile, logEntry);
-        
-        if (level === 'ERROR') {
-            fs.appendFileSync(errorLogFile, logEntry);
-        }
-    } catch (error) {
-        // Silent fail to avoid infinite loops
-    }
-}
-
 const client = new Client({
     intents: [
         GatewayIntentBits.Guilds,
@@ -43,39 +34,418 @@ const client = new Client({
     ]
 });
 
-// Store active timers per channel
+// Store active timers by timer ID (a channel can run several labelled timers)
 const activeTimers = new Map();
 
 // Timer limits to prevent memory exhaustion
 const MAX_TIMERS_PER_GUILD = 10;
 const MAX_TOTAL_TIMERS = 100;
 
-// Function to check if timer can be created
-function canCreateTimer(guildId) {
-    if (activeTimers.size >= MAX_TOTAL_TIMERS) {
-        console.warn(`Maximum total timers reached: ${MAX_TOTAL_TIMERS}`);
+// Recurring schedule limit per guild
+const MAX_SCHEDULES_PER_GUILD = 10;
+
+// Saved interval preset limit per guild
+const MAX_PRESETS_PER_GUILD = 20;
+
+// Embed colour and transition sound event of interval timer stages, by stage kind
+const STAGE_STYLES = {
+    work: { color: '#00FF00', sound: 'end' },
+    rest: { color: '#0099FF', sound: 'warning' }
+};
+
+// Bundled sounds played for each sound event unless the guild or timer assigns an uploaded one
+const DEFAULT_EVENT_SOUNDS = {
+    warning: config.BOT_CONFIG.WARNING_SOUND,
+    end: config.BOT_CONFIG.END_SOUND
+};
+
+// Maximum length of a timer label
+const MAX_TIMER_LABEL_LENGTH = 50;
+
+// Function to check if timer can be created (a timer being replaced does not count against the limits)
+function canCreateTimer(guildId, replacedTimer = null) {
+    const totalTimers = activeTimers.size - (replacedTimer ? 1 : 0);
+    if (totalTimers >= MAX_TOTAL_TIMERS) {
+        logger.warn(`Maximum total timers reached: ${MAX_TOTAL_TIMERS}`);
         return false;
     }
     
     let guildTimerCount = 0;
-    for (const [channelId, timer] of activeTimers) {
-        if (timer.guildId === guildId) guildTimerCount++;
+    for (const [timerId, timer] of activeTimers) {
+        if (timer.guildId === guildId && timer !== replacedTimer) guildTimerCount++;
     }
     
     if (guildTimerCount >= MAX_TIMERS_PER_GUILD) {
-        console.warn(`Maximum timers per guild reached: ${MAX_TIMERS_PER_GUILD}`);
+        logger.warn(`Maximum timers per guild reached: ${MAX_TIMERS_PER_GUILD}`, { guildId });
         return false;
     }
     
     return true;
 }
 
+// Function to generate a short unique timer ID
+function generateTimerId() {
+    let timerId;
+    do {
+        timerId = Math.random().toString(36).slice(2, 6);
+    } while (timerId.length < 4 || activeTimers.has(timerId));
+    return timerId;
+}
+
+// Function to get all timers running in a channel (oldest first)
+function getChannelTimers(channelId) {
+    return [...activeTimers.values()]
+        .filter(timer => timer.channelId === channelId)
+        .sort((a, b) => a.startTime - b.startTime);
+}
+
+// Function to find a channel timer by ID or label (case-insensitive)
+function findChannelTimer(channelId, query) {
+    const needle = query.trim().replace(/^["']|["']$/g, '').toLowerCase();
+    const channelTimers = getChannelTimers(channelId);
+    return channelTimers.find(timer => timer.id === needle) ||
+        channelTimers.find(timer => timer.label && timer.label.toLowerCase() === needle) ||
+        null;
+}
+
+// Function to resolve the timer a command targets - an explicit ID/label, or the only timer in the channel
+// Returns { timer } on success, or { error: 'not_found' | 'ambiguous' | 'none', timers }
+function resolveChannelTimer(channelId, query) {
+    const channelTimers = getChannelTimers(channelId);
+    if (query) {
+        const timer = findChannelTimer(channelId, query);
+        return timer ? { timer } : { error: 'not_found', timers: channelTimers };
+    }
+    if (channelTimers.length === 0) return { error: 'none', timers: channelTimers };
+    if (channelTimers.length > 1) return { error: 'ambiguous', timers: channelTimers };
+    return { timer: channelTimers[0] };
+}
+
+// Function to resolve the timer a timer button targets - the ID in the custom ID, the timer
+// whose live embed the button is on, or the only timer in the channel
+function resolveButtonTimer(interaction, baseId) {
+    const { customId, channel } = interaction;
+    if (customId.startsWith(`${baseId}_`)) {
+        const timer = activeTimers.get(customId.slice(baseId.length + 1));
+        return timer ? { timer } : { error: 'not_found', timers: getChannelTimers(channel.id) };
+    }
+    
+    const messageTimer = interaction.message ? findTimerByMessageId(interaction.message.id) : null;
+    if (messageTimer) return { timer: messageTimer };
+    
+    return resolveChannelTimer(channel.id, null);
+}
+
+// Function to get a short display name for a timer
+function getTimerDisplayName(timer) {
+    return timer.label ? `"${timer.label}" (\`${timer.id}\`)` : `\`${timer.id}\``;
+}
+
+// Function to describe the timers in a channel (used when a command target is ambiguous)
+function describeChannelTimers(timers) {
+    return timers.map(timer => {
+        if (timer.isStopwatch) {
+            return `• ${getTimerDisplayName(timer)} - ⏱️ ${formatStopwatchTime(getStopwatchElapsed(timer))} elapsed${timer.isPaused ? ' (paused)' : ''}`;
+        }
+        const remaining = timer.isPaused ? (timer.pausedRemainingTime || 0) : timer.endTime - Date.now();
+        return `• ${getTimerDisplayName(timer)} - ${formatTime(Math.max(0, remaining))}${timer.isPaused ? ' (paused)' : ''}`;
+    }).join('\n');
+}
+
+// Function to create the error embed for a timer target that could not be resolved
+function createTimerTargetErrorEmbed(result, hint) {
+    if (result.error === 'none') {
+        return new EmbedBuilder()
+            .setColor('#FFA500')
+            .setTitle('⚠️ No Active Timer')
+            .setDescription('There is no active timer in this channel.');
+    }
+    
+    const embed = new EmbedBuilder()
+        .setColor('#FFA500')
+        .setTitle(result.error === 'ambiguous' ? '⚠️ Multiple Timers Running' : '⚠️ Timer Not Found')
+        .setDescription(`${result.error === 'ambiguous' ? 'Several timers are running in this channel.' : 'No timer with that ID or label in this channel.'}\n\n${hint}${result.timers.length > 0 ? `\n\n${describeChannelTimers(result.timers)}` : ''}`);
+    return embed;
+}
+
+// Function to split timer command arguments into a duration and an optional label
+// e.g. `5m "round 2"`, `1h 30m break`, `in 10 minutes "tea"`, `"break"` (default duration)
+function parseTimerArgs(args) {
+    const trimmed = (args || '').trim();
+    let timeStr = trimmed;
+    let label = null;
+    
+    const quoteIndex = trimmed.search(/["']/);
+    if (quoteIndex !== -1) {
+        // Quoted label - everything before the quote is the duration
+        timeStr = trimmed.slice(0, quoteIndex).trim();
+        label = trimmed.slice(quoteIndex).replace(/^["']|["']$/g, '').trim();
+    } else {
+        // Unquoted label - the longest leading run of words that parses as a duration is the duration
+        const words = trimmed.split(/\s+/).filter(Boolean);
+        for (let count = words.length; count > 0; count--) {
+            if (parseDuration(words.slice(0, count).join(' ')).ok) {
+                timeStr = words.slice(0, count).join(' ');
+                label = words.slice(count).join(' ');
+                break;
+            }
+        }
+    }
+    
+    return {
+        timeStr: timeStr || null,
+        label: label ? label.slice(0, MAX_TIMER_LABEL_LENGTH) : null
+    };
+}
+
 // Store default timer times per guild
 const defaultTimes = new Map();
 
+// Store default time zones per guild (used by !until and /timer-until)
+const defaultTimezones = new Map();
+
+// Store warning checkpoints per guild (guildId -> { spec, checkpoints })
+const guildWarnings = new Map();
+
+// Bot-wide default warning checkpoints (DEFAULT_WARNINGS, validated at startup)
+const defaultWarningResult = parseCheckpoints(config.DEFAULT_WARNINGS, { maxMs: config.BOT_CONFIG.MAX_TIMER_DURATION });
+const defaultCheckpoints = defaultWarningResult.ok ?
+    defaultWarningResult.checkpoints :
+    parseCheckpoints(config.BOT_CONFIG.DEFAULT_WARNINGS).checkpoints;
+
+// Store uploaded sounds assigned to sound events per guild (guildId -> { warning, end })
+const guildSoundSettings = new Map();
+
+// Store text-to-speech settings per guild (guildId -> { mode, language, voice })
+const guildTtsSettings = new Map();
+
+// Store volume settings per guild (guildId -> { volume: 0-100, normalize, gains: { soundRef: dB } })
+const guildVolumes = new Map();
+
+// Store voice settings per guild (guildId -> { autoJoin, channelId, follow, idleLeaveMinutes })
+const guildVoiceSettings = new Map();
+
+// Sound reference used for per-sound gain overrides of generated speech
+const SPEECH_SOUND_REF = 'speech';
+
+// Store saved interval presets per guild (guildId -> { name: { sequence, createdBy } })
+const intervalPresets = new Map();
+
+// Store speaking queues per text channel (channelId -> queue, see speakingQueue.js)
+const speakingQueues = new Map();
+
+// Store the live queue embed messages (channelId -> Message)
+const queueMessages = new Map();
+
+// Store speaking queue settings per guild (guildId -> { turnDuration, muteOthers })
+const guildQueueSettings = new Map();
+
+// Label of the turn timers started by /queue next (each next speaker replaces the previous turn)
+const QUEUE_TIMER_LABEL = 'queue';
+
+// Capability needed by each /stopwatch and /queue subcommand (/queue join, leave and list are open to everyone)
+const STOPWATCH_CAPABILITIES = { start: 'start', lap: 'pause', stop: 'stop' };
+const QUEUE_CAPABILITIES = { next: 'start', clear: 'stop', settings: 'configure' };
+
+// Store auto-cleanup policies per guild (guildId -> { enabled, delay, commands })
+const guildCleanupSettings = new Map();
+
+// Store rate limit overrides per guild (guildId -> { user, command, guild }, each { capacity, windowMs })
+const guildRateLimits = new Map();
+
+// Store permission policies per guild (guildId -> { capability: { roles, users } }, see permissions.js)
+const guildPermissions = new Map();
+
+// Capability choices of the /permissions command
+const PERMISSION_CHOICES = Object.entries(CAPABILITIES).map(([value, capability]) => ({ name: capability.label, value }));
+
+// Store the audit channel per guild (guildId -> channelId), where privileged actions are posted
+const auditChannels = new Map();
+
+// Load persisted state from the previous run (timers are rehydrated once the client is ready)
+const savedState = storage.readStore('state', {});
+for (const [guildId, duration] of Object.entries(savedState.defaultTimes || {})) {
+    defaultTimes.set(guildId, duration);
+}
+for (const [guildId, timeZone] of Object.entries(savedState.defaultTimezones || {})) {
+    defaultTimezones.set(guildId, timeZone);
+}
+for (const [guildId, presets] of Object.entries(savedState.intervalPresets || {})) {
+    intervalPresets.set(guildId, presets);
+}
+for (const [guildId, warnings] of Object.entries(savedState.warningCheckpoints || {})) {
+    guildWarnings.set(guildId, warnings);
+}
+for (const [guildId, sounds] of Object.entries(savedState.soundSettings || {})) {
+    guildSoundSettings.set(guildId, sounds);
+}
+for (const [guildId, tts] of Object.entries(savedState.ttsSettings || {})) {
+    guildTtsSettings.set(guildId, tts);
+}
+for (const [guildId, volume] of Object.entries(savedState.volumeSettings || {})) {
+    guildVolumes.set(guildId, volume);
+}
+for (const [guildId, voice] of Object.entries(savedState.voiceSettings || {})) {
+    guildVoiceSettings.set(guildId, voice);
+}
+for (const [guildId, settings] of Object.entries(savedState.queueSettings || {})) {
+    guildQueueSettings.set(guildId, settings);
+}
+for (const [guildId, policy] of Object.entries(savedState.permissions || {})) {
+    guildPermissions.set(guildId, policy);
+}
+for (const [guildId, settings] of Object.entries(savedState.cleanupSettings || {})) {
+    guildCleanupSettings.set(guildId, settings);
+}
+for (const [guildId, limits] of Object.entries(savedState.rateLimits || {})) {
+    guildRateLimits.set(guildId, limits);
+}
+for (const [guildId, channelId] of Object.entries(savedState.auditChannels || {})) {
+    auditChannels.set(guildId, channelId);
+}
+for (const queue of savedState.speakingQueues || []) {
+    speakingQueues.set(queue.channelId, queue);
+}
+
+// Function to parse a warning checkpoint list with the bot's duration settings and the guild's uploaded sounds
+function parseWarningsInput(input, guildId) {
+    return parseCheckpoints(input, {
+        defaultUnit: config.DEFAULT_DURATION_UNIT,
+        maxMs: config.BOT_CONFIG.MAX_TIMER_DURATION,
+        customSounds: listGuildSounds(guildId).map(sound => sound.name)
+    });
+}
+
+// Function to resolve a sound to play - sound events ("warning", "end") become the timer's sound,
+// else the guild's assigned sound, else the bundled one; any other reference is played as is
+function resolveEventSound(guildId, sound, timer = null) {
+    if (sound in DEFAULT_EVENT_SOUNDS) {
+        return timer?.sounds?.[sound] || guildSoundSettings.get(guildId)?.[sound] || DEFAULT_EVENT_SOUNDS[sound];
+    }
+    return sound;
+}
+
+// Function to get a guild's text-to-speech settings (bot defaults for anything not set)
+function getGuildTtsSettings(guildId) {
+    return {
+        mode: config.TTS_MODE,
+        language: config.DEFAULT_TTS_LANGUAGE,
+        voice: null,
+        ...guildTtsSettings.get(guildId)
+    };
+}
+
+// Function to describe a guild's text-to-speech settings
+function describeTtsSettings(tts) {
+    const modes = { off: 'off (sounds only)', speech: 'speech instead of sounds', both: 'sound, then speech' };
+    return `Mode: **${modes[tts.mode]}**\nLanguage: **${tts.language}**\nVoice: **${tts.voice || 'default'}** (${config.TTS_ENGINE})`;
+}
+
+// Function to get a short display name for a sound reference
+function describeSound(soundRef) {
+    if (soundRef === SPEECH_SOUND_REF) return 'spoken announcements';
+    return soundRef.startsWith(GUILD_SOUND_PREFIX) ? soundRef.slice(GUILD_SOUND_PREFIX.length) : `${soundRef} (built-in)`;
+}
+
+// Function to get a guild's volume settings (bot defaults for anything not set)
+function getGuildVolume(guildId) {
+    const settings = guildVolumes.get(guildId) || {};
+    return {
+        volume: settings.volume ?? config.BOT_CONFIG.DEFAULT_VOLUME,
+        normalize: settings.normalize || false,
+        gains: settings.gains || {}
+    };
+}
+
+// Function to describe a guild's volume settings (e.g. "80%, normalized, 2 sound adjustments")
+function describeVolume(guildId) {
+    const settings = getGuildVolume(guildId);
+    const adjustments = Object.keys(settings.gains).length;
+    return `${settings.volume}%` +
+        (settings.normalize ? ', normalized' : '') +
+        (adjustments > 0 ? `, ${adjustments} sound adjustment${adjustments === 1 ? '' : 's'}` : '');
+}
+
+// Function to find the sound reference a volume override is for: an uploaded sound name, a bundled
+// file (with or without .mp3) or "speech" - returns null if there is no such sound
+function resolveVolumeSoundRef(guildId, name) {
+    const key = String(name || '').trim().toLowerCase();
+    if (key === SPEECH_SOUND_REF) return SPEECH_SOUND_REF;
+    if (findGuildSound(guildId, key)) return `${GUILD_SOUND_PREFIX}${key}`;
+    
+    const builtIn = path.extname(key) ? key : `${key}.mp3`;
+    return !builtIn.startsWith(GUILD_SOUND_PREFIX) && resolveSoundPath(guildId, builtIn) ? path.basename(builtIn) : null;
+}
+
+// Function to work out the inline volume of one sound: guild volume x per-sound gain x loudness normalization
+async function getSoundVolume(guildId, soundRef, soundPath) {
+    const settings = getGuildVolume(guildId);
+    let gainDb = settings.gains[soundRef] || 0;
+    if (settings.normalize) {
+        gainDb += await getNormalizationGain(soundPath);
+    }
+    
+    const volume = (settings.volume / 100) * Math.pow(10, gainDb / 20);
+    return Math.min(config.BOT_CONFIG.MAX_PLAYBACK_VOLUME, volume);
+}
+
+// Function to get the warning checkpoints of a timer - its own list, else the guild's, else the bot default
+function getTimerCheckpoints(timer) {
+    if (timer.warnings) return timer.warnings;
+    return guildWarnings.get(timer.guildId)?.checkpoints || defaultCheckpoints;
+}
+
+// Function to describe a checkpoint list (e.g. "5m 0s (ping), 1m 0s, 10s (silent)")
+function describeCheckpoints(checkpoints) {
+    if (checkpoints.length === 0) return 'off';
+    return checkpoints.map(checkpoint => {
+        const flags = [];
+        if (checkpoint.sound === null) flags.push('silent');
+        else if (checkpoint.sound.startsWith(GUILD_SOUND_PREFIX)) flags.push(checkpoint.sound.slice(GUILD_SOUND_PREFIX.length));
+        else if (checkpoint.sound === 'end') flags.push('end');
+        if (checkpoint.ping) flags.push('ping');
+        return `${formatTime(checkpoint.before)}${flags.length > 0 ? ` (${flags.join(', ')})` : ''}`;
+    }).join(', ');
+}
+
+// Function to create the error embed for a checkpoint list that failed to parse
+function createWarningsErrorEmbed(error) {
+    return new EmbedBuilder()
+        .setColor('#FF0000')
+        .setTitle('❌ Invalid Warning Checkpoints')
+        .setDescription(error.message)
+        .setTimestamp();
+}
+
+// Function to get the time zone used for wall-clock timers in a guild
+function getGuildTimezone(guildId) {
+    return defaultTimezones.get(guildId) || config.DEFAULT_TIMEZONE;
+}
+
+// Store recurring timer schedules by schedule ID (armed once the client is ready)
+const schedules = new Map();
+
+// setTimeout cannot wait longer than ~24.8 days, longer waits are re-armed in steps
+const MAX_TIMEOUT_DELAY = 2147483647;
+
 // Store voice connections
 const voiceConnections = new Map();
 
+// Store voice sessions per guild (connection lifecycle and reconnects)
+const voiceSessions = new Map();
+
+// Store audio managers per guild (one player and cue queue each)
+const audioManagers = new Map();
+
+// Store the member the bot follows between voice channels per guild (guildId -> userId)
+const voiceFollowTargets = new Map();
+
+// Store when the bot's voice connection became idle per guild (guildId -> timestamp)
+const voiceIdleSince = new Map();
+
+// Store the running voice channel tour per guild for linked timers (guildId -> promise)
+const voiceTours = new Map();
+
 // Store timer messages for updates
 const timerMessages = new Map();
 
@@ -88,7 +458,7 @@ function setMessageFlag(guildId, channelId, messageId) {
         messageFlagsForCleanup.set(guildId, new Map());
     }
     messageFlagsForCleanup.get(guildId).set(channelId, messageId);
-    console.log(`Set message flag for guild ${guildId}, channel ${channelId}, message ${messageId}`);
+    logger.debug(`Set message flag ${messageId}`, { guildId, channelId });
 }
 
 // Function to get message flag for cleanup
@@ -106,129 +476,159 @@ function clearMessageFlag(guildId, channelId) {
     }
 }
 
-// Function to cleanup messages from flag onwards
-async function cleanupMessagesFromFlag(channel, guildId, channelId) {
+// Function to cleanup the bot's messages from the channel's flag onwards
+// The flag message, the messages in keep and the live embeds of running timers stay; with commands set,
+// members' ! commands are deleted too. Returns the number of deleted messages
+async function cleanupMessagesFromFlag(channel, guildId, channelId, options = {}) {
+    const { keep = new Set(), commands = false } = options;
+    
     try {
         const flagMessageId = getMessageFlag(guildId, channelId);
         if (!flagMessageId) {
-            console.log('No message flag found for cleanup');
-            return;
+            logger.debug('No message flag found for cleanup', { guildId, channelId });
+            return 0;
         }
 
-        console.log(`Cleaning up messages from flag ${flagMessageId} onwards`);
+        logger.debug(`Cleaning up messages from flag ${flagMessageId} onwards`, { guildId, channelId });
         
-        // Fetch recent messages
-        const messages = await channel.messages.fetch({ limit: 50 });
-        const messagesToDelete = [];
-        let foundFlag = false;
+        const { filter } = createCleanupFilter({ scope: commands ? 'bot-commands' : 'bot', after: SnowflakeUtil.timestampFrom(flagMessageId) });
+        const plan = await planChannelCleanup(channel, filter, config.BOT_CONFIG.DEFAULT_CLEANUP_SCAN);
 
-        // Sort messages by creation time (oldest first)
-        const sortedMessages = messages.sort((a, b) => a.createdTimestamp - b.createdTimestamp);
+        const liveMessageIds = getChannelTimers(channelId).map(timer => getTimerMessageData(timer)?.message?.id);
+        const isKept = message => message.id === flagMessageId || keep.has(message.id) || liveMessageIds.includes(message.id);
+        const result = await deleteCleanupMessages(channel, {
+            bulk: plan.bulk.filter(message => !isKept(message)),
+            single: plan.single.filter(message => !isKept(message))
+        });
 
-        for (const message of sortedMessages.values()) {
-            // Start collecting messages once we find the flag
-            if (message.id === flagMessageId) {
-                foundFlag = true;
-                continue; // Don't delete the flag message itself (timer message)
-            }
+        logger.info(`Deleted ${result.deleted} messages from flag onwards`, { guildId, channelId });
+        return result.deleted;
+    } catch (error) {
+        logger.error('Error during message cleanup from flag', { guildId, channelId, error });
+        return 0;
+    }
+}
 
-            // If we found the flag, collect all newer messages for deletion
-            if (foundFlag) {
-                // Only delete bot messages
-                if (message.author.id === message.client.user.id) {
-                    messagesToDelete.push(message);
-                }
-            }
-        }
+// Store pending auto-cleanups per channel (channelId -> { guildId, keep, triggers, timeoutId })
+// keep: the timer embeds and end alerts that stay, triggers: the ! commands that started the timers
+const autoCleanups = new Map();
 
-        console.log(`Found ${messagesToDelete.length} messages to delete from flag onwards`);
+// Function to get the server's auto-cleanup policy
+function getGuildCleanupSettings(guildId) {
+    return {
+        enabled: false,
+        delay: config.BOT_CONFIG.DEFAULT_AUTO_CLEANUP_DELAY,
+        commands: false,
+        ...guildCleanupSettings.get(guildId)
+    };
+}
 
-        // Delete messages in batches
-        if (messagesToDelete.length > 0) {
-            // Separate messages older than 14 days (can't bulk delete)
-            const now = Date.now();
-            const twoWeeksAgo = now - (14 * 24 * 60 * 60 * 1000);
-            
-            const recentMessages = messagesToDelete.filter(msg => msg.createdTimestamp > twoWeeksAgo);
-            const oldMessages = messagesToDelete.filter(msg => msg.createdTimestamp <= twoWeeksAgo);
+// Function to get a channel's pending auto-cleanup (created if there is none)
+function getAutoCleanup(guildId, channelId) {
+    if (!autoCleanups.has(channelId)) {
+        autoCleanups.set(channelId, { guildId, keep: new Set(), triggers: new Set(), timeoutId: null });
+    }
+    return autoCleanups.get(channelId);
+}
 
-            // Bulk delete recent messages
-            if (recentMessages.length > 1) {
-                await channel.bulkDelete(recentMessages);
-                console.log(`Bulk deleted ${recentMessages.length} recent messages`);
-            } else if (recentMessages.length === 1) {
-                await recentMessages[0].delete();
-                console.log('Deleted 1 recent message');
-            }
+// Function to mark a channel's first timer message - the auto-cleanup deletes the bot's messages after it
+// A pending auto-cleanup keeps the older flag, so it still covers the messages of the earlier timers
+function flagTimerMessage(guildId, channelId, messageId) {
+    if (autoCleanups.has(channelId) && getMessageFlag(guildId, channelId)) return;
+    setMessageFlag(guildId, channelId, messageId);
+}
 
-            // Delete old messages individually
-            for (const message of oldMessages) {
-                try {
-                    await message.delete();
-                    console.log('Deleted 1 old message');
-                } catch (error) {
-                    console.error('Error deleting old message:', error);
-                }
+// Function to schedule the auto-cleanup of a finished or stopped timer's channel (per the server's policy)
+// The cleanup runs after the policy's delay once the channel has no timers left; the timer's live embed stays
+function scheduleAutoCleanup(timer) {
+    const settings = getGuildCleanupSettings(timer.guildId);
+    if (!settings.enabled) return;
+    
+    const cleanup = getAutoCleanup(timer.guildId, timer.channelId);
+    const message = getTimerMessageData(timer)?.message;
+    if (message) {
+        cleanup.keep.add(message.id);
+        if (message.reference?.messageId) cleanup.triggers.add(message.reference.messageId);
+    }
+    
+    if (getChannelTimers(timer.channelId).length > 0) return;
+    
+    if (cleanup.timeoutId) clearTimeout(cleanup.timeoutId);
+    cleanup.timeoutId = setTimeout(() => {
+        runAutoCleanup(timer.channelId).catch(error => {
+            logger.error('Error auto-cleaning channel', { guildId: timer.guildId, channelId: timer.channelId, error });
+        });
+    }, settings.delay);
+}
+
+// Function to run a channel's pending auto-cleanup (skipped while a new timer runs - it ends with that timer)
+async function runAutoCleanup(channelId) {
+    const cleanup = autoCleanups.get(channelId);
+    if (!cleanup) return;
+    
+    cleanup.timeoutId = null;
+    if (getChannelTimers(channelId).length > 0) return;
+    autoCleanups.delete(channelId);
+    
+    const settings = getGuildCleanupSettings(cleanup.guildId);
+    const channel = await client.channels.fetch(channelId).catch(() => null);
+    if (!settings.enabled || !channel) return;
+    
+    let deleted = await cleanupMessagesFromFlag(channel, cleanup.guildId, channelId, { keep: cleanup.keep, commands: settings.commands });
+    if (settings.commands) {
+        for (const messageId of cleanup.triggers) {
+            try {
+                await channel.messages.delete(messageId);
+                deleted++;
+            } catch (error) {
+                // Already deleted, or the bot may not delete members' messages
             }
         }
-
-    } catch (error) {
-        console.error('Error during message cleanup from flag:', error);
     }
+    clearMessageFlag(cleanup.guildId, channelId);
+
+    logger.info(`Auto-cleanup deleted ${deleted} messages`, { guildId: cleanup.guildId, channelId });
 }
 
-// Store volume levels per guild (0.0 = silent, 1.0 = max) - removed
+// Store the voice activity log per guild, oldest first (persisted in data/mic-log.json)
+const micActivityLog = new Map();
+for (const [guildId, entries] of Object.entries(storage.readStore('mic-log', {}))) {
+    micActivityLog.set(guildId, entries);
+}
 
-// Store last 10 people who unmuted microphone per guild
-const microphoneUnmuteHistory = new Map();
+// Store the moderation audit log per guild, oldest first (persisted in data/audit-log.json)
+const auditLogs = new Map();
+for (const [guildId, entries] of Object.entries(storage.readStore('audit-log', {}))) {
+    auditLogs.set(guildId, entries);
+}
 
-// Rate limiting - 1 command per second per user
-const userCooldowns = new Map();
-const RATE_LIMIT_MS = 1000; // 1 second
+// Store timed microphone mutes (guildId:userId -> { guildId, userId, until, reason, mutedBy, timeoutId })
+const timedMutes = new Map();
 
-// Global rate limiting
-const globalRateLimit = {
-    requests: 0,
-    resetTime: Date.now() + 60000,
-    maxRequests: 100
-};
+// Store the members picked in a mute/unmute select menu until the reason modal is submitted (guildId:userId -> selection)
+const pendingMicActions = new Map();
 
-function checkGlobalRateLimit() {
-    const now = Date.now();
-    if (now > globalRateLimit.resetTime) {
-        globalRateLimit.requests = 0;
-        globalRateLimit.resetTime = now + 60000;
-    }
-    return globalRateLimit.requests++ < globalRateLimit.maxRequests;
-}
+// Store the filter of a cleanup preview until its confirm button is pressed (guildId:userId -> { channelId, filter, limit, createdAt })
+const pendingCleanups = new Map();
 
-// Command execution tracker to prevent infinite loops
-const commandExecutionTracker = new Map();
+// Discord allows at most 25 options in a select menu
+const SELECT_MENU_PAGE_SIZE = 25;
 
-// Function to check if command is looping
-function isCommandLooping(userId, commandName) {
-    const key = `${userId}-${commandName}`;
-    const executions = commandExecutionTracker.get(key) || [];
-    const now = Date.now();
-    
-    // Remove old entries (older than 5 seconds)
-    const recentExecutions = executions.filter(time => now - time < 5000);
-    
-    if (recentExecutions.length >= 3) {
-        return true; // Too many calls in short time
-    }
-    
-    recentExecutions.push(now);
-    commandExecutionTracker.set(key, recentExecutions);
-    return false;
-}
+// Rate limiting - token buckets per member, per member and command, per server and for the whole bot
+// A member gets one command back every RATE_LIMIT_MS, up to a short burst (servers can change their limits)
+const rateLimiter = new RateLimiter({
+    user: { capacity: config.BOT_CONFIG.RATE_LIMIT_BURST, windowMs: config.BOT_CONFIG.RATE_LIMIT_BURST * config.RATE_LIMIT_MS },
+    command: config.BOT_CONFIG.RATE_LIMIT_COMMAND,
+    guild: config.BOT_CONFIG.RATE_LIMIT_GUILD,
+    global: config.BOT_CONFIG.RATE_LIMIT_GLOBAL
+});
 
 // Cleanup intervals for memory leak prevention
 const cleanupIntervals = [];
 
 // Function to clean up all intervals and prevent memory leaks
 function cleanupAllIntervals() {
-    console.log(`Cleaning up ${cleanupIntervals.length} intervals...`);
+    logger.info(`Cleaning up ${cleanupIntervals.length} intervals...`);
     cleanupIntervals.forEach(intervalId => {
         clearInterval(intervalId);
     });
@@ -239,760 +639,3574 @@ function cleanupAllIntervals() {
 function safeCleanupTimer(timer) {
     try {
         if (timer.timeoutId) clearTimeout(timer.timeoutId);
-        if (timer.warningTimeoutId) clearTimeout(timer.warningTimeoutId);
+        clearCheckpoints(timer);
         if (timer.updateIntervalId) clearInterval(timer.updateIntervalId);
-        if (timer.channelId) timerUpdateThrottle.delete(timer.channelId);
+        if (timer.id) timerUpdateThrottle.delete(timer.id);
     } catch (error) {
-        console.error('Error cleaning up timer:', error);
+        logger.error('Error cleaning up timer', { guildId: timer.guildId, channelId: timer.channelId, error });
     }
 }
 
 // Function to clean up all active timers
 function cleanupAllTimers() {
-    console.log(`Cleaning up ${activeTimers.size} active timers...`);
-    for (const [channelId, timer] of activeTimers) {
+    logger.info(`Cleaning up ${activeTimers.size} active timers...`);
+    for (const [timerId, timer] of activeTimers) {
         safeCleanupTimer(timer);
     }
     activeTimers.clear();
 }
 
-// Function to check rate limit
-function isRateLimited(userId) {
-    const now = Date.now();
-    const lastCommand = userCooldowns.get(userId);
-    
-    if (!lastCommand) {
-        userCooldowns.set(userId, now);
-        return false;
+// Function to check a command or button press against the rate limits (a token is taken when it passes)
+// Returns { ok: true } or { ok: false, scope, retryAfter, notify } (see RateLimiter.consume)
+function checkRateLimit(userId, guildId, command) {
+    const result = rateLimiter.consume({ userId, guildId, command }, guildRateLimits.get(guildId));
+    if (!result.ok && result.notify) {
+        logger.warn(`[RATE LIMIT] ${result.scope} limit reached`, { guildId, userId, command });
     }
-    
-    if (now - lastCommand < RATE_LIMIT_MS) {
-        return true;
+    return result;
+}
+
+// Buttons whose custom ID ends in the timer they control (timer_pause_<timerId>, ...)
+const TIMER_BUTTON_PREFIXES = ['timer_pause_', 'timer_stop_', 'timer_skip_', 'stopwatch_lap_'];
+
+// Function to get the rate limit bucket of a button, select menu or modal - page and member IDs after ':' and
+// timer IDs share their button's bucket, so spreading presses over pages or timers does not get around the limit
+function getInteractionRateLimitKey(customId) {
+    const name = customId.split(':')[0];
+    const timerPrefix = TIMER_BUTTON_PREFIXES.find(prefix => name.startsWith(prefix));
+    return timerPrefix ? timerPrefix.slice(0, -1) : name;
+}
+
+// Function to tell a member how long to wait after being rate limited
+function getRateLimitMessage(result) {
+    const seconds = Math.max(1, Math.ceil(result.retryAfter / 1000));
+    if (result.scope === 'global') {
+        return `⏰ The bot is busy right now - retry in ${seconds}s.`;
     }
-    
-    userCooldowns.set(userId, now);
-    return false;
+    return `⏰ Too many commands${result.scope === 'guild' ? ' on this server' : ''} - retry in ${seconds}s.`;
+}
+
+// Function to describe a rate limit for embeds
+function describeRateLimit(limit) {
+    return `${limit.capacity} per ${formatTime(limit.windowMs)}`;
+}
+
+// Function to persist the voice activity log (debounced like the bot state)
+function persistMicLog() {
+    storage.scheduleWrite('mic-log', () => Object.fromEntries(micActivityLog));
 }
 
-// Function to add user to microphone unmute history
-function addToMicrophoneHistory(guildId, userId, username) {
-    if (!microphoneUnmuteHistory.has(guildId)) {
-        microphoneUnmuteHistory.set(guildId, []);
+// Function to add an entry to a guild's voice activity log (the oldest entries go over the size limit)
+function addMicActivity(guildId, entry) {
+    if (!micActivityLog.has(guildId)) {
+        micActivityLog.set(guildId, []);
     }
     
-    const history = microphoneUnmuteHistory.get(guildId);
-    
-    // Remove user if already in history (to avoid duplicates)
-    const existingIndex = history.findIndex(entry => entry.userId === userId);
-    if (existingIndex !== -1) {
-        history.splice(existingIndex, 1);
+    const entries = micActivityLog.get(guildId);
+    entries.push(entry);
+    if (entries.length > config.BOT_CONFIG.MAX_MIC_LOG_ENTRIES) {
+        entries.splice(0, entries.length - config.BOT_CONFIG.MAX_MIC_LOG_ENTRIES);
     }
-    
-    // Add user to beginning of array
-    history.unshift({
-        userId: userId,
-        username: username,
-        timestamp: new Date()
-    });
-    
-    // Keep only last 10 entries
-    if (history.length > 10) {
-        history.splice(10);
+    persistMicLog();
+}
+
+// Function to find the moderator behind a server mute/deafen in the guild audit log (null if unknown)
+async function findVoiceActor(guild, userId, auditKey) {
+    try {
+        const logs = await guild.fetchAuditLogs({ type: AuditLogEvent.MemberUpdate, limit: 5 });
+        const entry = logs.entries.find(logEntry =>
+            logEntry.target?.id === userId &&
+            Date.now() - logEntry.createdTimestamp < 10000 &&
+            logEntry.changes.some(change => change.key === auditKey)
+        );
+        return entry?.executor?.id || null;
+    } catch (error) {
+        // Missing View Audit Log permission - the actor stays unknown
+        return null;
     }
+}
+
+// Function to record a member's voice state change in the voice activity log
+async function recordVoiceActivity(oldState, newState) {
+    const member = newState.member || oldState.member;
+    if (!member || member.user.bot) return;
     
-    microphoneUnmuteHistory.set(guildId, history);
+    for (const event of detectVoiceEvents(oldState, newState)) {
+        const actorId = event.auditKey ? await findVoiceActor(newState.guild, member.id, event.auditKey) : member.id;
+        addMicActivity(newState.guild.id, {
+            type: event.type,
+            userId: member.id,
+            username: member.displayName || member.user.username,
+            actorId,
+            channelId: event.channelId,
+            fromChannelId: event.fromChannelId,
+            timestamp: Date.now()
+        });
+    }
 }
 
-// Function to get microphone unmute history
+// Function to get the members who most recently turned their microphone on (newest first, one entry per member)
 function getMicrophoneHistory(guildId) {
-    return microphoneUnmuteHistory.get(guildId) || [];
+    const history = [];
+    for (const entry of filterEntries(micActivityLog.get(guildId) || [])) {
+        if (!UNMUTE_EVENTS.includes(entry.type) || history.some(item => item.userId === entry.userId)) continue;
+        
+        history.push({ userId: entry.userId, username: entry.username, timestamp: new Date(entry.timestamp) });
+        if (history.length >= config.BOT_CONFIG.MAX_MICROPHONE_HISTORY) break;
+    }
+    return history;
 }
 
-// Function to clear microphone unmute history
+// Function to clear a guild's voice activity log
 function clearMicrophoneHistory(guildId) {
-    microphoneUnmuteHistory.delete(guildId);
+    micActivityLog.delete(guildId);
+    persistMicLog();
 }
 
-// Function to stop all timers in a specific channel
-function stopAllTimersInChannel(channelId) {
-    let timersStopped = 0;
+// Function to create a page of the voice activity log with its navigation buttons
+// Filters: userId, type, since, until (timestamps) - carried in the button custom IDs
+function createMicLogPage(guildId, filters, page) {
+    const entries = filterEntries(micActivityLog.get(guildId) || [], filters);
+    const pageSize = config.BOT_CONFIG.MIC_LOG_PAGE_SIZE;
+    const pageCount = Math.max(1, Math.ceil(entries.length / pageSize));
+    const current = Math.min(Math.max(0, page), pageCount - 1);
     
-    // Check if there's a timer for this channel
-    if (activeTimers.has(channelId)) {
-        const timer = activeTimers.get(channelId);
-        
-        // Clear the interval if it exists
-        if (timer.updateIntervalId) {
-            clearInterval(timer.updateIntervalId);
-        }
-        
-        // Clear the timeout if it exists
-        if (timer.timeoutId) {
-            clearTimeout(timer.timeoutId);
-        }
-        
-        // Remove from active timers
-        activeTimers.delete(channelId);
-        timersStopped = 1;
-    }
+    const filterText = [
+        filters.userId ? `user <@${filters.userId}>` : null,
+        filters.type ? `event **${MIC_EVENTS[filters.type].label}**` : null,
+        filters.since !== null ? `since <t:${Math.floor(filters.since / 1000)}:f>` : null,
+        `until <t:${Math.floor(filters.until / 1000)}:f>`
+    ].filter(Boolean).join(', ');
     
-    return timersStopped;
-}
-
-// Function to create timer control buttons
-function createTimerButtons(hasPermissions = true, interaction = null) {
-    // If no permissions passed, assume user has permissions (for backward compatibility)
-    // This will be overridden by specific permission checks in button handlers
-    const row1 = new ActionRowBuilder()
+    const lines = entries.slice(current * pageSize, (current + 1) * pageSize).map(describeEntry);
+    const embed = new EmbedBuilder()
+        .setColor('#0099FF')
+        .setTitle('📝 Microphone History')
+        .setDescription(`${lines.length > 0 ? lines.join('\n') : 'No voice activity matches.'}\n\nFilters: ${filterText}`)
+        .setFooter({ text: `Page ${current + 1}/${pageCount} • ${entries.length} events • kept for ${config.MIC_LOG_RETENTION_DAYS} days` })
+        .setTimestamp();
+    
+    const filterId = [filters.userId || '-', filters.type || '-', filters.since ?? '-', filters.until].join(':');
+    const row = new ActionRowBuilder()
         .addComponents(
             new ButtonBuilder()
-                .setCustomId('timer_start')
-                .setLabel('▶️ Start Timer')
-                .setStyle(ButtonStyle.Success)
-                .setDisabled(!hasPermissions),
-            new ButtonBuilder()
-                .setCustomId('timer_pause')
-                .setLabel('⏸️ Pause')
+                .setCustomId(`miclog:${current - 1}:${filterId}`)
+                .setLabel('⬅️ Previous')
                 .setStyle(ButtonStyle.Secondary)
-                .setDisabled(!hasPermissions),
-            new ButtonBuilder()
-                .setCustomId('timer_stop')
-                .setLabel('⏹️ Stop')
-                .setStyle(ButtonStyle.Danger)
-                .setDisabled(!hasPermissions),
-            new ButtonBuilder()
-                .setCustomId('voice_join')
-                .setLabel('🔗 Connect to voice channel')
-                .setStyle(ButtonStyle.Primary)
-                .setDisabled(!hasPermissions),
+                .setDisabled(current === 0),
             new ButtonBuilder()
-                .setCustomId('voice_leave')
-                .setLabel('🔌 Disconnect from voice channel')
-                .setStyle(ButtonStyle.Danger)
-                .setDisabled(!hasPermissions)
+                .setCustomId(`miclog:${current + 1}:${filterId}`)
+                .setLabel('Next ➡️')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(current >= pageCount - 1)
         );
     
-    const row2 = new ActionRowBuilder()
-        .addComponents(
-            new ButtonBuilder()
-                .setCustomId('voice_history')
-                .setLabel('🎤 Microphone History')
-                .setStyle(ButtonStyle.Secondary),
-            new ButtonBuilder()
-                .setCustomId('clear_voice_history')
-                .setLabel('🗑️ Clear History')
-                .setStyle(ButtonStyle.Danger),
-            new ButtonBuilder()
-                .setCustomId('clear_messages')
-                .setLabel('🧹 Clear Channel')
-                .setStyle(ButtonStyle.Primary),
-            new ButtonBuilder()
-                .setCustomId('timer_help')
-                .setLabel('🚀 Help')
-                .setStyle(ButtonStyle.Primary)
-        );
+    return { embeds: [embed], components: [row] };
+}
+
+// Function to read the page and filters from a voice activity log button custom ID
+function parseMicLogButton(customId) {
+    const [, page, userId, type, since, until] = customId.split(':');
+    return {
+        page: parseInt(page, 10) || 0,
+        filters: {
+            userId: userId === '-' ? null : userId,
+            type: type === '-' ? null : type,
+            since: since === '-' ? null : parseInt(since, 10),
+            until: parseInt(until, 10)
+        }
+    };
+}
+
+// Function to persist the moderation audit log (debounced like the bot state)
+function persistAuditLog() {
+    storage.scheduleWrite('audit-log', () => Object.fromEntries(auditLogs));
+}
+
+// Function to create the audit channel embed of a log entry
+function createAuditEmbed(entry) {
+    const action = AUDIT_ACTIONS[entry.action] || { icon: '•', label: entry.action };
+    const result = AUDIT_RESULTS[entry.result];
     
-    return [row1, row2];
+    const fields = [
+        { name: 'Who', value: `<@${entry.actorId}>`, inline: true },
+        { name: 'Result', value: `${result.icon} ${entry.result}${entry.error ? ` - ${entry.error}` : ''}`, inline: true }
+    ];
+    if (entry.targetId) fields.push({ name: 'Target', value: `<@${entry.targetId}>`, inline: true });
+    if (entry.channelId) fields.push({ name: 'Channel', value: `<#${entry.channelId}>`, inline: true });
+    if (entry.reason) fields.push({ name: 'Reason', value: entry.reason });
+    
+    return new EmbedBuilder()
+        .setColor(result.color)
+        .setTitle(`${action.icon} ${action.label}`)
+        .setDescription(entry.details)
+        .addFields(fields)
+        .setFooter({ text: `Audit #${entry.id}` })
+        .setTimestamp(entry.timestamp);
 }
 
+// Function to post a log entry to the guild's audit channel (a missing channel or permission only logs an error)
+async function postAuditEntry(guildId, entry) {
+    const channelId = auditChannels.get(guildId);
+    if (!channelId) return;
+    
+    try {
+        const channel = await client.channels.fetch(channelId);
+        await channel.send({ embeds: [createAuditEmbed(entry)] });
+    } catch (error) {
+        logger.error(`Error posting audit entry #${entry.id}`, { guildId, channelId, error });
+    }
+}
 
-// Function to create quick timer buttons
-function createQuickTimerButtons(includeBackButton = false, hasPermissions = true, interaction = null) {
-    // If no permissions passed, assume user has permissions (for backward compatibility)
-    // This will be overridden by specific permission checks in button handlers
-    const row1 = new ActionRowBuilder()
-        .addComponents(
-            new ButtonBuilder()
-                .setCustomId('quick_2m')
-                .setLabel('2m')
-                .setStyle(ButtonStyle.Primary)
-                .setDisabled(!hasPermissions),
-            new ButtonBuilder()
-                .setCustomId('quick_4m')
-                .setLabel('4m')
-                .setStyle(ButtonStyle.Primary)
-                .setDisabled(!hasPermissions),
-            new ButtonBuilder()
-                .setCustomId('quick_5m')
-                .setLabel('5m')
-                .setStyle(ButtonStyle.Primary)
-                .setDisabled(!hasPermissions),
-            new ButtonBuilder()
-                .setCustomId('quick_6m')
-                .setLabel('6m')
-                .setStyle(ButtonStyle.Primary)
-                .setDisabled(!hasPermissions),
-            new ButtonBuilder()
-                .setCustomId('quick_40m')
-                .setLabel('40m')
-                .setStyle(ButtonStyle.Primary)
-                .setDisabled(!hasPermissions)
-        );
+// Function to record a privileged action in the guild's audit log and post it to the audit channel
+// entry: { action, actorId, targetId, channelId, details, reason, result, error } (see auditLog.js)
+function recordAudit(guildId, entry) {
+    if (!auditLogs.has(guildId)) {
+        auditLogs.set(guildId, []);
+    }
     
-    if (includeBackButton) {
-        const row2 = new ActionRowBuilder()
-            .addComponents(
-                new ButtonBuilder()
-                    .setCustomId('quick_manual')
-                        .setLabel('Manual')
-                    .setStyle(ButtonStyle.Secondary)
-                    .setDisabled(!hasPermissions),
-                new ButtonBuilder()
-                    .setCustomId('back_to_main')
-                        .setLabel('⬅️ Back')
-                    .setStyle(ButtonStyle.Danger)
-                    .setDisabled(!hasPermissions)
-            );
-        return [row1, row2];
+    const entries = auditLogs.get(guildId);
+    const saved = createAuditEntry(entry, entries.length > 0 ? entries[entries.length - 1].id + 1 : 1);
+    entries.push(saved);
+    if (entries.length > config.BOT_CONFIG.MAX_AUDIT_LOG_ENTRIES) {
+        entries.splice(0, entries.length - config.BOT_CONFIG.MAX_AUDIT_LOG_ENTRIES);
     }
+    persistAuditLog();
     
-    return [row1];
+    logger.info(`[AUDIT] #${saved.id}: ${saved.action} (${saved.result})${saved.details ? ` - ${saved.details}` : ''}`, { guildId, channelId: saved.channelId, userId: saved.actorId });
+    postAuditEntry(guildId, saved);
+    return saved;
 }
 
-// Function to create microphone history buttons with mute option
-function createMicrophoneHistoryButtons(hasHistory = true) {
-    const row1 = new ActionRowBuilder()
+// Function to create a page of the audit log with its navigation buttons
+// Filters: actorId, targetId, action, since, until (timestamps) - carried in the button custom IDs
+function createAuditPage(guildId, filters, page) {
+    const entries = filterAuditEntries(auditLogs.get(guildId) || [], filters);
+    const pageSize = config.BOT_CONFIG.AUDIT_LOG_PAGE_SIZE;
+    const pageCount = Math.max(1, Math.ceil(entries.length / pageSize));
+    const current = Math.min(Math.max(0, page), pageCount - 1);
+    
+    const filterText = [
+        filters.actorId ? `by <@${filters.actorId}>` : null,
+        filters.targetId ? `target <@${filters.targetId}>` : null,
+        filters.action ? `action **${AUDIT_ACTIONS[filters.action].label}**` : null,
+        filters.since !== null ? `since <t:${Math.floor(filters.since / 1000)}:f>` : null,
+        `until <t:${Math.floor(filters.until / 1000)}:f>`
+    ].filter(Boolean).join(', ');
+    
+    const lines = entries.slice(current * pageSize, (current + 1) * pageSize).map(describeAuditEntry);
+    const embed = new EmbedBuilder()
+        .setColor('#0099FF')
+        .setTitle('🛡️ Audit Log')
+        .setDescription(`${lines.length > 0 ? lines.join('\n') : 'No audit entries match.'}\n\nFilters: ${filterText}`)
+        .setFooter({ text: `Page ${current + 1}/${pageCount} • ${entries.length} entries` })
+        .setTimestamp();
+    
+    const filterId = [filters.actorId || '-', filters.targetId || '-', filters.action || '-', filters.since ?? '-', filters.until].join(':');
+    const row = new ActionRowBuilder()
         .addComponents(
             new ButtonBuilder()
-                .setCustomId('voice_history')
-                .setLabel('🎤 Microphone History')
-                .setStyle(ButtonStyle.Secondary),
-            new ButtonBuilder()
-                .setCustomId('mute_user')
-                .setLabel('🔇 Mute Microphone')
-                .setStyle(ButtonStyle.Danger)
-                .setDisabled(!hasHistory),
-            new ButtonBuilder()
-                .setCustomId('unmute_user')
-                .setLabel('🔊 Unmute')
-                .setStyle(ButtonStyle.Success)
-                .setDisabled(!hasHistory),
-            new ButtonBuilder()
-                .setCustomId('clear_voice_history')
-                .setLabel('🗑️ Clear History')
-                .setStyle(ButtonStyle.Danger),
+                .setCustomId(`audit:${current - 1}:${filterId}`)
+                .setLabel('⬅️ Previous')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(current === 0),
             new ButtonBuilder()
-                .setCustomId('back_to_main')
-                .setLabel('⬅️ Back')
-                .setStyle(ButtonStyle.Primary)
+                .setCustomId(`audit:${current + 1}:${filterId}`)
+                .setLabel('Next ➡️')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(current >= pageCount - 1)
         );
     
-    return [row1];
+    return { embeds: [embed], components: [row] };
 }
 
-// Function to check if user has moderator permissions
-function hasModeratorPermissions(member) {
-    return member.permissions.has('ModerateMembers') ||
-           member.permissions.has('Administrator') ||
-           member.roles.cache.some(role => role.permissions.has('ModerateMembers'));
+// Function to read the page and filters from an audit log button custom ID
+function parseAuditButton(customId) {
+    const [, page, actorId, targetId, action, since, until] = customId.split(':');
+    return {
+        page: parseInt(page, 10) || 0,
+        filters: {
+            actorId: actorId === '-' ? null : actorId,
+            targetId: targetId === '-' ? null : targetId,
+            action: action === '-' ? null : action,
+            since: since === '-' ? null : parseInt(since, 10),
+            until: parseInt(until, 10)
+        }
+    };
 }
 
-// Function to check if user has Timer Bot User role or is admin/moderator
-function hasTimerBotUserRole(member) {
-    try {
-        // Check if user has admin or moderator permissions
-        const hasAdmin = member.permissions.has('Administrator');
-        const hasManageGuild = member.permissions.has('ManageGuild');
-        const hasManageChannels = member.permissions.has('ManageChannels');
-        const hasModerateMembers = member.permissions.has('ModerateMembers');
-        const hasTimerBotRole = member.roles.cache.some(role => role.name === 'Timer Bot User');
-        
-        const result = hasAdmin || hasManageGuild || hasManageChannels || hasModerateMembers || hasTimerBotRole;
-        
-        console.log(`User ${member.user.username} permissions:`, {
-            Administrator: hasAdmin,
-            ManageGuild: hasManageGuild,
-            ManageChannels: hasManageChannels,
-            ModerateMembers: hasModerateMembers,
-            TimerBotRole: hasTimerBotRole,
-            RESULT: result
-        });
-        
-        return result;
-    } catch (error) {
-        console.error('Error checking permissions:', error);
-        // If there's an error, allow access (fallback)
-        return true;
+// Function to list the members a mute/unmute can target - members in voice who are unmuted (mute) or
+// server-muted (unmute), most recently active in the voice activity log first
+function getMicActionCandidates(guild, action) {
+    const lastActive = new Map();
+    for (const entry of micActivityLog.get(guild.id) || []) {
+        lastActive.set(entry.userId, entry.timestamp);
     }
+    
+    return [...guild.voiceStates.cache.values()]
+        .filter(state => state.channelId && state.member && !state.member.user.bot && Boolean(state.serverMute) === (action === 'unmute'))
+        .sort((a, b) => (lastActive.get(b.id) || 0) - (lastActive.get(a.id) || 0) || a.member.displayName.localeCompare(b.member.displayName));
 }
 
-// Timer update throttling to prevent API spam
-const timerUpdateThrottle = new Map(); // channelId -> lastUpdateTime
-
-// Function to update timer message
-async function updateTimerMessage(channelId, timer) {
-    const guildId = timer.guildId;
-    if (!timerMessages.has(guildId)) return;
+// Function to create a page of the mute/unmute member picker (multi-select menu with page buttons)
+function createMicActionPage(guild, action, page) {
+    const candidates = getMicActionCandidates(guild, action);
+    const pageCount = Math.max(1, Math.ceil(candidates.length / SELECT_MENU_PAGE_SIZE));
+    const current = Math.min(Math.max(0, page), pageCount - 1);
+    const isMute = action === 'mute';
     
-    const guildMessages = timerMessages.get(guildId);
-    const messageData = guildMessages.get(channelId);
-    if (!messageData || !messageData.message) return;
-    
-    // Throttle updates to prevent API spam (max once per second)
-    const now = Date.now();
-    const lastUpdate = timerUpdateThrottle.get(channelId) || 0;
-    if (now - lastUpdate < 500) return; // 500ms throttle - more responsive
-    timerUpdateThrottle.set(channelId, now);
+    const backRow = new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId(`mic_page:${action}:${current - 1}`)
+                .setLabel('⬅️ Previous')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(current === 0),
+            new ButtonBuilder()
+                .setCustomId(`mic_page:${action}:${current + 1}`)
+                .setLabel('Next ➡️')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(current >= pageCount - 1),
+            new ButtonBuilder()
+                .setCustomId('back_to_voice_history')
+                .setLabel('⬅️ Back to History')
+                .setStyle(ButtonStyle.Primary)
+        );
     
-    // Calculate remaining time based on pause state
-    let remaining;
-    if (timer.isPaused && timer.pausedRemainingTime) {
-        remaining = timer.pausedRemainingTime;
-    } else {
-        remaining = timer.endTime - Date.now();
+    if (candidates.length === 0) {
+        const embed = new EmbedBuilder()
+            .setColor('#FF0000')
+            .setTitle(isMute ? '❌ Nobody to Mute' : '❌ Nobody to Unmute')
+            .setDescription(isMute ? 'No unmuted members are in a voice channel.' : 'No server-muted members are in a voice channel.');
+        return { embeds: [embed], components: [backRow] };
     }
     
-    if (remaining <= 0) {
-        timerUpdateThrottle.delete(channelId);
-        return;
-    }
+    const options = candidates.slice(current * SELECT_MENU_PAGE_SIZE, (current + 1) * SELECT_MENU_PAGE_SIZE).map(state => {
+        const timedMute = timedMutes.get(`${guild.id}:${state.id}`);
+        const minutesLeft = timedMute ? Math.max(1, Math.ceil((timedMute.until - Date.now()) / 60000)) : null;
+        return {
+            label: state.member.displayName.slice(0, 100),
+            value: state.id,
+            description: `In ${state.channel.name}${minutesLeft ? ` • timed mute, ${minutesLeft} min left` : ''}`.slice(0, 100)
+        };
+    });
     
-    // Don't update if timer is paused
-    if (timer.isPaused) return;
+    const menu = new StringSelectMenuBuilder()
+        .setCustomId(`mic_select:${action}`)
+        .setPlaceholder(isMute ? 'Members to mute' : 'Members to unmute')
+        .setMinValues(1)
+        .setMaxValues(options.length)
+        .addOptions(options);
     
     const embed = new EmbedBuilder()
-        .setColor('#00FF00')
-        .setTitle('⏰ Timer Active')
-        .setDescription(`**${timer.message}**\n\nDuration: ${formatTime(timer.duration)}\nRemaining: ${formatTime(remaining)}`)
+        .setColor(isMute ? '#FFA500' : '#00FF00')
+        .setTitle(isMute ? '🔇 Select Users to Mute' : '🔊 Select Users to Unmute')
+        .setDescription(`Pick one or more members in voice (most recently active first). You will be asked for a reason${isMute ? ' and an optional duration - a timed mute is lifted automatically' : ''}.\n\n**Note:** This ${action} applies to the microphone only.`)
+        .setFooter({ text: `Page ${current + 1}/${pageCount} • ${candidates.length} members` })
         .setTimestamp();
     
-    try {
-        await messageData.message.edit({ embeds: [embed], components: [...createTimerButtons(), ...createQuickTimerButtons(false)] });
-    } catch (error) {
-        // Only log if it's not a "Unknown Message" error (message was deleted)
-        if (error.code !== 10008) {
-            console.error('Error updating timer message:', error);
-        }
-        // Remove from tracking if message was deleted
-        if (timerMessages.has(guildId)) {
-            timerMessages.get(guildId).delete(channelId);
-            if (timerMessages.get(guildId).size === 0) {
-                timerMessages.delete(guildId);
-            }
-        }
-        // Clean up throttle entry
-        timerUpdateThrottle.delete(channelId);
-    }
+    return { embeds: [embed], components: [new ActionRowBuilder().addComponents(menu), backRow] };
 }
 
-// Helper function to parse time input
-function parseTime(timeStr, guildId) {
-    if (!timeStr) {
-        // Use default time for guild if set, otherwise 5 minutes
-        return defaultTimes.get(guildId) || 5 * 60 * 1000;
+// Function to create the reason (and duration) modal for a mute/unmute
+function createMicActionModal(action, count) {
+    const isMute = action === 'mute';
+    const modal = new ModalBuilder()
+        .setCustomId(`mic_modal:${action}`)
+        .setTitle(`${isMute ? 'Mute' : 'Unmute'} ${count} member${count === 1 ? '' : 's'}`);
+    
+    const rows = [
+        new ActionRowBuilder().addComponents(
+            new TextInputBuilder()
+                .setCustomId('reason')
+                .setLabel('Reason (shown in the server audit log)')
+                .setStyle(TextInputStyle.Short)
+                .setRequired(false)
+                .setMaxLength(200)
+        )
+    ];
+    if (isMute) {
+        rows.push(new ActionRowBuilder().addComponents(
+            new TextInputBuilder()
+                .setCustomId('minutes')
+                .setLabel(`Minutes (1-${config.BOT_CONFIG.MAX_TIMED_MUTE_MINUTES}, empty = until unmuted)`)
+                .setStyle(TextInputStyle.Short)
+                .setRequired(false)
+                .setMaxLength(5)
+        ));
     }
     
-    const match = timeStr.match(/^(\d+)([smh])$/i);
-    if (!match) return null;
+    return modal.addComponents(...rows);
+}
+
+// Function to arm a timed mute's auto-unmute (an expired mute is lifted right away)
+function scheduleTimedMute(mute) {
+    const key = `${mute.guildId}:${mute.userId}`;
+    const existing = timedMutes.get(key);
+    if (existing && existing.timeoutId) {
+        clearTimeout(existing.timeoutId);
+    }
     
-    const value = parseInt(match[1]);
-    const unit = match[2].toLowerCase();
+    mute.timeoutId = setTimeout(() => {
+        expireTimedMute(key).catch(error => {
+            logger.error(`Error ending timed mute ${key}`, { error });
+        });
+    }, Math.min(MAX_TIMEOUT_DELAY, Math.max(0, mute.until - Date.now())));
+    timedMutes.set(key, mute);
+    persistState();
+}
+
+// Function to forget a timed mute (the member was unmuted)
+function clearTimedMute(guildId, userId) {
+    const key = `${guildId}:${userId}`;
+    const mute = timedMutes.get(key);
+    if (!mute) return;
     
-    switch (unit) {
-        case 's': return value * 1000;
-        case 'm': return value * 60 * 1000;
-        case 'h': return value * 60 * 60 * 1000;
-        default: return null;
-    }
+    if (mute.timeoutId) clearTimeout(mute.timeoutId);
+    timedMutes.delete(key);
+    persistState();
 }
 
-// Helper function to format time
-function formatTime(ms) {
-    const seconds = Math.floor(ms / 1000);
-    const minutes = Math.floor(seconds / 60);
-    const hours = Math.floor(minutes / 60);
+// Function to lift a timed mute that ran out
+// A member who is not in voice cannot be unmuted - the mute is lifted when they join voice again
+async function expireTimedMute(key) {
+    const mute = timedMutes.get(key);
+    if (!mute) return;
     
-    if (hours > 0) {
-        return `${hours}h ${minutes % 60}m ${seconds % 60}s`;
-    } else if (minutes > 0) {
-        return `${minutes}m ${seconds % 60}s`;
-    } else {
-        return `${seconds}s`;
+    if (mute.until > Date.now()) {
+        scheduleTimedMute(mute); // the delay was capped at the longest possible timeout
+        return;
+    }
+    mute.timeoutId = null;
+    
+    const guild = client.guilds.cache.get(mute.guildId);
+    if (!guild) {
+        clearTimedMute(mute.guildId, mute.userId);
+        return;
+    }
+    
+    const member = await guild.members.fetch(mute.userId).catch(() => null);
+    if (!member) {
+        clearTimedMute(mute.guildId, mute.userId);
+        return;
     }
+    if (!member.voice.channelId) return;
+    
+    await member.voice.setMute(false, 'Timed microphone mute ended (TimerBot)');
+    clearTimedMute(mute.guildId, mute.userId);
+    logger.info(`Timed mute ended for ${member.displayName}`, { guildId: mute.guildId, userId: mute.userId });
+    recordAudit(mute.guildId, { action: 'unmute', actorId: client.user.id, targetId: mute.userId, channelId: member.voice.channelId, details: 'Timed mute ended', reason: mute.reason });
 }
 
-// Function to join voice channel
-async function joinVoiceChannelBot(guild, voiceChannel) {
-    let connection = null;
-    try {
-        connection = joinVoiceChannel({
-            channelId: voiceChannel.id,
-            guildId: guild.id,
-            adapterCreator: guild.voiceAdapterCreator,
+// Function to follow timed mutes on voice state changes - lift expired ones on join, drop ones lifted by hand
+function updateTimedMute(oldState, newState) {
+    const mute = timedMutes.get(`${newState.guild.id}:${newState.id}`);
+    if (!mute) return;
+    
+    if (oldState.serverMute && !newState.serverMute) {
+        clearTimedMute(mute.guildId, mute.userId);
+    } else if (!oldState.channelId && newState.channelId && mute.until <= Date.now()) {
+        expireTimedMute(`${mute.guildId}:${mute.userId}`).catch(error => {
+            logger.error('Error ending timed mute', { guildId: mute.guildId, userId: mute.userId, error });
         });
-
-        // Add timeout wrapper with Promise.race
-        const timeoutPromise = new Promise((_, reject) => 
-            setTimeout(() => reject(new Error('Voice connection timeout')), 30000)
-        );
-
-        await Promise.race([
-            entersState(connection, VoiceConnectionStatus.Ready, 30e3),
-            timeoutPromise
-        ]);
-        
-        voiceConnections.set(guild.id, connection);
-        return connection;
-    } catch (error) {
-        console.error('Error joining voice channel:', error);
-        // Important: destroy connection if it exists
-        if (connection) connection.destroy();
-        return null;
     }
 }
 
-// Function to leave voice channel
-function leaveVoiceChannel(guildId) {
-    const connection = voiceConnections.get(guildId);
-    if (connection) {
-        connection.destroy();
-        voiceConnections.delete(guildId);
-        return true;
+// Function to re-arm timed mutes saved by the previous run
+function restoreTimedMutes(savedMutes) {
+    for (const saved of savedMutes) {
+        scheduleTimedMute({ ...saved, timeoutId: null });
     }
-    return false;
+    logger.info(`Restored ${timedMutes.size} timed mutes`);
 }
 
-// Function to play sound in voice channel
-async function playSound(channel, soundFile) {
-    try {
-        const guildId = channel.guild.id;
-        let connection = voiceConnections.get(guildId);
-        
-        if (!connection) {
-            // Try to join the voice channel if not connected
-            const member = channel.guild.members.me;
-            if (member.voice.channel) {
-                connection = await joinVoiceChannelBot(channel.guild, member.voice.channel);
+// Function to mute or unmute the members picked in the select menu
+// Returns { done: [userId], failed: [{ userId, error }] }
+async function applyMicAction(guild, actor, action, userIds, reason, minutes) {
+    const result = { done: [], failed: [] };
+    const auditReason = `${reason || (action === 'mute' ? 'Microphone mute' : 'Microphone unmute')} (by ${actor.tag} via TimerBot)`;
+    
+    for (const userId of userIds) {
+        try {
+            const member = await guild.members.fetch(userId);
+            if (!member.voice.channelId) {
+                result.failed.push({ userId, error: 'not in voice' });
+                continue;
+            }
+            
+            await member.voice.setMute(action === 'mute', auditReason);
+            if (action === 'mute' && minutes) {
+                scheduleTimedMute({ guildId: guild.id, userId, until: Date.now() + minutes * 60 * 1000, reason: reason || null, mutedBy: actor.id, timeoutId: null });
             } else {
-                console.log('Bot not in voice channel, cannot play sound');
-                return;
+                clearTimedMute(guild.id, userId);
             }
+            result.done.push(userId);
+        } catch (error) {
+            logger.error(`Error trying to ${action} user ${userId}`, { guildId: guild.id, error });
+            result.failed.push({ userId, error: 'missing permissions' });
         }
-
-        if (!connection) return;
-
-        const player = createAudioPlayer();
-        
-        // Create resource
-        const resource = createAudioResource(path.join(__dirname, 'sounds', soundFile));
-        
-        player.play(resource);
-        connection.subscribe(player);
-
-        // Disconnect after playing (optional - remove if you want to stay connected)
-        player.on('stateChange', (oldState, newState) => {
-            if (newState.status === 'idle') {
-                // Uncomment the line below if you want to disconnect after each sound
-                // connection.destroy();
-            }
-        });
-        
-        // Handle connection errors
-        connection.on('error', (error) => {
-            console.error('Voice connection error:', error);
-            voiceConnections.delete(guildId);
-        });
-        
-        connection.on('disconnect', () => {
-            console.log(`Voice connection disconnected for guild ${guildId}`);
-            voiceConnections.delete(guildId);
-        });
-
-    } catch (error) {
-        console.error('Error playing sound:', error);
     }
+    
+    for (const userId of result.done) {
+        recordAudit(guild.id, { action, actorId: actor.id, targetId: userId, details: action === 'mute' && minutes ? `For ${minutes} minutes` : null, reason });
+    }
+    for (const failure of result.failed) {
+        recordAudit(guild.id, { action, actorId: actor.id, targetId: failure.userId, reason, result: 'failed', error: failure.error });
+    }
+    return result;
 }
 
-// Helper to schedule warning sound relative to timer end
-function scheduleWarning(timer, channel) {
-    // Clear any existing warning timeout
-    if (timer.warningTimeoutId) {
-        clearTimeout(timer.warningTimeoutId);
-        timer.warningTimeoutId = null;
-    }
+// Function to give a member the speaker turn's mute state - the speaker unmuted, everyone else muted
+// The member's server mute before the turn is saved once, so it can be restored when the turn ends
+// Returns false when the mute state could not be changed
+async function applySpeakerTurnMute(timer, member) {
+    const turn = timer.speakerTurn;
+    if (!turn || member.user.bot) return true;
     
-    // Compute remaining time to warning (1 minute before end)
-    const warningTime = timer.warningTime ?? (timer.endTime - 60000);
-    const remainingToWarning = warningTime - Date.now();
+    const mute = member.id !== turn.speakerId;
+    if (!(member.id in turn.previous)) {
+        turn.previous[member.id] = Boolean(member.voice.serverMute);
+        persistState();
+    }
     
-    // Only schedule if there's time left and timer longer than 1 minute
-    if (remainingToWarning > 0 && timer.duration > 60000) {
-        timer.warningTimeoutId = setTimeout(async () => {
-            try {
-                await playSound(channel, 'cri.mp3');
-            } catch (error) {
-                console.error('Error playing warning sound:', error);
-            }
-        }, remainingToWarning);
+    if (Boolean(member.voice.serverMute) !== mute) {
+        try {
+            await member.voice.setMute(mute, `Speaker turn${timer.label ? ` "${timer.label}"` : ''} (TimerBot)`);
+        } catch (error) {
+            logger.error(`Error applying speaker turn to ${member.displayName}`, { guildId: timer.guildId, userId: member.id, error });
+            return false;
+        }
     }
+    return true;
 }
 
-// Function to start a timer
-function startTimer(channel, duration, message, timerMessage = null) {
-    const channelId = channel.id;
-    const guildId = channel.guild.id;
-    
-    // Check if we can create a new timer
-    if (!canCreateTimer(guildId)) {
-        console.warn(`Cannot create timer for guild ${guildId} - limit reached`);
-        return null;
-    }
+// Function to start a speaker turn on a timer: the speaker is unmuted and everyone else in their voice channel muted
+// actorId is who gave the turn (recorded in the audit log)
+async function startSpeakerTurn(timer, speaker, actorId) {
+    const voiceChannel = speaker.voice.channel;
+    if (!voiceChannel || activeTimers.get(timer.id) !== timer) return;
     
-    // Check if this is a new timer (no existing timer in channel)
-    const isNewTimer = !activeTimers.has(channelId);
+    timer.speakerTurn = { speakerId: speaker.id, channelId: voiceChannel.id, previous: {} };
+    persistState();
     
-    // Clear any existing timer for this channel
-    if (activeTimers.has(channelId)) {
-        const oldTimer = activeTimers.get(channelId);
-        safeCleanupTimer(oldTimer);
+    let failed = 0;
+    for (const member of voiceChannel.members.values()) {
+        if (!await applySpeakerTurnMute(timer, member)) failed++;
     }
+    logger.info(`Speaker turn for ${speaker.displayName} started in voice channel ${voiceChannel.name}`, { guildId: timer.guildId, channelId: timer.channelId, userId: speaker.id });
     
-    const startTime = Date.now();
-    const endTime = startTime + duration;
+    recordAudit(timer.guildId, {
+        action: 'speaker_turn',
+        actorId,
+        targetId: speaker.id,
+        channelId: voiceChannel.id,
+        details: `${timer.label ? `"${timer.label}" - ` : ''}${formatTime(timer.duration)}, everyone else muted`,
+        result: failed > 0 ? 'partial' : 'success',
+        error: failed > 0 ? `${failed} member${failed === 1 ? '' : 's'} could not be muted` : null
+    });
+}
+
+// Function to end a timer's speaker turn and restore everyone's mute state from before the turn
+// Members who left voice and were unmuted before are unmuted when they next join (as a timed mute that ran out)
+async function endSpeakerTurn(timer) {
+    const turn = timer.speakerTurn;
+    if (!turn) return;
     
-    // Create timer object
-    const timer = {
-        channelId,
-        guildId,
-        startTime,
-        endTime,
-        duration,
-        message,
-        timeoutId: null,
-        updateIntervalId: null,
-        isPaused: false
-    };
+    timer.speakerTurn = null;
+    persistState();
     
-    // Store timer FIRST to prevent race conditions
-    activeTimers.set(channelId, timer);
+    const guild = client.guilds.cache.get(timer.guildId);
+    if (!guild) return;
     
-    // Store timer message for updates
-    if (timerMessage) {
-        if (!timerMessages.has(guildId)) {
-            timerMessages.set(guildId, new Map());
+    for (const [userId, wasMuted] of Object.entries(turn.previous)) {
+        const member = await guild.members.fetch(userId).catch(() => null);
+        if (!member) continue;
+        
+        if (!member.voice.channelId) {
+            if (!wasMuted) {
+                scheduleTimedMute({ guildId: guild.id, userId, until: Date.now(), reason: 'Speaker turn ended', mutedBy: client.user.id, timeoutId: null });
+            }
+            continue;
         }
-        timerMessages.get(guildId).set(channelId, { message: timerMessage });
         
-        // Set message flag ONLY for new timers (not restarts)
-        if (isNewTimer) {
-            setMessageFlag(guildId, channelId, timerMessage.id);
+        if (Boolean(member.voice.serverMute) !== wasMuted) {
+            await member.voice.setMute(wasMuted, 'Speaker turn ended (TimerBot)').catch(error => {
+                logger.error(`Error restoring mute state of ${member.displayName}`, { guildId: member.guild.id, userId: member.id, error });
+            });
         }
     }
+}
+
+// Function to mute members who join a voice channel while a speaker turn runs there
+function updateSpeakerTurns(oldState, newState) {
+    if (!newState.channelId || oldState.channelId === newState.channelId || !newState.member) return;
     
-    // Set update interval (every 1 second)
-    timer.updateIntervalId = setInterval(() => {
-        updateTimerMessage(channelId, timer);
-    }, 1000);
+    for (const timer of activeTimers.values()) {
+        if (timer.speakerTurn && timer.speakerTurn.channelId === newState.channelId) {
+            // Not awaited - voice state updates are handled synchronously
+            void applySpeakerTurnMute(timer, newState.member).catch(error => {
+                logger.error('Error applying speaker turn to a joining member', { guildId: timer.guildId, userId: newState.id, error });
+            });
+        }
+    }
+}
+
+// Function to get a guild's speaking queue settings (bot defaults for anything not set)
+function getGuildQueueSettings(guildId) {
+    return {
+        turnDuration: config.BOT_CONFIG.DEFAULT_QUEUE_TURN_DURATION,
+        muteOthers: false,
+        ...guildQueueSettings.get(guildId)
+    };
+}
+
+// Function to get a channel's speaking queue (created when create is set, else null if there is none)
+function getSpeakingQueue(guildId, channelId, create = false) {
+    if (!speakingQueues.has(channelId) && create) {
+        speakingQueues.set(channelId, createQueue(guildId, channelId));
+    }
+    return speakingQueues.get(channelId) || null;
+}
+
+// Function to get the queue's current speaker and their turn timer (null once the turn timer is gone)
+function getQueueSpeaker(queue) {
+    const timer = queue.current ? activeTimers.get(queue.current.timerId) : null;
+    return timer && timer.label === QUEUE_TIMER_LABEL ? { userId: queue.current.userId, timer } : null;
+}
+
+// Function to create the live speaking queue embed with its join/leave/next buttons
+function createQueueMessage(queue) {
+    const settings = getGuildQueueSettings(queue.guildId);
+    const speaker = getQueueSpeaker(queue);
+    const maxShown = config.BOT_CONFIG.QUEUE_EMBED_ENTRIES;
     
-    // Set warning scheduling metadata and timeout (1 minute before end)
-    timer.warningTime = endTime - 60000;
-    timer.warningRemainingTime = duration > 60000 ? (duration - 60000) : null;
-    scheduleWarning(timer, channel);
+    let speakerText = 'Nobody has the floor.';
+    if (speaker) {
+        speakerText = speaker.timer.isPaused ?
+            `<@${speaker.userId}> - turn paused` :
+            `<@${speaker.userId}> - turn ends <t:${Math.floor(speaker.timer.endTime / 1000)}:R>`;
+    }
     
-    // Set main timer
-    timer.timeoutId = setTimeout(async () => {
-        const embed = new EmbedBuilder()
-            .setColor('#FF0000')
-            .setTitle('🚨 Timer Finished!')
-            .setDescription(`**${message}**\n\n⏰ **Time is up!**`)
-            .setTimestamp();
-        
-        await channel.send({ embeds: [embed], components: [...createTimerButtons(), ...createQuickTimerButtons()] });
-        
-        // Play final alarm
-        if (channel.guild.members.me.voice.channel) {
-            await playSound(channel, 'end.mp3');
+    const lines = queue.entries.slice(0, maxShown).map((entry, index) => 
+        `${index + 1}. <@${entry.userId}> - waiting since <t:${Math.floor(entry.joinedAt / 1000)}:R>`
+    );
+    if (queue.entries.length > maxShown) {
+        lines.push(`...and ${queue.entries.length - maxShown} more`);
+    }
+    
+    const embed = new EmbedBuilder()
+        .setColor('#0099FF')
+        .setTitle('🙋 Speaking Queue')
+        .addFields(
+            { name: '🎙️ Now Speaking', value: speakerText, inline: false },
+            { name: `📋 Up Next (${queue.entries.length})`, value: lines.length > 0 ? lines.join('\n') : 'Nobody is waiting - press ✋ Join Queue to speak.', inline: false }
+        )
+        .setFooter({ text: `Turn length: ${formatTime(settings.turnDuration)} • Others muted during turns: ${settings.muteOthers ? 'yes' : 'no'}` })
+        .setTimestamp();
+    
+    const row = new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId('queue_join')
+                .setLabel('✋ Join Queue')
+                .setStyle(ButtonStyle.Success),
+            new ButtonBuilder()
+                .setCustomId('queue_leave')
+                .setLabel('👋 Leave Queue')
+                .setStyle(ButtonStyle.Secondary),
+            new ButtonBuilder()
+                .setCustomId('queue_next')
+                .setLabel('⏭️ Next Speaker')
+                .setStyle(ButtonStyle.Primary)
+                .setDisabled(queue.entries.length === 0)
+        );
+    
+    return { embeds: [embed], components: [row] };
+}
+
+// Function to make a message the channel's live queue embed (the previous one loses its buttons)
+async function setQueueMessage(queue, message) {
+    const previous = queueMessages.get(queue.channelId);
+    if (previous && previous.id !== message.id) {
+        previous.edit({ components: [] }).catch(() => {});
+    }
+    
+    queue.messageId = message.id;
+    queueMessages.set(queue.channelId, message);
+    persistState();
+}
+
+// Function to update the live queue embed after the queue changed
+async function refreshQueueMessage(queue) {
+    if (!queue.messageId) return;
+    
+    try {
+        let message = queueMessages.get(queue.channelId);
+        if (!message || message.id !== queue.messageId) {
+            const channel = await client.channels.fetch(queue.channelId);
+            message = await channel.messages.fetch(queue.messageId);
+            queueMessages.set(queue.channelId, message);
         }
-        
-        // Clean up
-        activeTimers.delete(channelId);
-        timerUpdateThrottle.delete(channelId);
-        if (timerMessages.has(guildId)) {
-            timerMessages.get(guildId).delete(channelId);
-            if (timerMessages.get(guildId).size === 0) {
-                timerMessages.delete(guildId);
-            }
+        await message.edit(createQueueMessage(queue));
+    } catch (error) {
+        // Only log if it's not a "Unknown Message" error (message was deleted)
+        if (error.code !== 10008) {
+            logger.error('Error updating speaking queue message', { guildId: queue.guildId, channelId: queue.channelId, error });
+            return;
+        }
+        queue.messageId = null;
+        queueMessages.delete(queue.channelId);
+        persistState();
+    }
+}
+
+// Function to join or leave a channel's speaking queue (action: join | leave)
+// Returns the reply for the member
+function changeQueueMembership(channel, userId, action) {
+    const queue = getSpeakingQueue(channel.guild.id, channel.id, action === 'join');
+    
+    if (action === 'join') {
+        const result = joinQueue(queue, userId);
+        if (!result.ok) {
+            return `❌ ${result.error.message}`;
         }
-    }, duration);
+        persistState();
+        refreshQueueMessage(queue);
+        return result.position === 1 && !getQueueSpeaker(queue) ?
+            '✋ You joined the speaking queue - you are next!' :
+            `✋ You joined the speaking queue - position ${result.position}.`;
+    }
     
-    return timer;
+    if (!queue || !leaveQueue(queue, userId)) {
+        return '❌ You are not in the speaking queue.';
+    }
+    persistState();
+    refreshQueueMessage(queue);
+    return '👋 You left the speaking queue.';
 }
 
-// Function to stop timer
-function stopTimer(channelId) {
-    const timer = activeTimers.get(channelId);
-    if (timer) {
-        const remainingTime = timer.endTime - Date.now();
-        const timerInfo = {
-            message: timer.message,
-            duration: timer.duration,
-            remainingTime: Math.max(0, remainingTime),
-            guildId: timer.guildId
-        };
+// Function to give the floor to the next member in a channel's speaking queue
+// Posts a turn timer of the server's turn length; with "mute others" on and the speaker in voice,
+// the timer is a speaker turn (see startSpeakerTurn) - a running turn is replaced and its mutes restored
+// actorId is who called the next speaker (recorded in the audit log for speaker turns)
+// Returns { ok: true, userId, timer, muted, inVoice, nextUserId } or { ok: false, error: { code, message } }
+async function startNextSpeaker(channel, actorId) {
+    const queue = getSpeakingQueue(channel.guild.id, channel.id);
+    const entry = queue ? takeNextSpeaker(queue) : null;
+    if (!entry) {
+        return { ok: false, error: { code: 'QUEUE_EMPTY', message: 'Nobody is waiting to speak. Members join with `/queue join` or the ✋ Join Queue button.' } };
+    }
+    
+    const settings = getGuildQueueSettings(channel.guild.id);
+    const member = await channel.guild.members.fetch(entry.userId).catch(() => null);
+    const inVoice = Boolean(member && member.voice.channel);
+    const timerMessage = `${member ? member.displayName : 'Speaker'} - Speaking turn (${formatTime(settings.turnDuration)})`;
+    
+    const embed = new EmbedBuilder()
+        .setColor('#00FF00')
+        .setTitle('⏰ Timer Started')
+        .setDescription(`**${timerMessage}**\n\nDuration: ${formatTime(settings.turnDuration)}\nRemaining: ${formatTime(settings.turnDuration)}`)
+        .setTimestamp();
+    
+    const message = await channel.send({ 
+        embeds: [embed], 
+        components: [...createTimerButtons(), ...createQuickTimerButtons(false)] 
+    });
+    
+    // The speaker counts as the timer's starter, so voice auto-join goes to their channel
+    const timer = startTimer(channel, settings.turnDuration, timerMessage, message, {
+        label: QUEUE_TIMER_LABEL,
+        startedBy: entry.userId,
+        speaker: settings.muteOthers && inVoice ? member : null,
+        speakerGivenBy: actorId
+    });
+    if (!timer) {
+        queue.entries.unshift(entry);
+        await message.delete().catch(() => {});
+        return { ok: false, error: { code: 'LIMIT_REACHED', message: `Maximum number of timers reached!\n\nLimit: ${MAX_TIMERS_PER_GUILD} timers per server` } };
+    }
+    
+    queue.current = { userId: entry.userId, timerId: timer.id, startedAt: timer.startTime };
+    persistState();
+    refreshQueueMessage(queue);
+    
+    return {
+        ok: true,
+        userId: entry.userId,
+        timer,
+        muted: settings.muteOthers && inVoice,
+        inVoice,
+        nextUserId: queue.entries.length > 0 ? queue.entries[0].userId : null
+    };
+}
+
+// Function to create the announcement of the next speaker (the speaker is mentioned in the message content)
+function createNextSpeakerMessage(result) {
+    const settings = getGuildQueueSettings(result.timer.guildId);
+    let muteText = '';
+    if (result.muted) {
+        muteText = '\nEveryone else in their voice channel is muted until the turn ends.';
+    } else if (settings.muteOthers) {
+        muteText = '\n⚠️ They are not in a voice channel, so nobody was muted.';
+    }
+    
+    const embed = new EmbedBuilder()
+        .setColor('#00FF00')
+        .setTitle('🎙️ Next Speaker')
+        .setDescription(`<@${result.userId}> has the floor for **${formatTime(result.timer.duration)}**.${muteText}\n\nUp next: ${result.nextUserId ? `<@${result.nextUserId}>` : 'nobody'}`)
+        .setTimestamp();
+    
+    return { content: `<@${result.userId}>`, embeds: [embed] };
+}
+
+// Function to end the queue turn of a finished or stopped timer (the live queue embed shows nobody speaking)
+function endQueueTurn(timer) {
+    const queue = speakingQueues.get(timer.channelId);
+    if (!queue || !queue.current || queue.current.timerId !== timer.id) return;
+    
+    queue.current = null;
+    refreshQueueMessage(queue);
+}
+
+// Function to stop the timers whose live embed is among the given messages (a cleanup is about to delete them)
+function stopTimersOfMessages(messages) {
+    const messageIds = new Set(messages.map(message => message.id));
+    let timersStopped = 0;
+    
+    for (const timer of [...activeTimers.values()]) {
+        const data = getTimerMessageData(timer);
+        if (!data || !data.message || !messageIds.has(data.message.id)) continue;
         
-        clearTimeout(timer.timeoutId);
-        if (timer.warningTimeoutId) {
-            clearTimeout(timer.warningTimeoutId);
+        safeCleanupTimer(timer);
+        removeTimerTracking(timer);
+        timersStopped++;
+    }
+    
+    return timersStopped;
+}
+
+// Function to fetch up to limit of a channel's newest messages, newest first (Discord returns at most 100 per request)
+async function fetchChannelMessages(channel, limit) {
+    const messages = [];
+    while (messages.length < limit) {
+        const pageSize = Math.min(100, limit - messages.length);
+        const before = messages.length > 0 ? messages[messages.length - 1].id : undefined;
+        const page = await channel.messages.fetch({ limit: pageSize, before });
+        messages.push(...page.values());
+        if (page.size < pageSize) break;
+    }
+    return messages;
+}
+
+// Function to plan a cleanup of a channel's newest messages (limit: how many messages are checked)
+async function planChannelCleanup(channel, filter, limit) {
+    const messages = await fetchChannelMessages(channel, limit);
+    return planCleanup(messages, filter, client.user.id);
+}
+
+// Function to delete the messages of a cleanup plan - bulk deletes in batches of 100, older messages one by one
+// Returns { deleted, failed }
+async function deleteCleanupMessages(channel, plan) {
+    const result = { deleted: 0, failed: 0 };
+    const deleteOne = async message => {
+        try {
+            await message.delete();
+            result.deleted++;
+        } catch (error) {
+            logger.debug(`Could not delete message ${message.id}`, { guildId: channel.guild.id, channelId: channel.id, error });
+            result.failed++;
         }
-        if (timer.updateIntervalId) {
-            clearInterval(timer.updateIntervalId);
+    };
+    
+    for (const batch of getBulkBatches(plan.bulk)) {
+        if (batch.length === 1) {
+            await deleteOne(batch[0]);
+            continue;
         }
-        activeTimers.delete(channelId);
-        timerUpdateThrottle.delete(channelId);
         
-        // Clean up timer messages
-        if (timer.guildId && timerMessages.has(timer.guildId)) {
-            timerMessages.get(timer.guildId).delete(channelId);
-            if (timerMessages.get(timer.guildId).size === 0) {
-                timerMessages.delete(timer.guildId);
+        try {
+            const deleted = await channel.bulkDelete(batch.map(message => message.id), true);
+            result.deleted += deleted.size;
+            result.failed += batch.length - deleted.size;
+        } catch (error) {
+            // Without Manage Messages only the bot's own messages can go, one at a time
+            logger.info('Bulk delete failed, falling back to individual deletion', { guildId: channel.guild.id, channelId: channel.id, error });
+            for (const message of batch) {
+                await deleteOne(message);
             }
         }
-        return timerInfo;
     }
-    return false;
+    
+    for (const message of plan.single) {
+        await deleteOne(message);
+    }
+    
+    return result;
 }
 
-client.once('ready', async () => {
-    console.log(`Bot is ready! Logged in as ${client.user.tag}`);
-    logToFile('INFO', `Bot is ready! Logged in as ${client.user.tag}`);
-    client.user.setActivity('/help for commands', { type: 'WATCHING' });
+// Function to create the cleanup preview (dry run): what the filter matches, with confirm/cancel buttons
+function createCleanupPreview(filter, plan, limit) {
+    const samples = [...plan.bulk, ...plan.single].slice(0, 5).map(message =>
+        `• **${message.author.username}**: ${message.content ? message.content.slice(0, 60) : '*(embed or attachment)*'}`
+    );
     
-    // Register slash commands
-    try {
-        const commands = [
+    const fields = [
+        { name: 'Filter', value: describeCleanupFilter(filter) },
+        { name: 'Checked', value: `${plan.scanned} newest messages${plan.scanned >= limit ? ` (limit ${limit})` : ''}`, inline: true },
+        { name: 'To delete', value: `${plan.matched}`, inline: true },
+        { name: 'Pinned kept', value: `${plan.pinnedKept}`, inline: true }
+    ];
+    if (plan.single.length > 0) {
+        fields.push({ name: 'Older than 14 days', value: `${plan.single.length} messages cannot be bulk deleted and are deleted one at a time (slower)` });
+    }
+    if (samples.length > 0) {
+        fields.push({ name: 'Newest matches', value: samples.join('\n') });
+    }
+    
+    const embed = new EmbedBuilder()
+        .setColor(plan.matched > 0 ? '#FFA500' : '#0099FF')
+        .setTitle('🧹 Cleanup Preview')
+        .setDescription(plan.matched > 0 ?
+            'Dry run - nothing has been deleted yet. Timers whose message is deleted are stopped.\n\n**This action cannot be undone!**' :
+            'No messages match - nothing to delete.')
+        .addFields(fields)
+        .setTimestamp();
+    
+    if (plan.matched === 0) {
+        return { embeds: [embed], components: [] };
+    }
+    
+    const confirmRow = new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId('confirm_clear_messages')
+                .setLabel(`🗑️ Delete ${plan.matched} Messages`)
+                .setStyle(ButtonStyle.Danger),
+            new ButtonBuilder()
+                .setCustomId('cancel_clear_messages')
+                .setLabel('❌ Cancel')
+                .setStyle(ButtonStyle.Secondary)
+        );
+    
+    return { embeds: [embed], components: [confirmRow] };
+}
+
+// Function to reply with a cleanup preview and keep its filter for the confirm button
+async function showCleanupPreview(interaction, filter, limit) {
+    // Checking hundreds of messages can take longer than Discord waits for a reply
+    await interaction.deferReply({ ephemeral: true });
+    
+    const plan = await planChannelCleanup(interaction.channel, filter, limit);
+    pendingCleanups.set(`${interaction.guild.id}:${interaction.user.id}`, { channelId: interaction.channel.id, filter, limit, createdAt: Date.now() });
+    await interaction.editReply(createCleanupPreview(filter, plan, limit));
+}
+
+// Function to create timer control buttons
+// When timerId is given, pause/stop target that specific timer (used on each timer's live embed)
+function createTimerButtons(hasPermissions = true, interaction = null, timerId = null) {
+    // If no permissions passed, assume user has permissions (for backward compatibility)
+    // This will be overridden by specific permission checks in button handlers
+    const row1 = new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId('timer_start')
+                .setLabel('▶️ Start Timer')
+                .setStyle(ButtonStyle.Success)
+                .setDisabled(!hasPermissions),
+            new ButtonBuilder()
+                .setCustomId(timerId ? `timer_pause_${timerId}` : 'timer_pause')
+                .setLabel('⏸️ Pause')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(!hasPermissions),
+            new ButtonBuilder()
+                .setCustomId(timerId ? `timer_stop_${timerId}` : 'timer_stop')
+                .setLabel('⏹️ Stop')
+                .setStyle(ButtonStyle.Danger)
+                .setDisabled(!hasPermissions),
+            new ButtonBuilder()
+                .setCustomId('voice_join')
+                .setLabel('🔗 Connect to voice channel')
+                .setStyle(ButtonStyle.Primary)
+                .setDisabled(!hasPermissions),
+            new ButtonBuilder()
+                .setCustomId('voice_leave')
+                .setLabel('🔌 Disconnect from voice channel')
+                .setStyle(ButtonStyle.Danger)
+                .setDisabled(!hasPermissions)
+        );
+    
+    const row2 = new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId('voice_history')
+                .setLabel('🎤 Microphone History')
+                .setStyle(ButtonStyle.Secondary),
+            new ButtonBuilder()
+                .setCustomId('clear_voice_history')
+                .setLabel('🗑️ Clear History')
+                .setStyle(ButtonStyle.Danger),
+            new ButtonBuilder()
+                .setCustomId('clear_messages')
+                .setLabel('🧹 Clear Channel')
+                .setStyle(ButtonStyle.Primary),
+            new ButtonBuilder()
+                .setCustomId('timer_help')
+                .setLabel('🚀 Help')
+                .setStyle(ButtonStyle.Primary)
+        );
+    
+    return [row1, row2];
+}
+
+
+// Function to create quick timer buttons
+function createQuickTimerButtons(includeBackButton = false, hasPermissions = true, interaction = null) {
+    // If no permissions passed, assume user has permissions (for backward compatibility)
+    // This will be overridden by specific permission checks in button handlers
+    const row1 = new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId('quick_2m')
+                .setLabel('2m')
+                .setStyle(ButtonStyle.Primary)
+                .setDisabled(!hasPermissions),
+            new ButtonBuilder()
+                .setCustomId('quick_4m')
+                .setLabel('4m')
+                .setStyle(ButtonStyle.Primary)
+                .setDisabled(!hasPermissions),
+            new ButtonBuilder()
+                .setCustomId('quick_5m')
+                .setLabel('5m')
+                .setStyle(ButtonStyle.Primary)
+                .setDisabled(!hasPermissions),
+            new ButtonBuilder()
+                .setCustomId('quick_6m')
+                .setLabel('6m')
+                .setStyle(ButtonStyle.Primary)
+                .setDisabled(!hasPermissions),
+            new ButtonBuilder()
+                .setCustomId('quick_40m')
+                .setLabel('40m')
+                .setStyle(ButtonStyle.Primary)
+                .setDisabled(!hasPermissions)
+        );
+    
+    if (includeBackButton) {
+        const row2 = new ActionRowBuilder()
+            .addComponents(
+                new ButtonBuilder()
+                    .setCustomId('quick_manual')
+                        .setLabel('Manual')
+                    .setStyle(ButtonStyle.Secondary)
+                    .setDisabled(!hasPermissions),
+                new ButtonBuilder()
+                    .setCustomId('back_to_main')
+                        .setLabel('⬅️ Back')
+                    .setStyle(ButtonStyle.Danger)
+                    .setDisabled(!hasPermissions)
+            );
+        return [row1, row2];
+    }
+    
+    return [row1];
+}
+
+// Function to create microphone history buttons with mute option
+function createMicrophoneHistoryButtons(hasHistory = true) {
+    const row1 = new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId('voice_history')
+                .setLabel('🎤 Microphone History')
+                .setStyle(ButtonStyle.Secondary),
+            new ButtonBuilder()
+                .setCustomId('mute_user')
+                .setLabel('🔇 Mute Microphone')
+                .setStyle(ButtonStyle.Danger)
+                .setDisabled(!hasHistory),
+            new ButtonBuilder()
+                .setCustomId('unmute_user')
+                .setLabel('🔊 Unmute')
+                .setStyle(ButtonStyle.Success)
+                .setDisabled(!hasHistory),
+            new ButtonBuilder()
+                .setCustomId('clear_voice_history')
+                .setLabel('🗑️ Clear History')
+                .setStyle(ButtonStyle.Danger),
+            new ButtonBuilder()
+                .setCustomId('back_to_main')
+                .setLabel('⬅️ Back')
+                .setStyle(ButtonStyle.Primary)
+        );
+    
+    return [row1];
+}
+
+// Function to check if a member has a capability under the guild's permission policy (see permissions.js)
+// Fails closed - if the check itself breaks, access is denied
+function hasCapability(member, capability) {
+    if (!member) return false;
+
+    try {
+        const result = memberHasCapability(member, capability, guildPermissions.get(member.guild.id));
+        logger.debug(`User ${member.user.username} permission ${capability}: ${result}`, { guildId: member.guild.id, userId: member.id });
+        return result;
+    } catch (error) {
+        logger.error('Error checking permissions', { guildId: member.guild?.id, userId: member.id, error });
+        return false;
+    }
+}
+
+// Function to explain a denied capability to a member
+function getPermissionDeniedMessage(capability) {
+    const label = CAPABILITIES[capability] ? CAPABILITIES[capability].label : capability;
+    return `❌ You don't have the **${label}** permission on this server! A server manager can grant it with \`/permissions grant\`.`;
+}
+
+// Function to check a capability for the user of an interaction - a denied user gets an ephemeral explanation
+// Resolves to the member, or null when denied (the interaction has then been replied to)
+async function requireCapability(interaction, capability) {
+    const member = await interaction.guild.members.fetch(interaction.user.id).catch(() => null);
+    if (member && hasCapability(member, capability)) {
+        return member;
+    }
+    
+    await interaction.reply({ content: getPermissionDeniedMessage(capability), ephemeral: true });
+    return null;
+}
+
+// Timer update throttling to prevent API spam
+const timerUpdateThrottle = new Map(); // timerId -> lastUpdateTime
+
+// Function to get the live message data stored for a timer
+function getTimerMessageData(timer) {
+    if (!timerMessages.has(timer.guildId)) return null;
+    return timerMessages.get(timer.guildId).get(timer.id) || null;
+}
+
+// Function to store the live message for a timer
+function setTimerMessage(timer, message) {
+    if (!timerMessages.has(timer.guildId)) {
+        timerMessages.set(timer.guildId, new Map());
+    }
+    timerMessages.get(timer.guildId).set(timer.id, { message });
+}
+
+// Function to remove the live message tracking for a timer
+function deleteTimerMessage(timer) {
+    if (!timerMessages.has(timer.guildId)) return;
+    timerMessages.get(timer.guildId).delete(timer.id);
+    if (timerMessages.get(timer.guildId).size === 0) {
+        timerMessages.delete(timer.guildId);
+    }
+}
+
+// Function to find the timer whose live embed is the given message
+function findTimerByMessageId(messageId) {
+    for (const timer of activeTimers.values()) {
+        if (getTimerMessageData(timer)?.message?.id === messageId) {
+            return timer;
+        }
+    }
+    return null;
+}
+
+// Function to get the stage an interval timer is currently in (null for plain timers)
+function getCurrentStage(timer) {
+    return timer.stages ? timer.stages[timer.stageIndex] : null;
+}
+
+// Function to describe an interval timer's current and next stage for its embed
+function describeStages(timer) {
+    const stage = getCurrentStage(timer);
+    const nextStage = timer.stages[timer.stageIndex + 1];
+    return `Stage ${timer.stageIndex + 1}/${timer.stages.length}: **${stage.label}**` +
+        (nextStage ? `\nNext: ${nextStage.label} (${formatTime(nextStage.duration)})` : '\nNext: done');
+}
+
+// Function to name a stage for announcements - repeated labels are numbered ("Round 3")
+function getStageSpokenName(timer, index) {
+    const label = timer.stages[index].label;
+    const sameLabel = timer.stages.filter(stage => stage.label === label);
+    if (sameLabel.length === 1) return label;
+    return `${label} ${timer.stages.slice(0, index + 1).filter(stage => stage.label === label).length}`;
+}
+
+// Function to get how long a stopwatch has been running (paused time excluded)
+function getStopwatchElapsed(timer) {
+    return timer.isPaused ? (timer.pausedElapsed || 0) : Date.now() - timer.startTime;
+}
+
+// Function to format stopwatch time with tenths of a second (e.g. 0:07.4, 1:05.3, 1:02:07.9)
+function formatStopwatchTime(ms) {
+    const tenths = Math.floor(ms / 100) % 10;
+    const seconds = Math.floor(ms / 1000);
+    const minutes = Math.floor(seconds / 60);
+    const hours = Math.floor(minutes / 60);
+    const pad = value => String(value).padStart(2, '0');
+    
+    if (hours > 0) {
+        return `${hours}:${pad(minutes % 60)}:${pad(seconds % 60)}.${tenths}`;
+    }
+    return `${minutes}:${pad(seconds % 60)}.${tenths}`;
+}
+
+// Function to get a stopwatch's lap splits (each lap on its own, from the cumulative lap times)
+function getLapSplits(timer) {
+    return timer.laps.map((lapTime, index) => lapTime - (index > 0 ? timer.laps[index - 1] : 0));
+}
+
+// Function to describe the best and average lap of a stopwatch
+function describeLapStats(splits) {
+    const best = Math.min(...splits);
+    const average = splits.reduce((sum, split) => sum + split, 0) / splits.length;
+    return `Best lap: ${formatStopwatchTime(best)} (lap ${splits.indexOf(best) + 1})\nAverage lap: ${formatStopwatchTime(average)}`;
+}
+
+// Function to create the live embed for a running or paused stopwatch
+function createStopwatchEmbed(timer) {
+    const splits = getLapSplits(timer);
+    const recentLaps = splits.slice(-5).map((split, index) => {
+        const lapNumber = splits.length - Math.min(splits.length, 5) + index + 1;
+        return `Lap ${lapNumber}: ${formatStopwatchTime(split)}`;
+    });
+    
+    return new EmbedBuilder()
+        .setColor(timer.isPaused ? '#FFA500' : '#00BFFF')
+        .setTitle(timer.isPaused ? '⏸️ Stopwatch Paused' : '⏱️ Stopwatch Running')
+        .setDescription(`**${timer.message}**\n\nElapsed: ${formatStopwatchTime(getStopwatchElapsed(timer))}${splits.length > 0 ? `\n\n${recentLaps.join('\n')}\n\n${describeLapStats(splits)}` : ''}`)
+        .setFooter({ text: `Timer ID: ${timer.id}` })
+        .setTimestamp();
+}
+
+// Function to create the summary embed of a stopped stopwatch
+function createStopwatchSummaryEmbed(timer, elapsed) {
+    const splits = getLapSplits(timer);
+    const lapLines = splits.slice(0, 20).map((split, index) => `Lap ${index + 1}: ${formatStopwatchTime(split)} (at ${formatStopwatchTime(timer.laps[index])})`);
+    if (splits.length > 20) {
+        lapLines.push(`...and ${splits.length - 20} more laps`);
+    }
+    
+    return new EmbedBuilder()
+        .setColor('#FF0000')
+        .setTitle('🏁 Stopwatch Stopped')
+        .setDescription(`**${timer.message}**\n\nTotal time: **${formatStopwatchTime(elapsed)}**${splits.length > 0 ? `\nLaps: ${splits.length}\n\n${lapLines.join('\n')}\n\n${describeLapStats(splits)}` : ''}`)
+        .setFooter({ text: `Timer ID: ${timer.id}` })
+        .setTimestamp();
+}
+
+// Function to create the live embed for an active or paused timer
+function createTimerEmbed(timer, remaining) {
+    if (timer.isStopwatch) {
+        return createStopwatchEmbed(timer);
+    }
+    
+    const fields = timer.links ? [{ name: '🔗 Linked Channels', value: describeTimerLinks(timer.links) }] : [];
+    if (timer.speakerTurn) {
+        fields.push({ name: '🎙️ Speaker', value: `<@${timer.speakerTurn.speakerId}> has the floor in <#${timer.speakerTurn.channelId}> - everyone else is muted until the timer ends` });
+    }
+    
+    // Voice problems are shown on the timer so nobody waits for a sound that cannot play yet
+    const session = voiceSessions.get(timer.guildId);
+    if (session && (session.status === 'reconnecting' || session.status === 'failed')) {
+        fields.push({ name: '🔊 Voice', value: session.describe() });
+    }
+    
+    const stage = getCurrentStage(timer);
+    if (stage) {
+        return new EmbedBuilder()
+            .setColor(timer.isPaused ? '#FFA500' : STAGE_STYLES[stage.kind].color)
+            .setTitle(timer.isPaused ? `⏸️ ${stage.label} Paused` : `⏰ ${stage.label}`)
+            .setDescription(`**${timer.message}**\n\n${describeStages(timer)}\n\nDuration: ${formatTime(timer.duration)}\nRemaining: ${formatTime(remaining)}`)
+            .addFields(fields)
+            .setFooter({ text: `Timer ID: ${timer.id}` })
+            .setTimestamp();
+    }
+    
+    return new EmbedBuilder()
+        .setColor(timer.isPaused ? '#FFA500' : '#00FF00')
+        .setTitle(timer.isPaused ? '⏸️ Timer Paused' : '⏰ Timer Active')
+        .setDescription(`**${timer.message}**\n\nDuration: ${formatTime(timer.duration)}\nRemaining: ${formatTime(remaining)}${timer.targetTime && !timer.isPaused ? `\nEnds at: <t:${Math.floor(timer.endTime / 1000)}:t>` : ''}`)
+        .addFields(fields)
+        .setFooter({ text: `Timer ID: ${timer.id}` })
+        .setTimestamp();
+}
+
+// Function to create the components for a timer's live embed (interval timers get a skip stage button)
+function createTimerComponents(timer) {
+    if (timer.isStopwatch) {
+        return [new ActionRowBuilder()
+            .addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`timer_pause_${timer.id}`)
+                    .setLabel(timer.isPaused ? '▶️ Resume' : '⏸️ Pause')
+                    .setStyle(ButtonStyle.Secondary),
+                new ButtonBuilder()
+                    .setCustomId(`stopwatch_lap_${timer.id}`)
+                    .setLabel('🏁 Lap')
+                    .setStyle(ButtonStyle.Primary)
+                    .setDisabled(timer.isPaused),
+                new ButtonBuilder()
+                    .setCustomId(`timer_stop_${timer.id}`)
+                    .setLabel('⏹️ Stop')
+                    .setStyle(ButtonStyle.Danger)
+            )];
+    }
+    
+    const components = [...createTimerButtons(true, null, timer.id), ...createQuickTimerButtons(false)];
+    if (timer.stages) {
+        components.push(new ActionRowBuilder()
+            .addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`timer_skip_${timer.id}`)
+                    .setLabel('⏭️ Skip Stage')
+                    .setStyle(ButtonStyle.Secondary)
+            ));
+    }
+    return components;
+}
+
+// Function to update timer message
+async function updateTimerMessage(timer) {
+    const messageData = getTimerMessageData(timer);
+    if (!messageData || !messageData.message) return;
+    
+    // Throttle updates to prevent API spam (max once per second)
+    const now = Date.now();
+    const lastUpdate = timerUpdateThrottle.get(timer.id) || 0;
+    if (now - lastUpdate < 500) return; // 500ms throttle - more responsive
+    timerUpdateThrottle.set(timer.id, now);
+    
+    // Calculate remaining time based on pause state
+    let remaining;
+    if (timer.isPaused && timer.pausedRemainingTime) {
+        remaining = timer.pausedRemainingTime;
+    } else {
+        remaining = timer.endTime - Date.now();
+    }
+    
+    if (!timer.isStopwatch && remaining <= 0) {
+        timerUpdateThrottle.delete(timer.id);
+        return;
+    }
+    
+    // Don't update if timer is paused
+    if (timer.isPaused) return;
+    
+    const embed = createTimerEmbed(timer, remaining);
+    
+    try {
+        await messageData.message.edit({ embeds: [embed], components: createTimerComponents(timer) });
+    } catch (error) {
+        // Only log if it's not a "Unknown Message" error (message was deleted)
+        if (error.code !== 10008) {
+            logger.error('Error updating timer message', { guildId: timer.guildId, channelId: timer.channelId, error });
+        }
+        // Remove from tracking if message was deleted
+        deleteTimerMessage(timer);
+        // Clean up throttle entry
+        timerUpdateThrottle.delete(timer.id);
+    }
+}
+
+// Helper function to parse time input (returns null when the input is invalid)
+function parseTime(timeStr, guildId) {
+    const result = parseTimeInput(timeStr, guildId);
+    return result.ok ? result.ms : null;
+}
+
+// Helper function to parse time input with structured errors, range-checked against the timer limits
+// Returns { ok: true, ms } or { ok: false, error: { code, message } }
+function parseTimeInput(timeStr, guildId) {
+    if (!timeStr) {
+        // Use default time for guild if set, otherwise 5 minutes
+        return { ok: true, ms: defaultTimes.get(guildId) || 5 * 60 * 1000 };
+    }
+    
+    return parseDuration(timeStr, {
+        defaultUnit: config.DEFAULT_DURATION_UNIT,
+        minMs: config.BOT_CONFIG.MIN_TIMER_DURATION,
+        maxMs: config.BOT_CONFIG.MAX_TIMER_DURATION
+    });
+}
+
+// Function to create the error embed for a duration that failed to parse (parser message shown verbatim)
+function createDurationErrorEmbed(error, usage = null) {
+    const titles = {
+        TOO_SHORT: '❌ Timer Too Short',
+        TOO_LONG: '❌ Timer Too Long'
+    };
+    
+    return new EmbedBuilder()
+        .setColor('#FF0000')
+        .setTitle(titles[error.code] || '❌ Invalid Time Format')
+        .setDescription(usage ? `${error.message}\n\n${usage}` : error.message);
+}
+
+// Function to resolve a wall-clock target ("until 20:00") into a timer duration
+// Returns { ok: true, targetTime, duration } or { ok: false, embed } with an embed explaining the problem
+function resolveUntilTarget(timeStr, timeZone) {
+    const parsed = parseClockTime(timeStr, { timeZone });
+    if (!parsed.ok) {
+        const embed = new EmbedBuilder()
+            .setColor('#FF0000')
+            .setTitle(parsed.error.code === 'INVALID_TIMEZONE' ? '❌ Unknown Time Zone' : '❌ Invalid Time')
+            .setDescription(`${parsed.error.message}\n\nUse format: \`!until <time> [time zone] ["label"]\` or \`/timer-until <time> [timezone] [label]\``);
+        return { ok: false, embed };
+    }
+    
+    const targetTime = parsed.targetTime;
+    const duration = targetTime - Date.now();
+    const targetStamp = Math.floor(targetTime / 1000);
+    
+    if (duration < config.BOT_CONFIG.MIN_TIMER_DURATION) {
+        const embed = new EmbedBuilder()
+            .setColor('#FF0000')
+            .setTitle('❌ Time Already Passed')
+            .setDescription(`<t:${targetStamp}:f> (${timeZone}) is in the past.\n\nGive a later time, or include a date: \`YYYY-MM-DD HH:MM\`.`);
+        return { ok: false, embed };
+    }
+    
+    if (duration > config.BOT_CONFIG.MAX_TIMER_DURATION) {
+        const embed = new EmbedBuilder()
+            .setColor('#FF0000')
+            .setTitle('❌ Timer Too Long')
+            .setDescription(`<t:${targetStamp}:f> (${timeZone}) is more than 24 hours away.\n\nMaximum timer duration is 24 hours.`);
+        return { ok: false, embed };
+    }
+    
+    return { ok: true, targetTime, duration };
+}
+
+// Function to split !until arguments into a time, an optional time zone and an optional quoted label
+// e.g. `20:00`, `20:00 Europe/Warsaw`, `2026-10-20 8pm UTC "raid"`
+function parseUntilArgs(args) {
+    const trimmed = (args || '').trim();
+    const quoteIndex = trimmed.search(/["']/);
+    const head = quoteIndex === -1 ? trimmed : trimmed.slice(0, quoteIndex).trim();
+    const label = quoteIndex === -1 ? null : trimmed.slice(quoteIndex).replace(/^["']|["']$/g, '').trim();
+    
+    const words = head.split(/\s+/).filter(Boolean);
+    let timeZone = null;
+    const lastWord = words[words.length - 1];
+    if (words.length > 1 && !/^(am|pm)$/i.test(lastWord) && isValidTimeZone(lastWord)) {
+        timeZone = words.pop();
+    }
+    
+    return {
+        timeStr: words.join(' ') || null,
+        timeZone,
+        label: label ? label.slice(0, MAX_TIMER_LABEL_LENGTH) : null
+    };
+}
+
+// Helper function to format time
+function formatTime(ms) {
+    const seconds = Math.floor(ms / 1000);
+    const minutes = Math.floor(seconds / 60);
+    const hours = Math.floor(minutes / 60);
+    
+    if (hours > 0) {
+        return `${hours}h ${minutes % 60}m ${seconds % 60}s`;
+    } else if (minutes > 0) {
+        return `${minutes}m ${seconds % 60}s`;
+    } else {
+        return `${seconds}s`;
+    }
+}
+
+// Function to get or start a guild's voice session for a channel (an existing session moves to the channel)
+function getVoiceSession(guild, channelId) {
+    let session = voiceSessions.get(guild.id);
+    if (session) {
+        session.channelId = channelId;
+        return session;
+    }
+    
+    session = new VoiceSession(guild, channelId);
+    session.on('connection', (connection) => {
+        voiceConnections.set(guild.id, connection);
+        getGuildAudio(guild.id).attach(connection);
+    });
+    session.on('status', (status) => {
+        logger.info(`[VOICE] ${status}${session.lastError ? ` (${session.lastError})` : ''}`, { guildId: guild.id });
+        if (status === 'closed') {
+            voiceSessions.delete(guild.id);
+            if (voiceConnections.get(guild.id) === session.connection) {
+                voiceConnections.delete(guild.id);
+            }
+        }
+    });
+    session.on('error', (error) => {
+        logger.error('Voice connection error', { guildId: guild.id, error });
+    });
+
+    voiceSessions.set(guild.id, session);
+    return session;
+}
+
+// Function to check if sounds can play in a guild - the bot is in voice, or its session is reconnecting
+// (cues queued during a short drop play once the connection is back)
+function isVoiceAvailable(guild) {
+    const session = voiceSessions.get(guild.id);
+    return Boolean(guild.members.me.voice.channel) || Boolean(session && session.isAvailable());
+}
+
+// Function to describe a guild's voice connection status for embeds
+function describeVoiceStatus(guild) {
+    const session = voiceSessions.get(guild.id);
+    if (session) return session.describe();
+    return guild.members.me.voice.channel ? `Connected to <#${guild.members.me.voice.channel.id}>` : 'Not connected';
+}
+
+// Function to join voice channel (reconnects with backoff if the connection drops later)
+async function joinVoiceChannelBot(guild, voiceChannel) {
+    try {
+        const session = getVoiceSession(guild, voiceChannel.id);
+        const connection = session.status === 'ready' && session.connection?.joinConfig.channelId === voiceChannel.id ?
+            session.connection :
+            await session.join();
+        
+        if (!connection) {
+            logger.error('Error joining voice channel', { guildId: guild.id, error: session.lastError });
+        }
+        return connection;
+    } catch (error) {
+        logger.error('Error joining voice channel', { guildId: guild.id, error });
+        return null;
+    }
+}
+
+// Function to leave voice channel
+function leaveVoiceChannel(guildId) {
+    voiceFollowTargets.delete(guildId);
+    voiceIdleSince.delete(guildId);
+    
+    const session = voiceSessions.get(guildId);
+    if (session) {
+        session.close();
+        return true;
+    }
+    
+    const connection = voiceConnections.get(guildId);
+    if (connection) {
+        connection.destroy();
+        voiceConnections.delete(guildId);
+        return true;
+    }
+    return false;
+}
+
+// Function to get a guild's audio manager (created on first use)
+function getGuildAudio(guildId) {
+    let manager = audioManagers.get(guildId);
+    if (manager) return manager;
+    
+    manager = new GuildAudioManager(guildId);
+    manager.on('error', (error, item) => {
+        logger.error(`Audio playback error${item ? ` (${item.cue} cue)` : ''}`, { guildId, error });
+    });
+    manager.on('preempt', (item, by) => {
+        logger.info(`[AUDIO] ${item.cue} cue cut off by ${by.cue} cue`, { guildId });
+    });
+    manager.on('connectionError', (error, connection) => {
+        logger.error('Voice connection error', { guildId, error });
+        if (voiceConnections.get(guildId) === connection) {
+            voiceConnections.delete(guildId);
+        }
+    });
+    manager.on('disconnect', (connection) => {
+        // A reconnecting session keeps the queue - cues play once the new connection is attached
+        if (voiceSessions.get(guildId)?.isAvailable()) return;
+        
+        logger.info('Voice connection disconnected', { guildId });
+        manager.clear();
+        if (voiceConnections.get(guildId) === connection) {
+            voiceConnections.delete(guildId);
+        }
+    });
+    
+    audioManagers.set(guildId, manager);
+    return manager;
+}
+
+// Function to get a guild's voice settings (bot defaults for anything not set)
+function getGuildVoiceSettings(guildId) {
+    return {
+        autoJoin: false,
+        channelId: null,
+        follow: false,
+        idleLeaveMinutes: config.BOT_CONFIG.DEFAULT_VOICE_IDLE_LEAVE_MINUTES,
+        ...guildVoiceSettings.get(guildId)
+    };
+}
+
+// Function to describe a guild's voice settings
+function describeVoiceSettings(guildId) {
+    const settings = getGuildVoiceSettings(guildId);
+    return `Auto-join when a timer starts: **${settings.autoJoin ? 'on' : 'off'}**\n` +
+        `Timer voice channel: ${settings.channelId ? `<#${settings.channelId}>` : '**none** (the voice channel of whoever starts the timer)'}\n` +
+        `Follow the timer starter between channels: **${settings.follow ? 'on' : 'off'}**\n` +
+        `Leave when idle: **${settings.idleLeaveMinutes > 0 ? `after ${settings.idleLeaveMinutes} min without timers` : 'never'}**`;
+}
+
+// Function to join voice for a timer that just started (when the guild has auto-join on)
+// Joins the guild's timer voice channel, else the voice channel of the member who started the timer;
+// a bot that is already in voice stays where it is
+async function autoJoinVoice(guild, userId = null) {
+    const settings = getGuildVoiceSettings(guild.id);
+    if (!settings.autoJoin || guild.members.me.voice.channel || voiceSessions.get(guild.id)?.isAvailable()) return;
+    
+    let voiceChannel = settings.channelId ? guild.channels.cache.get(settings.channelId) : null;
+    let followed = null;
+    if (!voiceChannel && userId) {
+        const member = await guild.members.fetch(userId).catch(() => null);
+        voiceChannel = member?.voice?.channel || null;
+        followed = voiceChannel ? userId : null;
+    }
+    if (!voiceChannel) return;
+    
+    const connection = await joinVoiceChannelBot(guild, voiceChannel);
+    if (connection && followed && settings.follow) {
+        voiceFollowTargets.set(guild.id, followed);
+    }
+}
+
+// Function to move the bot after the member it follows when they switch voice channels
+async function followVoiceMember(oldState, newState) {
+    const guildId = newState.guild.id;
+    if (voiceFollowTargets.get(guildId) !== newState.member.id || oldState.channelId === newState.channelId) return;
+    
+    // The member left voice (or following was turned off) - stay in the current channel
+    if (!newState.channel || !getGuildVoiceSettings(guildId).follow) {
+        voiceFollowTargets.delete(guildId);
+        return;
+    }
+    
+    if (voiceConnections.has(guildId)) {
+        logger.info(`Following ${newState.member.displayName} to voice channel ${newState.channel.name}`, { guildId, userId: newState.id });
+        await joinVoiceChannelBot(newState.guild, newState.channel);
+    }
+}
+
+// Function to leave voice in guilds that have been idle (no timers, nothing playing) for their idle limit
+function leaveIdleVoiceChannels() {
+    const now = Date.now();
+    for (const guildId of [...voiceConnections.keys()]) {
+        const idleLeaveMinutes = getGuildVoiceSettings(guildId).idleLeaveMinutes;
+        const hasTimers = [...activeTimers.values()].some(timer => timer.guildId === guildId);
+        const isPlaying = Boolean(audioManagers.get(guildId)?.current);
+        
+        if (idleLeaveMinutes <= 0 || hasTimers || isPlaying) {
+            voiceIdleSince.delete(guildId);
+            continue;
+        }
+        
+        if (!voiceIdleSince.has(guildId)) {
+            voiceIdleSince.set(guildId, now);
+        } else if (now - voiceIdleSince.get(guildId) >= idleLeaveMinutes * 60 * 1000) {
+            logger.info('Leaving idle voice channel', { guildId });
+            leaveVoiceChannel(guildId);
+        }
+    }
+    
+    // Drop idle marks of guilds the bot is no longer connected in
+    for (const guildId of voiceIdleSince.keys()) {
+        if (!voiceConnections.has(guildId)) voiceIdleSince.delete(guildId);
+    }
+}
+
+// Function to play sound in voice channel (a list of sounds plays one after another as one cue)
+// Sound references are resolved with resolveSoundPath; generated speech is passed as an absolute file path
+// Options: cue (test, warning, stage, end - timer ends cut off warnings), label (for the play history)
+// Returns the queued cue, or null when nothing was queued
+async function playSound(channel, soundFile, options = {}) {
+    try {
+        const guildId = channel.guild.id;
+        let connection = voiceConnections.get(guildId);
+        
+        if (!connection) {
+            // Try to join the voice channel if not connected
+            const member = channel.guild.members.me;
+            if (member.voice.channel) {
+                connection = await joinVoiceChannelBot(channel.guild, member.voice.channel);
+            } else {
+                logger.debug('Bot not in voice channel, cannot play sound', { guildId: channel.guild.id, channelId: channel.id });
+                return null;
+            }
+        }
+
+        if (!connection) return null;
+
+        // A muted guild plays nothing
+        if (getGuildVolume(guildId).volume === 0) return null;
+        
+        // Resolve sound files and their volume
+        const sounds = [];
+        for (const sound of Array.isArray(soundFile) ? soundFile : [soundFile]) {
+            const soundPath = path.isAbsolute(sound) ? sound : resolveSoundPath(guildId, sound);
+            if (!soundPath) {
+                logger.warn(`Sound ${sound} not found`, { guildId });
+                continue;
+            }
+            const soundRef = path.isAbsolute(sound) ? SPEECH_SOUND_REF : sound;
+            sounds.push({ file: soundPath, volume: await getSoundVolume(guildId, soundRef, soundPath) });
+        }
+        
+        const manager = getGuildAudio(guildId);
+        if (connection.state.status !== VoiceConnectionStatus.Destroyed) {
+            manager.attach(connection);
+        }
+        return manager.play(sounds, options);
+
+    } catch (error) {
+        logger.error('Error playing sound', { guildId: channel.guild.id, channelId: channel.id, error });
+        return null;
+    }
+}
+
+// Function to play a timer event in voice - its sound, its spoken announcement, or both (per the guild's TTS mode)
+// A silent event (no sound) is not spoken either; when speech cannot be generated the sound plays instead
+async function playAnnouncement(channel, timer, sound, announcement) {
+    if (!sound) return;
+    
+    const tts = getGuildTtsSettings(timer.guildId);
+    const soundFile = resolveEventSound(timer.guildId, sound, timer);
+    const sounds = tts.mode === 'speech' ? [] : [soundFile];
+    
+    if (tts.mode !== 'off') {
+        const result = await synthesizeSpeech(buildAnnouncement({ label: timer.label, ...announcement }, tts.language), tts);
+        if (result.ok) {
+            sounds.push(result.file);
+        } else {
+            logger.warn('Text-to-speech failed', { guildId: timer.guildId, channelId: timer.channelId, error: result.error });
+            if (tts.mode === 'speech') sounds.push(soundFile);
+        }
+    }
+    
+    const cueOptions = { cue: announcement.type, label: timer.label || timer.message };
+    if (timer.links) {
+        // Not awaited - visiting every linked channel takes a while
+        const text = buildAnnouncement({ label: timer.label, ...announcement }, tts.language);
+        broadcastToLinkedChannels(channel, timer.links, sounds, cueOptions, text);
+        return;
+    }
+    await playSound(channel, sounds, cueOptions);
+}
+
+// Function to describe a timer's linked channels for embeds
+function describeTimerLinks(links) {
+    const lines = [];
+    if (links.voice.length > 0) lines.push(`Voice: ${links.voice.map(id => `<#${id}>`).join(', ')}`);
+    if (links.text.length > 0) lines.push(`Text: ${links.text.map(id => `<#${id}>`).join(', ')}`);
+    return lines.join('\n');
+}
+
+// Function to wait until a queued cue is done (resolves to its final status, or 'timeout')
+function waitForCue(guildId, item) {
+    return new Promise(resolve => {
+        const manager = getGuildAudio(guildId);
+        const onFinish = (finished) => {
+            if (finished !== item) return;
+            clearTimeout(timeoutId);
+            manager.off('finish', onFinish);
+            resolve(finished.status);
+        };
+        const timeoutId = setTimeout(() => {
+            manager.off('finish', onFinish);
+            resolve('timeout');
+        }, config.BOT_CONFIG.VOICE_LINK_CUE_TIMEOUT);
+        manager.on('finish', onFinish);
+    });
+}
+
+// Function to play a cue where the bot is connected and wait for it (returns true if it was heard)
+async function playCueAndWait(channel, sounds, options) {
+    const item = await playSound(channel, sounds, options);
+    if (!item) return false;
+    
+    const status = await waitForCue(channel.guild.id, item);
+    return status === 'played' || status === 'preempted';
+}
+
+// Function to visit a timer's linked voice channels to play a cue in each, then go back to where the bot was
+// Linked text channels get the announcement when it could not be played in every linked voice channel
+async function runVoiceTour(channel, links, sounds, options, text) {
+    const guild = channel.guild;
+    const session = voiceSessions.get(guild.id);
+    const homeChannelId = session && session.isAvailable() ? session.channelId : guild.members.me.voice.channelId;
+    const missed = [];
+    
+    if (homeChannelId) {
+        await playCueAndWait(channel, sounds, options);
+    }
+    
+    for (const channelId of links.voice) {
+        if (channelId === homeChannelId) continue;
+        
+        const voiceChannel = guild.channels.cache.get(channelId);
+        const connection = voiceChannel ? await joinVoiceChannelBot(guild, voiceChannel) : null;
+        if (!connection || !(await playCueAndWait(channel, sounds, options))) {
+            missed.push(channelId);
+        }
+    }
+    
+    // Go back to the starting channel, or leave if the bot was not in voice before the tour
+    const homeChannel = homeChannelId ? guild.channels.cache.get(homeChannelId) : null;
+    if (homeChannel) {
+        if (voiceSessions.get(guild.id)?.channelId !== homeChannelId) {
+            await joinVoiceChannelBot(guild, homeChannel);
+        }
+    } else if (links.voice.length > 0) {
+        leaveVoiceChannel(guild.id);
+    }
+    
+    if (missed.length > 0) {
+        logger.warn(`Could not play ${options.cue} cue in linked voice channels ${missed.join(', ')}`, { guildId: guild.id });
+    }
+    if (links.text.length > 0 && (missed.length > 0 || links.voice.length === 0)) {
+        for (const channelId of links.text) {
+            const textChannel = guild.channels.cache.get(channelId);
+            if (!textChannel) continue;
+            await textChannel.send(`📢 **${options.label}** - ${text}`).catch(error => {
+                logger.error('Error mirroring announcement', { guildId: guild.id, channelId, error });
+            });
+        }
+    }
+}
+
+// Function to queue a voice channel tour for a linked timer's cue (tours in a guild run one after another)
+function broadcastToLinkedChannels(channel, links, sounds, options, text) {
+    const guildId = channel.guild.id;
+    const tour = (voiceTours.get(guildId) || Promise.resolve())
+        .then(() => runVoiceTour(channel, links, sounds, options, text))
+        .catch(error => {
+            logger.error('Error broadcasting to linked channels', { guildId, channelId: channel.id, error });
+        })
+        .finally(() => {
+            if (voiceTours.get(guildId) === tour) voiceTours.delete(guildId);
+        });
+    voiceTours.set(guildId, tour);
+    return tour;
+}
+
+// Function to clear a timer's pending warning checkpoints
+function clearCheckpoints(timer) {
+    for (const timeoutId of timer.checkpointTimeoutIds || []) {
+        clearTimeout(timeoutId);
+    }
+    timer.checkpointTimeoutIds = [];
+}
+
+// Helper to schedule every warning checkpoint relative to the timer end
+// Checkpoints that already passed, or that are as long as the timer itself, are skipped
+function scheduleCheckpoints(timer, channel) {
+    clearCheckpoints(timer);
+    
+    for (const checkpoint of getTimerCheckpoints(timer)) {
+        const remainingToCheckpoint = (timer.endTime - checkpoint.before) - Date.now();
+        if (remainingToCheckpoint <= 0 || checkpoint.before >= timer.duration) continue;
+        
+        timer.checkpointTimeoutIds.push(setTimeout(async () => {
+            try {
+                if (checkpoint.ping) {
+                    await channel.send(`⏰ **${timer.message}** - ${formatTime(checkpoint.before)} left!`);
+                }
+                await playAnnouncement(channel, timer, checkpoint.sound, { type: 'warning', remaining: checkpoint.before });
+            } catch (error) {
+                logger.error('Error firing warning checkpoint', { guildId: timer.guildId, channelId: timer.channelId, error });
+            }
+        }, remainingToCheckpoint));
+    }
+}
+
+// Function to clean up a finished or stopped timer's tracking data (a speaker turn or queue turn ends with it,
+// and the channel's auto-cleanup is scheduled)
+function removeTimerTracking(timer) {
+    void endSpeakerTurn(timer).catch(error => {
+        logger.error('Error ending speaker turn', { guildId: timer.guildId, channelId: timer.channelId, error });
+    });
+    endQueueTurn(timer);
+    activeTimers.delete(timer.id);
+    timerUpdateThrottle.delete(timer.id);
+    scheduleAutoCleanup(timer);
+    deleteTimerMessage(timer);
+    persistState();
+}
+
+// Function to move an interval timer to its next stage (stays paused if it was paused)
+async function advanceStage(timer, channel) {
+    safeCleanupTimer(timer);
+    timer.stageIndex++;
+    
+    const stage = getCurrentStage(timer);
+    timer.startTime = Date.now();
+    timer.duration = stage.duration;
+    timer.endTime = timer.startTime + stage.duration;
+    
+    if (timer.isPaused) {
+        timer.pausedAt = timer.startTime;
+        timer.pausedRemainingTime = stage.duration;
+    } else {
+        scheduleTimer(timer, channel);
+    }
+    persistState();
+    
+    const messageData = getTimerMessageData(timer);
+    if (messageData && messageData.message) {
+        try {
+            await messageData.message.edit({ embeds: [createTimerEmbed(timer, stage.duration)], components: createTimerComponents(timer) });
+        } catch (error) {
+            logger.error('Error updating interval timer message', { guildId: timer.guildId, channelId: timer.channelId, error });
+        }
+    }
+    
+    // Play the stage's transition sound and announce the stage change
+    if (isVoiceAvailable(channel.guild) || timer.links) {
+        await playAnnouncement(channel, timer, STAGE_STYLES[stage.kind].sound, {
+            type: 'stage',
+            finished: getStageSpokenName(timer, timer.stageIndex - 1),
+            next: getStageSpokenName(timer, timer.stageIndex)
+        });
+    }
+}
+
+// Function to handle a timer reaching its end (interval timers move on to their next stage)
+async function finishTimer(timer, channel) {
+    if (timer.stages && timer.stageIndex < timer.stages.length - 1) {
+        await advanceStage(timer, channel);
+        return;
+    }
+    
+    const embed = new EmbedBuilder()
+        .setColor('#FF0000')
+        .setTitle('🚨 Timer Finished!')
+        .setDescription(`**${timer.message}**\n\n⏰ **Time is up!**`)
+        .setTimestamp();
+    
+    try {
+        const endMessage = await channel.send({ embeds: [embed], components: [...createTimerButtons(), ...createQuickTimerButtons()] });
+        
+        // The end alert stays when the channel is auto-cleaned
+        if (getGuildCleanupSettings(timer.guildId).enabled) {
+            getAutoCleanup(timer.guildId, timer.channelId).keep.add(endMessage.id);
+        }
+        
+        // Play final alarm (and speak the timer label)
+        if (isVoiceAvailable(channel.guild) || timer.links) {
+            await playAnnouncement(channel, timer, 'end', { type: 'end' });
+        }
+    } finally {
+        // Clean up even when the alert could not be sent (deleted channel, missing permissions)
+        removeTimerTracking(timer);
+    }
+}
+
+// Function to (re)arm a running timer's update interval, warning and end timeouts from its endTime
+function scheduleTimer(timer, channel) {
+    const remainingTime = Math.max(0, timer.endTime - Date.now());
+    
+    // Set update interval (every 1 second)
+    timer.updateIntervalId = setInterval(() => {
+        updateTimerMessage(timer);
+    }, 1000);
+    
+    // Stopwatches have no end - stop them at the maximum timer duration so they cannot run forever
+    if (timer.isStopwatch) {
+        timer.timeoutId = setTimeout(async () => {
+            try {
+                const elapsed = getStopwatchElapsed(timer);
+                await stopStopwatch(timer);
+                await channel.send({ embeds: [createStopwatchSummaryEmbed(timer, elapsed)] });
+            } catch (error) {
+                logger.error('Error stopping stopwatch', { guildId: timer.guildId, channelId: timer.channelId, error });
+            }
+        }, Math.max(0, timer.startTime + config.BOT_CONFIG.MAX_TIMER_DURATION - Date.now()));
+        return;
+    }
+    
+    // Set warning checkpoint timeouts
+    scheduleCheckpoints(timer, channel);
+    
+    // Set main timer
+    timer.timeoutId = setTimeout(() => {
+        finishTimer(timer, channel).catch(error => {
+            logger.error('Error finishing timer', { guildId: timer.guildId, channelId: timer.channelId, error });
+        });
+    }, remainingTime);
+}
+
+// Function to find the timer a new timer with this label would replace (same channel, same label)
+function findReplaceableTimer(channelId, label = null) {
+    const normalizedLabel = label ? label.toLowerCase() : null;
+    return getChannelTimers(channelId).find(timer =>
+        (timer.label ? timer.label.toLowerCase() : null) === normalizedLabel
+    ) || null;
+}
+
+// Function to start a timer
+// A timer with the same label (or the unlabelled timer) in the channel is reset; other timers keep running
+// Options: label (named timer), targetTime (wall-clock end shown as a Discord timestamp),
+// stages (interval timer - duration is ignored and each stage runs in turn),
+// warnings (warning checkpoints for this timer - defaults to the guild's),
+// sounds (uploaded sounds for this timer's warning/end events - defaults to the guild's)
+// A replaced timer's linked channels (/timer-link) carry over to the new timer
+// speaker (GuildMember in voice) starts a speaker turn - see startSpeakerTurn
+function startTimer(channel, duration, message, timerMessage = null, options = {}) {
+    const { label = null, targetTime = null, stages = null, warnings = null, sounds = null, startedBy = null, speaker = null, speakerGivenBy = startedBy } = options;
+    if (stages) {
+        duration = stages[0].duration;
+    }
+    const channelId = channel.id;
+    const guildId = channel.guild.id;
+    const oldTimer = findReplaceableTimer(channelId, label);
+    
+    // Check if we can create a new timer
+    if (!canCreateTimer(guildId, oldTimer)) {
+        logger.warn('Cannot create timer - limit reached', { guildId, channelId });
+        return null;
+    }
+    
+    // Check if this is a new timer (no existing timer in channel)
+    const isNewTimer = getChannelTimers(channelId).length === 0;
+    
+    // Clear the timer being replaced, keeping its ID so commands targeting it still work
+    if (oldTimer) {
+        safeCleanupTimer(oldTimer);
+        activeTimers.delete(oldTimer.id);
+        deleteTimerMessage(oldTimer);
+    }
+    
+    const startTime = Date.now();
+    const endTime = startTime + duration;
+    
+    // Create timer object
+    const timer = {
+        id: oldTimer ? oldTimer.id : generateTimerId(),
+        label,
+        targetTime,
+        stages,
+        stageIndex: 0,
+        warnings,
+        sounds,
+        links: oldTimer ? oldTimer.links || null : null,
+        speakerTurn: null,
+        channelId,
+        guildId,
+        startTime,
+        endTime,
+        duration,
+        message,
+        timeoutId: null,
+        updateIntervalId: null,
+        isPaused: false
+    };
+    
+    // Store timer FIRST to prevent race conditions
+    activeTimers.set(timer.id, timer);
+    
+    // Store timer message for updates
+    if (timerMessage) {
+        setTimerMessage(timer, timerMessage);
+        
+        // Set message flag ONLY for new timers (not restarts)
+        if (isNewTimer) {
+            flagTimerMessage(guildId, channelId, timerMessage.id);
+        }
+    }
+    
+    scheduleTimer(timer, channel);
+    persistState();
+    
+    // The replaced timer's speaker turn ends (mutes restored) before a new one starts (not awaited - the
+    // timer runs meanwhile)
+    if (oldTimer || speaker) {
+        void (oldTimer ? endSpeakerTurn(oldTimer) : Promise.resolve())
+            .then(() => speaker && startSpeakerTurn(timer, speaker, speakerGivenBy))
+            .catch(error => {
+                logger.error('Error switching speaker turns', { guildId, channelId, userId: speaker?.id, error });
+            });
+    }
+    
+    // Join voice so the timer's sounds can play (per the guild's voice settings)
+    autoJoinVoice(channel.guild, startedBy).catch(error => {
+        logger.error('Error auto-joining voice channel', { guildId: channel.guild.id, channelId: channel.id, error });
+    });
+    
+    return timer;
+}
+
+// Function to start a stopwatch (counts up; shares the timer limits, live embed and pause button)
+function startStopwatch(channel, message, timerMessage = null, options = {}) {
+    const { label = null } = options;
+    const channelId = channel.id;
+    const guildId = channel.guild.id;
+    const oldTimer = findReplaceableTimer(channelId, label);
+    
+    if (!canCreateTimer(guildId, oldTimer)) {
+        logger.warn('Cannot create stopwatch - limit reached', { guildId, channelId });
+        return null;
+    }
+    
+    const isNewTimer = getChannelTimers(channelId).length === 0;
+    
+    if (oldTimer) {
+        safeCleanupTimer(oldTimer);
+        activeTimers.delete(oldTimer.id);
+        deleteTimerMessage(oldTimer);
+        void endSpeakerTurn(oldTimer).catch(error => {
+            logger.error('Error ending speaker turn', { guildId, channelId, error });
+        });
+    }
+    
+    const timer = {
+        id: oldTimer ? oldTimer.id : generateTimerId(),
+        label,
+        isStopwatch: true,
+        laps: [],
+        channelId,
+        guildId,
+        startTime: Date.now(),
+        endTime: null,
+        duration: 0,
+        message,
+        timeoutId: null,
+        updateIntervalId: null,
+        isPaused: false
+    };
+    
+    activeTimers.set(timer.id, timer);
+    
+    if (timerMessage) {
+        setTimerMessage(timer, timerMessage);
+        if (isNewTimer) {
+            flagTimerMessage(guildId, channelId, timerMessage.id);
+        }
+    }
+    
+    scheduleTimer(timer, channel);
+    persistState();
+    
+    return timer;
+}
+
+// Function to record a lap on a running stopwatch (returns the lap split, or null when paused)
+function recordLap(timer) {
+    if (timer.isPaused) return null;
+    
+    const elapsed = getStopwatchElapsed(timer);
+    timer.laps.push(elapsed);
+    persistState();
+    return elapsed - (timer.laps.length > 1 ? timer.laps[timer.laps.length - 2] : 0);
+}
+
+// Function to stop a stopwatch and turn its live embed into the final summary
+async function stopStopwatch(timer) {
+    const elapsed = getStopwatchElapsed(timer);
+    const messageData = getTimerMessageData(timer);
+    
+    safeCleanupTimer(timer);
+    removeTimerTracking(timer);
+    
+    if (messageData && messageData.message) {
+        try {
+            await messageData.message.edit({ embeds: [createStopwatchSummaryEmbed(timer, elapsed)], components: [] });
+        } catch (error) {
+            logger.error('Error updating stopwatch message', { guildId: timer.guildId, channelId: timer.channelId, error });
+        }
+    }
+    return elapsed;
+}
+
+// Function to resolve the stopwatch a command targets - an explicit ID/label, or the only stopwatch in the channel
+function resolveChannelStopwatch(channelId, query) {
+    const stopwatches = getChannelTimers(channelId).filter(timer => timer.isStopwatch);
+    if (query) {
+        const timer = findChannelTimer(channelId, query);
+        return timer && timer.isStopwatch ? { timer } : { error: 'not_found', timers: stopwatches };
+    }
+    if (stopwatches.length === 0) return { error: 'none', timers: stopwatches };
+    if (stopwatches.length > 1) return { error: 'ambiguous', timers: stopwatches };
+    return { timer: stopwatches[0] };
+}
+
+// Function to pause or resume a stopwatch
+function toggleStopwatchPause(timer, channel) {
+    if (timer.isPaused) {
+        timer.isPaused = false;
+        timer.startTime = Date.now() - (timer.pausedElapsed || 0);
+        delete timer.pausedAt;
+        delete timer.pausedElapsed;
+        scheduleTimer(timer, channel);
+    } else {
+        timer.pausedElapsed = Date.now() - timer.startTime;
+        timer.pausedAt = Date.now();
+        timer.isPaused = true;
+        clearTimeout(timer.timeoutId);
+        clearInterval(timer.updateIntervalId);
+    }
+    persistState();
+}
+
+// Function to stop timer
+function stopTimer(timerId) {
+    const timer = activeTimers.get(timerId);
+    if (timer) {
+        const remainingTime = timer.isPaused ? (timer.pausedRemainingTime || 0) : timer.endTime - Date.now();
+        const timerInfo = {
+            id: timer.id,
+            label: timer.label,
+            message: timer.message,
+            duration: timer.duration,
+            remainingTime: Math.max(0, remainingTime),
+            guildId: timer.guildId
+        };
+        
+        safeCleanupTimer(timer);
+        removeTimerTracking(timer);
+        return timerInfo;
+    }
+    return false;
+}
+
+// Function to serialize a timer for the state file (timeouts and message objects are not serializable)
+function serializeTimer(timer) {
+    const messageData = getTimerMessageData(timer);
+    return {
+        id: timer.id,
+        label: timer.label || null,
+        targetTime: timer.targetTime || null,
+        stages: timer.stages || null,
+        stageIndex: timer.stageIndex || 0,
+        warnings: timer.warnings || null,
+        sounds: timer.sounds || null,
+        links: timer.links || null,
+        speakerTurn: timer.speakerTurn || null,
+        isStopwatch: timer.isStopwatch || false,
+        laps: timer.laps || null,
+        pausedElapsed: timer.pausedElapsed ?? null,
+        channelId: timer.channelId,
+        guildId: timer.guildId,
+        startTime: timer.startTime,
+        endTime: timer.endTime,
+        duration: timer.duration,
+        message: timer.message,
+        isPaused: timer.isPaused,
+        pausedAt: timer.pausedAt || null,
+        pausedRemainingTime: timer.pausedRemainingTime ?? null,
+        messageId: messageData?.message?.id || null
+    };
+}
+
+// Function to build the persisted state snapshot
+function serializeState() {
+    return {
+        defaultTimes: Object.fromEntries(defaultTimes),
+        defaultTimezones: Object.fromEntries(defaultTimezones),
+        intervalPresets: Object.fromEntries(intervalPresets),
+        warningCheckpoints: Object.fromEntries(guildWarnings),
+        soundSettings: Object.fromEntries(guildSoundSettings),
+        ttsSettings: Object.fromEntries(guildTtsSettings),
+        volumeSettings: Object.fromEntries(guildVolumes),
+        voiceSettings: Object.fromEntries(guildVoiceSettings),
+        queueSettings: Object.fromEntries(guildQueueSettings),
+        permissions: Object.fromEntries(guildPermissions),
+        auditChannels: Object.fromEntries(auditChannels),
+        cleanupSettings: Object.fromEntries(guildCleanupSettings),
+        rateLimits: Object.fromEntries(guildRateLimits),
+        speakingQueues: [...speakingQueues.values()].filter(queue => queue.entries.length > 0 || queue.current || queue.messageId),
+        timers: [...activeTimers.values()].map(serializeTimer),
+        schedules: [...schedules.values()].map(serializeSchedule),
+        timedMutes: [...timedMutes.values()].map(({ timeoutId, ...mute }) => mute)
+    };
+}
+
+// Function to persist state (debounced, so it is cheap to call after every change)
+function persistState() {
+    storage.scheduleWrite('state', serializeState);
+}
+
+// Function to rehydrate timers saved by the previous run
+async function restoreTimers(savedTimers) {
+    let restoredCount = 0;
+    let expiredCount = 0;
+    
+    for (const saved of savedTimers) {
+        try {
+            const channel = await client.channels.fetch(saved.channelId).catch(() => null);
+            if (!channel || !channel.guild) {
+                logger.info('Skipping saved timer for unavailable channel', { guildId: saved.guildId, channelId: saved.channelId });
+                continue;
+            }
+            
+            // Interval timer - fast-forward through stages that ended while the bot was offline
+            if (saved.stages && !saved.isPaused) {
+                saved.stageIndex = saved.stageIndex || 0;
+                while (saved.endTime <= Date.now() && saved.stageIndex < saved.stages.length - 1) {
+                    saved.stageIndex++;
+                    saved.startTime = saved.endTime;
+                    saved.duration = saved.stages[saved.stageIndex].duration;
+                    saved.endTime = saved.startTime + saved.duration;
+                }
+            }
+            
+            // Timer expired while the bot was offline - just report it (stopwatches never expire)
+            if (!saved.isStopwatch && !saved.isPaused && saved.endTime <= Date.now()) {
+                const embed = new EmbedBuilder()
+                    .setColor('#FF0000')
+                    .setTitle('🚨 Timer Finished While Offline')
+                    .setDescription(`**${saved.message}**\n\n⏰ The timer ended <t:${Math.floor(saved.endTime / 1000)}:R> while the bot was offline.`)
+                    .setTimestamp();
+                
+                await channel.send({ embeds: [embed], components: [...createTimerButtons(), ...createQuickTimerButtons()] });
+                await endSpeakerTurn(saved);
+                expiredCount++;
+                continue;
+            }
+            
+            const timer = {
+                id: saved.id && !activeTimers.has(saved.id) ? saved.id : generateTimerId(),
+                label: saved.label || null,
+                targetTime: saved.targetTime || null,
+                stages: saved.stages || null,
+                stageIndex: saved.stageIndex || 0,
+                warnings: saved.warnings || null,
+                sounds: saved.sounds || null,
+                links: saved.links || null,
+                speakerTurn: saved.speakerTurn || null,
+                isStopwatch: saved.isStopwatch || false,
+                laps: saved.laps || (saved.isStopwatch ? [] : null),
+                channelId: saved.channelId,
+                guildId: saved.guildId,
+                startTime: saved.startTime,
+                endTime: saved.endTime,
+                duration: saved.duration,
+                message: saved.message,
+                timeoutId: null,
+                updateIntervalId: null,
+                isPaused: saved.isPaused
+            };
+            
+            if (saved.isPaused) {
+                timer.pausedAt = saved.pausedAt;
+                timer.pausedRemainingTime = saved.pausedRemainingTime;
+                if (saved.isStopwatch) {
+                    timer.pausedElapsed = saved.pausedElapsed;
+                }
+            }
+            
+            activeTimers.set(timer.id, timer);
+            
+            // Re-attach to the live embed message if it still exists
+            if (saved.messageId) {
+                const timerMessage = await channel.messages.fetch(saved.messageId).catch(() => null);
+                if (timerMessage) {
+                    setTimerMessage(timer, timerMessage);
+                    if (!getMessageFlag(timer.guildId, timer.channelId)) {
+                        setMessageFlag(timer.guildId, timer.channelId, timerMessage.id);
+                    }
+                }
+            }
+            
+            if (!timer.isPaused) {
+                scheduleTimer(timer, channel);
+            }
+            restoredCount++;
+        } catch (error) {
+            logger.error('Error restoring timer', { guildId: saved.guildId, channelId: saved.channelId, error });
+        }
+    }
+    
+    logger.info(`Restored ${restoredCount} timers, ${expiredCount} finished while offline`);
+    persistState();
+}
+
+// Function to generate a short unique schedule ID
+function generateScheduleId() {
+    let scheduleId;
+    do {
+        scheduleId = Math.random().toString(36).slice(2, 6);
+    } while (scheduleId.length < 4 || schedules.has(scheduleId));
+    return scheduleId;
+}
+
+// Function to get all schedules of a guild (oldest first)
+function getGuildSchedules(guildId) {
+    return [...schedules.values()]
+        .filter(schedule => schedule.guildId === guildId)
+        .sort((a, b) => a.createdAt - b.createdAt);
+}
+
+// Function to build the timer message of a scheduled timer
+function getScheduleTimerMessage(schedule) {
+    const baseMessage = `Scheduled timer (${formatTime(schedule.duration)})`;
+    return schedule.label ? `${schedule.label} - ${baseMessage}` : baseMessage;
+}
+
+// Function to start the timer of a schedule run (same pipeline as /timer)
+async function runSchedule(schedule) {
+    const channel = await client.channels.fetch(schedule.channelId).catch(() => null);
+    if (!channel || !channel.guild) {
+        logger.warn(`Skipping schedule ${schedule.id} - channel is unavailable`, { guildId: schedule.guildId, channelId: schedule.channelId });
+        return;
+    }
+    
+    const timerMessage = getScheduleTimerMessage(schedule);
+    const embed = new EmbedBuilder()
+        .setColor('#00FF00')
+        .setTitle('⏰ Timer Started')
+        .setDescription(`**${timerMessage}**\n\nDuration: ${formatTime(schedule.duration)}\nRemaining: ${formatTime(schedule.duration)}`)
+        .setFooter({ text: `Schedule ${schedule.id}: ${schedule.description}` })
+        .setTimestamp();
+    
+    const message = await channel.send({ 
+        embeds: [embed], 
+        components: [...createTimerButtons(), ...createQuickTimerButtons(false)] 
+    });
+    
+    const timer = startTimer(channel, schedule.duration, timerMessage, message, { label: schedule.label });
+    if (!timer) {
+        const errorEmbed = new EmbedBuilder()
+            .setColor('#FF0000')
+            .setTitle('❌ Error')
+            .setDescription(`Scheduled timer could not start - maximum number of timers reached!\n\nLimit: ${MAX_TIMERS_PER_GUILD} timers per server`);
+        
+        await message.edit({ embeds: [errorEmbed], components: [] });
+    }
+}
+
+// Function to wait for a schedule's next run (long waits are split to stay within setTimeout's limit)
+function waitForSchedule(schedule) {
+    const delay = Math.max(0, schedule.nextRun - Date.now());
+    schedule.timeoutId = setTimeout(() => {
+        if (Date.now() < schedule.nextRun) {
+            waitForSchedule(schedule);
+            return;
+        }
+        
+        runSchedule(schedule)
+            .catch(error => logger.error(`Error running schedule ${schedule.id}`, { guildId: schedule.guildId, channelId: schedule.channelId, error }))
+            .finally(() => {
+                if (schedules.has(schedule.id)) {
+                    armSchedule(schedule);
+                }
+            });
+    }, Math.min(delay, MAX_TIMEOUT_DELAY));
+}
+
+// Function to arm a schedule for its next run (runs missed while offline are skipped)
+function armSchedule(schedule) {
+    clearTimeout(schedule.timeoutId);
+    schedule.nextRun = getNextRun(schedule.parsed, schedule.timeZone);
+    
+    if (!schedule.nextRun) {
+        logger.warn(`Schedule ${schedule.id} has no upcoming run`, { guildId: schedule.guildId, channelId: schedule.channelId });
+        return;
+    }
+    
+    waitForSchedule(schedule);
+}
+
+// Function to add a schedule
+// Returns the schedule, or null when the guild's schedule limit is reached
+function addSchedule(options) {
+    const { guildId, channelId, parsed, timeZone, duration, label = null, createdBy = null } = options;
+    
+    if (getGuildSchedules(guildId).length >= MAX_SCHEDULES_PER_GUILD) {
+        logger.warn(`Maximum schedules per guild reached: ${MAX_SCHEDULES_PER_GUILD}`, { guildId });
+        return null;
+    }
+    
+    const schedule = {
+        id: generateScheduleId(),
+        guildId,
+        channelId,
+        expression: parsed.expression,
+        description: parsed.description,
+        parsed,
+        timeZone,
+        duration,
+        label,
+        createdBy,
+        createdAt: Date.now(),
+        nextRun: null,
+        timeoutId: null
+    };
+    
+    schedules.set(schedule.id, schedule);
+    armSchedule(schedule);
+    persistState();
+    
+    return schedule;
+}
+
+// Function to remove a schedule (timers it already started keep running)
+function removeSchedule(scheduleId) {
+    const schedule = schedules.get(scheduleId);
+    if (!schedule) return null;
+    
+    clearTimeout(schedule.timeoutId);
+    schedules.delete(scheduleId);
+    persistState();
+    return schedule;
+}
+
+// Function to clear all schedule timeouts (used on shutdown)
+function cleanupAllSchedules() {
+    for (const schedule of schedules.values()) {
+        clearTimeout(schedule.timeoutId);
+    }
+}
+
+// Function to serialize a schedule for the state file
+function serializeSchedule(schedule) {
+    return {
+        id: schedule.id,
+        guildId: schedule.guildId,
+        channelId: schedule.channelId,
+        expression: schedule.expression,
+        timeZone: schedule.timeZone,
+        duration: schedule.duration,
+        label: schedule.label,
+        createdBy: schedule.createdBy,
+        createdAt: schedule.createdAt
+    };
+}
+
+// Function to re-arm schedules saved by the previous run
+function restoreSchedules(savedSchedules) {
+    for (const saved of savedSchedules) {
+        const result = parseSchedule(saved.expression);
+        if (!result.ok || !isValidTimeZone(saved.timeZone)) {
+            logger.warn(`Dropping saved schedule ${saved.id} - invalid schedule or time zone`, { guildId: saved.guildId, channelId: saved.channelId });
+            continue;
+        }
+        
+        const schedule = {
+            ...saved,
+            id: saved.id && !schedules.has(saved.id) ? saved.id : generateScheduleId(),
+            description: result.schedule.description,
+            parsed: result.schedule,
+            nextRun: null,
+            timeoutId: null
+        };
+        
+        schedules.set(schedule.id, schedule);
+        armSchedule(schedule);
+    }
+    
+    logger.info(`Restored ${schedules.size} schedules`);
+    persistState();
+}
+
+client.once('ready', async () => {
+    logger.info(`Bot is ready! Logged in as ${client.user.tag}`);
+    client.user.setActivity('/help for commands', { type: 'WATCHING' });
+    
+    // Register slash commands
+    try {
+        const commands = [
+            {
+                name: 'timer',
+                description: 'Start a timer (no duration = default)',
+                options: [
+                    {
+                        name: 'duration',
+                        description: 'Timer duration (e.g., 5m, 1h30m, 2.5m, 1:30, in 10 minutes)',
+                        type: 3, // STRING
+                        required: false
+                    },
+                    {
+                        name: 'label',
+                        description: 'Timer label (e.g., break) - timers with different labels run side by side',
+                        type: 3, // STRING
+                        required: false,
+                        max_length: MAX_TIMER_LABEL_LENGTH
+                    },
+                    {
+                        name: 'warnings',
+                        description: 'Warning checkpoints for this timer (e.g., 5m, 1m ping, 10..1) - defaults to the server list',
+                        type: 3, // STRING
+                        required: false
+                    },
+                    {
+                        name: 'warning-sound',
+                        description: 'Uploaded sound for this timer\'s warnings (see /sound list)',
+                        type: 3, // STRING
+                        required: false
+                    },
+                    {
+                        name: 'end-sound',
+                        description: 'Uploaded sound for this timer\'s end (see /sound list)',
+                        type: 3, // STRING
+                        required: false
+                    },
+                    {
+                        name: 'speaker',
+                        description: 'Speaker turn - mutes everyone else in the speaker\'s voice channel until the timer ends',
+                        type: 6, // USER
+                        required: false
+                    }
+                ]
+            },
+            {
+                name: 'set-default',
+                description: 'Set default timer duration for this server',
+                options: [
+                    {
+                        name: 'duration',
+                        description: 'Default duration (e.g., 5m, 1h30m, 2.5m, 1:30)',
+                        type: 3, // STRING
+                        required: true
+                    }
+                ]
+            },
+            {
+                name: 'timer-until',
+                description: 'Start a timer that counts down to a time of day (e.g., 20:00)',
+                options: [
+                    {
+                        name: 'time',
+                        description: 'Target time (e.g., 20:00, 8:30pm, 2026-10-20 20:00)',
+                        type: 3, // STRING
+                        required: true
+                    },
+                    {
+                        name: 'timezone',
+                        description: 'Time zone (e.g., Europe/Warsaw) - defaults to the server time zone',
+                        type: 3, // STRING
+                        required: false
+                    },
+                    {
+                        name: 'label',
+                        description: 'Timer label - timers with different labels run side by side',
+                        type: 3, // STRING
+                        required: false,
+                        max_length: MAX_TIMER_LABEL_LENGTH
+                    },
+                    {
+                        name: 'warnings',
+                        description: 'Warning checkpoints for this timer (e.g., 5m, 1m ping, 10..1) - defaults to the server list',
+                        type: 3, // STRING
+                        required: false
+                    }
+                ]
+            },
+            {
+                name: 'timer-link',
+                description: 'Play a timer\'s sounds in several voice channels (no options shows the links)',
+                options: [
+                    {
+                        name: 'voice',
+                        description: 'Voice channel the bot visits to play the timer\'s sounds',
+                        type: 7, // CHANNEL
+                        required: false,
+                        channel_types: [2, 13] // GUILD_VOICE, GUILD_STAGE_VOICE
+                    },
+                    {
+                        name: 'text',
+                        description: 'Text channel that gets the announcement when a voice channel cannot be reached',
+                        type: 7, // CHANNEL
+                        required: false,
+                        channel_types: [0, 5] // GUILD_TEXT, GUILD_ANNOUNCEMENT
+                    },
+                    {
+                        name: 'remove',
+                        description: 'Unlink a channel',
+                        type: 7, // CHANNEL
+                        required: false,
+                        channel_types: [0, 2, 5, 13]
+                    },
+                    {
+                        name: 'clear',
+                        description: 'Unlink all channels',
+                        type: 5, // BOOLEAN
+                        required: false
+                    },
+                    {
+                        name: 'timer',
+                        description: 'Timer ID or label - needed when several timers run',
+                        type: 3, // STRING
+                        required: false
+                    }
+                ]
+            },
+            {
+                name: 'set-timezone',
+                description: 'Set default time zone for /timer-until on this server',
+                options: [
+                    {
+                        name: 'timezone',
+                        description: 'Time zone (e.g., Europe/Warsaw, America/New_York, UTC)',
+                        type: 3, // STRING
+                        required: true
+                    }
+                ]
+            },
+            {
+                name: 'queue',
+                description: 'Speaking queue - members line up to speak and take turns with a timer',
+                options: [
+                    {
+                        name: 'join',
+                        description: 'Raise your hand - join the end of the queue',
+                        type: 1 // SUB_COMMAND
+                    },
+                    {
+                        name: 'leave',
+                        description: 'Leave the queue',
+                        type: 1 // SUB_COMMAND
+                    },
+                    {
+                        name: 'next',
+                        description: 'Give the floor to the next member and start their turn timer',
+                        type: 1 // SUB_COMMAND
+                    },
+                    {
+                        name: 'list',
+                        description: 'Post the live queue with join/leave buttons',
+                        type: 1 // SUB_COMMAND
+                    },
+                    {
+                        name: 'clear',
+                        description: 'Empty the queue',
+                        type: 1 // SUB_COMMAND
+                    },
+                    {
+                        name: 'settings',
+                        description: 'Turn length and muting (no options shows the settings)',
+                        type: 1, // SUB_COMMAND
+                        options: [
+                            {
+                                name: 'turn-length',
+                                description: 'Length of each speaker\'s turn (e.g., 2m, 90s)',
+                                type: 3, // STRING
+                                required: false
+                            },
+                            {
+                                name: 'mute-others',
+                                description: 'Mute everyone else in the speaker\'s voice channel during a turn',
+                                type: 5, // BOOLEAN
+                                required: false
+                            }
+                        ]
+                    }
+                ]
+            },
+            {
+                name: 'stopwatch',
+                description: 'Count-up stopwatch with laps',
+                options: [
+                    {
+                        name: 'start',
+                        description: 'Start a stopwatch',
+                        type: 1, // SUB_COMMAND
+                        options: [
+                            {
+                                name: 'label',
+                                description: 'Stopwatch label (e.g., speedrun) - timers with different labels run side by side',
+                                type: 3, // STRING
+                                required: false,
+                                max_length: MAX_TIMER_LABEL_LENGTH
+                            }
+                        ]
+                    },
+                    {
+                        name: 'lap',
+                        description: 'Record a lap',
+                        type: 1, // SUB_COMMAND
+                        options: [
+                            {
+                                name: 'stopwatch',
+                                description: 'Stopwatch ID or label - needed when several stopwatches run',
+                                type: 3, // STRING
+                                required: false
+                            }
+                        ]
+                    },
+                    {
+                        name: 'stop',
+                        description: 'Stop a stopwatch and post the summary',
+                        type: 1, // SUB_COMMAND
+                        options: [
+                            {
+                                name: 'stopwatch',
+                                description: 'Stopwatch ID or label - needed when several stopwatches run',
+                                type: 3, // STRING
+                                required: false
+                            }
+                        ]
+                    }
+                ]
+            },
+            {
+                name: 'set-warnings',
+                description: 'Set warning checkpoints before a timer ends on this server',
+                options: [
+                    {
+                        name: 'checkpoints',
+                        description: 'e.g., 5m, 1m ping, 30s end, 10..1 silent - or "off" / "default"',
+                        type: 3, // STRING
+                        required: true
+                    }
+                ]
+            },
+            {
+                name: 'set-tts',
+                description: 'Set spoken announcements on this server (no options shows the current settings)',
+                options: [
+                    {
+                        name: 'mode',
+                        description: 'Speak announcements instead of or alongside the sounds',
+                        type: 3, // STRING
+                        required: false,
+                        choices: [
+                            { name: 'Off (sounds only)', value: 'off' },
+                            { name: 'Speech instead of sounds', value: 'speech' },
+                            { name: 'Sound, then speech', value: 'both' }
+                        ]
+                    },
+                    {
+                        name: 'language',
+                        description: 'Announcement language',
+                        type: 3, // STRING
+                        required: false,
+                        choices: TTS_LANGUAGES.map(language => ({ name: language, value: language }))
+                    },
+                    {
+                        name: 'voice',
+                        description: 'Engine voice (e.g., en-us, en+f3, a piper model name) or "default"',
+                        type: 3, // STRING
+                        required: false
+                    }
+                ]
+            },
+            {
+                name: 'tts-test',
+                description: 'Speak a test announcement in the voice channel',
+                options: [
+                    {
+                        name: 'text',
+                        description: 'Text to speak (defaults to a sample warning)',
+                        type: 3, // STRING
+                        required: false
+                    }
+                ]
+            },
+            {
+                name: 'interval',
+                description: 'Multi-stage interval timers (Pomodoro, rounds and rests)',
+                options: [
+                    {
+                        name: 'start',
+                        description: 'Start an interval timer',
+                        type: 1, // SUB_COMMAND
+                        options: [
+                            {
+                                name: 'sequence',
+                                description: 'Preset name or stages (e.g., pomodoro, 25m work / 5m break x4, then 15m long break)',
+                                type: 3, // STRING
+                                required: true
+                            },
+                            {
+                                name: 'label',
+                                description: 'Timer label - timers with different labels run side by side',
+                                type: 3, // STRING
+                                required: false,
+                                max_length: MAX_TIMER_LABEL_LENGTH
+                            }
+                        ]
+                    },
+                    {
+                        name: 'preset-save',
+                        description: 'Save an interval sequence as a preset for this server',
+                        type: 1, // SUB_COMMAND
+                        options: [
+                            {
+                                name: 'name',
+                                description: 'Preset name (e.g., sprint)',
+                                type: 3, // STRING
+                                required: true,
+                                max_length: 30
+                            },
+                            {
+                                name: 'sequence',
+                                description: 'Stages (e.g., 3m round / 1m rest x12)',
+                                type: 3, // STRING
+                                required: true
+                            }
+                        ]
+                    },
+                    {
+                        name: 'preset-list',
+                        description: 'List interval presets',
+                        type: 1 // SUB_COMMAND
+                    },
+                    {
+                        name: 'preset-delete',
+                        description: 'Delete a saved interval preset',
+                        type: 1, // SUB_COMMAND
+                        options: [
+                            {
+                                name: 'name',
+                                description: 'Preset name',
+                                type: 3, // STRING
+                                required: true
+                            }
+                        ]
+                    }
+                ]
+            },
+            {
+                name: 'schedule',
+                description: 'Manage recurring timers',
+                options: [
+                    {
+                        name: 'add',
+                        description: 'Start a timer on a recurring schedule',
+                        type: 1, // SUB_COMMAND
+                        options: [
+                            {
+                                name: 'schedule',
+                                description: 'When to start (e.g., every weekday at 09:00, every monday at 18:30, 0 9 * * 1-5)',
+                                type: 3, // STRING
+                                required: true
+                            },
+                            {
+                                name: 'duration',
+                                description: 'Timer duration (e.g., 5m, 1h30m) - defaults to the server default',
+                                type: 3, // STRING
+                                required: false
+                            },
+                            {
+                                name: 'channel',
+                                description: 'Channel to post the timer in - defaults to this channel',
+                                type: 7, // CHANNEL
+                                channel_types: [0], // GUILD_TEXT
+                                required: false
+                            },
+                            {
+                                name: 'label',
+                                description: 'Timer label - timers with different labels run side by side',
+                                type: 3, // STRING
+                                required: false,
+                                max_length: MAX_TIMER_LABEL_LENGTH
+                            },
+                            {
+                                name: 'timezone',
+                                description: 'Time zone (e.g., Europe/Warsaw) - defaults to the server time zone',
+                                type: 3, // STRING
+                                required: false
+                            }
+                        ]
+                    },
+                    {
+                        name: 'list',
+                        description: 'List recurring timers on this server',
+                        type: 1 // SUB_COMMAND
+                    },
+                    {
+                        name: 'remove',
+                        description: 'Remove a recurring timer',
+                        type: 1, // SUB_COMMAND
+                        options: [
+                            {
+                                name: 'id',
+                                description: 'Schedule ID (see /schedule list)',
+                                type: 3, // STRING
+                                required: true
+                            }
+                        ]
+                    }
+                ]
+            },
+            {
+                name: 'permissions',
+                description: 'Who may use the bot\'s features on this server',
+                options: [
+                    {
+                        name: 'grant',
+                        description: 'Allow a role or member to use a feature (replaces the default for it)',
+                        type: 1, // SUB_COMMAND
+                        options: [
+                            {
+                                name: 'capability',
+                                description: 'Feature',
+                                type: 3, // STRING
+                                required: true,
+                                choices: PERMISSION_CHOICES
+                            },
+                            {
+                                name: 'role',
+                                description: 'Role (pick a role or a user)',
+                                type: 8, // ROLE
+                                required: false
+                            },
+                            {
+                                name: 'user',
+                                description: 'Member (pick a role or a user)',
+                                type: 6, // USER
+                                required: false
+                            }
+                        ]
+                    },
+                    {
+                        name: 'revoke',
+                        description: 'Take a feature away from a role or member',
+                        type: 1, // SUB_COMMAND
+                        options: [
+                            {
+                                name: 'capability',
+                                description: 'Feature',
+                                type: 3, // STRING
+                                required: true,
+                                choices: PERMISSION_CHOICES
+                            },
+                            {
+                                name: 'role',
+                                description: 'Role (pick a role or a user)',
+                                type: 8, // ROLE
+                                required: false
+                            },
+                            {
+                                name: 'user',
+                                description: 'Member (pick a role or a user)',
+                                type: 6, // USER
+                                required: false
+                            }
+                        ]
+                    },
+                    {
+                        name: 'reset',
+                        description: 'Go back to the default (Timer Bot User role and moderators)',
+                        type: 1, // SUB_COMMAND
+                        options: [
+                            {
+                                name: 'capability',
+                                description: 'Feature to reset (all features if left out)',
+                                type: 3, // STRING
+                                required: false,
+                                choices: PERMISSION_CHOICES
+                            }
+                        ]
+                    },
+                    {
+                        name: 'show',
+                        description: 'Show who may use each feature, or what one member may use',
+                        type: 1, // SUB_COMMAND
+                        options: [
+                            {
+                                name: 'user',
+                                description: 'Member to check',
+                                type: 6, // USER
+                                required: false
+                            }
+                        ]
+                    }
+                ]
+            },
+            {
+                name: 'help',
+                description: 'Show bot commands and help'
+            },
+            {
+                name: 'voice-connect',
+                description: 'Connect to the voice channel'
+            },
+            {
+                name: 'voice-disconnect',
+                description: 'Disconnect from the voice channel'
+            },
+            {
+                name: 'sound-test',
+                description: 'Test bot sounds',
+                options: [
+                    {
+                        name: 'type',
+                        description: 'Type of sound to test (plays the sound assigned on this server)',
+                        type: 3, // STRING
+                        required: false,
+                        choices: [
+                            { name: 'Warning sound', value: 'warning' },
+                            { name: 'End sound', value: 'end' }
+                        ]
+                    },
+                    {
+                        name: 'name',
+                        description: 'Preview an uploaded sound (see /sound list)',
+                        type: 3, // STRING
+                        required: false
+                    }
+                ]
+            },
+            {
+                name: 'voice-settings',
+                description: 'Auto-join, follow and idle-leave settings for voice (no options shows the current settings)',
+                options: [
+                    {
+                        name: 'auto-join',
+                        description: 'Join voice when a timer starts',
+                        type: 5, // BOOLEAN
+                        required: false
+                    },
+                    {
+                        name: 'channel',
+                        description: 'Timer voice channel to join (instead of the voice channel of whoever starts the timer)',
+                        type: 7, // CHANNEL
+                        required: false,
+                        channel_types: [2, 13] // GUILD_VOICE, GUILD_STAGE_VOICE
+                    },
+                    {
+                        name: 'clear-channel',
+                        description: 'Forget the timer voice channel',
+                        type: 5, // BOOLEAN
+                        required: false
+                    },
+                    {
+                        name: 'follow',
+                        description: 'Follow whoever started the timer when they switch voice channels',
+                        type: 5, // BOOLEAN
+                        required: false
+                    },
+                    {
+                        name: 'idle-leave',
+                        description: 'Leave voice after this many minutes without timers (0 = never)',
+                        type: 4, // INTEGER
+                        required: false,
+                        min_value: 0,
+                        max_value: config.BOT_CONFIG.MAX_VOICE_IDLE_LEAVE_MINUTES
+                    }
+                ]
+            },
+            {
+                name: 'volume',
+                description: 'Volume of the bot\'s sounds on this server',
+                options: [
+                    {
+                        name: 'set',
+                        description: 'Set the server volume',
+                        type: 1, // SUB_COMMAND
+                        options: [
+                            {
+                                name: 'level',
+                                description: 'Volume 0-100 (100 = sounds at their own level, 0 = muted)',
+                                type: 4, // INTEGER
+                                required: true,
+                                min_value: 0,
+                                max_value: 100
+                            }
+                        ]
+                    },
+                    {
+                        name: 'sound',
+                        description: 'Make one sound louder or quieter',
+                        type: 1, // SUB_COMMAND
+                        options: [
+                            {
+                                name: 'sound',
+                                description: 'Uploaded sound name, cri.mp3, end.mp3 or "speech"',
+                                type: 3, // STRING
+                                required: true
+                            },
+                            {
+                                name: 'gain',
+                                description: 'Gain in dB (e.g. -6 = about half as loud, 0 = remove the adjustment)',
+                                type: 10, // NUMBER
+                                required: true,
+                                min_value: -config.BOT_CONFIG.MAX_SOUND_GAIN_DB,
+                                max_value: config.BOT_CONFIG.MAX_SOUND_GAIN_DB
+                            }
+                        ]
+                    },
+                    {
+                        name: 'normalize',
+                        description: 'Bring every sound to the same loudness',
+                        type: 1, // SUB_COMMAND
+                        options: [
+                            {
+                                name: 'enabled',
+                                description: 'Normalize loudness',
+                                type: 5, // BOOLEAN
+                                required: true
+                            }
+                        ]
+                    },
+                    {
+                        name: 'show',
+                        description: 'Show the volume settings',
+                        type: 1 // SUB_COMMAND
+                    }
+                ]
+            },
+            {
+                name: 'audio-status',
+                description: 'Show the sound playing in voice, the queued sounds and recent playback'
+            },
             {
-                name: 'timer',
-                description: 'Start a timer (no duration = default)',
+                name: 'sound',
+                description: 'Manage this server\'s custom sounds',
                 options: [
                     {
-                        name: 'duration',
-                        description: 'Timer duration (e.g., 2m, 5m, 1h)',
-                        type: 3, // STRING
-                        required: false
+                        name: 'upload',
+                        description: 'Upload a sound (mp3, ogg or wav)',
+                        type: 1, // SUB_COMMAND
+                        options: [
+                            {
+                                name: 'name',
+                                description: 'Sound name (letters, digits, - and _)',
+                                type: 3, // STRING
+                                required: true,
+                                max_length: 32
+                            },
+                            {
+                                name: 'file',
+                                description: 'Audio file',
+                                type: 11, // ATTACHMENT
+                                required: true
+                            }
+                        ]
+                    },
+                    {
+                        name: 'list',
+                        description: 'List this server\'s sounds and assignments',
+                        type: 1 // SUB_COMMAND
+                    },
+                    {
+                        name: 'delete',
+                        description: 'Delete an uploaded sound',
+                        type: 1, // SUB_COMMAND
+                        options: [
+                            {
+                                name: 'name',
+                                description: 'Sound name',
+                                type: 3, // STRING
+                                required: true
+                            }
+                        ]
+                    },
+                    {
+                        name: 'assign',
+                        description: 'Play an uploaded sound for warnings or timer ends on this server',
+                        type: 1, // SUB_COMMAND
+                        options: [
+                            {
+                                name: 'event',
+                                description: 'Sound event',
+                                type: 3, // STRING
+                                required: true,
+                                choices: [
+                                    { name: 'Warning', value: 'warning' },
+                                    { name: 'End', value: 'end' }
+                                ]
+                            },
+                            {
+                                name: 'name',
+                                description: 'Sound name, or "default" for the built-in sound',
+                                type: 3, // STRING
+                                required: true
+                            }
+                        ]
                     }
                 ]
             },
             {
-                name: 'set-default',
-                description: 'Set default timer duration for this server',
+                name: 'mic-history',
+                description: 'Show the voice activity log (mute, deafen, join, leave, move, streaming)',
                 options: [
                     {
-                        name: 'duration',
-                        description: 'Default duration (e.g., 2m, 5m, 1h)',
+                        name: 'user',
+                        description: 'Only this member\'s events',
+                        type: 6, // USER
+                        required: false
+                    },
+                    {
+                        name: 'event',
+                        description: 'Only this kind of event',
                         type: 3, // STRING
-                        required: true
+                        required: false,
+                        choices: Object.entries(MIC_EVENTS).map(([value, event]) => ({ name: event.label, value }))
+                    },
+                    {
+                        name: 'since',
+                        description: 'Start of the time range - time ago (30m, 12h, 7d) or a time (18:00, 2026-10-19 18:00)',
+                        type: 3, // STRING
+                        required: false
+                    },
+                    {
+                        name: 'until',
+                        description: 'End of the time range - time ago (30m, 12h, 7d) or a time (18:00, 2026-10-19 18:00)',
+                        type: 3, // STRING
+                        required: false
                     }
                 ]
             },
             {
-                name: 'help',
-                description: 'Show bot commands and help'
-            },
-            {
-                name: 'voice-connect',
-                description: 'Connect to the voice channel'
-            },
-            {
-                name: 'voice-disconnect',
-                description: 'Disconnect from the voice channel'
+                name: 'clear-mic-history',
+                description: 'Clear microphone interaction history'
             },
             {
-                name: 'sound-test',
-                description: 'Test bot sounds',
+                name: 'clear-channel',
+                description: 'Preview and delete messages in this channel (bot messages and commands by default)',
                 options: [
                     {
-                        name: 'type',
-                        description: 'Type of sound to test',
+                        name: 'scope',
+                        description: 'Whose messages to delete',
                         type: 3, // STRING
-                        required: true,
-                        choices: [
-                            { name: 'Warning sound', value: 'warning' },
-                            { name: 'End sound', value: 'end' }
-                        ]
+                        required: false,
+                        choices: Object.entries(CLEANUP_SCOPES).map(([value, scope]) => ({ name: scope.label, value }))
+                    },
+                    {
+                        name: 'user',
+                        description: 'Only this member\'s messages',
+                        type: 6, // USER
+                        required: false
+                    },
+                    {
+                        name: 'older-than',
+                        description: 'Only messages older than this - time ago (30m, 12h, 7d) or a time (18:00, 2026-10-19 18:00)',
+                        type: 3, // STRING
+                        required: false
+                    },
+                    {
+                        name: 'newer-than',
+                        description: 'Only messages newer than this - time ago (30m, 12h, 7d) or a time (18:00, 2026-10-19 18:00)',
+                        type: 3, // STRING
+                        required: false
+                    },
+                    {
+                        name: 'match',
+                        description: 'Only messages whose text matches this regular expression (case-insensitive)',
+                        type: 3, // STRING
+                        required: false
+                    },
+                    {
+                        name: 'keep-pinned',
+                        description: 'Keep pinned messages (default: true)',
+                        type: 5, // BOOLEAN
+                        required: false
+                    },
+                    {
+                        name: 'limit',
+                        description: `How many of the newest messages to check (default ${config.BOT_CONFIG.DEFAULT_CLEANUP_SCAN})`,
+                        type: 4, // INTEGER
+                        required: false,
+                        min_value: 1,
+                        max_value: config.BOT_CONFIG.MAX_CLEANUP_SCAN
                     }
                 ]
             },
             {
-                name: 'mic-history',
-                description: 'Show microphone interaction history'
+                name: 'auto-cleanup',
+                description: 'Show or set the automatic cleanup of timer messages after a timer ends',
+                options: [
+                    {
+                        name: 'enabled',
+                        description: 'Delete the bot\'s messages around a timer after it finishes or is stopped',
+                        type: 5, // BOOLEAN
+                        required: false
+                    },
+                    {
+                        name: 'delay',
+                        description: 'How long after the last timer in the channel ends (e.g. 30s, 5m)',
+                        type: 3, // STRING
+                        required: false
+                    },
+                    {
+                        name: 'commands',
+                        description: 'Also delete the ! commands that started or changed the timers',
+                        type: 5, // BOOLEAN
+                        required: false
+                    }
+                ]
             },
             {
-                name: 'clear-mic-history',
-                description: 'Clear microphone interaction history'
+                name: 'audit',
+                description: 'Audit log of mutes, speaker turns, cleanups, settings and permission changes',
+                options: [
+                    {
+                        name: 'channel',
+                        description: 'Show or set the channel where audit entries are posted',
+                        type: 1, // SUB_COMMAND
+                        options: [
+                            {
+                                name: 'channel',
+                                description: 'Post audit entries to this channel',
+                                type: 7, // CHANNEL
+                                required: false,
+                                channel_types: [0, 5] // GUILD_TEXT, GUILD_ANNOUNCEMENT
+                            },
+                            {
+                                name: 'clear',
+                                description: 'Stop posting audit entries (the log is still kept)',
+                                type: 5, // BOOLEAN
+                                required: false
+                            }
+                        ]
+                    },
+                    {
+                        name: 'search',
+                        description: 'Search the audit log',
+                        type: 1, // SUB_COMMAND
+                        options: [
+                            {
+                                name: 'user',
+                                description: 'Only actions by this member',
+                                type: 6, // USER
+                                required: false
+                            },
+                            {
+                                name: 'target',
+                                description: 'Only actions affecting this member',
+                                type: 6, // USER
+                                required: false
+                            },
+                            {
+                                name: 'action',
+                                description: 'Only this kind of action',
+                                type: 3, // STRING
+                                required: false,
+                                choices: Object.entries(AUDIT_ACTIONS).map(([value, action]) => ({ name: action.label, value }))
+                            },
+                            {
+                                name: 'since',
+                                description: 'Start of the time range - time ago (30m, 12h, 7d) or a time (18:00, 2026-10-19 18:00)',
+                                type: 3, // STRING
+                                required: false
+                            },
+                            {
+                                name: 'until',
+                                description: 'End of the time range - time ago (30m, 12h, 7d) or a time (18:00, 2026-10-19 18:00)',
+                                type: 3, // STRING
+                                required: false
+                            }
+                        ]
+                    }
+                ]
             },
             {
-                name: 'clear-channel',
-                description: 'Clear bot messages from the channel'
+                name: 'rate-limit',
+                description: 'Show or change how many commands members may use',
+                options: [
+                    {
+                        name: 'show',
+                        description: 'Show the rate limits and how often they were hit',
+                        type: 1 // SUB_COMMAND
+                    },
+                    {
+                        name: 'set',
+                        description: 'Change a rate limit for this server',
+                        type: 1, // SUB_COMMAND
+                        options: [
+                            {
+                                name: 'scope',
+                                description: 'Which limit to change',
+                                type: 3, // STRING
+                                required: true,
+                                choices: GUILD_RATE_LIMIT_SCOPES.map(scope => ({ name: RATE_LIMIT_SCOPES[scope].label, value: scope }))
+                            },
+                            {
+                                name: 'capacity',
+                                description: 'How many commands are allowed',
+                                type: 4, // INTEGER
+                                required: true,
+                                min_value: 1,
+                                max_value: config.BOT_CONFIG.MAX_RATE_LIMIT_CAPACITY
+                            },
+                            {
+                                name: 'per',
+                                description: 'Within how long (e.g. 10s, 1m)',
+                                type: 3, // STRING
+                                required: true
+                            }
+                        ]
+                    },
+                    {
+                        name: 'reset',
+                        description: 'Put a rate limit (or all of them) back to the default',
+                        type: 1, // SUB_COMMAND
+                        options: [
+                            {
+                                name: 'scope',
+                                description: 'Which limit to reset (default: all)',
+                                type: 3, // STRING
+                                required: false,
+                                choices: GUILD_RATE_LIMIT_SCOPES.map(scope => ({ name: RATE_LIMIT_SCOPES[scope].label, value: scope }))
+                            }
+                        ]
+                    }
+                ]
             }
         ];
         
-        console.log('Registering slash commands...');
-        console.log('Commands to register:', commands.map(cmd => cmd.name));
+        logger.info('Registering slash commands...');
+        logger.debug('Commands to register', { commands: commands.map(cmd => cmd.name) });
         
         try {
             // Try to register commands globally first
             const registeredCommands = await client.application.commands.set(commands);
-            console.log('Global slash commands registered successfully!');
-            console.log('Registered commands:', registeredCommands.map(cmd => cmd.name));
+            logger.info('Global slash commands registered successfully!');
+            logger.debug('Registered commands', { commands: registeredCommands.map(cmd => cmd.name) });
             
             // Test if commands are accessible
             const globalCommands = await client.application.commands.fetch();
-            console.log('Global commands available:', globalCommands.map(cmd => cmd.name));
+            logger.debug('Global commands available', { commands: globalCommands.map(cmd => cmd.name) });
         } catch (globalError) {
-            console.log('Global registration failed, trying guild-specific registration...');
-            console.error('Global error:', globalError.message);
+            logger.warn('Global registration failed, trying guild-specific registration...', { error: globalError });
             
             // Try guild-specific registration as fallback
             try {
                 const guilds = client.guilds.cache;
-                console.log(`Found ${guilds.size} guilds`);
+                logger.info(`Found ${guilds.size} guilds`);
                 
                 for (const [guildId, guild] of guilds) {
                     try {
                         const guildCommands = await guild.commands.set(commands);
-                        console.log(`Guild commands registered for ${guild.name} (${guildId}):`, guildCommands.map(cmd => cmd.name));
+                        logger.info(`Guild commands registered for ${guild.name}`, { guildId, commands: guildCommands.map(cmd => cmd.name) });
                     } catch (guildError) {
-                        console.error(`Failed to register commands for guild ${guild.name}:`, guildError.message);
+                        logger.error(`Failed to register commands for guild ${guild.name}`, { guildId, error: guildError });
                     }
                 }
             } catch (guildError) {
-                console.error('Guild registration also failed:', guildError.message);
+                logger.error('Guild registration also failed', { error: guildError });
             }
         }
     } catch (error) {
-        console.error('Error registering slash commands:', error);
+        logger.error('Error registering slash commands', { error });
     }
     
     // Handle graceful shutdown
     process.on('SIGINT', () => {
-        console.log('Received SIGINT, cleaning up...');
-        logToFile('INFO', 'Received SIGINT, cleaning up...');
+        logger.info('Received SIGINT, cleaning up...');
+        storage.flushWrites();
         cleanupAllTimers();
+        cleanupAllSchedules();
         cleanupAllIntervals();
         process.exit(0);
     });
 
     process.on('SIGTERM', () => {
-        console.log('Received SIGTERM, cleaning up...');
-        logToFile('INFO', 'Received SIGTERM, cleaning up...');
+        logger.info('Received SIGTERM, cleaning up...');
+        storage.flushWrites();
         cleanupAllTimers();
+        cleanupAllSchedules();
         cleanupAllIntervals();
         process.exit(0);
     });
     
     // Handle uncaught exceptions
     process.on('uncaughtException', (error) => {
-        console.error('Uncaught Exception:', error);
-        logToFile('ERROR', `Uncaught Exception: ${error.message}`);
+        logger.error('Uncaught Exception', { error });
+        storage.flushWrites();
         cleanupAllTimers();
+        cleanupAllSchedules();
         cleanupAllIntervals();
         process.exit(1);
     });
     
     // Handle unhandled promise rejections
     process.on('unhandledRejection', (reason, promise) => {
-        console.error('Unhandled Rejection at:', promise, 'reason:', reason);
-        logToFile('ERROR', `Unhandled Rejection: ${reason}`);
+        logger.error('Unhandled Rejection', { error: reason });
     });
     
     // Clean up any existing voice connections from previous sessions
@@ -1000,59 +4214,56 @@ client.once('ready', async () => {
         try {
             connection.destroy();
         } catch (error) {
-            console.error(`Error cleaning up voice connection for guild ${guildId}:`, error);
+            logger.error('Error cleaning up voice connection', { guildId, error });
         }
     }
     voiceConnections.clear();
     
-    // Clean up old rate limit entries every 5 minutes
+    // Re-arm recurring schedules (runs missed while offline are skipped)
+    restoreSchedules(savedState.schedules || []);
+    
+    // Rehydrate running and paused timers from the previous run
+    await restoreTimers(savedState.timers || []);
+    
+    // Re-arm timed mutes (mutes that ran out while offline are lifted now)
+    restoreTimedMutes(savedState.timedMutes || []);
+    
+    // Clean up refilled rate limit buckets every 5 minutes
     cleanupIntervals.push(setInterval(() => {
-        const now = Date.now();
-        for (const [userId, lastCommand] of userCooldowns) {
-            if (now - lastCommand > RATE_LIMIT_MS * 10) { // Remove entries older than 10 seconds
-                userCooldowns.delete(userId);
-            }
-        }
+        rateLimiter.prune();
     }, 5 * 60 * 1000)); // Every 5 minutes
     
-    // Clean up old microphone history entries every 10 minutes
+    // Prune voice activity log entries past the retention period every 10 minutes
     cleanupIntervals.push(setInterval(() => {
-        const now = Date.now();
-        for (const [guildId, history] of microphoneUnmuteHistory) {
-            // Remove entries older than 24 hours
-            const filteredHistory = history.filter(entry => 
-                now - entry.timestamp.getTime() < 24 * 60 * 60 * 1000
-            );
+        const retentionMs = config.MIC_LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+        let pruned = false;
+        for (const [guildId, entries] of micActivityLog) {
+            const kept = pruneEntries(entries, retentionMs);
+            if (kept.length === entries.length) continue;
             
-            if (filteredHistory.length === 0) {
-                microphoneUnmuteHistory.delete(guildId);
+            pruned = true;
+            if (kept.length === 0) {
+                micActivityLog.delete(guildId);
             } else {
-                microphoneUnmuteHistory.set(guildId, filteredHistory);
+                micActivityLog.set(guildId, kept);
             }
         }
+        if (pruned) persistMicLog();
     }, 10 * 60 * 1000)); // Every 10 minutes
     
-    // Clean up old command execution tracker entries every minute
+    // Leave voice channels that have been idle for the guild's idle limit (checked every minute)
     cleanupIntervals.push(setInterval(() => {
-        const now = Date.now();
-        for (const [key, executions] of commandExecutionTracker) {
-            const filtered = executions.filter(time => now - time < 10000);
-            if (filtered.length === 0) {
-                commandExecutionTracker.delete(key);
-            } else {
-                commandExecutionTracker.set(key, filtered);
-            }
-        }
+        leaveIdleVoiceChannels();
     }, 60000)); // Every minute
     
     // Clean up orphaned timer messages every 15 minutes
     cleanupIntervals.push(setInterval(() => {
         const now = Date.now();
         for (const [guildId, guildMessages] of timerMessages) {
-            for (const [channelId, messageData] of guildMessages) {
+            for (const [timerId, messageData] of guildMessages) {
                 // Check if timer still exists
-                if (!activeTimers.has(channelId)) {
-                    guildMessages.delete(channelId);
+                if (!activeTimers.has(timerId)) {
+                    guildMessages.delete(timerId);
                 }
             }
             
@@ -1068,10 +4279,10 @@ client.once('ready', async () => {
         const memUsage = process.memoryUsage();
         const memoryUsageMB = memUsage.heapUsed / 1024 / 1024;
         
-        console.log(`[HEALTH] Active timers: ${activeTimers.size}, Voice connections: ${voiceConnections.size}, Memory: ${memoryUsageMB.toFixed(2)} MB`);
+        logger.info(`[HEALTH] Active timers: ${activeTimers.size}, Voice connections: ${voiceConnections.size}, Memory: ${memoryUsageMB.toFixed(2)} MB`);
         
         if (memoryUsageMB > 500) {
-            console.warn(`[HEALTH] High memory usage: ${memoryUsageMB.toFixed(2)} MB`);
+            logger.warn(`[HEALTH] High memory usage: ${memoryUsageMB.toFixed(2)} MB`);
             // Force garbage collection if available
             if (global.gc) {
                 global.gc();
@@ -1080,102 +4291,178 @@ client.once('ready', async () => {
         
         // Check if bot is still responsive
         if (client.ws.ping > 1000) {
-            console.warn(`[HEALTH] High ping: ${client.ws.ping}ms`);
+            logger.warn(`[HEALTH] High ping: ${client.ws.ping}ms`);
         }
     }, 30000)); // Every 30 seconds
 });
 
-// Track microphone unmute events
+// Rejoin dropped voice sessions once the gateway is back
+client.on('shardResume', () => {
+    for (const session of voiceSessions.values()) {
+        session.resume();
+    }
+});
+
+client.on('shardReady', () => {
+    for (const session of voiceSessions.values()) {
+        session.resume();
+    }
+});
+
+// Track voice activity (mute, deafen, join, leave, move, streaming) in the voice activity log
 client.on('voiceStateUpdate', (oldState, newState) => {
-    // Check if user unmuted their microphone
-    if (oldState.mute && !newState.mute) {
-        const guildId = newState.guild.id;
-        const userId = newState.member.id;
-        const username = newState.member.displayName || newState.member.user.username;
-        
-        // Add to microphone unmute history
-        addToMicrophoneHistory(guildId, userId, username);
-        
-        console.log(`User ${username} unmuted microphone in guild ${guildId}`);
+    if (config.ENABLE_MICROPHONE_HISTORY) {
+        recordVoiceActivity(oldState, newState).catch(error => {
+            logger.error('Error recording voice activity', { guildId: newState.guild.id, userId: newState.id, error });
+        });
     }
+    
+    updateTimedMute(oldState, newState);
+    updateSpeakerTurns(oldState, newState);
+    
+    // Follow the member who started a timer between voice channels
+    followVoiceMember(oldState, newState).catch(error => {
+        logger.error('Error following member to voice channel', { guildId: newState.guild.id, userId: newState.id, error });
+    });
 });
 
+// Function to run !start for a member a second after another command, so the command overview follows its reply
+// The emitted !start goes through the rate limiter like a typed one (its command bucket stops loops)
+function emitStartCommand(message) {
+    setTimeout(() => {
+        const startMessage = {
+            ...message,
+            content: '!start',
+            reply: async (options) => {
+                return await message.channel.send(options);
+            },
+            member: message.member,
+            guild: message.guild,
+            channel: message.channel,
+            author: message.author
+        };
+        client.emit('messageCreate', startMessage);
+    }, 1000);
+}
+
 client.on('messageCreate', async (message) => {
     if (message.author.bot) return;
     
     const { content, channel, guild, author } = message;
-    
-    // Rate limiting check
-    if (isRateLimited(author.id)) {
-        return; // Silently ignore rate limited commands
+    const log = logger.child({
+        guildId: guild?.id,
+        channelId: channel.id,
+        userId: author.id,
+        command: content.startsWith('!') ? content.split(/\s+/)[0].toLowerCase() : null
+    });
+    if (content.startsWith('!')) {
+        log.debug('[COMMAND] Received text command');
     }
     
-    // Global rate limiting check
-    if (!checkGlobalRateLimit()) {
-        console.warn(`Global rate limit exceeded. Current requests: ${globalRateLimit.requests}`);
-        return; // Silently ignore when global limit exceeded
+    // Rate limiting check (only commands count - a flood gets one notice, removed once the wait is over)
+    if (content.startsWith('!')) {
+        const rateLimit = checkRateLimit(author.id, guild?.id, content.split(/\s+/)[0].toLowerCase());
+        if (!rateLimit.ok) {
+            if (rateLimit.notify) {
+                const notice = await message.reply(getRateLimitMessage(rateLimit)).catch(() => null);
+                if (notice) {
+                    setTimeout(() => notice.delete().catch(() => {}), Math.max(rateLimit.retryAfter, 5000));
+                }
+            }
+            return;
+        }
     }
     
     // !cs command - start timer
     if (content.startsWith('!cs')) {
-        const args = content.slice(3).trim();
-        const duration = parseTime(args, guild.id);
+        if (!hasCapability(message.member, 'start')) {
+            return message.reply(getPermissionDeniedMessage('start'));
+        }
         
-        if (duration === null) {
-            const embed = new EmbedBuilder()
-                .setColor('#FF0000')
-                .setTitle('❌ Invalid Time Format')
-                .setDescription('Use format: `!cs [duration]` or `/timer [duration]`\n\nExamples:\n• `!cs 5m` or `/timer 5m` - 5 minutes\n• `!cs 30s` or `/timer 30s` - 30 seconds\n• `!cs 1h` or `/timer 1h` - 1 hour\n• `!cs` or `/timer` - default time');
+        const { timeStr, label } = parseTimerArgs(content.slice(3));
+        const parsed = parseTimeInput(timeStr, guild.id);
+        
+        if (!parsed.ok) {
+            const embed = createDurationErrorEmbed(parsed.error, 'Use format: `!cs [duration] [\"label\"]` or `/timer [duration] [label]`\n\nExamples:\n• `!cs 5m` or `/timer 5m` - 5 minutes\n• `!cs 1h30m` or `!cs 1:30:00` - 1.5 hours\n• `!cs 2.5m` or `!cs in 10 minutes` - decimals and words\n• `!cs 90` - bare number in the default unit\n• `!cs 5m \"round 2\"` - labelled timer, runs alongside others\n• `!cs` or `/timer` - default time');
             
             return message.reply({ embeds: [embed] });
         }
         
-        if (duration < 1000) {
+        const duration = parsed.ms;
+        
+        // Check if there's already a timer with this label in this channel (it will be reset)
+        const oldTimer = findReplaceableTimer(channel.id, label);
+        if (oldTimer) {
             const embed = new EmbedBuilder()
-                .setColor('#FF0000')
-                .setTitle('❌ Timer Too Short')
-                .setDescription('Minimum timer duration is 1 second.');
+                .setColor('#FFA500')
+                .setTitle('🔄 Timer Reset')
+                .setDescription(`Previous timer ${getTimerDisplayName(oldTimer)} stopped; starting a new one...`);
             
-            return message.reply({ embeds: [embed] });
+            await message.reply({ embeds: [embed] });
         }
         
-        if (duration > 24 * 60 * 60 * 1000) {
-            const embed = new EmbedBuilder()
+        const baseMessage = timeStr ? `Timer: ${timeStr}` : `Timer (default)`;
+        const timerMessage = label ? `${label} - ${baseMessage}` : baseMessage;
+        
+        const embed = new EmbedBuilder()
+            .setColor('#00FF00')
+            .setTitle('⏰ Timer Started')
+            .setDescription(`**${timerMessage}**\n\nDuration: ${formatTime(duration)}\nRemaining: ${formatTime(duration)}\n\nUse \`!cs\` or \`/timer\` again to reset the timer`)
+            .setTimestamp();
+        
+        const reply = await message.reply({ embeds: [embed], components: [...createTimerButtons(), ...createQuickTimerButtons(false)] });
+        
+        const timer = startTimer(channel, duration, timerMessage, reply, { label, startedBy: author.id });
+        if (!timer) {
+            const errorEmbed = new EmbedBuilder()
                 .setColor('#FF0000')
-                .setTitle('❌ Timer Too Long')
-                .setDescription('Maximum timer duration is 24 hours.');
+                .setTitle('❌ Error')
+                .setDescription(`Maximum number of timers reached!\n\nLimit: ${MAX_TIMERS_PER_GUILD} timers per server`);
             
-            return message.reply({ embeds: [embed] });
+            await message.reply({ embeds: [errorEmbed] });
+            return;
         }
         
-        // Check if there's already a timer in this channel
-        if (activeTimers.has(channel.id)) {
-            // Stop the existing timer
-            const oldTimer = activeTimers.get(channel.id);
-            clearTimeout(oldTimer.timeoutId);
-            if (oldTimer.warningTimeoutId) {
-                clearTimeout(oldTimer.warningTimeoutId);
-            }
-            
+        // Flag is now set in startTimer() only for new timers
+    }
+    
+    // !until command - count down to a wall-clock time
+    if (content === '!until' || content.startsWith('!until ')) {
+        if (!hasCapability(message.member, 'start')) {
+            return message.reply(getPermissionDeniedMessage('start'));
+        }
+        
+        const { timeStr, timeZone: timeZoneArg, label } = parseUntilArgs(content.slice(6));
+        const timeZone = timeZoneArg || getGuildTimezone(guild.id);
+        const target = resolveUntilTarget(timeStr, timeZone);
+        
+        if (!target.ok) {
+            return message.reply({ embeds: [target.embed] });
+        }
+        
+        // Check if there's already a timer with this label in this channel (it will be reset)
+        const oldTimer = findReplaceableTimer(channel.id, label);
+        if (oldTimer) {
             const embed = new EmbedBuilder()
                 .setColor('#FFA500')
                 .setTitle('🔄 Timer Reset')
-                .setDescription('Previous timer stopped; starting a new one...');
+                .setDescription(`Previous timer ${getTimerDisplayName(oldTimer)} stopped; starting a new one...`);
             
             await message.reply({ embeds: [embed] });
         }
         
-        const timerMessage = args ? `Timer: ${args}` : `Timer (default)`;
+        const baseMessage = `Until ${timeStr} (${timeZone})`;
+        const timerMessage = label ? `${label} - ${baseMessage}` : baseMessage;
         
         const embed = new EmbedBuilder()
             .setColor('#00FF00')
             .setTitle('⏰ Timer Started')
-            .setDescription(`**${timerMessage}**\n\nDuration: ${formatTime(duration)}\nRemaining: ${formatTime(duration)}\n\nUse \`!cs\` or \`/timer\` again to reset the timer`)
+            .setDescription(`**${timerMessage}**\n\nEnds at: <t:${Math.floor(target.targetTime / 1000)}:t>\nRemaining: ${formatTime(target.duration)}`)
             .setTimestamp();
         
         const reply = await message.reply({ embeds: [embed], components: [...createTimerButtons(), ...createQuickTimerButtons(false)] });
         
-        const timer = startTimer(channel, duration, timerMessage, reply);
+        const timer = startTimer(channel, target.targetTime - Date.now(), timerMessage, reply, { label, targetTime: target.targetTime, startedBy: author.id });
         if (!timer) {
             const errorEmbed = new EmbedBuilder()
                 .setColor('#FF0000')
@@ -1183,15 +4470,89 @@ client.on('messageCreate', async (message) => {
                 .setDescription(`Maximum number of timers reached!\n\nLimit: ${MAX_TIMERS_PER_GUILD} timers per server`);
             
             await message.reply({ embeds: [errorEmbed] });
-            return;
+        }
+        return;
+    }
+    
+    // !set warn command - set warning checkpoints for timers in this guild
+    if (content.startsWith('!set warn')) {
+        if (!hasCapability(message.member, 'configure')) {
+            return message.reply(getPermissionDeniedMessage('configure'));
         }
         
-        // Flag is now set in startTimer() only for new timers
+        const spec = content.slice(9).trim();
+        
+        if (spec.toLowerCase() === 'default') {
+            guildWarnings.delete(guild.id);
+        } else {
+            const result = parseWarningsInput(spec, guild.id);
+            if (!result.ok) {
+                const embed = createWarningsErrorEmbed(result.error)
+                    .setDescription(`${result.error.message}\n\nUse format: \`!set warn <checkpoints>\` or \`/set-warnings <checkpoints>\`\n\nExamples:\n• \`!set warn 5m, 1m, 30s\`\n• \`!set warn 1m ping, 10..1\`\n• \`!set warn off\``);
+                
+                return message.reply({ embeds: [embed] });
+            }
+            guildWarnings.set(guild.id, { spec, checkpoints: result.checkpoints });
+        }
+        persistState();
+        recordAudit(guild.id, { action: 'settings', actorId: author.id, details: `Warning checkpoints: ${describeCheckpoints(guildWarnings.get(guild.id)?.checkpoints || defaultCheckpoints)}` });
+        
+        const embed = new EmbedBuilder()
+            .setColor('#00FF00')
+            .setTitle('✅ Warning Checkpoints Set')
+            .setDescription(`Timers on this server now warn at: **${describeCheckpoints(guildWarnings.get(guild.id)?.checkpoints || defaultCheckpoints)}** before the end.`)
+            .setTimestamp();
+        
+        return message.reply({ embeds: [embed] });
+    }
+    
+    // !set tz command - set default time zone for !until
+    if (content.startsWith('!set tz')) {
+        if (!hasCapability(message.member, 'configure')) {
+            return message.reply(getPermissionDeniedMessage('configure'));
+        }
+        
+        const timeZone = content.slice(7).trim();
+        
+        if (!isValidTimeZone(timeZone)) {
+            const embed = new EmbedBuilder()
+                .setColor('#FF0000')
+                .setTitle('❌ Unknown Time Zone')
+                .setDescription(`Use format: \`!set tz <time zone>\` or \`/set-timezone <timezone>\`\n\nExamples:\n• \`!set tz Europe/Warsaw\`\n• \`!set tz America/New_York\`\n• \`!set tz UTC\``);
+            
+            return message.reply({ embeds: [embed] });
+        }
+        
+        defaultTimezones.set(guild.id, timeZone);
+        persistState();
+        recordAudit(guild.id, { action: 'settings', actorId: author.id, details: `Default time zone: ${timeZone}` });
+        
+        const embed = new EmbedBuilder()
+            .setColor('#00FF00')
+            .setTitle('✅ Default Time Zone Set')
+            .setDescription(`Default time zone set to: **${timeZone}**\n\nNow \`!until 20:00\` counts down to 20:00 ${timeZone} time.`)
+            .setTimestamp();
+        
+        return message.reply({ embeds: [embed] });
     }
     
-    // !stop command - stop timer
-    if (content === '!stop') {
-        const timerInfo = stopTimer(channel.id);
+    // !stop command - stop timer (optionally by ID or label)
+    if (content === '!stop' || content.startsWith('!stop ')) {
+        if (!hasCapability(message.member, 'stop')) {
+            return message.reply(getPermissionDeniedMessage('stop'));
+        }
+        
+        const target = resolveChannelTimer(channel.id, content.slice(5).trim());
+        if (!target.timer) {
+            return message.reply({ embeds: [createTimerTargetErrorEmbed(target, 'Use: `!stop <id or label>`')] });
+        }
+        
+        if (target.timer.isStopwatch) {
+            const elapsed = await stopStopwatch(target.timer);
+            return message.reply({ embeds: [createStopwatchSummaryEmbed(target.timer, elapsed)] });
+        }
+        
+        const timerInfo = stopTimer(target.timer.id);
         
         if (timerInfo) {
             const defaultTime = defaultTimes.get(guild.id) || 5 * 60 * 1000;
@@ -1229,16 +4590,20 @@ client.on('messageCreate', async (message) => {
         }
     }
     
-    // !status command - check timer status
-    if (content === '!status') {
-        const timer = activeTimers.get(channel.id);
+    // !status command - check timer status (all channel timers, or one by ID or label)
+    if (content === '!status' || content.startsWith('!status ')) {
+        const query = content.slice(7).trim();
+        const timers = query ? [findChannelTimer(channel.id, query)].filter(Boolean) : getChannelTimers(channel.id);
         
-        if (timer) {
-            const remaining = timer.endTime - Date.now();
+        if (query && timers.length === 0) {
+            return message.reply({ embeds: [createTimerTargetErrorEmbed({ error: 'not_found', timers: getChannelTimers(channel.id) }, 'Use: `!status [id or label]`')] });
+        }
+        
+        if (timers.length > 0) {
             const embed = new EmbedBuilder()
                 .setColor('#00FF00')
                 .setTitle('⏰ Timer Status')
-                .setDescription(`**Active Timer**\n\nRemaining time: ${formatTime(remaining)}`)
+                .setDescription(`**${timers.length === 1 ? 'Active Timer' : `${timers.length} Active Timers`}**\n\n${describeChannelTimers(timers)}`)
                 .setTimestamp();
             
             await message.reply({ embeds: [embed] });
@@ -1254,37 +4619,24 @@ client.on('messageCreate', async (message) => {
     
     // !set command - set default timer time
     if (content.startsWith('!set cs')) {
-        const args = content.slice(7).trim();
-        const duration = parseTime(args, guild.id);
-        
-        if (duration === null) {
-            const embed = new EmbedBuilder()
-                .setColor('#FF0000')
-                .setTitle('❌ Invalid Time Format')
-                .setDescription('Use format: `!set cs [duration]` or `/set-default <duration>`\n\nExamples:\n• `!set cs 5m` or `/set-default 5m` - set default to 5 minutes\n• `!set cs 30s` or `/set-default 30s` - set default to 30 seconds\n• `!set cs 1h` or `/set-default 1h` - set default to 1 hour');
-            
-            return message.reply({ embeds: [embed] });
+        if (!hasCapability(message.member, 'set-default')) {
+            return message.reply(getPermissionDeniedMessage('set-default'));
         }
         
-        if (duration < 1000) {
-            const embed = new EmbedBuilder()
-                .setColor('#FF0000')
-                .setTitle('❌ Timer Too Short')
-                .setDescription('Minimum timer duration is 1 second.');
-            
-            return message.reply({ embeds: [embed] });
-        }
+        const args = content.slice(7).trim();
+        const parsed = parseTimeInput(args, guild.id);
         
-        if (duration > 24 * 60 * 60 * 1000) {
-            const embed = new EmbedBuilder()
-                .setColor('#FF0000')
-                .setTitle('❌ Timer Too Long')
-                .setDescription('Maximum timer duration is 24 hours.');
+        if (!parsed.ok) {
+            const embed = createDurationErrorEmbed(parsed.error, 'Use format: `!set cs [duration]` or `/set-default <duration>`\n\nExamples:\n• `!set cs 5m` or `/set-default 5m` - set default to 5 minutes\n• `!set cs 30s` or `/set-default 30s` - set default to 30 seconds\n• `!set cs 1h30m` or `/set-default 1:30:00` - set default to 1.5 hours');
             
             return message.reply({ embeds: [embed] });
         }
         
+        const duration = parsed.ms;
+        
         defaultTimes.set(guild.id, duration);
+        persistState();
+        recordAudit(guild.id, { action: 'settings', actorId: author.id, details: `Default timer duration: ${formatTime(duration)}` });
         
         const embed = new EmbedBuilder()
             .setColor('#00FF00')
@@ -1297,6 +4649,10 @@ client.on('messageCreate', async (message) => {
     
     // !join command - join voice channel
     if (content === '!join' || content === '!connect') {
+        if (!hasCapability(message.member, 'voice')) {
+            return message.reply(getPermissionDeniedMessage('voice'));
+        }
+        
         const member = message.member;
         if (!member.voice.channel) {
             const embed = new EmbedBuilder()
@@ -1318,22 +4674,7 @@ client.on('messageCreate', async (message) => {
             
             await message.reply({ embeds: [embed], components: [...createTimerButtons(), ...createQuickTimerButtons()] });
             
-            // Automatically call !start after 1 second
-            setTimeout(() => {
-                // Call !start command directly
-                const startMessage = {
-                    ...message,
-                    content: '!start',
-                    reply: async (options) => {
-                        return await message.channel.send(options);
-                    },
-                    member: message.member,
-                    guild: message.guild,
-                    channel: message.channel,
-                    author: message.author
-                };
-                client.emit('messageCreate', startMessage);
-            }, 1000);
+            emitStartCommand(message);
         } else {
             const embed = new EmbedBuilder()
                 .setColor('#FF0000')
@@ -1346,6 +4687,10 @@ client.on('messageCreate', async (message) => {
     
     // !rozlacz command - leave voice channel
     if (content === '!leave' || content === '!disconnect') {
+        if (!hasCapability(message.member, 'voice')) {
+            return message.reply(getPermissionDeniedMessage('voice'));
+        }
+        
         const left = leaveVoiceChannel(guild.id);
         
         if (left) {
@@ -1357,22 +4702,7 @@ client.on('messageCreate', async (message) => {
             
             await message.reply({ embeds: [embed], components: [...createTimerButtons(), ...createQuickTimerButtons()] });
             
-            // Automatically call !start after 1 second
-            setTimeout(() => {
-                // Call !start command directly
-                const startMessage = {
-                    ...message,
-                    content: '!start',
-                    reply: async (options) => {
-                        return await message.channel.send(options);
-                    },
-                    member: message.member,
-                    guild: message.guild,
-                    channel: message.channel,
-                    author: message.author
-                };
-                client.emit('messageCreate', startMessage);
-            }, 1000);
+            emitStartCommand(message);
         } else {
             const embed = new EmbedBuilder()
                 .setColor('#FFA500')
@@ -1385,13 +4715,17 @@ client.on('messageCreate', async (message) => {
     
     // !test1 command - test warning sound
     if (content === '!test1') {
+        if (!hasCapability(message.member, 'voice')) {
+            return message.reply(getPermissionDeniedMessage('voice'));
+        }
+        
         // Try to join voice channel first
         const voiceChannel = message.member?.voice?.channel;
         if (voiceChannel) {
             await joinVoiceChannelBot(guild, voiceChannel);
         }
         
-        await playSound(channel, 'cri.mp3');
+        await playSound(channel, resolveEventSound(guild.id, 'warning'));
         
         const embed = new EmbedBuilder()
             .setColor('#FFA500')
@@ -1401,38 +4735,22 @@ client.on('messageCreate', async (message) => {
         
         await message.reply({ embeds: [embed], components: [...createTimerButtons(), ...createQuickTimerButtons()] });
         
-        // Auto-trigger !start after 1 second
-        setTimeout(() => {
-            // Check if command is looping to prevent infinite loops
-            if (isCommandLooping(author.id, '!start')) {
-                console.warn(`Prevented command loop for user ${author.id} with command !start`);
-                return;
-            }
-            
-            const startMessage = {
-                ...message,
-                content: '!start',
-                reply: async (options) => {
-                    return await message.channel.send(options);
-                },
-                member: message.member,
-                guild: message.guild,
-                channel: message.channel,
-                author: message.author
-            };
-            client.emit('messageCreate', startMessage);
-        }, 1000);
+        emitStartCommand(message);
     }
     
     // !test2 command - test final sound
     if (content === '!test2') {
+        if (!hasCapability(message.member, 'voice')) {
+            return message.reply(getPermissionDeniedMessage('voice'));
+        }
+        
         // Try to join voice channel first
         const voiceChannel = message.member?.voice?.channel;
         if (voiceChannel) {
             await joinVoiceChannelBot(guild, voiceChannel);
         }
         
-        await playSound(channel, 'end.mp3');
+        await playSound(channel, resolveEventSound(guild.id, 'end'));
         
         const embed = new EmbedBuilder()
             .setColor('#FF0000')
@@ -1442,27 +4760,7 @@ client.on('messageCreate', async (message) => {
         
         await message.reply({ embeds: [embed], components: [...createTimerButtons(), ...createQuickTimerButtons()] });
         
-        // Auto-trigger !start after 1 second
-        setTimeout(() => {
-            // Check if command is looping to prevent infinite loops
-            if (isCommandLooping(author.id, '!start')) {
-                console.warn(`Prevented command loop for user ${author.id} with command !start`);
-                return;
-            }
-            
-            const startMessage = {
-                ...message,
-                content: '!start',
-                reply: async (options) => {
-                    return await message.channel.send(options);
-                },
-                member: message.member,
-                guild: message.guild,
-                channel: message.channel,
-                author: message.author
-            };
-            client.emit('messageCreate', startMessage);
-        }, 1000);
+        emitStartCommand(message);
     }
     
     // !miclog command - show microphone unmute history
@@ -1478,27 +4776,7 @@ client.on('messageCreate', async (message) => {
             
             await message.reply({ embeds: [embed] });
             
-            // Auto-trigger !start after 1 second
-            setTimeout(() => {
-                // Check if command is looping to prevent infinite loops
-                if (isCommandLooping(author.id, '!start')) {
-                    console.warn(`Prevented command loop for user ${author.id} with command !start`);
-                    return;
-                }
-                
-                const startMessage = {
-                    ...message,
-                    content: '!start',
-                    reply: async (options) => {
-                        return await message.channel.send(options);
-                    },
-                    member: message.member,
-                    guild: message.guild,
-                    channel: message.channel,
-                    author: message.author
-                };
-                client.emit('messageCreate', startMessage);
-            }, 1000);
+            emitStartCommand(message);
             return;
         }
         
@@ -1512,32 +4790,17 @@ client.on('messageCreate', async (message) => {
         
         await message.reply({ embeds: [embed] });
         
-        // Auto-trigger !start after 1 second
-        setTimeout(() => {
-            // Check if command is looping to prevent infinite loops
-            if (isCommandLooping(author.id, '!start')) {
-                console.warn(`Prevented command loop for user ${author.id} with command !start`);
-                return;
-            }
-            
-            const startMessage = {
-                ...message,
-                content: '!start',
-                reply: async (options) => {
-                    return await message.channel.send(options);
-                },
-                member: message.member,
-                guild: message.guild,
-                channel: message.channel,
-                author: message.author
-            };
-            client.emit('messageCreate', startMessage);
-        }, 1000);
+        emitStartCommand(message);
     }
     
     // !clearvoicehistory command - clear microphone unmute history
     if (content === '!clearvoicehistory') {
+        if (!hasCapability(message.member, 'mute')) {
+            return message.reply(getPermissionDeniedMessage('mute'));
+        }
+        
         clearMicrophoneHistory(guild.id);
+        recordAudit(guild.id, { action: 'clear_mic_history', actorId: author.id });
         
         const embed = new EmbedBuilder()
             .setColor('#00FF00')
@@ -1547,40 +4810,24 @@ client.on('messageCreate', async (message) => {
         
         await message.reply({ embeds: [embed] });
         
-        // Auto-trigger !start after 1 second
-        setTimeout(() => {
-            // Check if command is looping to prevent infinite loops
-            if (isCommandLooping(author.id, '!start')) {
-                console.warn(`Prevented command loop for user ${author.id} with command !start`);
-                return;
-            }
-            
-            const startMessage = {
-                ...message,
-                content: '!start',
-                reply: async (options) => {
-                    return await message.channel.send(options);
-                },
-                member: message.member,
-                guild: message.guild,
-                channel: message.channel,
-                author: message.author
-            };
-            client.emit('messageCreate', startMessage);
-        }, 1000);
+        emitStartCommand(message);
     }
     
     // !cleanup command - clean up voice connections
     if (content === '!cleanup') {
+        if (!hasCapability(message.member, 'voice')) {
+            return message.reply(getPermissionDeniedMessage('voice'));
+        }
+        
         let cleanedCount = 0;
         
-        for (const [guildId, connection] of voiceConnections) {
+        for (const guildId of new Set([...voiceConnections.keys(), ...voiceSessions.keys()])) {
             try {
-                connection.destroy();
+                leaveVoiceChannel(guildId);
                 cleanedCount++;
-                console.log(`Cleaned up voice connection for guild ${guildId}`);
+                log.info('Cleaned up voice connection', { guildId });
             } catch (error) {
-                console.error(`Error cleaning up voice connection for guild ${guildId}:`, error);
+                log.error('Error cleaning up voice connection', { guildId, error });
             }
         }
         
@@ -1609,73 +4856,678 @@ client.on('messageCreate', async (message) => {
                 },
                 {
                     name: '🔔 Voice Notifications',
-                    value: '🔔 Warning sound: 1 minute before the end\n🚨 Final alarm: when the timer ends\n\n**🚨 ⚠️ IMPORTANT ⚠️ 🚨**\n**The bot must be in a voice channel to play sounds!**\n**Press the "🔗 Connect to voice channel" button!**',
+                    value: `🔔 Warning sounds: before the end (1 minute by default, change with \`/set-warnings\`)\n🚨 Final alarm: when the timer ends\n🔊 Volume: **${describeVolume(guild.id)}** (change with \`/volume\`)\n\n**🚨 ⚠️ IMPORTANT ⚠️ 🚨**\n**The bot must be in a voice channel to play sounds!**\n**Press the "🔗 Connect to voice channel" button!**`,
                     inline: false
                 }
-            )
-            .setFooter({ text: 'Created by amadosx 🍒' })
-            .setTimestamp();
-        
-        await message.reply({ embeds: [embed], components: [...createTimerButtons(), ...createQuickTimerButtons()] });
-    }
-});
-
-// Handle button interactions
-client.on('interactionCreate', async (interaction) => {
-    console.log(`[INTERACTION] Received ${interaction.type} interaction: ${interaction.customId || interaction.commandName}`);
-    
-    // Handle slash commands
-    if (interaction.isCommand()) {
-        const { commandName, options, channel, guild, user } = interaction;
-        
-        // Check if interaction is still valid
-        if (interaction.replied || interaction.deferred) {
-            console.log(`[INTERACTION] Slash command ${commandName} already replied/deferred, skipping`);
-            return;
-        }
-        
-        // Rate limiting check
-        if (isRateLimited(user.id)) {
-            try {
-                await interaction.reply({ 
-                    content: '⏰ Please wait a moment before the next command!', 
-                    ephemeral: true 
-                });
-            } catch (error) {
-                console.error('Error replying to rate limited slash command:', error.message);
-            }
-            return;
-        }
-        
-        try {
-            switch (commandName) {
-                case 'timer': {
-                    const durationStr = options.getString('duration');
-                    const duration = durationStr ? parseTime(durationStr, guild.id) : (defaultTimes.get(guild.id) || 5 * 60 * 1000);
+            )
+            .setFooter({ text: 'Created by amadosx 🍒' })
+            .setTimestamp();
+        
+        await message.reply({ embeds: [embed], components: [...createTimerButtons(), ...createQuickTimerButtons()] });
+    }
+});
+
+// Handle button interactions
+client.on('interactionCreate', async (interaction) => {
+    const log = logger.child({
+        guildId: interaction.guildId,
+        channelId: interaction.channelId,
+        userId: interaction.user.id,
+        command: interaction.commandName ? `/${interaction.commandName}` : interaction.customId
+    });
+    log.debug(`[INTERACTION] Received ${interaction.type} interaction`);
+    
+    // Handle slash commands
+    if (interaction.isCommand()) {
+        const { commandName, options, channel, guild, user } = interaction;
+        
+        // Check if interaction is still valid
+        if (interaction.replied || interaction.deferred) {
+            log.debug('[INTERACTION] Slash command already replied/deferred, skipping');
+            return;
+        }
+        
+        // Rate limiting check
+        const rateLimit = checkRateLimit(user.id, interaction.guildId, `/${commandName}`);
+        if (!rateLimit.ok) {
+            try {
+                await interaction.reply({ 
+                    content: getRateLimitMessage(rateLimit), 
+                    ephemeral: true 
+                });
+            } catch (error) {
+                log.error('Error replying to rate limited slash command', { error });
+            }
+            return;
+        }
+        
+        try {
+            switch (commandName) {
+                case 'timer': {
+                    if (!await requireCapability(interaction, 'start')) return;
+                    
+                    const durationStr = options.getString('duration');
+                    const labelStr = options.getString('label');
+                    const label = labelStr ? labelStr.trim().slice(0, MAX_TIMER_LABEL_LENGTH) || null : null;
+                    const parsed = parseTimeInput(durationStr, guild.id);
+                    
+                    if (!parsed.ok) {
+                        await interaction.reply({ 
+                            embeds: [createDurationErrorEmbed(parsed.error)], 
+                            ephemeral: true 
+                        });
+                        return;
+                    }
+                    
+                    const warningsStr = options.getString('warnings');
+                    const warnings = warningsStr ? parseWarningsInput(warningsStr, guild.id) : null;
+                    if (warnings && !warnings.ok) {
+                        await interaction.reply({ 
+                            embeds: [createWarningsErrorEmbed(warnings.error)], 
+                            ephemeral: true 
+                        });
+                        return;
+                    }
+                    
+                    const timerSounds = {};
+                    for (const event of ['warning', 'end']) {
+                        const soundName = options.getString(`${event}-sound`);
+                        if (!soundName) continue;
+                        if (!findGuildSound(guild.id, soundName)) {
+                            await interaction.reply({ 
+                                content: `❌ No sound named \`${soundName}\` on this server! Use \`/sound list\``, 
+                                ephemeral: true 
+                            });
+                            return;
+                        }
+                        timerSounds[event] = `${GUILD_SOUND_PREFIX}${soundName.trim().toLowerCase()}`;
+                    }
+                    
+                    // A speaker turn mutes other members, so it needs the mute permission too
+                    const speakerUser = options.getUser('speaker');
+                    let speaker = null;
+                    if (speakerUser) {
+                        if (!await requireCapability(interaction, 'mute')) return;
+                        
+                        speaker = await guild.members.fetch(speakerUser.id).catch(() => null);
+                        if (!speaker || !speaker.voice.channel) {
+                            await interaction.reply({ 
+                                content: `❌ <@${speakerUser.id}> must be in a voice channel for a speaker turn!`, 
+                                ephemeral: true 
+                            });
+                            return;
+                        }
+                    }
+                    
+                    const duration = parsed.ms;
+                    
+                    const baseMessage = durationStr ? `Timer (${formatTime(duration)})` : `Timer (default)`;
+                    const timerMessage = label ? `${label} - ${baseMessage}` : baseMessage;
+                    
+                    const embed = new EmbedBuilder()
+                        .setColor('#00FF00')
+                        .setTitle('⏰ Timer Started')
+                        .setDescription(`**${timerMessage}**\n\nDuration: ${formatTime(duration)}\nRemaining: ${formatTime(duration)}`)
+                        .setTimestamp();
+                    
+                    const reply = await interaction.reply({ 
+                        embeds: [embed], 
+                        components: [...createTimerButtons(), ...createQuickTimerButtons(false)] 
+                    });
+                    
+                    // Start the timer with proper args (startTimer stores the message for live updates)
+                    const message = await reply.fetch();
+                    const timer = startTimer(channel, duration, timerMessage, message, {
+                        label,
+                        warnings: warnings ? warnings.checkpoints : null,
+                        sounds: Object.keys(timerSounds).length > 0 ? timerSounds : null,
+                        startedBy: user.id,
+                        speaker
+                    });
+                    if (!timer) {
+                        const errorEmbed = new EmbedBuilder()
+                            .setColor('#FF0000')
+                            .setTitle('❌ Error')
+                            .setDescription(`Maximum number of timers reached!\n\nLimit: ${MAX_TIMERS_PER_GUILD} timers per server`);
+                        
+                        await interaction.followUp({ embeds: [errorEmbed] });
+                    }
+                    break;
+                }
+                
+                case 'set-default': {
+                    if (!await requireCapability(interaction, 'set-default')) return;
+                    
+                    const timeStr = options.getString('duration');
+                    const parsed = parseTimeInput(timeStr, guild.id);
+                    
+                    if (!parsed.ok) {
+                        await interaction.reply({ 
+                            embeds: [createDurationErrorEmbed(parsed.error)], 
+                            ephemeral: true 
+                        });
+                        return;
+                    }
+                    
+                    const duration = parsed.ms;
+                    
+                    defaultTimes.set(guild.id, duration);
+                    persistState();
+                    recordAudit(guild.id, { action: 'settings', actorId: user.id, details: `Default timer duration: ${formatTime(duration)}` });
+                    
+                    const embed = new EmbedBuilder()
+                        .setColor('#00FF00')
+                        .setTitle('✅ Default Time Set')
+                        .setDescription(`Default timer duration set to: ${formatTime(duration)}\n\nNow you can use \`/timer\` without providing a duration.`)
+                        .setTimestamp();
+                    
+                    await interaction.reply({ 
+                        embeds: [embed], 
+                        components: [...createTimerButtons(), ...createQuickTimerButtons()] 
+                    });
+                    break;
+                }
+                
+                case 'timer-until': {
+                    if (!await requireCapability(interaction, 'start')) return;
+                    
+                    const timeStr = options.getString('time');
+                    const timeZone = options.getString('timezone')?.trim() || getGuildTimezone(guild.id);
+                    const labelStr = options.getString('label');
+                    const label = labelStr ? labelStr.trim().slice(0, MAX_TIMER_LABEL_LENGTH) || null : null;
+                    const target = resolveUntilTarget(timeStr, timeZone);
+                    
+                    if (!target.ok) {
+                        await interaction.reply({ 
+                            embeds: [target.embed], 
+                            ephemeral: true 
+                        });
+                        return;
+                    }
+                    
+                    const warningsStr = options.getString('warnings');
+                    const warnings = warningsStr ? parseWarningsInput(warningsStr, guild.id) : null;
+                    if (warnings && !warnings.ok) {
+                        await interaction.reply({ 
+                            embeds: [createWarningsErrorEmbed(warnings.error)], 
+                            ephemeral: true 
+                        });
+                        return;
+                    }
+                    
+                    const baseMessage = `Until ${timeStr.trim()} (${timeZone})`;
+                    const timerMessage = label ? `${label} - ${baseMessage}` : baseMessage;
+                    
+                    const embed = new EmbedBuilder()
+                        .setColor('#00FF00')
+                        .setTitle('⏰ Timer Started')
+                        .setDescription(`**${timerMessage}**\n\nEnds at: <t:${Math.floor(target.targetTime / 1000)}:t>\nRemaining: ${formatTime(target.duration)}`)
+                        .setTimestamp();
+                    
+                    const reply = await interaction.reply({ 
+                        embeds: [embed], 
+                        components: [...createTimerButtons(), ...createQuickTimerButtons(false)] 
+                    });
+                    
+                    const message = await reply.fetch();
+                    const timer = startTimer(channel, target.targetTime - Date.now(), timerMessage, message, { label, targetTime: target.targetTime, warnings: warnings ? warnings.checkpoints : null, startedBy: user.id });
+                    if (!timer) {
+                        const errorEmbed = new EmbedBuilder()
+                            .setColor('#FF0000')
+                            .setTitle('❌ Error')
+                            .setDescription(`Maximum number of timers reached!\n\nLimit: ${MAX_TIMERS_PER_GUILD} timers per server`);
+                        
+                        await interaction.followUp({ embeds: [errorEmbed] });
+                    }
+                    break;
+                }
+                
+                case 'set-timezone': {
+                    if (!await requireCapability(interaction, 'configure')) return;
+                    
+                    const timeZone = options.getString('timezone').trim();
+                    
+                    if (!isValidTimeZone(timeZone)) {
+                        await interaction.reply({ 
+                            content: '❌ Unknown time zone! Use an IANA name, e.g. Europe/Warsaw, America/New_York, UTC', 
+                            ephemeral: true 
+                        });
+                        return;
+                    }
+                    
+                    defaultTimezones.set(guild.id, timeZone);
+                    persistState();
+                    recordAudit(guild.id, { action: 'settings', actorId: user.id, details: `Default time zone: ${timeZone}` });
+                    
+                    const embed = new EmbedBuilder()
+                        .setColor('#00FF00')
+                        .setTitle('✅ Default Time Zone Set')
+                        .setDescription(`Default time zone set to: **${timeZone}**\n\nNow \`/timer-until 20:00\` counts down to 20:00 ${timeZone} time.`)
+                        .setTimestamp();
+                    
+                    await interaction.reply({ embeds: [embed] });
+                    break;
+                }
+                
+                case 'timer-link': {
+                    const changes = {
+                        voice: options.getChannel('voice'),
+                        text: options.getChannel('text'),
+                        remove: options.getChannel('remove'),
+                        clear: options.getBoolean('clear')
+                    };
+                    const hasChanges = Object.values(changes).some(value => value !== null);
+                    
+                    if (hasChanges) {
+                        if (!await requireCapability(interaction, 'configure')) return;
+                    }
+                    
+                    const target = resolveChannelTimer(channel.id, options.getString('timer'));
+                    if (!target.timer || target.timer.isStopwatch) {
+                        const embed = target.timer ?
+                            new EmbedBuilder()
+                                .setColor('#FFA500')
+                                .setTitle('⚠️ Stopwatch')
+                                .setDescription('Stopwatches play no sounds - link channels to a timer.') :
+                            createTimerTargetErrorEmbed(target, 'Use the `timer` option with the timer ID or label.');
+                        
+                        await interaction.reply({ embeds: [embed], ephemeral: true });
+                        return;
+                    }
+                    
+                    const timer = target.timer;
+                    if (hasChanges) {
+                        const links = changes.clear ? { voice: [], text: [] } : {
+                            voice: [...(timer.links?.voice || [])],
+                            text: [...(timer.links?.text || [])]
+                        };
+                        if (changes.remove) {
+                            links.voice = links.voice.filter(id => id !== changes.remove.id);
+                            links.text = links.text.filter(id => id !== changes.remove.id);
+                        }
+                        if (changes.voice && !links.voice.includes(changes.voice.id)) links.voice.push(changes.voice.id);
+                        if (changes.text && !links.text.includes(changes.text.id)) links.text.push(changes.text.id);
+                        
+                        const max = config.BOT_CONFIG.MAX_TIMER_LINKS;
+                        if (links.voice.length > max || links.text.length > max) {
+                            await interaction.reply({ 
+                                content: `❌ A timer can be linked to at most ${max} voice and ${max} text channels!`, 
+                                ephemeral: true 
+                            });
+                            return;
+                        }
+                        
+                        timer.links = links.voice.length > 0 || links.text.length > 0 ? links : null;
+                        persistState();
+                        await updateTimerMessage(timer);
+                    }
+                    
+                    const embed = new EmbedBuilder()
+                        .setColor(hasChanges ? '#00FF00' : '#0099FF')
+                        .setTitle(hasChanges ? '✅ Timer Links Saved' : '🔗 Timer Links')
+                        .setDescription(`Timer ${getTimerDisplayName(timer)}\n\n${timer.links ? describeTimerLinks(timer.links) : 'No linked channels.'}\n\nThe bot plays each sound where it is, then visits every linked voice channel in turn. Linked text channels get the announcement when a voice channel cannot be reached.`)
+                        .setTimestamp();
+                    
+                    await interaction.reply({ embeds: [embed], ephemeral: !hasChanges });
+                    break;
+                }
+                
+                case 'queue': {
+                    const subcommand = options.getSubcommand();
+                    
+                    // Running the queue starts turn timers - and mutes members when the server mutes others
+                    if (subcommand in QUEUE_CAPABILITIES) {
+                        if (!await requireCapability(interaction, QUEUE_CAPABILITIES[subcommand])) return;
+                        if (subcommand === 'next' && getGuildQueueSettings(guild.id).muteOthers && !await requireCapability(interaction, 'mute')) return;
+                    }
+                    
+                    if (subcommand === 'join' || subcommand === 'leave') {
+                        await interaction.reply({ content: changeQueueMembership(channel, user.id, subcommand), ephemeral: true });
+                    } else if (subcommand === 'next') {
+                        const result = await startNextSpeaker(channel, user.id);
+                        if (!result.ok) {
+                            await interaction.reply({ content: `❌ ${result.error.message}`, ephemeral: true });
+                            return;
+                        }
+                        await interaction.reply(createNextSpeakerMessage(result));
+                    } else if (subcommand === 'list') {
+                        const queue = getSpeakingQueue(guild.id, channel.id, true);
+                        const reply = await interaction.reply(createQueueMessage(queue));
+                        await setQueueMessage(queue, await reply.fetch());
+                    } else if (subcommand === 'clear') {
+                        const queue = getSpeakingQueue(guild.id, channel.id);
+                        const cleared = queue ? queue.entries.length : 0;
+                        if (queue) {
+                            queue.entries = [];
+                            persistState();
+                            refreshQueueMessage(queue);
+                        }
+                        
+                        const embed = new EmbedBuilder()
+                            .setColor('#00FF00')
+                            .setTitle('✅ Queue Cleared')
+                            .setDescription(`Removed ${cleared} waiting member${cleared === 1 ? '' : 's'} from the speaking queue. A running turn keeps its timer.`);
+                        
+                        await interaction.reply({ embeds: [embed] });
+                    } else if (subcommand === 'settings') {
+                        const turnLength = options.getString('turn-length');
+                        const muteOthers = options.getBoolean('mute-others');
+                        const settings = getGuildQueueSettings(guild.id);
+                        const hasChanges = turnLength !== null || muteOthers !== null;
+                        
+                        if (turnLength !== null) {
+                            const parsed = parseTimeInput(turnLength, guild.id);
+                            if (!parsed.ok) {
+                                await interaction.reply({ 
+                                    embeds: [createDurationErrorEmbed(parsed.error)], 
+                                    ephemeral: true 
+                                });
+                                return;
+                            }
+                            settings.turnDuration = parsed.ms;
+                        }
+                        if (muteOthers !== null) {
+                            settings.muteOthers = muteOthers;
+                        }
+                        
+                        if (hasChanges) {
+                            guildQueueSettings.set(guild.id, settings);
+                            persistState();
+                            recordAudit(guild.id, { action: 'settings', actorId: user.id, details: `Speaking queue: turn length ${formatTime(settings.turnDuration)}, mute others ${settings.muteOthers ? 'on' : 'off'}` });
+                            const queue = getSpeakingQueue(guild.id, channel.id);
+                            if (queue) refreshQueueMessage(queue);
+                        }
+                        
+                        const embed = new EmbedBuilder()
+                            .setColor(hasChanges ? '#00FF00' : '#0099FF')
+                            .setTitle(hasChanges ? '✅ Queue Settings Saved' : '🙋 Queue Settings')
+                            .setDescription(`Turn length: **${formatTime(settings.turnDuration)}**\nMute others during turns: **${settings.muteOthers ? 'yes' : 'no'}**\n\nNew settings apply from the next \`/queue next\`.`)
+                            .setTimestamp();
+                        
+                        await interaction.reply({ embeds: [embed], ephemeral: !hasChanges });
+                    }
+                    break;
+                }
+                
+                case 'stopwatch': {
+                    const subcommand = options.getSubcommand();
+                    
+                    if (!await requireCapability(interaction, STOPWATCH_CAPABILITIES[subcommand])) return;
+                    
+                    if (subcommand === 'start') {
+                        const labelStr = options.getString('label');
+                        const label = labelStr ? labelStr.trim().slice(0, MAX_TIMER_LABEL_LENGTH) || null : null;
+                        const timerMessage = label ? `${label} - Stopwatch` : 'Stopwatch';
+                        
+                        const embed = new EmbedBuilder()
+                            .setColor('#00BFFF')
+                            .setTitle('⏱️ Stopwatch Started')
+                            .setDescription(`**${timerMessage}**\n\nElapsed: ${formatStopwatchTime(0)}`)
+                            .setTimestamp();
+                        
+                        const reply = await interaction.reply({ embeds: [embed] });
+                        const message = await reply.fetch();
+                        const timer = startStopwatch(channel, timerMessage, message, { label });
+                        if (!timer) {
+                            const errorEmbed = new EmbedBuilder()
+                                .setColor('#FF0000')
+                                .setTitle('❌ Error')
+                                .setDescription(`Maximum number of timers reached!\n\nLimit: ${MAX_TIMERS_PER_GUILD} timers per server`);
+                            
+                            await interaction.followUp({ embeds: [errorEmbed] });
+                            return;
+                        }
+                        
+                        await message.edit({ embeds: [createStopwatchEmbed(timer)], components: createTimerComponents(timer) });
+                        return;
+                    }
+                    
+                    const target = resolveChannelStopwatch(channel.id, options.getString('stopwatch'));
+                    if (!target.timer) {
+                        const embed = target.error === 'none' ?
+                            new EmbedBuilder()
+                                .setColor('#FFA500')
+                                .setTitle('⚠️ No Stopwatch Running')
+                                .setDescription('There is no stopwatch in this channel. Start one with `/stopwatch start`.') :
+                            createTimerTargetErrorEmbed(target, 'Use the `stopwatch` option with the stopwatch ID or label.');
+                        
+                        await interaction.reply({ embeds: [embed], ephemeral: true });
+                        return;
+                    }
+                    
+                    if (subcommand === 'lap') {
+                        const split = recordLap(target.timer);
+                        if (split === null) {
+                            await interaction.reply({ content: '⏸️ The stopwatch is paused - resume it to record laps.', ephemeral: true });
+                            return;
+                        }
+                        
+                        await updateTimerMessage(target.timer);
+                        await interaction.reply({ 
+                            content: `🏁 Lap ${target.timer.laps.length}: **${formatStopwatchTime(split)}** (total ${formatStopwatchTime(target.timer.laps[target.timer.laps.length - 1])})` 
+                        });
+                        return;
+                    }
+                    
+                    // subcommand === 'stop'
+                    const elapsed = await stopStopwatch(target.timer);
+                    await interaction.reply({ embeds: [createStopwatchSummaryEmbed(target.timer, elapsed)] });
+                    break;
+                }
+                
+                case 'set-warnings': {
+                    if (!await requireCapability(interaction, 'configure')) return;
+                    
+                    const spec = options.getString('checkpoints').trim();
+                    
+                    if (spec.toLowerCase() === 'default') {
+                        guildWarnings.delete(guild.id);
+                    } else {
+                        const result = parseWarningsInput(spec, guild.id);
+                        if (!result.ok) {
+                            await interaction.reply({ 
+                                embeds: [createWarningsErrorEmbed(result.error)], 
+                                ephemeral: true 
+                            });
+                            return;
+                        }
+                        guildWarnings.set(guild.id, { spec, checkpoints: result.checkpoints });
+                    }
+                    persistState();
+                    recordAudit(guild.id, { action: 'settings', actorId: user.id, details: `Warning checkpoints: ${describeCheckpoints(guildWarnings.get(guild.id)?.checkpoints || defaultCheckpoints)}` });
+                    
+                    const embed = new EmbedBuilder()
+                        .setColor('#00FF00')
+                        .setTitle('✅ Warning Checkpoints Set')
+                        .setDescription(`Timers on this server now warn at: **${describeCheckpoints(guildWarnings.get(guild.id)?.checkpoints || defaultCheckpoints)}** before the end.\n\nRunning timers keep their checkpoints until they are restarted or resumed.`)
+                        .setTimestamp();
+                    
+                    await interaction.reply({ embeds: [embed] });
+                    break;
+                }
+                
+                case 'set-tts': {
+                    const mode = options.getString('mode');
+                    const language = options.getString('language');
+                    const voice = options.getString('voice')?.trim();
+                    
+                    if (voice && voice.toLowerCase() !== 'default' && !isValidVoiceName(voice)) {
+                        await interaction.reply({ 
+                            content: '❌ Invalid voice name! Use letters, digits, `-`, `_`, `+` and `.` (e.g. `en-us`, `en+f3`, `en_US-lessac-medium`)', 
+                            ephemeral: true 
+                        });
+                        return;
+                    }
+                    
+                    if ((mode || language || voice) && !await requireCapability(interaction, 'configure')) return;
+                    if (mode || language || voice) {
+                        const settings = guildTtsSettings.get(guild.id) || {};
+                        if (mode) settings.mode = mode;
+                        if (language) settings.language = language;
+                        if (voice && voice.toLowerCase() === 'default') delete settings.voice;
+                        else if (voice) settings.voice = voice;
+                        
+                        guildTtsSettings.set(guild.id, settings);
+                        persistState();
+                        recordAudit(guild.id, {
+                            action: 'settings',
+                            actorId: user.id,
+                            details: `Spoken announcements: ${[mode && `mode ${mode}`, language && `language ${language}`, voice && `voice ${voice}`].filter(Boolean).join(', ')}`
+                        });
+                    }
+                    
+                    const embed = new EmbedBuilder()
+                        .setColor(mode || language || voice ? '#00FF00' : '#0099FF')
+                        .setTitle(mode || language || voice ? '✅ Spoken Announcements Set' : '🗣️ Spoken Announcements')
+                        .setDescription(`${describeTtsSettings(getGuildTtsSettings(guild.id))}\n\nTry it with \`/tts-test\`.`)
+                        .setTimestamp();
                     
-                    if (duration <= 0) {
+                    await interaction.reply({ embeds: [embed], ephemeral: !(mode || language || voice) });
+                    break;
+                }
+                
+                case 'tts-test': {
+                    if (!await requireCapability(interaction, 'voice')) return;
+                    
+                    if (!guild.members.me.voice.channel) {
                         await interaction.reply({ 
-                            content: '❌ Invalid time format! Use e.g. 2m, 5m, 1h', 
+                            content: '❌ The bot must be in a voice channel! Use `/voice-connect`', 
                             ephemeral: true 
                         });
                         return;
                     }
                     
-                    // Check if there's already a timer
-                    if (activeTimers.has(channel.id)) {
-                        const oldTimer = activeTimers.get(channel.id);
-                        clearTimeout(oldTimer.timeoutId);
-                        if (oldTimer.warningTimeoutId) {
-                            clearTimeout(oldTimer.warningTimeoutId);
+                    const tts = getGuildTtsSettings(guild.id);
+                    const text = options.getString('text') || buildAnnouncement({ type: 'warning', remaining: 60 * 1000 }, tts.language);
+                    
+                    await interaction.deferReply();
+                    
+                    const result = await synthesizeSpeech(text, tts);
+                    if (!result.ok) {
+                        const embed = new EmbedBuilder()
+                            .setColor('#FF0000')
+                            .setTitle('❌ Speech Not Generated')
+                            .setDescription(result.error.message)
+                            .setTimestamp();
+                        
+                        await interaction.editReply({ embeds: [embed] });
+                        return;
+                    }
+                    
+                    const embed = new EmbedBuilder()
+                        .setColor('#FFA500')
+                        .setTitle('🗣️ Speech Test')
+                        .setDescription(`Speaking: **${text}**\n\n${describeTtsSettings(tts)}`)
+                        .setTimestamp();
+                    
+                    await interaction.editReply({ embeds: [embed] });
+                    
+                    playSound(channel, result.file);
+                    break;
+                }
+                
+                case 'interval': {
+                    const subcommand = options.getSubcommand();
+                    const guildPresets = intervalPresets.get(guild.id) || {};
+                    
+                    if (subcommand === 'preset-list') {
+                        const lines = [
+                            ...Object.entries(guildPresets).map(([name, preset]) => `**${name}** - \`${preset.sequence}\``),
+                            ...Object.entries(BUILTIN_PRESETS)
+                                .filter(([name]) => !guildPresets[name])
+                                .map(([name, sequence]) => `**${name}** (built-in) - \`${sequence}\``)
+                        ];
+                        
+                        const embed = new EmbedBuilder()
+                            .setColor('#0099FF')
+                            .setTitle('🔁 Interval Presets')
+                            .setDescription(`${lines.join('\n')}\n\nStart one with \`/interval start <name>\`.`)
+                            .setFooter({ text: `${Object.keys(guildPresets).length}/${MAX_PRESETS_PER_GUILD} server presets` })
+                            .setTimestamp();
+                        
+                        await interaction.reply({ embeds: [embed], ephemeral: true });
+                        return;
+                    }
+                    
+                    if (!await requireCapability(interaction, subcommand === 'start' ? 'start' : 'configure')) return;
+                    
+                    if (subcommand === 'preset-delete') {
+                        const name = options.getString('name').trim().toLowerCase();
+                        if (!guildPresets[name]) {
+                            await interaction.reply({ 
+                                content: `❌ No server preset named \`${name}\`! Built-in presets cannot be deleted.`, 
+                                ephemeral: true 
+                            });
+                            return;
+                        }
+                        
+                        delete guildPresets[name];
+                        if (Object.keys(guildPresets).length === 0) {
+                            intervalPresets.delete(guild.id);
+                        }
+                        persistState();
+                        recordAudit(guild.id, { action: 'settings', actorId: user.id, details: `Interval preset deleted: ${name}` });
+                        
+                        await interaction.reply({ content: `🗑️ Preset **${name}** deleted.`, ephemeral: true });
+                        return;
+                    }
+                    
+                    const sequenceInput = options.getString('sequence').trim();
+                    const sequence = subcommand === 'start' ? (findPreset(guildPresets, sequenceInput) || sequenceInput) : sequenceInput;
+                    const parsedSequence = parseSequence(sequence, {
+                        defaultUnit: config.DEFAULT_DURATION_UNIT,
+                        minMs: config.BOT_CONFIG.MIN_TIMER_DURATION,
+                        maxMs: config.BOT_CONFIG.MAX_TIMER_DURATION,
+                        maxTotalMs: config.BOT_CONFIG.MAX_TIMER_DURATION
+                    });
+                    
+                    if (!parsedSequence.ok) {
+                        const embed = new EmbedBuilder()
+                            .setColor('#FF0000')
+                            .setTitle('❌ Invalid Interval Sequence')
+                            .setDescription(`${parsedSequence.error.message}\n\nExample: \`25m work / 5m break x4, then 15m long break\``)
+                            .setTimestamp();
+                        
+                        await interaction.reply({ embeds: [embed], ephemeral: true });
+                        return;
+                    }
+                    
+                    if (subcommand === 'preset-save') {
+                        const name = options.getString('name').trim().toLowerCase();
+                        if (!guildPresets[name] && Object.keys(guildPresets).length >= MAX_PRESETS_PER_GUILD) {
+                            await interaction.reply({ 
+                                content: `❌ Maximum number of presets reached! Limit: ${MAX_PRESETS_PER_GUILD} presets per server`, 
+                                ephemeral: true 
+                            });
+                            return;
                         }
+                        
+                        guildPresets[name] = { sequence, createdBy: user.id };
+                        intervalPresets.set(guild.id, guildPresets);
+                        persistState();
+                        recordAudit(guild.id, { action: 'settings', actorId: user.id, details: `Interval preset saved: ${name} (${sequence})` });
+                        
+                        const embed = new EmbedBuilder()
+                            .setColor('#00FF00')
+                            .setTitle('✅ Interval Preset Saved')
+                            .setDescription(`**${name}** - \`${sequence}\`\n\n${parsedSequence.stages.length} stages, ${formatTime(parsedSequence.totalMs)} in total.\nStart it with \`/interval start ${name}\`.`)
+                            .setTimestamp();
+                        
+                        await interaction.reply({ embeds: [embed] });
+                        return;
                     }
                     
-                    const timerMessage = durationStr ? `Timer (${formatTime(duration)})` : `Timer (default)`;
+                    // subcommand === 'start'
+                    const labelStr = options.getString('label');
+                    const label = labelStr ? labelStr.trim().slice(0, MAX_TIMER_LABEL_LENGTH) || null : null;
+                    const { stages, totalMs } = parsedSequence;
+                    const baseMessage = `Intervals (${stages.length} stages, ${formatTime(totalMs)})`;
+                    const timerMessage = label ? `${label} - ${baseMessage}` : baseMessage;
                     
                     const embed = new EmbedBuilder()
-                        .setColor('#00FF00')
+                        .setColor(STAGE_STYLES[stages[0].kind].color)
                         .setTitle('⏰ Timer Started')
-                        .setDescription(`**${timerMessage}**\n\nDuration: ${formatTime(duration)}\nRemaining: ${formatTime(duration)}`)
+                        .setDescription(`**${timerMessage}**\n\nStage 1/${stages.length}: **${stages[0].label}**\nDuration: ${formatTime(stages[0].duration)}`)
                         .setTimestamp();
                     
                     const reply = await interaction.reply({ 
@@ -1683,49 +5535,245 @@ client.on('interactionCreate', async (interaction) => {
                         components: [...createTimerButtons(), ...createQuickTimerButtons(false)] 
                     });
                     
-                    // Store the message for live updates
                     const message = await reply.fetch();
-                    if (!timerMessages.has(guild.id)) {
-                        timerMessages.set(guild.id, new Map());
+                    const timer = startTimer(channel, stages[0].duration, timerMessage, message, { label, stages, startedBy: user.id });
+                    if (!timer) {
+                        const errorEmbed = new EmbedBuilder()
+                            .setColor('#FF0000')
+                            .setTitle('❌ Error')
+                            .setDescription(`Maximum number of timers reached!\n\nLimit: ${MAX_TIMERS_PER_GUILD} timers per server`);
+                        
+                        await interaction.followUp({ embeds: [errorEmbed] });
                     }
-                    timerMessages.get(guild.id).set(channel.id, { message });
-                    
-                    // Start the timer with proper args
-                    startTimer(channel, duration, timerMessage, message);
                     break;
                 }
                 
-                case 'set-default': {
-                    const timeStr = options.getString('duration');
-                    const duration = parseTime(timeStr, guild.id);
+                case 'schedule': {
+                    const subcommand = options.getSubcommand();
+                    
+                    if (subcommand === 'list') {
+                        const guildSchedules = getGuildSchedules(guild.id);
+                        const description = guildSchedules.length === 0 ?
+                            'No recurring timers on this server.\n\nAdd one with `/schedule add`.' :
+                            guildSchedules.map(schedule =>
+                                `\`${schedule.id}\` **${getScheduleTimerMessage(schedule)}** in <#${schedule.channelId}>\n` +
+                                `${schedule.description} (${schedule.timeZone})` +
+                                (schedule.nextRun ? ` - next <t:${Math.floor(schedule.nextRun / 1000)}:R>` : '')
+                            ).join('\n\n');
+                        
+                        const embed = new EmbedBuilder()
+                            .setColor('#0099FF')
+                            .setTitle('📅 Recurring Timers')
+                            .setDescription(description)
+                            .setFooter({ text: `${guildSchedules.length}/${MAX_SCHEDULES_PER_GUILD} schedules` })
+                            .setTimestamp();
+                        
+                        await interaction.reply({ embeds: [embed], ephemeral: true });
+                        return;
+                    }
+                    
+                    // Adding and removing schedules needs the configure permission
+                    if (!await requireCapability(interaction, 'configure')) return;
+                    
+                    if (subcommand === 'remove') {
+                        const scheduleId = options.getString('id').trim().toLowerCase();
+                        const schedule = schedules.get(scheduleId);
+                        
+                        if (!schedule || schedule.guildId !== guild.id) {
+                            await interaction.reply({ 
+                                content: `❌ No recurring timer with ID \`${scheduleId}\`! Use \`/schedule list\` to see IDs.`, 
+                                ephemeral: true 
+                            });
+                            return;
+                        }
+                        
+                        removeSchedule(schedule.id);
+                        recordAudit(guild.id, { action: 'settings', actorId: user.id, channelId: schedule.channelId, details: `Recurring timer removed: ${schedule.id} (${schedule.description})` });
+                        
+                        const embed = new EmbedBuilder()
+                            .setColor('#FFA500')
+                            .setTitle('🗑️ Recurring Timer Removed')
+                            .setDescription(`**${getScheduleTimerMessage(schedule)}**\n\n${schedule.description} (${schedule.timeZone})`)
+                            .setTimestamp();
+                        
+                        await interaction.reply({ embeds: [embed] });
+                        return;
+                    }
+                    
+                    // subcommand === 'add'
+                    const parsedSchedule = parseSchedule(options.getString('schedule'));
+                    if (!parsedSchedule.ok) {
+                        const embed = new EmbedBuilder()
+                            .setColor('#FF0000')
+                            .setTitle('❌ Invalid Schedule')
+                            .setDescription(parsedSchedule.error.message)
+                            .setTimestamp();
+                        
+                        await interaction.reply({ embeds: [embed], ephemeral: true });
+                        return;
+                    }
                     
-                    if (duration <= 0) {
+                    const timeZone = options.getString('timezone')?.trim() || getGuildTimezone(guild.id);
+                    if (!isValidTimeZone(timeZone)) {
                         await interaction.reply({ 
-                            content: '❌ Invalid time format! Use e.g. 2m, 5m, 1h', 
+                            content: '❌ Unknown time zone! Use an IANA name, e.g. Europe/Warsaw, America/New_York, UTC', 
                             ephemeral: true 
                         });
                         return;
                     }
                     
-                    defaultTimes.set(guild.id, duration);
+                    const parsed = parseTimeInput(options.getString('duration'), guild.id);
+                    if (!parsed.ok) {
+                        await interaction.reply({ 
+                            embeds: [createDurationErrorEmbed(parsed.error)], 
+                            ephemeral: true 
+                        });
+                        return;
+                    }
+                    
+                    const targetChannel = options.getChannel('channel') || channel;
+                    const labelStr = options.getString('label');
+                    const schedule = addSchedule({
+                        guildId: guild.id,
+                        channelId: targetChannel.id,
+                        parsed: parsedSchedule.schedule,
+                        timeZone,
+                        duration: parsed.ms,
+                        label: labelStr ? labelStr.trim().slice(0, MAX_TIMER_LABEL_LENGTH) || null : null,
+                        createdBy: user.id
+                    });
+                    
+                    if (!schedule) {
+                        const errorEmbed = new EmbedBuilder()
+                            .setColor('#FF0000')
+                            .setTitle('❌ Error')
+                            .setDescription(`Maximum number of recurring timers reached!\n\nLimit: ${MAX_SCHEDULES_PER_GUILD} schedules per server`);
+                        
+                        await interaction.reply({ embeds: [errorEmbed], ephemeral: true });
+                        return;
+                    }
+                    
+                    recordAudit(guild.id, { action: 'settings', actorId: user.id, channelId: schedule.channelId, details: `Recurring timer added: ${schedule.id} (${schedule.description}, ${formatTime(schedule.duration)})` });
+                    
+                    const nextRunText = schedule.nextRun ?
+                        `<t:${Math.floor(schedule.nextRun / 1000)}:F> (<t:${Math.floor(schedule.nextRun / 1000)}:R>)` :
+                        'never - the schedule has no upcoming date';
                     
                     const embed = new EmbedBuilder()
                         .setColor('#00FF00')
-                        .setTitle('✅ Default Time Set')
-                        .setDescription(`Default timer duration set to: ${formatTime(duration)}\n\nNow you can use \`/timer\` without providing a duration.`)
+                        .setTitle('📅 Recurring Timer Added')
+                        .setDescription(`**${getScheduleTimerMessage(schedule)}**\n\nWhen: ${schedule.description} (${timeZone})\nChannel: <#${schedule.channelId}>\nNext run: ${nextRunText}`)
+                        .setFooter({ text: `Schedule ID: ${schedule.id}` })
                         .setTimestamp();
                     
-                    await interaction.reply({ 
-                        embeds: [embed], 
-                        components: [...createTimerButtons(), ...createQuickTimerButtons()] 
+                    await interaction.reply({ embeds: [embed] });
+                    break;
+                }
+                
+                case 'permissions': {
+                    const subcommand = options.getSubcommand();
+                    const policy = guildPermissions.get(guild.id) || {};
+                    
+                    if (subcommand === 'show') {
+                        const targetUser = options.getUser('user');
+                        let description;
+                        if (targetUser) {
+                            const target = await guild.members.fetch(targetUser.id).catch(() => null);
+                            if (!target) {
+                                await interaction.reply({ 
+                                    content: '❌ That user is not a member of this server!', 
+                                    ephemeral: true 
+                                });
+                                return;
+                            }
+                            
+                            const granted = getMemberCapabilities(target, policy);
+                            description = `${isPermissionAdmin(target) ? `<@${target.id}> is a server manager and may use everything.` : `Permissions of <@${target.id}>:`}\n\n` +
+                                Object.entries(CAPABILITIES).map(([capability, info]) => `${granted.includes(capability) ? '✅' : '❌'} **${info.label}** (\`${capability}\`)`).join('\n');
+                        } else {
+                            description = Object.entries(CAPABILITIES).map(([capability, info]) =>
+                                `**${info.label}** (\`${capability}\`) - ${info.description}\n→ ${describeGrant(policy, capability, guild.id)}`
+                            ).join('\n\n');
+                        }
+                        
+                        const embed = new EmbedBuilder()
+                            .setColor('#0099FF')
+                            .setTitle('🔐 Permissions')
+                            .setDescription(description)
+                            .setFooter({ text: 'Administrators and members with Manage Server may always use everything' })
+                            .setTimestamp();
+                        
+                        await interaction.reply({ embeds: [embed], ephemeral: true });
+                        return;
+                    }
+                    
+                    // Editing the policy needs Manage Server - the configure permission alone cannot hand out access
+                    const member = await guild.members.fetch(user.id).catch(() => null);
+                    if (!member || !isPermissionAdmin(member)) {
+                        await interaction.reply({ 
+                            content: '❌ Only server managers (Manage Server permission) can change permissions!', 
+                            ephemeral: true 
+                        });
+                        return;
+                    }
+                    
+                    const capability = options.getString('capability');
+                    let result;
+                    if (subcommand === 'reset') {
+                        result = { ok: true, policy: resetCapability(policy, capability) };
+                    } else {
+                        const role = options.getRole('role');
+                        const targetUser = options.getUser('user');
+                        if (!role === !targetUser) {
+                            await interaction.reply({ 
+                                content: '❌ Pick either a role or a user!', 
+                                ephemeral: true 
+                            });
+                            return;
+                        }
+                        
+                        const target = role ? { type: 'role', id: role.id } : { type: 'user', id: targetUser.id };
+                        result = updateGrant(policy, capability, target, subcommand === 'grant');
+                    }
+                    
+                    if (!result.ok) {
+                        await interaction.reply({ 
+                            content: `❌ ${result.error.message}`, 
+                            ephemeral: true 
+                        });
+                        return;
+                    }
+                    
+                    if (Object.keys(result.policy).length > 0) {
+                        guildPermissions.set(guild.id, result.policy);
+                    } else {
+                        guildPermissions.delete(guild.id);
+                    }
+                    persistState();
+                    
+                    const changed = capability ? [capability] : Object.keys(CAPABILITIES);
+                    recordAudit(guild.id, {
+                        action: 'permissions',
+                        actorId: user.id,
+                        targetId: options.getUser('user')?.id,
+                        details: subcommand === 'reset' ?
+                            `Reset to default: ${capability || 'all permissions'}` :
+                            `${subcommand === 'grant' ? 'Granted' : 'Revoked'} ${capability}${options.getRole('role') ? ` (role <@&${options.getRole('role').id}>)` : ''}`
                     });
+                    const embed = new EmbedBuilder()
+                        .setColor('#00FF00')
+                        .setTitle('✅ Permissions Saved')
+                        .setDescription(changed.map(name => `**${CAPABILITIES[name].label}** → ${describeGrant(result.policy, name, guild.id)}`).join('\n'))
+                        .setTimestamp();
+                    
+                    await interaction.reply({ embeds: [embed] });
                     break;
                 }
                 
                 case 'help': {
                     // Check user permissions
                     const member = await guild.members.fetch(interaction.user.id);
-                    const hasPermissions = hasTimerBotUserRole(member);
+                    const hasPermissions = hasCapability(member, 'start');
                     
                     const embed = new EmbedBuilder()
                         .setColor('#0099FF')
@@ -1734,7 +5782,7 @@ client.on('interactionCreate', async (interaction) => {
                         .addFields(
                             {
                                 name: '🔔 Voice Notifications',
-                                value: '🔔 Warning sound: 1 minute before the end\n🚨 Final alarm: when the timer ends\n\n**🚨 ⚠️ IMPORTANT ⚠️ 🚨**\n**The bot must be in a voice channel to play sounds!**',
+                                value: `🔔 Warning sounds: before the end (1 minute by default, change with \`/set-warnings\`)\n🚨 Final alarm: when the timer ends\n🔊 Volume: **${describeVolume(guild.id)}** (change with \`/volume\`)\n\n**🚨 ⚠️ IMPORTANT ⚠️ 🚨**\n**The bot must be in a voice channel to play sounds!**`,
                                 inline: false
                             }
                         )
@@ -1761,6 +5809,8 @@ client.on('interactionCreate', async (interaction) => {
                 }
                 
                 case 'voice-connect': {
+                    if (!await requireCapability(interaction, 'voice')) return;
+                    
                     if (!guild.members.me.voice.channel) {
                         const voiceChannel = guild.members.cache.get(user.id)?.voice?.channel;
                         if (!voiceChannel) {
@@ -1771,13 +5821,8 @@ client.on('interactionCreate', async (interaction) => {
                             return;
                         }
                         
-                        const connection = joinVoiceChannel({
-                            channelId: voiceChannel.id,
-                            guildId: guild.id,
-                            adapterCreator: guild.voiceAdapterCreator,
-                        });
-                        
-                        voiceConnections.set(guild.id, connection);
+                        // Connecting can take a while - reply right away
+                        joinVoiceChannelBot(guild, voiceChannel);
                         
                         const embed = new EmbedBuilder()
                             .setColor('#00FF00')
@@ -1799,6 +5844,8 @@ client.on('interactionCreate', async (interaction) => {
                 }
                 
                 case 'voice-disconnect': {
+                    if (!await requireCapability(interaction, 'voice')) return;
+                    
                     const left = leaveVoiceChannel(guild.id);
                     if (left) {
                         const embed = new EmbedBuilder()
@@ -1813,16 +5860,30 @@ client.on('interactionCreate', async (interaction) => {
                         });
                     } else {
                         await interaction.reply({ 
-                            content: '❌ Bot is not in any voice channel!', 
+                            content: '❌ Bot is not in any voice channel!', 
+                            ephemeral: true 
+                        });
+                    }
+                    break;
+                }
+                
+                case 'sound-test': {
+                    if (!await requireCapability(interaction, 'voice')) return;
+                    
+                    const soundName = options.getString('name');
+                    const soundType = options.getString('type') || (soundName ? null : 'warning');
+                    
+                    if (soundName && !findGuildSound(guild.id, soundName)) {
+                        await interaction.reply({ 
+                            content: `❌ No sound named \`${soundName}\` on this server! Use \`/sound list\``, 
                             ephemeral: true 
                         });
+                        return;
                     }
-                    break;
-                }
-                
-                case 'sound-test': {
-                    const soundType = options.getString('type');
-                    const soundFile = soundType === 'warning' ? 'cri.mp3' : 'end.mp3';
+                    
+                    const soundFile = soundName ?
+                        `${GUILD_SOUND_PREFIX}${soundName.trim().toLowerCase()}` :
+                        resolveEventSound(guild.id, soundType);
                     
                     if (!guild.members.me.voice.channel) {
                         await interaction.reply({ 
@@ -1834,8 +5895,8 @@ client.on('interactionCreate', async (interaction) => {
                     
                     const embed = new EmbedBuilder()
                         .setColor('#FFA500')
-                        .setTitle(soundType === 'warning' ? '🔔 Warning Sound Test' : '🚨 Final Sound Test')
-                        .setDescription('Playing sound...')
+                        .setTitle(soundType === 'end' ? '🚨 Final Sound Test' : '🔔 Warning Sound Test')
+                        .setDescription(`Playing sound: **${describeSound(soundFile)}**...`)
                         .setTimestamp();
                     
                     await interaction.reply({ 
@@ -1847,147 +5908,487 @@ client.on('interactionCreate', async (interaction) => {
                     break;
                 }
                 
-                case 'mic-history': {
-                    const history = microphoneUnmuteHistory.get(guild.id) || [];
-                    if (history.length === 0) {
-                        await interaction.reply({ 
-                            content: '📝 Microphone History\n\nNo one has unmuted yet.', 
-                            ephemeral: true 
-                        });
-                        return;
+                case 'voice-settings': {
+                    const changes = {
+                        autoJoin: options.getBoolean('auto-join'),
+                        channel: options.getChannel('channel'),
+                        clearChannel: options.getBoolean('clear-channel'),
+                        follow: options.getBoolean('follow'),
+                        idleLeaveMinutes: options.getInteger('idle-leave')
+                    };
+                    const hasChanges = Object.values(changes).some(value => value !== null);
+                    
+                    if (hasChanges) {
+                        if (!await requireCapability(interaction, 'configure')) return;
+                        
+                        const settings = guildVoiceSettings.get(guild.id) || {};
+                        if (changes.autoJoin !== null) settings.autoJoin = changes.autoJoin;
+                        if (changes.follow !== null) settings.follow = changes.follow;
+                        if (changes.idleLeaveMinutes !== null) settings.idleLeaveMinutes = changes.idleLeaveMinutes;
+                        if (changes.channel) settings.channelId = changes.channel.id;
+                        else if (changes.clearChannel) delete settings.channelId;
+                        
+                        guildVoiceSettings.set(guild.id, settings);
+                        if (!settings.follow) voiceFollowTargets.delete(guild.id);
+                        persistState();
+                        
+                        const changed = [
+                            changes.autoJoin !== null ? `auto-join ${changes.autoJoin ? 'on' : 'off'}` : null,
+                            changes.channel ? `channel <#${changes.channel.id}>` : (changes.clearChannel ? 'channel cleared' : null),
+                            changes.follow !== null ? `follow ${changes.follow ? 'on' : 'off'}` : null,
+                            changes.idleLeaveMinutes !== null ? `idle leave ${changes.idleLeaveMinutes} min` : null
+                        ].filter(Boolean);
+                        recordAudit(guild.id, { action: 'settings', actorId: user.id, details: `Voice settings: ${changed.join(', ')}` });
                     }
                     
-                    const historyText = history.map((entry, index) => 
-                        `${index + 1}. <@${entry.userId}> - <t:${Math.floor(entry.timestamp.getTime() / 1000)}:T>`
-                    ).join('\n');
+                    const embed = new EmbedBuilder()
+                        .setColor(hasChanges ? '#00FF00' : '#0099FF')
+                        .setTitle(hasChanges ? '✅ Voice Settings Saved' : '🔊 Voice Settings')
+                        .setDescription(describeVoiceSettings(guild.id))
+                        .setTimestamp();
+                    
+                    await interaction.reply({ embeds: [embed], ephemeral: !hasChanges });
+                    break;
+                }
+                
+                case 'volume': {
+                    const subcommand = options.getSubcommand();
+                    
+                    if (subcommand !== 'show') {
+                        if (!await requireCapability(interaction, 'configure')) return;
+                        
+                        const settings = guildVolumes.get(guild.id) || {};
+                        let change;
+                        if (subcommand === 'set') {
+                            settings.volume = options.getInteger('level');
+                            change = `Volume: ${settings.volume}%`;
+                        } else if (subcommand === 'normalize') {
+                            settings.normalize = options.getBoolean('enabled');
+                            change = `Loudness normalization: ${settings.normalize ? 'on' : 'off'}`;
+                        } else {
+                            const soundRef = resolveVolumeSoundRef(guild.id, options.getString('sound'));
+                            if (!soundRef) {
+                                await interaction.reply({ 
+                                    content: `❌ No sound named \`${options.getString('sound')}\`! Use an uploaded sound (\`/sound list\`), \`cri.mp3\`, \`end.mp3\` or \`speech\``, 
+                                    ephemeral: true 
+                                });
+                                return;
+                            }
+                            
+                            const gain = options.getNumber('gain');
+                            settings.gains = settings.gains || {};
+                            if (gain === 0) delete settings.gains[soundRef];
+                            else settings.gains[soundRef] = gain;
+                            change = `${describeSound(soundRef)} adjustment: ${gain > 0 ? '+' : ''}${gain} dB`;
+                        }
+                        
+                        guildVolumes.set(guild.id, settings);
+                        persistState();
+                        recordAudit(guild.id, { action: 'settings', actorId: user.id, details: change });
+                    }
+                    
+                    const settings = getGuildVolume(guild.id);
+                    const gains = Object.entries(settings.gains)
+                        .map(([soundRef, gain]) => `• ${describeSound(soundRef)}: ${gain > 0 ? '+' : ''}${gain} dB`);
                     
                     const embed = new EmbedBuilder()
-                        .setColor('#0099FF')
-                        .setTitle('📝 Microphone History')
-                        .setDescription(historyText)
+                        .setColor(subcommand === 'show' ? '#0099FF' : '#00FF00')
+                        .setTitle(subcommand === 'show' ? '🔊 Volume' : '✅ Volume Set')
+                        .setDescription(`Volume: **${settings.volume}%**${settings.volume === 0 ? ' (muted)' : ''}\nLoudness normalization: **${settings.normalize ? 'on' : 'off'}**\n\n${gains.length > 0 ? `Sound adjustments:\n${gains.join('\n')}` : 'No sound adjustments.'}\n\nChanges apply from the next sound.`)
                         .setTimestamp();
                     
-                    await interaction.reply({ 
-                        embeds: [embed], 
-                        components: [...createTimerButtons(), ...createQuickTimerButtons()] 
-                    });
+                    await interaction.reply({ embeds: [embed], ephemeral: subcommand === 'show' });
                     break;
                 }
                 
-                case 'clear-mic-history': {
-                    microphoneUnmuteHistory.set(guild.id, []);
-                    await interaction.reply({ 
-                        content: '✅ Microphone history cleared!', 
-                        ephemeral: true 
-                    });
+                case 'audio-status': {
+                    const manager = audioManagers.get(guild.id);
+                    const status = manager ? manager.getStatus() : { current: null, queue: [], history: [] };
+                    const describeCue = item => `**${item.cue}**${item.label ? ` - ${item.label}` : ''}`;
+                    const statusIcons = { played: '✅', preempted: '✂️', dropped: '🗑️', failed: '❌', stopped: '⏹️' };
+                    
+                    const history = status.history.slice(0, 10).map(item =>
+                        `${statusIcons[item.status] || '•'} <t:${Math.floor((item.startedAt || item.endedAt) / 1000)}:T> ${describeCue(item)} (${item.status})`
+                    );
+                    
+                    const embed = new EmbedBuilder()
+                        .setColor('#0099FF')
+                        .setTitle('🔊 Audio Status')
+                        .addFields(
+                            { name: 'Now playing', value: status.current ? describeCue(status.current) : 'Nothing', inline: true },
+                            { name: 'Queued', value: status.queue.length > 0 ? status.queue.map(describeCue).join('\n') : 'Nothing', inline: true },
+                            { name: 'Recent playback', value: history.length > 0 ? history.join('\n') : 'No sounds played yet' },
+                            { name: '🔊 Voice', value: describeVoiceStatus(guild) }
+                        )
+                        .setTimestamp();
+                    
+                    await interaction.reply({ embeds: [embed], ephemeral: true });
                     break;
                 }
                 
-                case 'clear-channel': {
-                    // Stop all timers in this channel
-                    const timersStopped = stopAllTimersInChannel(channel.id);
-                    console.log(`Stopped ${timersStopped} timers before clearing messages`);
+                case 'sound': {
+                    const subcommand = options.getSubcommand();
                     
-                    // Leave voice channel if connected
-                    const left = leaveVoiceChannel(guild.id);
-                    if (left) {
-                        console.log('Bot disconnected from voice channel before clearing messages');
+                    if (subcommand === 'list') {
+                        const sounds = listGuildSounds(guild.id);
+                        const assigned = ['warning', 'end']
+                            .map(event => `${event === 'warning' ? '🔔 Warning' : '🚨 End'}: **${describeSound(resolveEventSound(guild.id, event))}**`)
+                            .join('\n');
+                        const soundList = sounds.length === 0 ?
+                            'No sounds uploaded yet. Upload one with `/sound upload`.' :
+                            sounds.map(sound => `• \`${sound.name}\` (${Math.ceil(sound.size / 1024)} KB)`).join('\n');
+                        
+                        const embed = new EmbedBuilder()
+                            .setColor('#0099FF')
+                            .setTitle('🔊 Server Sounds')
+                            .setDescription(`${assigned}\n\n${soundList}`)
+                            .setFooter({ text: `${sounds.length}/${config.BOT_CONFIG.MAX_SOUNDS_PER_GUILD} sounds` })
+                            .setTimestamp();
+                        
+                        await interaction.reply({ embeds: [embed], ephemeral: true });
+                        return;
                     }
                     
-                    // Get all messages in the channel (up to 100 for bulk delete)
-                    const messages = await channel.messages.fetch({ limit: 100 });
-                    let deletedCount = 0;
+                    // Uploading, deleting and assigning sounds needs the configure permission
+                    if (!await requireCapability(interaction, 'configure')) return;
                     
-                    console.log(`Found ${messages.size} messages to check`);
+                    if (subcommand === 'upload') {
+                        await interaction.deferReply({ ephemeral: true });
+                        
+                        const result = await saveGuildSound(guild.id, options.getString('name'), options.getAttachment('file'));
+                        if (!result.ok) {
+                            const embed = new EmbedBuilder()
+                                .setColor('#FF0000')
+                                .setTitle('❌ Sound Not Saved')
+                                .setDescription(result.error.message)
+                                .setTimestamp();
+                            
+                            await interaction.editReply({ embeds: [embed] });
+                            return;
+                        }
+                        
+                        recordAudit(guild.id, { action: 'settings', actorId: user.id, details: `Sound uploaded: ${result.sound.name}` });
+                        
+                        const embed = new EmbedBuilder()
+                            .setColor('#00FF00')
+                            .setTitle('✅ Sound Uploaded')
+                            .setDescription(`**${result.sound.name}** (${(result.sound.duration / 1000).toFixed(1)}s)\n\nPreview it with \`/sound-test name:${result.sound.name}\` and use it with \`/sound assign\`, the \`warning-sound\`/\`end-sound\` options of \`/timer\`, or as a checkpoint sound (e.g. \`1m ${result.sound.name}\`).`)
+                            .setTimestamp();
+                        
+                        await interaction.editReply({ embeds: [embed] });
+                        return;
+                    }
                     
-                    // Separate messages into different categories
-                    const botMessagesToDelete = [];
-                    const userCommandsToDelete = [];
-                    const messagesToKeep = [];
+                    const name = options.getString('name').trim().toLowerCase();
                     
-                    for (const message of messages.values()) {
-                        // Don't delete pinned messages
-                        if (message.pinned) {
-                            console.log('Skipping pinned message');
-                            messagesToKeep.push(message);
-                            continue;
+                    if (subcommand === 'delete') {
+                        if (!deleteGuildSound(guild.id, name)) {
+                            await interaction.reply({ 
+                                content: `❌ No sound named \`${name}\` on this server!`, 
+                                ephemeral: true 
+                            });
+                            return;
                         }
                         
-                        // Bot's own messages
-                        if (message.author.id === client.user.id) {
-                            console.log(`Marking bot message for deletion: "${message.content?.substring(0, 50)}..."`);
-                            botMessagesToDelete.push(message);
+                        // Drop the volume adjustment and event assignments that pointed at the deleted sound
+                        const volumeSettings = guildVolumes.get(guild.id);
+                        if (volumeSettings?.gains?.[`${GUILD_SOUND_PREFIX}${name}`] !== undefined) {
+                            delete volumeSettings.gains[`${GUILD_SOUND_PREFIX}${name}`];
+                            persistState();
                         }
-                        // User messages that are bot commands
-                        else if (message.content.startsWith('!')) {
-                            // Don't delete !cs commands without arguments (default time commands)
-                            if (message.content === '!cs' || message.content === '!start') {
-                                console.log(`Skipping default command: "${message.content}"`);
-                                messagesToKeep.push(message);
-                                continue;
+                        
+                        const settings = guildSoundSettings.get(guild.id);
+                        if (settings) {
+                            for (const event of Object.keys(settings)) {
+                                if (settings[event] === `${GUILD_SOUND_PREFIX}${name}`) {
+                                    delete settings[event];
+                                }
                             }
-                            
-                            console.log(`Marking user command for deletion: "${message.content}"`);
-                            userCommandsToDelete.push(message);
-                        }
-                        else {
-                            messagesToKeep.push(message);
+                            if (Object.keys(settings).length === 0) {
+                                guildSoundSettings.delete(guild.id);
+                            }
+                            persistState();
                         }
+                        recordAudit(guild.id, { action: 'settings', actorId: user.id, details: `Sound deleted: ${name}` });
+                        
+                        await interaction.reply({ content: `🗑️ Sound **${name}** deleted.`, ephemeral: true });
+                        return;
                     }
                     
-                    // Use bulk delete for bot messages (up to 100 at once)
-                    if (botMessagesToDelete.length > 0) {
-                        try {
-                            const botMessageIds = botMessagesToDelete.map(m => m.id);
-                            console.log(`Bulk deleting ${botMessageIds.length} bot messages...`);
-                            await channel.bulkDelete(botMessageIds);
-                            deletedCount += botMessageIds.length;
-                        } catch (error) {
-                            console.log(`Bulk delete failed, falling back to individual deletion: ${error.message}`);
-                            // Fallback to individual deletion
-                            for (const message of botMessagesToDelete) {
-                                try {
-                                    await message.delete();
-                                    deletedCount++;
-                                } catch (deleteError) {
-                                    console.log(`Could not delete bot message: ${deleteError.message}`);
-                                }
+                    // subcommand === 'assign'
+                    const event = options.getString('event');
+                    const settings = guildSoundSettings.get(guild.id) || {};
+                    
+                    if (name === 'default') {
+                        delete settings[event];
+                    } else if (findGuildSound(guild.id, name)) {
+                        settings[event] = `${GUILD_SOUND_PREFIX}${name}`;
+                    } else {
+                        await interaction.reply({ 
+                            content: `❌ No sound named \`${name}\` on this server! Use \`/sound list\``, 
+                            ephemeral: true 
+                        });
+                        return;
+                    }
+                    
+                    if (Object.keys(settings).length === 0) {
+                        guildSoundSettings.delete(guild.id);
+                    } else {
+                        guildSoundSettings.set(guild.id, settings);
+                    }
+                    persistState();
+                    recordAudit(guild.id, { action: 'settings', actorId: user.id, details: `${event === 'warning' ? 'Warning' : 'End'} sound: ${describeSound(resolveEventSound(guild.id, event))}` });
+                    
+                    const embed = new EmbedBuilder()
+                        .setColor('#00FF00')
+                        .setTitle('✅ Sound Assigned')
+                        .setDescription(`${event === 'warning' ? '🔔 Warning' : '🚨 End'} sound on this server: **${describeSound(resolveEventSound(guild.id, event))}**`)
+                        .setTimestamp();
+                    
+                    await interaction.reply({ embeds: [embed] });
+                    break;
+                }
+                
+                case 'auto-cleanup': {
+                    const changes = {
+                        enabled: options.getBoolean('enabled'),
+                        delay: options.getString('delay'),
+                        commands: options.getBoolean('commands')
+                    };
+                    const hasChanges = Object.values(changes).some(value => value !== null);
+                    const settings = getGuildCleanupSettings(guild.id);
+                    
+                    if (hasChanges) {
+                        if (!await requireCapability(interaction, 'configure')) return;
+                        
+                        if (changes.delay !== null) {
+                            const parsed = parseDuration(changes.delay, {
+                                defaultUnit: config.DEFAULT_DURATION_UNIT,
+                                minMs: config.BOT_CONFIG.MIN_TIMER_DURATION,
+                                maxMs: config.BOT_CONFIG.MAX_AUTO_CLEANUP_DELAY
+                            });
+                            if (!parsed.ok) {
+                                await interaction.reply({ 
+                                    embeds: [createDurationErrorEmbed(parsed.error)], 
+                                    ephemeral: true 
+                                });
+                                return;
                             }
+                            settings.delay = parsed.ms;
+                        }
+                        if (changes.enabled !== null) settings.enabled = changes.enabled;
+                        if (changes.commands !== null) settings.commands = changes.commands;
+                        
+                        guildCleanupSettings.set(guild.id, settings);
+                        persistState();
+                        recordAudit(guild.id, {
+                            action: 'settings',
+                            actorId: user.id,
+                            details: `Auto-cleanup: ${settings.enabled ? 'on' : 'off'}, delay ${formatTime(settings.delay)}, commands ${settings.commands ? 'deleted' : 'kept'}`
+                        });
+                    }
+                    
+                    const embed = new EmbedBuilder()
+                        .setColor(hasChanges ? '#00FF00' : '#0099FF')
+                        .setTitle(hasChanges ? '✅ Auto-Cleanup Saved' : '🧹 Auto-Cleanup')
+                        .setDescription(settings.enabled ?
+                            `On - **${formatTime(settings.delay)}** after the last timer in a channel finishes or is stopped, the bot deletes its messages since the first timer (resets, pause and error messages), keeping the timer embeds and end alerts.\n\n${settings.commands ? 'The `!` commands that started or changed the timers are deleted too.' : 'Members\' `!` commands are kept.'}` :
+                            `Off - timer messages stay until someone clears the channel. Turn it on with \`/auto-cleanup enabled:true\`.`)
+                        .setTimestamp();
+                    
+                    await interaction.reply({ embeds: [embed], ephemeral: !hasChanges });
+                    break;
+                }
+                
+                case 'audit': {
+                    const subcommand = options.getSubcommand();
+                    
+                    if (!await requireCapability(interaction, 'configure')) return;
+                    
+                    if (subcommand === 'channel') {
+                        const auditChannel = options.getChannel('channel');
+                        const clear = options.getBoolean('clear');
+                        
+                        if (auditChannel) {
+                            auditChannels.set(guild.id, auditChannel.id);
+                        } else if (clear) {
+                            auditChannels.delete(guild.id);
+                        }
+                        if (auditChannel || clear) {
+                            persistState();
+                            recordAudit(guild.id, { action: 'settings', actorId: user.id, details: `Audit channel: ${auditChannel ? `<#${auditChannel.id}>` : 'none'}` });
+                        }
+                        
+                        const current = auditChannels.get(guild.id);
+                        const embed = new EmbedBuilder()
+                            .setColor(auditChannel || clear ? '#00FF00' : '#0099FF')
+                            .setTitle(auditChannel || clear ? '✅ Audit Channel Set' : '🛡️ Audit Channel')
+                            .setDescription(current ?
+                                `Mutes, speaker turns, channel cleanups, settings and permission changes are posted to <#${current}>.\n\nSearch the log with \`/audit search\`.` :
+                                'No audit channel - actions are only kept in the log. Search it with `/audit search`.')
+                            .setTimestamp();
+                        
+                        await interaction.reply({ embeds: [embed], ephemeral: !(auditChannel || clear) });
+                        return;
+                    }
+                    
+                    // subcommand === 'search'
+                    const filters = {
+                        actorId: options.getUser('user')?.id || null,
+                        targetId: options.getUser('target')?.id || null,
+                        action: options.getString('action'),
+                        since: null,
+                        until: Date.now()
+                    };
+                    
+                    // Time range bounds are read in the server's time zone
+                    for (const bound of ['since', 'until']) {
+                        const input = options.getString(bound);
+                        if (!input) continue;
+                        
+                        const parsed = parseTimeBound(input, { timeZone: getGuildTimezone(guild.id) });
+                        if (!parsed.ok) {
+                            await interaction.reply({ content: `❌ ${parsed.error.message}`, ephemeral: true });
+                            return;
+                        }
+                        filters[bound] = Math.min(parsed.timestamp, filters.until);
+                    }
+                    
+                    await interaction.reply({ ...createAuditPage(guild.id, filters, 0), ephemeral: true });
+                    break;
+                }
+                
+                case 'rate-limit': {
+                    const subcommand = options.getSubcommand();
+                    
+                    if (!await requireCapability(interaction, 'configure')) return;
+                    
+                    let overrides = guildRateLimits.get(guild.id) || {};
+                    if (subcommand === 'set') {
+                        const scope = options.getString('scope');
+                        const parsed = parseDuration(options.getString('per'), {
+                            defaultUnit: 's',
+                            minMs: config.BOT_CONFIG.MIN_TIMER_DURATION,
+                            maxMs: config.BOT_CONFIG.MAX_RATE_LIMIT_WINDOW
+                        });
+                        if (!parsed.ok) {
+                            await interaction.reply({ 
+                                embeds: [createDurationErrorEmbed(parsed.error)], 
+                                ephemeral: true 
+                            });
+                            return;
                         }
+                        
+                        const limit = { capacity: options.getInteger('capacity'), windowMs: parsed.ms };
+                        overrides = { ...overrides, [scope]: limit };
+                        recordAudit(guild.id, { action: 'settings', actorId: user.id, details: `Rate limit (${RATE_LIMIT_SCOPES[scope].label}): ${describeRateLimit(limit)}` });
+                    } else if (subcommand === 'reset') {
+                        const scope = options.getString('scope');
+                        if (scope) {
+                            const { [scope]: removed, ...rest } = overrides;
+                            overrides = rest;
+                        } else {
+                            overrides = {};
+                        }
+                        recordAudit(guild.id, { action: 'settings', actorId: user.id, details: `Rate limit reset to default: ${scope ? RATE_LIMIT_SCOPES[scope].label : 'all limits'}` });
                     }
                     
-                    // Try to delete user commands individually (bot might not have permission)
-                    for (const message of userCommandsToDelete) {
-                        try {
-                            console.log(`Deleting user command: "${message.content}"`);
-                            await message.delete();
-                            deletedCount++;
-                        } catch (permError) {
-                            console.log(`Cannot delete user message (missing permissions): "${message.content}"`);
+                    if (subcommand !== 'show') {
+                        if (Object.keys(overrides).length > 0) {
+                            guildRateLimits.set(guild.id, overrides);
+                        } else {
+                            guildRateLimits.delete(guild.id);
                         }
+                        persistState();
                     }
                     
-                    // Send a simple confirmation message that will be deleted after 2 seconds
+                    // Limits that apply here, then the bot-wide counters since the bot started
+                    const limits = rateLimiter.getLimits(overrides);
+                    const metrics = rateLimiter.getMetrics();
                     const embed = new EmbedBuilder()
-                        .setColor('#00FF00')
-                        .setTitle('✅ Cleanup Complete')
-                        .setDescription(`Deleted ${deletedCount} messages.\n\n**Kept:**\n• Pinned messages\n• Commands \`!cs\` and \`!start\` without arguments\n• User messages (if bot lacks permission to delete)`)
+                        .setColor(subcommand === 'show' ? '#0099FF' : '#00FF00')
+                        .setTitle(subcommand === 'show' ? '⏰ Rate Limits' : '✅ Rate Limits Saved')
+                        .setDescription(Object.entries(RATE_LIMIT_SCOPES).map(([scope, info]) =>
+                            `**${info.label}**: ${describeRateLimit(limits[scope])}${scope === 'global' ? ' (bot-wide)' : overrides[scope] ? ' (server setting)' : ' (default)'}`
+                        ).join('\n'))
+                        .addFields({
+                            name: 'Usage',
+                            value: `Since <t:${Math.floor(metrics.since / 1000)}:R> - allowed: **${metrics.allowed}** - limited: **${metrics.limited}** (${Object.entries(metrics.limitedByScope).map(([scope, count]) => `${RATE_LIMIT_SCOPES[scope].label.toLowerCase()}: ${count}`).join(', ')})\nTracked buckets: ${metrics.buckets}`
+                        })
+                        .setFooter({ text: 'Counters cover every server the bot is in' })
                         .setTimestamp();
                     
-                    const reply = await interaction.reply({ 
-                        embeds: [embed], 
-                        components: [...createTimerButtons(), ...createQuickTimerButtons()] 
+                    await interaction.reply({ embeds: [embed], ephemeral: subcommand === 'show' });
+                    break;
+                }
+                
+                case 'mic-history': {
+                    const filters = {
+                        userId: options.getUser('user')?.id || null,
+                        type: options.getString('event'),
+                        since: null,
+                        until: Date.now()
+                    };
+                    
+                    // Time range bounds are read in the server's time zone
+                    for (const bound of ['since', 'until']) {
+                        const input = options.getString(bound);
+                        if (!input) continue;
+                        
+                        const parsed = parseTimeBound(input, { timeZone: getGuildTimezone(guild.id) });
+                        if (!parsed.ok) {
+                            await interaction.reply({ content: `❌ ${parsed.error.message}`, ephemeral: true });
+                            return;
+                        }
+                        filters[bound] = Math.min(parsed.timestamp, filters.until);
+                    }
+                    
+                    await interaction.reply(createMicLogPage(guild.id, filters, 0));
+                    break;
+                }
+                
+                case 'clear-mic-history': {
+                    if (!await requireCapability(interaction, 'mute')) return;
+                    
+                    clearMicrophoneHistory(guild.id);
+                    recordAudit(guild.id, { action: 'clear_mic_history', actorId: user.id });
+                    await interaction.reply({ 
+                        content: '✅ Microphone history cleared!', 
+                        ephemeral: true 
                     });
+                    break;
+                }
+                
+                case 'clear-channel': {
+                    if (!await requireCapability(interaction, 'clear-channel')) return;
                     
-                    // Delete the confirmation message after 2 seconds
-                    setTimeout(async () => {
-                        try {
-                            const message = await reply.fetch();
-                            await message.delete();
-                        } catch (error) {
-                            console.log('Could not delete confirmation message:', error.message);
+                    // Time range bounds are read in the server's time zone
+                    const bounds = { before: null, after: null };
+                    for (const [bound, option] of [['before', 'older-than'], ['after', 'newer-than']]) {
+                        const input = options.getString(option);
+                        if (!input) continue;
+                    
+                        const parsed = parseTimeBound(input, { timeZone: getGuildTimezone(guild.id) });
+                        if (!parsed.ok) {
+                            await interaction.reply({ content: `❌ ${parsed.error.message}`, ephemeral: true });
+                            return;
                         }
-                    }, 2000);
+                        bounds[bound] = parsed.timestamp;
+                    }
+                    
+                    const result = createCleanupFilter({
+                        scope: options.getString('scope'),
+                        userId: options.getUser('user')?.id || null,
+                        ...bounds,
+                        pattern: options.getString('match'),
+                        keepPinned: options.getBoolean('keep-pinned')
+                    });
+                    if (!result.ok) {
+                        await interaction.reply({ content: `❌ ${result.error.message}`, ephemeral: true });
+                        return;
+                    }
+                        
+                    await showCleanupPreview(interaction, result.filter, options.getInteger('limit') || config.BOT_CONFIG.DEFAULT_CLEANUP_SCAN);
                     break;
                 }
                 
@@ -1998,7 +6399,7 @@ client.on('interactionCreate', async (interaction) => {
                     });
             }
         } catch (error) {
-            console.error('Error handling slash command:', error);
+            log.error('Error handling slash command', { error });
             try {
                 if (!interaction.replied && !interaction.deferred) {
                     await interaction.reply({ 
@@ -2007,46 +6408,33 @@ client.on('interactionCreate', async (interaction) => {
                     });
                 }
             } catch (replyError) {
-                console.error('Error replying to slash command error:', replyError.message);
+                log.error('Error replying to slash command error', { error: replyError });
             }
         }
         return;
     }
     
-    // Handle button interactions
-    if (!interaction.isButton()) return;
+    // Handle button interactions (and the mute/unmute select menus and modals)
+    if (!interaction.isButton() && !interaction.isStringSelectMenu() && !interaction.isModalSubmit()) return;
     
     const { customId, channel, guild, user } = interaction;
     
     // Check if interaction is still valid
     if (interaction.replied || interaction.deferred) {
-        console.log('Interaction already replied/deferred, skipping');
+        log.debug('Interaction already replied/deferred, skipping');
         return;
     }
     
     // Rate limiting check
-    if (isRateLimited(user.id)) {
+    const rateLimit = checkRateLimit(user.id, interaction.guildId, getInteractionRateLimitKey(customId));
+    if (!rateLimit.ok) {
         try {
             await interaction.reply({ 
-                content: '⏰ Please wait a moment before the next command!', 
+                content: getRateLimitMessage(rateLimit), 
                 ephemeral: true 
             });
         } catch (error) {
-            console.error('Error replying to rate limited interaction:', error.message);
-        }
-        return;
-    }
-    
-    // Global rate limiting check
-    if (!checkGlobalRateLimit()) {
-        console.warn(`Global rate limit exceeded for interaction. Current requests: ${globalRateLimit.requests}`);
-        try {
-            await interaction.reply({ 
-                content: '⏰ The bot is currently overloaded. Please try again shortly!', 
-                ephemeral: true 
-            });
-        } catch (error) {
-            console.error('Error replying to global rate limited interaction:', error.message);
+            log.error('Error replying to rate limited interaction', { error });
         }
         return;
     }
@@ -2058,24 +6446,11 @@ client.on('interactionCreate', async (interaction) => {
             // Check if interaction is still valid
             if (interaction.replied || interaction.deferred) return;
             
-            // Check if user has Timer Bot User role
-            const member = await guild.members.fetch(interaction.user.id);
-            if (!hasTimerBotUserRole(member)) {
-                // Silently ignore users without permissions
-                return;
-            }
+            // Check if user has the start permission (denied users are told why)
+            if (!await requireCapability(interaction, 'start')) return;
             
             const defaultTime = defaultTimes.get(guild.id) || 5 * 60 * 1000;
             const timerMessage = `Timer (default)`;
-            
-            // Check if there's already a timer
-            if (activeTimers.has(channel.id)) {
-                const oldTimer = activeTimers.get(channel.id);
-            clearTimeout(oldTimer.timeoutId);
-            if (oldTimer.warningTimeoutId) {
-                clearTimeout(oldTimer.warningTimeoutId);
-            }
-        }
         
         const embed = new EmbedBuilder()
             .setColor('#00FF00')
@@ -2091,7 +6466,7 @@ client.on('interactionCreate', async (interaction) => {
             messageToStore = await reply.fetch();
         }
         
-        const timer = startTimer(channel, defaultTime, timerMessage, messageToStore);
+        const timer = startTimer(channel, defaultTime, timerMessage, messageToStore, { startedBy: user.id });
         if (!timer) {
             const errorEmbed = new EmbedBuilder()
                 .setColor('#FF0000')
@@ -2105,19 +6480,16 @@ client.on('interactionCreate', async (interaction) => {
         // Flag is now set in startTimer() only for new timers
     }
     
-    else if (customId === 'timer_pause') {
+    else if (customId === 'timer_pause' || customId.startsWith('timer_pause_')) {
         // Check if interaction is still valid
         if (interaction.replied || interaction.deferred) return;
         
-        // Check if user has Timer Bot User role
-        const member = await guild.members.fetch(interaction.user.id);
-        if (!hasTimerBotUserRole(member)) {
-            // Silently ignore users without permissions
-            return;
-        }
+        // Check if user has the pause permission (denied users are told why)
+        if (!await requireCapability(interaction, 'pause')) return;
         
-        const timer = activeTimers.get(channel.id);
-        if (!timer) {
+        const target = resolveButtonTimer(interaction, 'timer_pause');
+        const timer = target.timer;
+        if (target.error === 'none') {
             const embed = new EmbedBuilder()
                 .setColor('#FF0000')
                 .setTitle('❌ No Active Timer')
@@ -2127,13 +6499,32 @@ client.on('interactionCreate', async (interaction) => {
             await interaction.reply({ embeds: [embed], components: [...createTimerButtons(), ...createQuickTimerButtons(false)] });
             return;
         }
+        if (!timer) {
+            await interaction.reply({ embeds: [createTimerTargetErrorEmbed(target, 'Use the ⏸️ Pause button on the timer\'s own message.')], ephemeral: true });
+            return;
+        }
+        
+        // Stopwatch - pausing freezes the elapsed time, resuming continues from it
+        if (timer.isStopwatch) {
+            toggleStopwatchPause(timer, channel);
+            
+            const messageData = getTimerMessageData(timer);
+            if (messageData && messageData.message) {
+                await messageData.message.edit({ embeds: [createStopwatchEmbed(timer)], components: createTimerComponents(timer) });
+                await interaction.deferUpdate();
+                return;
+            }
+            
+            await interaction.reply({ embeds: [createStopwatchEmbed(timer)], components: createTimerComponents(timer) });
+            return;
+        }
         
         if (timer.isPaused) {
             // Resume timer
             const remainingTime = timer.pausedRemainingTime || 0;
             if (remainingTime <= 0) {
                 // Timer already expired, clean up
-                activeTimers.delete(channel.id);
+                removeTimerTracking(timer);
                 const embed = new EmbedBuilder()
                     .setColor('#FF0000')
                     .setTitle('⏰ Timer Expired')
@@ -2147,63 +6538,23 @@ client.on('interactionCreate', async (interaction) => {
             // Resume timer - use the stored remaining time
             timer.isPaused = false;
             timer.endTime = Date.now() + remainingTime;
-            timer.warningTime = timer.endTime - 60000;
-            timer.warningRemainingTime = remainingTime > 60000 ? (remainingTime - 60000) : null;
             
             // Clear pause data
             delete timer.pausedAt;
             delete timer.pausedRemainingTime;
             
-            // Restart the update interval
-            timer.updateIntervalId = setInterval(() => {
-                updateTimerMessage(channel.id, timer);
-            }, 1000);
-            
-            
-            // Restart the main timeout
-            timer.timeoutId = setTimeout(async () => {
-                const embed = new EmbedBuilder()
-                    .setColor('#FF0000')
-                    .setTitle('🚨 Timer Finished!')
-                    .setDescription(`**${timer.message}**\n\n⏰ **Time is up!**`)
-                    .setTimestamp();
-                
-                await channel.send({ embeds: [embed], components: [...createTimerButtons(), ...createQuickTimerButtons()] });
-                
-                // Play final alarm
-                if (channel.guild.members.me.voice.channel) {
-                    await playSound(channel, 'end.mp3');
-                }
-                
-                // Clean up
-                activeTimers.delete(channel.id);
-                if (timerMessages.has(guild.id)) {
-                    timerMessages.get(guild.id).delete(channel.id);
-                    if (timerMessages.get(guild.id).size === 0) {
-                        timerMessages.delete(guild.id);
-                    }
-                }
-            }, remainingTime);
-            
-            // Reschedule warning based on new end time
-            scheduleWarning(timer, channel);
+            // Restart the update interval, warning and main timeout from the new end time
+            scheduleTimer(timer, channel);
+            persistState();
             
             // Update the original timer message instead of creating new one
-            const guildId = timer.guildId;
-            if (timerMessages.has(guildId)) {
-                const guildMessages = timerMessages.get(guildId);
-                const messageData = guildMessages.get(channel.id);
-                if (messageData && messageData.message) {
-                    const embed = new EmbedBuilder()
-                        .setColor('#00FF00')
-                            .setTitle('⏰ Timer Active')
-                            .setDescription(`**${timer.message}**\n\nDuration: ${formatTime(timer.duration)}\nRemaining: ${formatTime(remainingTime)}`)
-                        .setTimestamp();
-                    
-                    await messageData.message.edit({ embeds: [embed], components: [...createTimerButtons(), ...createQuickTimerButtons(false)] });
-                    await interaction.deferUpdate();
-                    return;
-                }
+            const messageData = getTimerMessageData(timer);
+            if (messageData && messageData.message) {
+                const embed = createTimerEmbed(timer, remainingTime);
+                
+                await messageData.message.edit({ embeds: [embed], components: createTimerComponents(timer) });
+                await interaction.deferUpdate();
+                return;
             }
             
             // Fallback if no original message found
@@ -2222,35 +6573,23 @@ client.on('interactionCreate', async (interaction) => {
             // Store the remaining time and pause timestamp
             timer.pausedAt = Date.now();
             timer.pausedRemainingTime = Math.max(0, remainingTime); // Ensure non-negative
-            timer.warningRemainingTime = (timer.endTime - 60000) - Date.now();
             
-            // Clear timeouts and intervals
+            // Clear timeouts and intervals (checkpoints are rescheduled from the new end time on resume)
             clearTimeout(timer.timeoutId);
-            if (timer.warningTimeoutId) {
-                clearTimeout(timer.warningTimeoutId);
-                timer.warningTimeoutId = null;
-            }
+            clearCheckpoints(timer);
             if (timer.updateIntervalId) {
                 clearInterval(timer.updateIntervalId);
             }
-            
+            persistState();
             
             // Update the original timer message instead of creating new one
-            const guildId = timer.guildId;
-            if (timerMessages.has(guildId)) {
-                const guildMessages = timerMessages.get(guildId);
-                const messageData = guildMessages.get(channel.id);
-                if (messageData && messageData.message) {
-                    const embed = new EmbedBuilder()
-                        .setColor('#FFA500')
-                        .setTitle('⏸️ Timer Paused')
-                        .setDescription(`**${timer.message}**\n\nDuration: ${formatTime(timer.duration)}\nRemaining: ${formatTime(remainingTime)}`)
-                        .setTimestamp();
-                    
-                    await messageData.message.edit({ embeds: [embed], components: [...createTimerButtons(), ...createQuickTimerButtons(false)] });
-                    await interaction.deferUpdate();
-                    return;
-                }
+            const messageData = getTimerMessageData(timer);
+            if (messageData && messageData.message) {
+                const embed = createTimerEmbed(timer, remainingTime);
+                
+                await messageData.message.edit({ embeds: [embed], components: createTimerComponents(timer) });
+                await interaction.deferUpdate();
+                return;
             }
             
             // Fallback if no original message found
@@ -2264,18 +6603,65 @@ client.on('interactionCreate', async (interaction) => {
         }
     }
     
-    else if (customId === 'timer_stop') {
+    else if (customId.startsWith('stopwatch_lap_')) {
+        // Check if interaction is still valid
+        if (interaction.replied || interaction.deferred) return;
+        
+        // Check if user has the pause permission (denied users are told why)
+        if (!await requireCapability(interaction, 'pause')) return;
+        
+        const timer = activeTimers.get(customId.slice('stopwatch_lap_'.length));
+        if (!timer || !timer.isStopwatch) {
+            await interaction.reply({ content: '❌ This stopwatch is no longer running.', ephemeral: true });
+            return;
+        }
+        
+        recordLap(timer);
+        await interaction.update({ embeds: [createStopwatchEmbed(timer)], components: createTimerComponents(timer) });
+    }
+    
+    else if (customId.startsWith('timer_skip_')) {
+        // Check if interaction is still valid
+        if (interaction.replied || interaction.deferred) return;
+        
+        // Check if user has the pause permission (denied users are told why)
+        if (!await requireCapability(interaction, 'pause')) return;
+        
+        const target = resolveButtonTimer(interaction, 'timer_skip');
+        const timer = target.timer;
+        if (!timer || !timer.stages) {
+            await interaction.reply({ embeds: [createTimerTargetErrorEmbed(target.error ? target : { error: 'not_found', timers: getChannelTimers(channel.id) }, 'This interval timer is no longer running.')], ephemeral: true });
+            return;
+        }
+        
+        await interaction.deferUpdate();
+        
+        // Skipping the last stage finishes the timer
+        safeCleanupTimer(timer);
+        await finishTimer(timer, channel);
+    }
+    
+    else if (customId === 'timer_stop' || customId.startsWith('timer_stop_')) {
         // Check if interaction is still valid
         if (interaction.replied || interaction.deferred) return;
         
-        // Check if user has Timer Bot User role
-        const member = await guild.members.fetch(interaction.user.id);
-        if (!hasTimerBotUserRole(member)) {
-            // Silently ignore users without permissions
+        // Check if user has the stop permission (denied users are told why)
+        if (!await requireCapability(interaction, 'stop')) return;
+        
+        const target = resolveButtonTimer(interaction, 'timer_stop');
+        if (target.error && target.error !== 'none') {
+            await interaction.reply({ embeds: [createTimerTargetErrorEmbed(target, 'Use the ⏹️ Stop button on the timer\'s own message or `!stop <id or label>`.')], ephemeral: true });
             return;
         }
         
-        const timerInfo = stopTimer(channel.id);
+        // Stopwatch - the live embed becomes the final summary
+        if (target.timer && target.timer.isStopwatch) {
+            const elapsed = await stopStopwatch(target.timer);
+            await interaction.reply({ embeds: [createStopwatchSummaryEmbed(target.timer, elapsed)] });
+            return;
+        }
+        
+        const timerInfo = target.timer ? stopTimer(target.timer.id) : false;
         
         if (timerInfo) {
             const defaultTime = defaultTimes.get(guild.id) || 5 * 60 * 1000;
@@ -2318,16 +6704,12 @@ client.on('interactionCreate', async (interaction) => {
         // Check if interaction is still valid
         if (interaction.replied || interaction.deferred) return;
         
-        // Check if user has Timer Bot User role
-        const member = await guild.members.fetch(interaction.user.id);
-        if (!hasTimerBotUserRole(member)) {
-            // Silently ignore users without permissions
-            return;
-        }
+        // Check if user has the voice permission (denied users are told why)
+        if (!await requireCapability(interaction, 'voice')) return;
         
         try {
             // Play warning sound
-            await playSound(channel, 'cri.mp3');
+            await playSound(channel, resolveEventSound(guild.id, 'warning'));
             
             const embed = new EmbedBuilder()
                 .setColor('#FFA500')
@@ -2383,7 +6765,7 @@ client.on('interactionCreate', async (interaction) => {
             
             await interaction.reply({ embeds: [embed], components: [settingsRow1, settingsRow2] });
         } catch (error) {
-            console.error('Error playing warning sound:', error);
+            log.error('Error playing warning sound', { error });
             
             const embed = new EmbedBuilder()
                 .setColor('#FF0000')
@@ -2445,16 +6827,12 @@ client.on('interactionCreate', async (interaction) => {
         // Check if interaction is still valid
         if (interaction.replied || interaction.deferred) return;
         
-        // Check if user has Timer Bot User role
-        const member = await guild.members.fetch(interaction.user.id);
-        if (!hasTimerBotUserRole(member)) {
-            // Silently ignore users without permissions
-            return;
-        }
+        // Check if user has the voice permission (denied users are told why)
+        if (!await requireCapability(interaction, 'voice')) return;
         
         try {
             // Play end sound
-            await playSound(channel, 'end.mp3');
+            await playSound(channel, resolveEventSound(guild.id, 'end'));
             
             const embed = new EmbedBuilder()
                 .setColor('#FF0000')
@@ -2510,7 +6888,7 @@ client.on('interactionCreate', async (interaction) => {
             
             await interaction.reply({ embeds: [embed], components: [settingsRow1, settingsRow2] });
         } catch (error) {
-            console.error('Error playing end sound:', error);
+            log.error('Error playing end sound', { error });
             
             const embed = new EmbedBuilder()
                 .setColor('#FF0000')
@@ -2572,15 +6950,12 @@ client.on('interactionCreate', async (interaction) => {
         // Check if interaction is still valid - only return if already replied
         if (interaction.replied) return;
         
-        // Check if user has Timer Bot User role
-        const member = await guild.members.fetch(interaction.user.id);
-        if (!hasTimerBotUserRole(member)) {
-            // Silently ignore users without permissions
-            return;
-        }
+        // Check if user has the start permission (denied users are told why)
+        if (!await requireCapability(interaction, 'start')) return;
         
-        // Check if there's an active timer
-        const timer = activeTimers.get(channel.id);
+        // Check if there's an active timer (return to the most recently started one)
+        const channelTimers = getChannelTimers(channel.id);
+        const timer = channelTimers[channelTimers.length - 1];
         
         if (timer) {
             // Return to active timer - update the main timer message instead of creating new one
@@ -2589,17 +6964,13 @@ client.on('interactionCreate', async (interaction) => {
                 try {
                     await interaction.deferUpdate();
                 } catch (updateError) {
-                    console.error('Error deferring update:', updateError);
+                    log.error('Error deferring update', { error: updateError });
                     return; // Exit if we can't handle the interaction
                 }
             }
             
             const guildId = timer.guildId;
-            let messageData = null;
-            
-            if (timerMessages.has(guildId)) {
-                messageData = timerMessages.get(guildId).get(channel.id);
-            }
+            const messageData = getTimerMessageData(timer);
             
             if (messageData && messageData.message) {
                 // Calculate remaining time based on pause state
@@ -2610,11 +6981,7 @@ client.on('interactionCreate', async (interaction) => {
                     remaining = timer.endTime - Date.now();
                 }
                 
-                const embed = new EmbedBuilder()
-                    .setColor(timer.isPaused ? '#FFA500' : '#00FF00')
-                    .setTitle(timer.isPaused ? '⏸️ Timer Paused' : '⏰ Timer Active')
-                    .setDescription(`**${timer.message}**\n\nDuration: ${formatTime(timer.duration)}\nRemaining: ${formatTime(remaining)}`)
-                    .setTimestamp();
+                const embed = createTimerEmbed(timer, remaining);
                 
                 try {
                     // Check if timer message still exists
@@ -2622,7 +6989,7 @@ client.on('interactionCreate', async (interaction) => {
                         const fetchedMessage = await messageData.message.fetch();
                         
                         // Update timer message with current time
-                        await messageData.message.edit({ embeds: [embed], components: [...createTimerButtons(), ...createQuickTimerButtons(false)] });
+                        await messageData.message.edit({ embeds: [embed], components: createTimerComponents(timer) });
                         
                         // Cleanup all messages from flag onwards
                         await cleanupMessagesFromFlag(channel, guildId, channel.id);
@@ -2630,21 +6997,16 @@ client.on('interactionCreate', async (interaction) => {
                         // Interaction is already handled by reply, no further action needed
                         
                     } catch (fetchError) {
-                        console.error('Timer message no longer exists:', fetchError.message);
+                        log.warn('Timer message no longer exists', { error: fetchError });
                         // If timer message doesn't exist, create a new one
                         const newTimerMessage = await messageData.message.channel.send({ 
                             embeds: [embed], 
-                            components: [...createTimerButtons(), ...createQuickTimerButtons(false)] 
+                            components: createTimerComponents(timer) 
                         });
                         
                         // Update timerMessages with new message
-                        const newGuildId = newTimerMessage.guildId;
-                        if (!timerMessages.has(newGuildId)) {
-                            timerMessages.set(newGuildId, new Map());
-                        }
-                        timerMessages.get(newGuildId).set(channel.id, {
-                            message: newTimerMessage
-                        });
+                        setTimerMessage(timer, newTimerMessage);
+                        persistState();
                         
                         // Cleanup all messages from flag onwards
                         await cleanupMessagesFromFlag(channel, guildId, channel.id);
@@ -2652,26 +7014,20 @@ client.on('interactionCreate', async (interaction) => {
                         // Interaction is already handled by reply, no further action needed
                     }
                 } catch (error) {
-                    console.error('Error handling back to main:', error);
+                    log.error('Error handling back to main', { error });
                     // Error is already logged, interaction was already replied to with emoji
                 }
             } else {
                 // If no message data, create a new timer message
-                const remaining = timer.endTime - Date.now();
-                const embed = new EmbedBuilder()
-                    .setColor('#00FF00')
-                .setTitle('⏰ Timer Active')
-                .setDescription(`**${timer.message}**\n\nDuration: ${formatTime(timer.duration)}\nRemaining: ${formatTime(remaining)}`)
-                    .setTimestamp();
+                const remaining = timer.isPaused ? (timer.pausedRemainingTime || 0) : timer.endTime - Date.now();
+                const embed = createTimerEmbed(timer, remaining);
                 
                 // Create a new timer message since no message data exists
-                const newMessage = await channel.send({ embeds: [embed], components: [...createTimerButtons(), ...createQuickTimerButtons(false)] });
+                const newMessage = await channel.send({ embeds: [embed], components: createTimerComponents(timer) });
                 
                 // Store the new message for updates
-                if (!timerMessages.has(guild.id)) {
-                    timerMessages.set(guild.id, new Map());
-                }
-                timerMessages.get(guild.id).set(channel.id, { message: newMessage });
+                setTimerMessage(timer, newMessage);
+                persistState();
             }
         } else {
             // Return to main help menu
@@ -2687,7 +7043,7 @@ client.on('interactionCreate', async (interaction) => {
                     },
                     {
                         name: '🔔 Voice Notifications',
-                        value: '🔔 Warning sound: 1 minute before the end\n🚨 Final alarm: when the timer ends\n\n**🚨 ⚠️ IMPORTANT ⚠️ 🚨**\n**The bot must be in a voice channel to play sounds!**\n**Press the "🔗 Connect to voice channel" button!**',
+                        value: `🔔 Warning sounds: before the end (1 minute by default, change with \`/set-warnings\`)\n🚨 Final alarm: when the timer ends\n🔊 Volume: **${describeVolume(guild.id)}** (change with \`/volume\`)\n\n**🚨 ⚠️ IMPORTANT ⚠️ 🚨**\n**The bot must be in a voice channel to play sounds!**\n**Press the "🔗 Connect to voice channel" button!**`,
                         inline: false
                     }
                 )
@@ -2702,12 +7058,8 @@ client.on('interactionCreate', async (interaction) => {
         // Check if interaction is still valid
         if (interaction.replied || interaction.deferred) return;
         
-        // Check if user has Timer Bot User role
-        const member = await guild.members.fetch(interaction.user.id);
-        if (!hasTimerBotUserRole(member)) {
-            // Silently ignore users without permissions
-            return;
-        }
+        // Check if user has the set-default permission (denied users are told why)
+        if (!await requireCapability(interaction, 'set-default')) return;
         
         const embed = new EmbedBuilder()
             .setColor('#FFA500')
@@ -2724,6 +7076,11 @@ client.on('interactionCreate', async (interaction) => {
                     value: 'Test notification sounds:\n• **Reminder Test** - warning sound\n• **End Test** - final sound',
                     inline: false
                 },
+                {
+                    name: '🔉 Volume',
+                    value: `**${describeVolume(guild.id)}**\nChange with \`/volume set 0-100\`, \`/volume sound\` and \`/volume normalize\``,
+                    inline: false
+                },
                 {
                     name: 'Manual Setup',
                     value: 'Use command: `!set cs [duration]`\n\nExamples:\n• `!set cs 5m` - 5 minutes\n• `!set cs 30s` - 30 seconds\n• `!set cs 1h` - 1 hour',
@@ -2785,12 +7142,8 @@ client.on('interactionCreate', async (interaction) => {
         // Check if interaction is still valid
         if (interaction.replied || interaction.deferred) return;
         
-        // Check if user has Timer Bot User role
-        const member = await guild.members.fetch(interaction.user.id);
-        if (!hasTimerBotUserRole(member)) {
-            // Silently ignore users without permissions
-            return;
-        }
+        // Check if user has the mute permission (denied users are told why)
+        if (!await requireCapability(interaction, 'mute')) return;
         
         const history = getMicrophoneHistory(guild.id);
         
@@ -2819,14 +7172,11 @@ client.on('interactionCreate', async (interaction) => {
         // Check if interaction is still valid
         if (interaction.replied || interaction.deferred) return;
         
-        // Check if user has Timer Bot User role
-        const member = await guild.members.fetch(interaction.user.id);
-        if (!hasTimerBotUserRole(member)) {
-            // Silently ignore users without permissions
-            return;
-        }
+        // Check if user has the mute permission (denied users are told why)
+        if (!await requireCapability(interaction, 'mute')) return;
         
         clearMicrophoneHistory(guild.id);
+        recordAudit(guild.id, { action: 'clear_mic_history', actorId: user.id });
         
         const embed = new EmbedBuilder()
             .setColor('#00FF00')
@@ -2836,282 +7186,78 @@ client.on('interactionCreate', async (interaction) => {
         await interaction.reply({ embeds: [embed], components: [...createTimerButtons(), ...createQuickTimerButtons(false)] });
     }
     
-    else if (customId === 'mute_user') {
+    else if (customId === 'mute_user' || customId === 'unmute_user' || customId.startsWith('mic_page:')) {
         // Check if interaction is still valid
         if (interaction.replied || interaction.deferred) return;
         
-        // Check if user has Timer Bot User role
-        const member = await guild.members.fetch(interaction.user.id);
-        if (!hasTimerBotUserRole(member)) {
-            // Silently ignore users without permissions
-            return;
-        }
-        
-        // Check if user has moderator permissions
-        if (!hasTimerBotUserRole(member)) {
-            const embed = new EmbedBuilder()
-                .setColor('#FF0000')
-                .setTitle('❌ Insufficient Permissions')
-                .setDescription('You do not have permission to mute users.\nRequired: Moderator or Administrator');
-            
-            await interaction.reply({ embeds: [embed], components: createMicrophoneHistoryButtons(true), ephemeral: true });
-            return;
-        }
+        // Check if user has the mute permission (denied users are told why)
+        if (!await requireCapability(interaction, 'mute')) return;
         
-        // Get microphone history
-        const history = getMicrophoneHistory(guild.id);
-        if (history.length === 0) {
-            const embed = new EmbedBuilder()
-                .setColor('#FF0000')
-                .setTitle('❌ No History')
-                .setDescription('No users in microphone history to mute.');
-            
-            await interaction.reply({ embeds: [embed], components: createMicrophoneHistoryButtons(false), ephemeral: true });
+        if (customId.startsWith('mic_page:')) {
+            const [, action, page] = customId.split(':');
+            await interaction.update(createMicActionPage(guild, action, parseInt(page, 10) || 0));
             return;
         }
         
-        // Create user selection embed
-        const embed = new EmbedBuilder()
-            .setColor('#FFA500')
-            .setTitle('🔇 Select User to Mute')
-            .setDescription('Choose a user from the list below:\n\n' + 
-                history.map((entry, index) => 
-                    `${index + 1}. **${entry.username}** - <t:${Math.floor(entry.timestamp.getTime() / 1000)}:T>`
-                ).join('\n') + 
-                '\n\n**Note:** This mute applies to the microphone only.')
-            .setTimestamp();
-        
-        // Create user selection buttons (max 5 users due to Discord limit)
-        const userButtons = [];
-        const maxUsers = Math.min(5, history.length);
-        
-        for (let i = 0; i < maxUsers; i++) {
-            const entry = history[i];
-            userButtons.push(
-                new ButtonBuilder()
-                    .setCustomId(`mute_user_${entry.userId}`)
-                    .setLabel(`${i + 1}. ${entry.username}`)
-                    .setStyle(ButtonStyle.Danger)
-            );
-        }
+        await interaction.reply(createMicActionPage(guild, customId === 'mute_user' ? 'mute' : 'unmute', 0));
+    }
         
-        const row1 = new ActionRowBuilder().addComponents(...userButtons);
-        const row2 = new ActionRowBuilder()
-            .addComponents(
-                new ButtonBuilder()
-                    .setCustomId('back_to_voice_history')
-                    .setLabel('⬅️ Back to History')
-                    .setStyle(ButtonStyle.Primary)
-            );
+    else if (customId.startsWith('mic_select:')) {
+        // Check if user has the mute permission (denied users are told why)
+        if (!await requireCapability(interaction, 'mute')) return;
         
-        await interaction.reply({ embeds: [embed], components: [row1, row2] });
+        const action = customId.split(':')[1];
+        pendingMicActions.set(`${guild.id}:${user.id}`, { action, userIds: interaction.values, createdAt: Date.now() });
+        await interaction.showModal(createMicActionModal(action, interaction.values.length));
     }
-    
-    else if (customId.startsWith('mute_user_')) {
-        // Check if interaction is still valid
-        if (interaction.replied || interaction.deferred) return;
         
-        // Check if user has Timer Bot User role
-        const member = await guild.members.fetch(interaction.user.id);
-        if (!hasTimerBotUserRole(member)) {
-            // Silently ignore users without permissions
-            return;
-        }
+    else if (customId.startsWith('mic_modal:')) {
+        // Check if user has the mute permission (denied users are told why)
+        if (!await requireCapability(interaction, 'mute')) return;
         
-        // Check if user has moderator permissions
-        if (!hasTimerBotUserRole(member)) {
-            const embed = new EmbedBuilder()
-                .setColor('#FF0000')
-                .setTitle('❌ Insufficient Permissions')
-                .setDescription('You do not have permission to mute users.');
-            
-            await interaction.reply({ embeds: [embed], ephemeral: true });
+        const action = customId.split(':')[1];
+        const pendingKey = `${guild.id}:${user.id}`;
+        const pending = pendingMicActions.get(pendingKey);
+        pendingMicActions.delete(pendingKey);
+        if (!pending || pending.action !== action || Date.now() - pending.createdAt > 15 * 60 * 1000) {
+            await interaction.reply({ content: '❌ The selection expired - pick the members again.', ephemeral: true });
             return;
         }
         
-        const userId = customId.replace('mute_user_', '');
-        
-        try {
-            // Fetch the user to mute
-            const targetMember = await guild.members.fetch(userId);
-            
-            if (!targetMember) {
-                const embed = new EmbedBuilder()
-                    .setColor('#FF0000')
-                    .setTitle('❌ Error')
-                    .setDescription('Unable to find the user.');
-                
-                await interaction.reply({ embeds: [embed], ephemeral: true });
-                return;
-            }
-            
-            // Allow muting all users with bot permissions (removed hierarchy check)
-            
-            // Voice mute the user (only microphone)
-            await targetMember.voice.setMute(true, 'Wyciszenie mikrofonu przez bota TimerBot');
-            
-            const embed = new EmbedBuilder()
-                .setColor('#00FF00')
-                .setTitle('✅ Microphone Muted')
-                .setDescription(`**${targetMember.user.username}** has been microphone-muted.\n\n*An admin/moderator can unmute.*`)
-                .setTimestamp();
-            
-            await interaction.reply({ embeds: [embed], components: createMicrophoneHistoryButtons(true) });
-            
-        } catch (error) {
-            console.error('Error muting user:', error);
-            const embed = new EmbedBuilder()
-                .setColor('#FF0000')
-                .setTitle('❌ Error')
-                .setDescription('Failed to mute the user. Check bot permissions.')
-            
-            await interaction.reply({ embeds: [embed], ephemeral: true });
-        }
-    }
-    
-    else if (customId === 'unmute_user') {
-        // Check if interaction is still valid
-        if (interaction.replied || interaction.deferred) return;
-        
-        // Check if user has Timer Bot User role
-        const member = await guild.members.fetch(interaction.user.id);
-        if (!hasTimerBotUserRole(member)) {
-            // Silently ignore users without permissions
+        const reason = interaction.fields.getTextInputValue('reason').trim() || null;
+        const minutesInput = action === 'mute' ? interaction.fields.getTextInputValue('minutes').trim() : '';
+        const minutes = minutesInput ? Number(minutesInput) : null;
+        if (minutesInput && (!Number.isInteger(minutes) || minutes < 1 || minutes > config.BOT_CONFIG.MAX_TIMED_MUTE_MINUTES)) {
+            await interaction.reply({ content: `❌ Minutes must be a whole number from 1 to ${config.BOT_CONFIG.MAX_TIMED_MUTE_MINUTES}.`, ephemeral: true });
             return;
         }
         
-        // Check if user has moderator permissions
-        if (!hasTimerBotUserRole(member)) {
-            const embed = new EmbedBuilder()
-                .setColor('#FF0000')
-                .setTitle('❌ Insufficient Permissions')
-                .setDescription('You do not have permission to unmute users.\nRequired: Moderator or Administrator');
-            
-            await interaction.reply({ embeds: [embed], components: createMicrophoneHistoryButtons(true), ephemeral: true });
-            return;
+        const result = await applyMicAction(guild, user, action, pending.userIds, reason, minutes);
+        const isMute = action === 'mute';
+        const lines = result.done.map(userId => `• <@${userId}>`);
+        if (isMute && minutes && result.done.length > 0) {
+            lines.push(`\n⏱️ Unmuted automatically <t:${Math.floor((Date.now() + minutes * 60 * 1000) / 1000)}:R>`);
         }
-        
-        // Get microphone history
-        const history = getMicrophoneHistory(guild.id);
-        if (history.length === 0) {
-            const embed = new EmbedBuilder()
-                .setColor('#FF0000')
-                .setTitle('❌ No History')
-                .setDescription('No users in microphone history to unmute.');
-            
-            await interaction.reply({ embeds: [embed], components: createMicrophoneHistoryButtons(false), ephemeral: true });
-            return;
+        if (reason) lines.push(`\n**Reason:** ${reason}`);
+        if (result.failed.length > 0) {
+            lines.push(`\n❌ Failed: ${result.failed.map(failure => `<@${failure.userId}> (${failure.error})`).join(', ')}`);
         }
         
-        // Create user selection embed for unmuting
         const embed = new EmbedBuilder()
-            .setColor('#00FF00')
-            .setTitle('🔊 Select User to Unmute')
-            .setDescription('Choose a user from the list below:\n\n' + 
-                history.map((entry, index) => 
-                    `${index + 1}. **${entry.username}** - <t:${Math.floor(entry.timestamp.getTime() / 1000)}:T>`
-                ).join('\n') + 
-                '\n\n**Note:** This unmute applies to the microphone.')
+            .setColor(result.done.length > 0 ? '#00FF00' : '#FF0000')
+            .setTitle(result.done.length > 0 ? (isMute ? '✅ Microphones Muted' : '✅ Microphones Unmuted') : '❌ Error')
+            .setDescription(`${result.done.length > 0 ? '' : 'Nobody could be changed. Check bot permissions.\n'}${lines.join('\n')}${isMute && result.done.length > 0 && !minutes ? '\n\n*An admin/moderator can unmute.*' : ''}`)
             .setTimestamp();
-        
-        // Create user selection buttons (max 5 users due to Discord limit)
-        const maxUsers = Math.min(history.length, 5);
-        const userButtons = [];
-        
-        for (let i = 0; i < maxUsers; i++) {
-            const entry = history[i];
-            userButtons.push(
-                new ButtonBuilder()
-                    .setCustomId(`unmute_user_${entry.userId}`)
-                    .setLabel(`${i + 1}. ${entry.username}`)
-                    .setStyle(ButtonStyle.Success)
-            );
-        }
-        
-        const row1 = new ActionRowBuilder().addComponents(...userButtons);
-        const row2 = new ActionRowBuilder()
-            .addComponents(
-                new ButtonBuilder()
-                    .setCustomId('back_to_voice_history')
-                    .setLabel('⬅️ Back to History')
-                    .setStyle(ButtonStyle.Primary)
-            );
-        
-        await interaction.reply({ embeds: [embed], components: [row1, row2] });
-    }
-    
-    else if (customId.startsWith('unmute_user_')) {
-        // Check if interaction is still valid
-        if (interaction.replied || interaction.deferred) return;
-        
-        // Check if user has Timer Bot User role
-        const member = await guild.members.fetch(interaction.user.id);
-        if (!hasTimerBotUserRole(member)) {
-            // Silently ignore users without permissions
-            return;
-        }
-        
-        // Check if user has moderator permissions
-        if (!hasTimerBotUserRole(member)) {
-            const embed = new EmbedBuilder()
-                .setColor('#FF0000')
-                .setTitle('❌ Insufficient Permissions')
-                .setDescription('You do not have permission to unmute users.');
             
-            await interaction.reply({ embeds: [embed], ephemeral: true });
-            return;
-        }
-        
-        const userId = customId.replace('unmute_user_', '');
-        
-        try {
-            // Fetch the user to unmute
-            const targetMember = await guild.members.fetch(userId);
-            
-            if (!targetMember) {
-                const embed = new EmbedBuilder()
-                    .setColor('#FF0000')
-                    .setTitle('❌ Error')
-                    .setDescription('Unable to find the user.');
-                
-                await interaction.reply({ embeds: [embed], ephemeral: true });
-                return;
-            }
-            
-            // Allow unmuting all users with bot permissions (removed hierarchy check)
-            
-            // Unmute the user's microphone
-        await targetMember.voice.setMute(false, 'Microphone unmute by TimerBot');
-            
-            const embed = new EmbedBuilder()
-                .setColor('#00FF00')
-                .setTitle('✅ Microphone Unmuted')
-                .setDescription(`**${targetMember.user.username}** can use the microphone again.`)
-                .setTimestamp();
-            
-            await interaction.reply({ embeds: [embed], components: createMicrophoneHistoryButtons(true) });
-            
-        } catch (error) {
-            console.error('Error unmuting user:', error);
-            const embed = new EmbedBuilder()
-                .setColor('#FF0000')
-                .setTitle('❌ Error')
-                .setDescription('Failed to unmute the user. Check bot permissions.')
-            
-            await interaction.reply({ embeds: [embed], ephemeral: true });
-        }
+        await interaction.reply({ embeds: [embed], components: createMicrophoneHistoryButtons(true) });
     }
     
     else if (customId === 'back_to_voice_history') {
         // Check if interaction is still valid
         if (interaction.replied || interaction.deferred) return;
         
-        // Check if user has Timer Bot User role
-        const member = await guild.members.fetch(interaction.user.id);
-        if (!hasTimerBotUserRole(member)) {
-            // Silently ignore users without permissions
-            return;
-        }
+        // Check if user has the mute permission (denied users are told why)
+        if (!await requireCapability(interaction, 'mute')) return;
         
         const history = getMicrophoneHistory(guild.id);
         
@@ -3136,216 +7282,117 @@ client.on('interactionCreate', async (interaction) => {
         await interaction.reply({ embeds: [embed], components: createMicrophoneHistoryButtons(true) });
     }
     
-    else if (customId === 'clear_messages') {
-        // Check if interaction is still valid
-        if (interaction.replied || interaction.deferred) return;
+    else if (customId.startsWith('audit:')) {
+        // Check if user has the configure permission (denied users are told why)
+        if (!await requireCapability(interaction, 'configure')) return;
         
-        // Check if user has Timer Bot User role
-        const member = await guild.members.fetch(interaction.user.id);
-        if (!hasTimerBotUserRole(member)) {
-            // Silently ignore users without permissions
+        const { page, filters } = parseAuditButton(customId);
+        await interaction.update(createAuditPage(guild.id, filters, page));
+    }
+    
+    else if (customId.startsWith('miclog:')) {
+        const { page, filters } = parseMicLogButton(customId);
+        await interaction.update(createMicLogPage(guild.id, filters, page));
+    }
+    
+    else if (customId === 'queue_join' || customId === 'queue_leave') {
+        await interaction.reply({ content: changeQueueMembership(channel, user.id, customId === 'queue_join' ? 'join' : 'leave'), ephemeral: true });
+    }
+    
+    else if (customId === 'queue_next') {
+        // Check if user has the start permission (denied users are told why)
+        if (!await requireCapability(interaction, 'start')) return;
+        if (getGuildQueueSettings(guild.id).muteOthers && !await requireCapability(interaction, 'mute')) return;
+        
+        const result = await startNextSpeaker(channel, user.id);
+        if (!result.ok) {
+            await interaction.reply({ content: `❌ ${result.error.message}`, ephemeral: true });
             return;
         }
+        await interaction.reply(createNextSpeakerMessage(result));
+    }
+    
+    else if (customId === 'clear_messages') {
+        // Check if interaction is still valid
+        if (interaction.replied || interaction.deferred) return;
         
-        // Show confirmation dialog
-        const embed = new EmbedBuilder()
-            .setColor('#FF0000')
-            .setTitle('⚠️ Confirm Cleanup')
-            .setDescription('Are you sure you want to clear the channel and microphone history?\n\n**This action cannot be undone!**')
-            .addFields(
-                {
-                    name: 'What will be done:',
-                    value: '• **Stop all active timers**\n• **Disconnect the bot from voice channel**\n• **Clear microphone history**\n• **Delete all bot messages**\n• **Attempt to delete user commands**\n• Timer messages\n• Button messages\n• Settings',
-                    inline: false
-                },
-                {
-                    name: 'What will be kept:',
-                    value: '• **Pinned messages**\n• **Regular user messages (no !)**\n• **Commands !cs and !start (default)**\n• **User commands (if bot lacks permissions)**\n• Default timer settings',
-                    inline: false
-                }
-            )
-            .setFooter({ text: 'Created by amadosx 🍒' })
-            .setTimestamp();
-        
-        const confirmRow = new ActionRowBuilder()
-            .addComponents(
-                new ButtonBuilder()
-                    .setCustomId('confirm_clear_messages')
-                    .setLabel('🗑️ Yes, Clear Channel')
-                    .setStyle(ButtonStyle.Danger),
-                new ButtonBuilder()
-                    .setCustomId('cancel_clear_messages')
-                    .setLabel('❌ Cancel')
-                    .setStyle(ButtonStyle.Secondary)
-            );
+        // Check if user has the clear-channel permission (denied users are told why)
+        if (!await requireCapability(interaction, 'clear-channel')) return;
         
-        await interaction.reply({ embeds: [embed], components: [confirmRow] });
+        // The panel button previews the default cleanup - /clear-channel takes filters
+        await showCleanupPreview(interaction, createCleanupFilter().filter, config.BOT_CONFIG.DEFAULT_CLEANUP_SCAN);
     }
     
     else if (customId === 'confirm_clear_messages') {
-        try {
-            // Check if interaction is still valid
-            if (interaction.replied || interaction.deferred) {
-                return;
-            }
-            
-            // Check if user has Timer Bot User role
-            const member = await guild.members.fetch(interaction.user.id);
-            if (!hasTimerBotUserRole(member)) {
-                // Silently ignore users without permissions
-                return;
-            }
-            
-            // First, stop all active timers
-            const stoppedTimers = [];
-            for (const [channelId, timer] of activeTimers) {
-                if (timer.guildId === guild.id) {
-                    const timerInfo = stopTimer(channelId);
-                    if (timerInfo) {
-                        stoppedTimers.push(channelId);
-                    }
-                }
-            }
-            console.log(`Stopped ${stoppedTimers.length} timers before clearing messages`);
-            
-            // Then, disconnect bot from voice channel
-            const left = leaveVoiceChannel(guild.id);
-            if (left) {
-                console.log('Bot disconnected from voice channel before clearing messages');
-            }
-            
-            // Clear microphone history for this guild
-            clearMicrophoneHistory(guild.id);
-            console.log('Cleared microphone history for guild');
-            
-            // Get all messages in the channel (up to 100 for bulk delete)
-            const messages = await channel.messages.fetch({ limit: 100 });
-            let deletedCount = 0;
-            
-            console.log(`Found ${messages.size} messages to check`);
-            
-            // Separate messages into different categories
-            const botMessagesToDelete = [];
-            const userCommandsToDelete = [];
-            const messagesToKeep = [];
+        // Check if user has the clear-channel permission (denied users are told why)
+        if (!await requireCapability(interaction, 'clear-channel')) return;
+        
+        const pendingKey = `${guild.id}:${user.id}`;
+        const pending = pendingCleanups.get(pendingKey);
+        pendingCleanups.delete(pendingKey);
+        if (!pending || pending.channelId !== channel.id || Date.now() - pending.createdAt > 15 * 60 * 1000) {
+            await interaction.reply({ content: '❌ The cleanup preview expired - run `/clear-channel` again.', ephemeral: true });
+            return;
+        }
             
-            for (const message of messages.values()) {
-                // Don't delete pinned messages
-                if (message.pinned) {
-                    console.log('Skipping pinned message');
-                    messagesToKeep.push(message);
-                    continue;
-                }
-                
-                // Mark ALL other messages for deletion (both bot and user messages)
-                if (message.author.id === client.user.id) {
-                    console.log(`Marking bot message for deletion: "${message.content?.substring(0, 50)}..."`);
-                    botMessagesToDelete.push(message);
-                } else {
-                    console.log(`Marking user message for deletion: "${message.content?.substring(0, 50)}..."`);
-                    userCommandsToDelete.push(message);
-                }
-            }
+        const working = new EmbedBuilder()
+            .setColor('#FFA500')
+            .setTitle('🧹 Cleaning Up...')
+            .setDescription(describeCleanupFilter(pending.filter));
+        await interaction.update({ embeds: [working], components: [] });
             
-            // Use bulk delete for bot messages (up to 100 at once)
-            if (botMessagesToDelete.length > 0) {
-                try {
-                    const botMessageIds = botMessagesToDelete.map(m => m.id);
-                    console.log(`Bulk deleting ${botMessageIds.length} bot messages...`);
-                    await channel.bulkDelete(botMessageIds);
-                    deletedCount += botMessageIds.length;
-                } catch (error) {
-                    console.log(`Bulk delete failed, falling back to individual deletion: ${error.message}`);
-                    // Fallback to individual deletion
-                    for (const message of botMessagesToDelete) {
-                        try {
-                            await message.delete();
-                            deletedCount++;
-                        } catch (deleteError) {
-                            console.log(`Could not delete bot message: ${deleteError.message}`);
-                        }
-                    }
-                }
-            }
+        try {
+            // The channel is checked again - messages may have come and gone since the preview
+            const plan = await planChannelCleanup(channel, pending.filter, pending.limit);
+            const timersStopped = stopTimersOfMessages([...plan.bulk, ...plan.single]);
+            const result = await deleteCleanupMessages(channel, plan);
             
-            // Try to delete user commands individually (bot might not have permission)
-            for (const message of userCommandsToDelete) {
-                try {
-                    console.log(`Deleting user command: "${message.content}"`);
-                    await message.delete();
-                    deletedCount++;
-                } catch (permError) {
-                    console.log(`Cannot delete user message (missing permissions): "${message.content}"`);
-                }
-            }
+            recordAudit(guild.id, {
+                action: 'clear_channel',
+                actorId: user.id,
+                channelId: channel.id,
+                details: `Deleted ${result.deleted}/${plan.matched} messages (${describeCleanupFilter(pending.filter)}), stopped ${timersStopped} timers`,
+                result: result.failed > 0 ? 'partial' : 'success',
+                error: result.failed > 0 ? `${result.failed} messages could not be deleted` : null
+            });
             
-            // Send a simple confirmation message that will be deleted after 2 seconds
             const embed = new EmbedBuilder()
-                .setColor('#00FF00')
-            .setTitle('✅ Cleanup Complete')
-            .setDescription(`Stopped ${stoppedTimers.length} timers, disconnected the bot, cleared microphone history, and deleted **${deletedCount}** messages.\n\nRemaining: only pinned/kept messages!`)
-                .setFooter({ text: 'Created by amadosx 🍒' })
+                .setColor(result.failed > 0 ? '#FFA500' : '#00FF00')
+                .setTitle('✅ Cleanup Complete')
+                .setDescription(`Deleted **${result.deleted}** messages${timersStopped > 0 ? ` and stopped ${timersStopped} timers` : ''}.${result.failed > 0 ? `\n\n${result.failed} messages could not be deleted - the bot needs the Manage Messages permission for other members' messages.` : ''}`)
                 .setTimestamp();
             
-            const confirmationMessage = await interaction.reply({ embeds: [embed], components: [...createTimerButtons(), ...createQuickTimerButtons(false)] });
-            
-            // Delete the confirmation message after 2 seconds
-            setTimeout(async () => {
-                try {
-                    if (confirmationMessage && !confirmationMessage.ephemeral) {
-                        await confirmationMessage.delete();
-                    }
-                } catch (error) {
-                    // Message might be already deleted
-                }
-            }, 2000);
-            
+            await interaction.editReply({ embeds: [embed] });
         } catch (error) {
-            // Check if interaction is still valid before replying
-            if (!interaction.replied && !interaction.deferred) {
-                try {
-                    const embed = new EmbedBuilder()
-                        .setColor('#FF0000')
-                        .setTitle('❌ Cleanup Error')
-                        .setDescription('Failed to clear all messages. Please try again.')
+            log.error('Error clearing channel messages', { error });
+            recordAudit(guild.id, { action: 'clear_channel', actorId: user.id, channelId: channel.id, result: 'failed', error: error.message });
+            
+            const embed = new EmbedBuilder()
+                .setColor('#FF0000')
+                .setTitle('❌ Cleanup Error')
+                .setDescription('Failed to clear the messages. Please try again.');
                     
-                    await interaction.reply({ embeds: [embed], components: [...createTimerButtons(), ...createQuickTimerButtons(false)] });
-                } catch (replyError) {
-                    console.error('Error replying to interaction:', replyError.message);
-                }
-            }
+            await interaction.editReply({ embeds: [embed] }).catch(() => {});
         }
     }
     
     else if (customId === 'cancel_clear_messages') {
-        // Check if interaction is still valid
-        if (interaction.replied || interaction.deferred) return;
-        
-        // Check if user has Timer Bot User role
-        const member = await guild.members.fetch(interaction.user.id);
-        if (!hasTimerBotUserRole(member)) {
-            // Silently ignore users without permissions
-            return;
-        }
+        pendingCleanups.delete(`${guild.id}:${user.id}`);
         
         const embed = new EmbedBuilder()
             .setColor('#808080')
             .setTitle('❌ Cleanup Cancelled')
-            .setDescription('Message cleanup has been cancelled.')
+            .setDescription('Message cleanup has been cancelled.');
         
-        await interaction.reply({ embeds: [embed], components: [...createTimerButtons(), ...createQuickTimerButtons(false)] });
+        await interaction.update({ embeds: [embed], components: [] });
     }
     
     else if (customId === 'voice_join') {
         // Check if interaction is still valid
         if (interaction.replied || interaction.deferred) return;
         
-        // Check if user has Timer Bot User role
-        const member = await guild.members.fetch(interaction.user.id);
-        if (!hasTimerBotUserRole(member)) {
-            // Silently ignore users without permissions
-            return;
-        }
+        // Check if user has the voice permission (denied users are told why)
+        if (!await requireCapability(interaction, 'voice')) return;
         
         // Use interaction.member for voice channel check
         const voiceMember = interaction.member;
@@ -3381,12 +7428,8 @@ client.on('interactionCreate', async (interaction) => {
         // Check if interaction is still valid
         if (interaction.replied || interaction.deferred) return;
         
-        // Check if user has Timer Bot User role
-        const member = await guild.members.fetch(interaction.user.id);
-        if (!hasTimerBotUserRole(member)) {
-            // Silently ignore users without permissions
-            return;
-        }
+        // Check if user has the voice permission (denied users are told why)
+        if (!await requireCapability(interaction, 'voice')) return;
         
         const left = leaveVoiceChannel(guild.id);
         
@@ -3411,12 +7454,8 @@ client.on('interactionCreate', async (interaction) => {
         // Check if interaction is still valid
         if (interaction.replied || interaction.deferred) return;
         
-        // Check if user has Timer Bot User role
-        const member = await guild.members.fetch(interaction.user.id);
-        if (!hasTimerBotUserRole(member)) {
-            // Silently ignore users without permissions
-            return;
-        }
+        // Check if user has the start permission (denied users are told why)
+        if (!await requireCapability(interaction, 'start')) return;
         
         const embed = new EmbedBuilder()
             .setColor('#0099FF')
@@ -3430,7 +7469,7 @@ client.on('interactionCreate', async (interaction) => {
                 },
                 {
                     name: '🔔 Voice Notifications',
-                    value: '🔔 Warning sound: 1 minute before the end\n🚨 Final alarm: when the timer ends\n\n**🚨 ⚠️ IMPORTANT ⚠️ 🚨**\n**The bot must be in a voice channel to play sounds!**\n**Press the "🔗 Connect to voice channel" button!**',
+                    value: `🔔 Warning sounds: before the end (1 minute by default, change with \`/set-warnings\`)\n🚨 Final alarm: when the timer ends\n🔊 Volume: **${describeVolume(guild.id)}** (change with \`/volume\`)\n\n**🚨 ⚠️ IMPORTANT ⚠️ 🚨**\n**The bot must be in a voice channel to play sounds!**\n**Press the "🔗 Connect to voice channel" button!**`,
                     inline: false
                 }
             )
@@ -3446,12 +7485,8 @@ client.on('interactionCreate', async (interaction) => {
         // Check if interaction is still valid
         if (interaction.replied || interaction.deferred) return;
         
-        // Check if user has Timer Bot User role
-        const member = await guild.members.fetch(interaction.user.id);
-        if (!hasTimerBotUserRole(member)) {
-            // Silently ignore users without permissions
-            return;
-        }
+        // Check if user has the set-default permission (denied users are told why)
+        if (!await requireCapability(interaction, 'set-default')) return;
         
         if (customId === 'quick_manual') {
             const embed = new EmbedBuilder()
@@ -3480,6 +7515,8 @@ client.on('interactionCreate', async (interaction) => {
         
         // Set as default time for this guild
         defaultTimes.set(guild.id, duration);
+        persistState();
+        recordAudit(guild.id, { action: 'settings', actorId: user.id, details: `Default timer duration: ${formatTime(duration)}` });
         
         const embed = new EmbedBuilder()
             .setColor('#00FF00')
@@ -3491,7 +7528,7 @@ client.on('interactionCreate', async (interaction) => {
     }
     
     } catch (error) {
-        console.error(`[INTERACTION ERROR] ${interaction.customId || interaction.commandName}:`, error.message);
+        log.error('[INTERACTION ERROR]', { error });
         // Try to reply with error message if interaction is still valid
         if (!interaction.replied && !interaction.deferred) {
             try {
@@ -3499,12 +7536,12 @@ client.on('interactionCreate', async (interaction) => {
                     content: '❌ An error occurred while processing the command. Please try again.', 
                     ephemeral: true 
                 });
-                console.log(`[INTERACTION] Successfully replied with error message for ${interaction.customId || interaction.commandName}`);
+                log.debug('[INTERACTION] Successfully replied with error message');
             } catch (replyError) {
-                console.error(`[INTERACTION FAILED] Could not reply to ${interaction.customId || interaction.commandName}:`, replyError.message);
+                log.error('[INTERACTION FAILED] Could not reply', { error: replyError });
             }
         } else {
-            console.log(`[INTERACTION FAILED] ${interaction.customId || interaction.commandName} already replied/deferred - Discord will show "This interaction failed"`);
+            log.warn('[INTERACTION FAILED] Already replied/deferred - Discord will show "This interaction failed"');
         }
     }
 });
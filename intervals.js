@@ -0,0 +1,129 @@
+const { parseDuration } = require('./timeParser');
+
+// Multi-stage interval sequences (Pomodoro, round/rest cycles)
+// Accepts: "25m work / 5m break x4, then 15m long break", "3m round / 1m rest x12", "50m focus, 10m break"
+// Stages in a group are separated by "/", "xN" repeats the group, "," / "then" / ";" start the next group
+
+// Built-in presets available on every server (a server preset with the same name takes precedence)
+const BUILTIN_PRESETS = {
+    pomodoro: '25m work / 5m break x4, then 15m long break',
+    boxing: '3m round / 1m rest x12',
+    '52-17': '52m focus / 17m break x4'
+};
+
+// Words that mark a stage as a rest stage regardless of its position
+const REST_WORDS = ['break', 'rest', 'pause', 'przerwa', 'odpoczynek'];
+
+// Limits to keep sequences (and their embeds) reasonable
+const MAX_STAGES = 50;
+const MAX_STAGE_LABEL_LENGTH = 30;
+
+// Function to build a failed parse result
+function sequenceError(code, message, input) {
+    return { ok: false, error: { code, message, input } };
+}
+
+// Function to split one stage ("25m work", "1h 30m deep work", "5m") into a duration and a label
+// The longest leading run of words that parses as a duration is the duration
+function splitStage(text, options) {
+    const words = text.split(/\s+/).filter(Boolean);
+    let lastError = null;
+    
+    for (let count = words.length; count > 0; count--) {
+        const result = parseDuration(words.slice(0, count).join(' '), options);
+        if (result.ok) {
+            return { ok: true, duration: result.ms, label: words.slice(count).join(' ') };
+        }
+        // Range errors are about the stage itself, not about where the label starts
+        if (result.error.code === 'TOO_SHORT' || result.error.code === 'TOO_LONG') {
+            return result;
+        }
+        lastError = lastError || result;
+    }
+    
+    return lastError || sequenceError('INVALID_STAGE', 'Empty stage.', text);
+}
+
+// Function to parse an interval sequence
+// Options: defaultUnit, minMs/maxMs (per stage), maxTotalMs (whole sequence)
+// Returns { ok: true, stages: [{ label, duration, kind }], totalMs } or { ok: false, error: { code, message, input } }
+function parseSequence(input, options = {}) {
+    const { defaultUnit = 'm', minMs = null, maxMs = null, maxTotalMs = null } = options;
+    
+    if (input === null || input === undefined || String(input).trim() === '') {
+        return sequenceError('EMPTY', 'No interval sequence given.', '');
+    }
+    
+    const raw = String(input).trim();
+    
+    // Group separators: comma (but not a decimal comma such as 2,5m), "then", semicolon
+    const groups = raw.replace(/×/g, 'x')
+        .split(/,(?!\d)|;|\bthen\b/i)
+        .map(group => group.trim())
+        .filter(Boolean);
+    
+    const stages = [];
+    for (const group of groups) {
+        let groupText = group;
+        let repeat = 1;
+        
+        const repeatMatch = groupText.match(/\s*[x*]\s*(\d+)$/i);
+        if (repeatMatch) {
+            repeat = parseInt(repeatMatch[1], 10);
+            groupText = groupText.slice(0, repeatMatch.index).trim();
+            if (repeat < 1) {
+                return sequenceError('INVALID_REPEAT', `Repeat count in \`${group}\` must be at least 1.`, raw);
+            }
+        }
+        
+        const groupStages = [];
+        const stageTexts = groupText.split('/').map(stage => stage.trim());
+        for (let i = 0; i < stageTexts.length; i++) {
+            if (!stageTexts[i]) {
+                return sequenceError('INVALID_STAGE', `Empty stage in \`${group}\`.`, raw);
+            }
+            
+            const result = splitStage(stageTexts[i], { defaultUnit, minMs, maxMs });
+            if (!result.ok) {
+                return sequenceError(result.error.code, `Stage \`${stageTexts[i]}\`: ${result.error.message}`, raw);
+            }
+            
+            // First stage of a group is work, the rest are breaks - unless the label says otherwise
+            const lowerLabel = result.label.toLowerCase();
+            const kind = i > 0 || REST_WORDS.some(word => lowerLabel.includes(word)) ? 'rest' : 'work';
+            groupStages.push({
+                label: (result.label || (kind === 'rest' ? 'Break' : 'Work')).slice(0, MAX_STAGE_LABEL_LENGTH),
+                duration: result.duration,
+                kind
+            });
+        }
+        
+        if (stages.length + groupStages.length * repeat > MAX_STAGES) {
+            return sequenceError('TOO_MANY_STAGES', `A sequence can have at most ${MAX_STAGES} stages.`, raw);
+        }
+        for (let round = 0; round < repeat; round++) {
+            stages.push(...groupStages.map(stage => ({ ...stage })));
+        }
+    }
+    
+    const totalMs = stages.reduce((sum, stage) => sum + stage.duration, 0);
+    if (maxTotalMs !== null && totalMs > maxTotalMs) {
+        return sequenceError('TOO_LONG', 'The whole sequence is longer than the maximum timer duration.', raw);
+    }
+    
+    return { ok: true, stages, totalMs };
+}
+
+// Function to find a preset sequence by name (server presets first, then built-ins)
+function findPreset(guildPresets, name) {
+    const key = String(name || '').trim().toLowerCase();
+    if (guildPresets && guildPresets[key]) return guildPresets[key].sequence;
+    return BUILTIN_PRESETS[key] || null;
+}
+
+module.exports = {
+    parseSequence,
+    findPreset,
+    BUILTIN_PRESETS,
+    MAX_STAGES
+};
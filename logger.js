@@ -0,0 +1,255 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+// Structured logging: every entry is one JSON line { time, level, message, guildId, channelId, userId, command, ... }
+// Entries go to LOG_DIR/combined-<date>.log (errors and warnings also to error-<date>.log) and to the console.
+// Files roll over at midnight (UTC, like the timestamps) and when they reach LOG_MAX_FILE_SIZE
+// (combined-<date>.1.log, .2.log, ...); these and the pm2 logs are deleted after LOG_RETENTION_DAYS.
+// Lines are buffered and written every LOG_FLUSH_INTERVAL - the rest is written when the process exits.
+
+const { BOT_CONFIG } = config;
+const logDir = path.join(__dirname, BOT_CONFIG.LOG_DIR);
+
+// Levels that are logged (the configured level and the more severe ones)
+const enabledLevels = new Set(BOT_CONFIG.LOG_LEVELS.slice(0, BOT_CONFIG.LOG_LEVELS.indexOf(config.LOG_LEVEL) + 1));
+
+// Console method per level
+const CONSOLE_METHODS = {
+    error: 'error',
+    warn: 'warn',
+    info: 'log',
+    debug: 'log'
+};
+
+// Buffered lines waiting to be written (file path -> [line])
+const pendingLines = new Map();
+let flushTimeoutId = null;
+
+// Date of the last log file cleanup (cleanup runs once a day)
+let lastPruneDate = null;
+
+// Function to get the date part of log file names
+function getLogDate(now) {
+    return new Date(now).toISOString().split('T')[0];
+}
+
+// Function to get a file's size (0 when it does not exist yet)
+function getFileSize(filePath) {
+    try {
+        return fs.statSync(filePath).size;
+    } catch (error) {
+        return 0;
+    }
+}
+
+// Function to turn an error (or a rejection reason) into plain JSON
+function serializeError(error) {
+    if (error instanceof Error) {
+        return { message: error.message, code: error.code, stack: error.stack };
+    }
+    return typeof error === 'object' && error !== null ? error : String(error);
+}
+
+// Log file of one kind (combined or error) that rolls over daily and by size
+class LogFile {
+    constructor(prefix) {
+        this.prefix = prefix;
+        this.date = null;
+        this.part = 0;
+        this.size = 0;
+    }
+    
+    // Get the path of a part of the day's file
+    getPath(part) {
+        return path.join(logDir, `${this.prefix}-${this.date}${part > 0 ? `.${part}` : ''}.log`);
+    }
+    
+    // Get the file a line goes to, moving to a new day or part first when needed
+    // After a restart the day's last part is continued
+    reserve(bytes, now) {
+        const date = getLogDate(now);
+        if (date !== this.date) {
+            this.date = date;
+            this.part = 0;
+            this.size = getFileSize(this.getPath(0));
+            while (config.LOG_MAX_FILE_SIZE > 0 && this.size >= config.LOG_MAX_FILE_SIZE) {
+                this.part++;
+                this.size = getFileSize(this.getPath(this.part));
+            }
+        }
+        
+        if (config.LOG_MAX_FILE_SIZE > 0 && this.size > 0 && this.size + bytes > config.LOG_MAX_FILE_SIZE) {
+            this.part++;
+            this.size = 0;
+        }
+        
+        this.size += bytes;
+        return this.getPath(this.part);
+    }
+}
+
+const combinedFile = new LogFile('combined');
+const errorFile = new LogFile('error');
+
+// Names of the logger's own files (combined-2026-10-19.log, error-2026-10-19.1.log, ...)
+const LOG_FILE_PATTERN = /^(combined|error)-\d{4}-\d{2}-\d{2}(\.\d+)?\.log$/;
+
+// Names of the pm2 log files set in ecosystem.config.js
+const PM2_LOG_FILES = require('./ecosystem.config').apps
+    .flatMap(app => [app.error_file, app.out_file, app.log_file])
+    .filter(Boolean)
+    .map(file => path.basename(file));
+
+// Function to check if a file in the log directory is one the retention period applies to
+function isPrunableLogFile(file) {
+    return LOG_FILE_PATTERN.test(file) || PM2_LOG_FILES.includes(file);
+}
+
+// Function to delete the logger's and pm2's log files older than the retention period (other files are kept)
+// Returns the names of the deleted files
+function pruneLogFiles(retentionDays = config.LOG_RETENTION_DAYS, now = Date.now()) {
+    if (!fs.existsSync(logDir)) return [];
+    
+    const cutoff = now - retentionDays * 24 * 60 * 60 * 1000;
+    const deleted = [];
+    for (const file of fs.readdirSync(logDir).filter(isPrunableLogFile)) {
+        const filePath = path.join(logDir, file);
+        try {
+            if (fs.statSync(filePath).mtimeMs < cutoff) {
+                fs.unlinkSync(filePath);
+                deleted.push(file);
+            }
+        } catch (error) {
+            // Logging here would write to the files being cleaned up
+            console.error(`Error deleting log file ${file}:`, error.message);
+        }
+    }
+    return deleted;
+}
+
+// Function to write all buffered lines (sync on exit, so nothing is lost)
+function flushLogs(sync = false) {
+    clearTimeout(flushTimeoutId);
+    flushTimeoutId = null;
+    if (pendingLines.size === 0) return;
+    
+    const batches = [...pendingLines];
+    pendingLines.clear();
+    try {
+        if (!fs.existsSync(logDir)) {
+            fs.mkdirSync(logDir, { recursive: true });
+        }
+        for (const [filePath, lines] of batches) {
+            if (sync) {
+                fs.appendFileSync(filePath, lines.join(''));
+            } else {
+                fs.appendFile(filePath, lines.join(''), error => {
+                    if (error) console.error(`Error writing log file ${filePath}:`, error.message);
+                });
+            }
+        }
+    } catch (error) {
+        // The console is the only place left to report this
+        console.error('Error writing log files:', error.message);
+    }
+}
+
+// Function to buffer an entry for its log files (cleaning up old files on the first entry of a day)
+function writeEntry(entry, now) {
+    if (getLogDate(now) !== lastPruneDate) {
+        lastPruneDate = getLogDate(now);
+        const deleted = pruneLogFiles(config.LOG_RETENTION_DAYS, now);
+        if (deleted.length > 0) {
+            logger.info(`Deleted ${deleted.length} old log files`, { files: deleted });
+        }
+    }
+    
+    const line = `${JSON.stringify(entry)}\n`;
+    const bytes = Buffer.byteLength(line);
+    const files = entry.level === 'error' || entry.level === 'warn' ? [combinedFile, errorFile] : [combinedFile];
+    for (const file of files) {
+        const filePath = file.reserve(bytes, now);
+        if (!pendingLines.has(filePath)) {
+            pendingLines.set(filePath, []);
+        }
+        pendingLines.get(filePath).push(line);
+    }
+    
+    if (!flushTimeoutId) {
+        flushTimeoutId = setTimeout(() => flushLogs(), BOT_CONFIG.LOG_FLUSH_INTERVAL);
+        flushTimeoutId.unref();
+    }
+}
+
+// Function to print an entry to the console (message first, context after it)
+function printEntry(entry) {
+    const { time, level, message, error, ...context } = entry;
+    const details = Object.entries(context).map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+    const text = `[${time}] [${level.toUpperCase()}] ${message}${details.length > 0 ? ` (${details.join(', ')})` : ''}`;
+    
+    if (error) {
+        console[CONSOLE_METHODS[level]](text, error.stack || (typeof error === 'string' ? error : JSON.stringify(error)));
+    } else {
+        console[CONSOLE_METHODS[level]](text);
+    }
+}
+
+class Logger {
+    constructor(context = {}) {
+        this.context = context;
+    }
+    
+    // Create a logger that adds context (e.g. { guildId, channelId, userId, command }) to every entry
+    child(context) {
+        return new Logger({ ...this.context, ...context });
+    }
+    
+    // Log an entry if its level is enabled (details: more context, error: an Error or error message)
+    log(level, message, details = {}) {
+        if (!enabledLevels.has(level)) return;
+        
+        const now = Date.now();
+        const entry = { time: new Date(now).toISOString(), level, message };
+        for (const [key, value] of Object.entries({ ...this.context, ...details })) {
+            if (value === undefined || value === null) continue;
+            entry[key] = key === 'error' ? serializeError(value) : value;
+        }
+        
+        writeEntry(entry, now);
+        printEntry(entry);
+    }
+    
+    // Log an error
+    error(message, details) {
+        this.log('error', message, details);
+    }
+    
+    // Log a warning
+    warn(message, details) {
+        this.log('warn', message, details);
+    }
+    
+    // Log general information
+    info(message, details) {
+        this.log('info', message, details);
+    }
+    
+    // Log details only needed for debugging (LOG_LEVEL=debug or VERBOSE_LOGGING=true)
+    debug(message, details) {
+        this.log('debug', message, details);
+    }
+}
+
+// Shared logger - modules log through it or a child of it
+const logger = new Logger();
+
+// Write what is still buffered when the process exits (also after process.exit)
+process.on('exit', () => flushLogs(true));
+
+module.exports = {
+    Logger,
+    logger,
+    flushLogs,
+    pruneLogFiles
+};
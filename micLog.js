@@ -0,0 +1,140 @@
+const { parseClockTime } = require('./timeParser');
+
+// Voice activity ("microphone") audit log: events detected from voiceStateUpdate
+// Entry: { type, userId, username, actorId, channelId, fromChannelId, timestamp }
+// actorId is who caused the change - the member for their own changes, the moderator for server mutes/deafens
+// (null when the moderator is unknown, e.g. without the View Audit Log permission)
+
+// Event types with their icon and label
+const MIC_EVENTS = {
+    join: { icon: '📥', label: 'Joined voice' },
+    leave: { icon: '📤', label: 'Left voice' },
+    move: { icon: '↔️', label: 'Moved' },
+    self_mute: { icon: '🔇', label: 'Muted' },
+    self_unmute: { icon: '🎤', label: 'Unmuted' },
+    server_mute: { icon: '🚫', label: 'Server muted' },
+    server_unmute: { icon: '🔊', label: 'Server unmuted' },
+    deafen: { icon: '🙉', label: 'Deafened' },
+    undeafen: { icon: '👂', label: 'Undeafened' },
+    stream_start: { icon: '📺', label: 'Started streaming' },
+    stream_stop: { icon: '⏹️', label: 'Stopped streaming' }
+};
+
+// Events that turn a member's microphone on (the "recently unmuted" list)
+const UNMUTE_EVENTS = ['self_unmute', 'server_unmute'];
+
+// Units for "time ago" bounds (e.g. 30m, 12h, 7d, 2w)
+const AGO_UNIT_MS = {
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+};
+
+// Function to detect the events between two voice states of a member
+// Returns [{ type, channelId, fromChannelId, auditKey }] - auditKey ('mute' | 'deaf') marks changes made by a moderator
+function detectVoiceEvents(oldState, newState) {
+    const events = [];
+    const add = (type, extra = {}) => events.push({ type, channelId: newState.channelId || oldState.channelId, fromChannelId: null, auditKey: null, ...extra });
+    
+    if (!oldState.channelId && newState.channelId) {
+        add('join');
+        return events;
+    }
+    if (oldState.channelId && !newState.channelId) {
+        add('leave', { channelId: oldState.channelId });
+        return events;
+    }
+    if (!newState.channelId) return events;
+    
+    if (oldState.channelId !== newState.channelId) {
+        add('move', { fromChannelId: oldState.channelId });
+    }
+    
+    if (Boolean(oldState.serverMute) !== Boolean(newState.serverMute)) {
+        add(newState.serverMute ? 'server_mute' : 'server_unmute', { auditKey: 'mute' });
+    }
+    
+    // Deafening in the Discord client mutes too - that mute is part of the deafen event
+    const selfDeafChanged = Boolean(oldState.selfDeaf) !== Boolean(newState.selfDeaf);
+    if (Boolean(oldState.selfMute) !== Boolean(newState.selfMute) && !selfDeafChanged) {
+        add(newState.selfMute ? 'self_mute' : 'self_unmute');
+    }
+    
+    if (Boolean(oldState.deaf) !== Boolean(newState.deaf)) {
+        const byServer = Boolean(oldState.serverDeaf) !== Boolean(newState.serverDeaf);
+        add(newState.deaf ? 'deafen' : 'undeafen', { auditKey: byServer ? 'deaf' : null });
+    }
+    
+    if (Boolean(oldState.streaming) !== Boolean(newState.streaming)) {
+        add(newState.streaming ? 'stream_start' : 'stream_stop');
+    }
+    
+    return events;
+}
+
+// Function to parse a time range bound - a time ago ("30m", "12h", "7d", "2w") or a time ("18:00", "2026-10-19 18:00")
+// Returns { ok: true, timestamp } or { ok: false, error: { code, message } }
+function parseTimeBound(input, options = {}) {
+    const { timeZone = 'UTC', now = Date.now() } = options;
+    const raw = String(input || '').trim().toLowerCase();
+    
+    const ago = raw.match(/^(\d+(?:\.\d+)?)\s*([mhdw])$/);
+    if (ago) {
+        return { ok: true, timestamp: now - Math.round(parseFloat(ago[1]) * AGO_UNIT_MS[ago[2]]) };
+    }
+    
+    const clock = parseClockTime(raw, { timeZone, now });
+    if (clock.ok) {
+        return { ok: true, timestamp: clock.targetTime };
+    }
+    
+    return {
+        ok: false,
+        error: {
+            code: 'INVALID_TIME_RANGE',
+            message: `Could not understand \`${input}\`. Use a time ago such as \`30m\`, \`12h\` or \`7d\`, or a time such as \`18:00\` or \`2026-10-19 18:00\`.`
+        }
+    };
+}
+
+// Function to filter log entries (newest first)
+// Filters: userId, type, since, until (timestamps, inclusive)
+function filterEntries(entries, filters = {}) {
+    const { userId = null, type = null, since = null, until = null } = filters;
+    return entries
+        .filter(entry =>
+            (!userId || entry.userId === userId) &&
+            (!type || entry.type === type) &&
+            (since === null || entry.timestamp >= since) &&
+            (until === null || entry.timestamp <= until)
+        )
+        .reverse();
+}
+
+// Function to drop entries older than the retention period (entries are kept oldest first)
+function pruneEntries(entries, retentionMs, now = Date.now()) {
+    const firstKept = entries.findIndex(entry => now - entry.timestamp < retentionMs);
+    return firstKept === -1 ? [] : entries.slice(firstKept);
+}
+
+// Function to describe a log entry as an embed line
+function describeEntry(entry) {
+    const event = MIC_EVENTS[entry.type] || { icon: '•', label: entry.type };
+    const where = entry.type === 'move' ?
+        ` <#${entry.fromChannelId}> → <#${entry.channelId}>` :
+        (entry.channelId ? ` in <#${entry.channelId}>` : '');
+    const actor = entry.actorId && entry.actorId !== entry.userId ? ` by <@${entry.actorId}>` : '';
+    
+    return `${event.icon} <t:${Math.floor(entry.timestamp / 1000)}:f> <@${entry.userId}> ${event.label}${where}${actor}`;
+}
+
+module.exports = {
+    MIC_EVENTS,
+    UNMUTE_EVENTS,
+    detectVoiceEvents,
+    parseTimeBound,
+    filterEntries,
+    pruneEntries,
+    describeEntry
+};
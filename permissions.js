@@ -0,0 +1,112 @@
+// Per-guild permission policies: which roles and users may use each capability
+// Policy: { [capability]: { roles: [roleId], users: [userId] } } - capabilities without an entry use the default
+// (the "Timer Bot User" role and members with Manage Channels / Moderate Members).
+// Administrators and members with Manage Server always have every capability, so they cannot lock themselves out.
+
+// Capabilities with their label (denial messages) and what they cover (/permissions show)
+const CAPABILITIES = {
+    start: { label: 'Start timers', description: 'Timers, stopwatches, interval timers and speaking queue turns' },
+    stop: { label: 'Stop timers', description: 'Stopping timers and stopwatches, clearing the speaking queue' },
+    pause: { label: 'Pause timers', description: 'Pause/resume, skipping interval stages and stopwatch laps' },
+    'set-default': { label: 'Set default time', description: 'The server\'s default timer duration (also the quick duration buttons)' },
+    voice: { label: 'Voice', description: 'Connecting the bot to voice and testing sounds' },
+    mute: { label: 'Mute members', description: 'Muting/unmuting members, speaker turns and the microphone history panel' },
+    'clear-channel': { label: 'Clear channel', description: 'Removing bot messages from a channel' },
+    configure: { label: 'Configure', description: 'Server settings: warnings, time zone, sounds, volume, voice, TTS, schedules, presets, linked channels, the queue, auto-cleanup, the audit log and rate limits' }
+};
+
+// Role that grants every capability by default
+const DEFAULT_ROLE_NAME = 'Timer Bot User';
+
+// Discord permissions that grant every capability by default
+const DEFAULT_PERMISSIONS = ['ManageChannels', 'ModerateMembers'];
+
+// Discord permissions that always grant every capability and allow editing the policy
+const ADMIN_PERMISSIONS = ['Administrator', 'ManageGuild'];
+
+// Function to build a failed result
+function permissionError(code, message) {
+    return { ok: false, error: { code, message } };
+}
+
+// Function to check if a member may edit the guild's permission policy (and so has every capability)
+function isPermissionAdmin(member) {
+    return ADMIN_PERMISSIONS.some(permission => member.permissions.has(permission));
+}
+
+// Function to check if a member has a capability under a guild's policy (unknown capabilities are denied)
+function memberHasCapability(member, capability, policy = {}) {
+    if (!(capability in CAPABILITIES)) return false;
+    if (isPermissionAdmin(member)) return true;
+    
+    const grant = policy[capability];
+    if (!grant) {
+        return DEFAULT_PERMISSIONS.some(permission => member.permissions.has(permission)) ||
+            member.roles.cache.some(role => role.name === DEFAULT_ROLE_NAME);
+    }
+    return grant.users.includes(member.id) || grant.roles.some(roleId => member.roles.cache.has(roleId));
+}
+
+// Function to list the capabilities a member has
+function getMemberCapabilities(member, policy = {}) {
+    return Object.keys(CAPABILITIES).filter(capability => memberHasCapability(member, capability, policy));
+}
+
+// Function to grant or revoke a capability for a role or user (target: { type: 'role' | 'user', id })
+// The first grant replaces the default for that capability; revoking the last entry keeps it empty (nobody but admins)
+// Returns { ok: true, policy } with a new policy object or { ok: false, error: { code, message } }
+function updateGrant(policy, capability, target, allow) {
+    if (!(capability in CAPABILITIES)) {
+        return permissionError('UNKNOWN_CAPABILITY', `Unknown permission \`${capability}\`. Use one of: ${Object.keys(CAPABILITIES).join(', ')}.`);
+    }
+    
+    const key = target.type === 'role' ? 'roles' : 'users';
+    const current = policy[capability];
+    if (!allow && !current) {
+        return permissionError('NOT_CONFIGURED', `\`${capability}\` uses the default (${DEFAULT_ROLE_NAME} role and moderators) - grant it to someone first to replace the default.`);
+    }
+    
+    const grant = { roles: [...(current?.roles || [])], users: [...(current?.users || [])] };
+    const hasTarget = grant[key].includes(target.id);
+    if (allow && hasTarget) {
+        return permissionError('ALREADY_GRANTED', `That ${target.type} already has \`${capability}\`.`);
+    }
+    if (!allow && !hasTarget) {
+        return permissionError('NOT_GRANTED', `That ${target.type} does not have \`${capability}\`.`);
+    }
+    
+    grant[key] = allow ? [...grant[key], target.id] : grant[key].filter(id => id !== target.id);
+    return { ok: true, policy: { ...policy, [capability]: grant } };
+}
+
+// Function to put one capability (or all when capability is null) back to the default
+function resetCapability(policy, capability = null) {
+    if (!capability) return {};
+    
+    const { [capability]: removed, ...rest } = policy;
+    return rest;
+}
+
+// Function to describe who has a capability (@everyone is the role with the guild's ID)
+function describeGrant(policy, capability, guildId) {
+    const grant = policy[capability];
+    if (!grant) {
+        return `Default: ${DEFAULT_ROLE_NAME} role and moderators`;
+    }
+    
+    const holders = [
+        ...grant.roles.map(roleId => roleId === guildId ? '@everyone' : `<@&${roleId}>`),
+        ...grant.users.map(userId => `<@${userId}>`)
+    ];
+    return holders.length > 0 ? holders.join(', ') : 'Nobody (admins only)';
+}
+
+module.exports = {
+    CAPABILITIES,
+    isPermissionAdmin,
+    memberHasCapability,
+    getMemberCapabilities,
+    updateGrant,
+    resetCapability,
+    describeGrant
+};
@@ -0,0 +1,123 @@
+// Token-bucket rate limiting for commands and button presses
+// Every scope has its own buckets: user (per member), guild (per server), command (per member and command) and
+// global (the whole bot). A bucket holds up to capacity tokens and gets them back evenly over windowMs;
+// a request takes one token from each of its buckets and is limited when any of them is empty.
+// Limits: { [scope]: { capacity, windowMs } } - servers may override the user, guild and command scopes
+
+// Scopes in the order they are checked, with their label
+const RATE_LIMIT_SCOPES = {
+    user: { label: 'Per member' },
+    command: { label: 'Per member and command' },
+    guild: { label: 'Per server' },
+    global: { label: 'Whole bot' }
+};
+
+// Scopes a server may change
+const GUILD_RATE_LIMIT_SCOPES = ['user', 'command', 'guild'];
+
+class RateLimiter {
+    constructor(limits) {
+        this.limits = limits;
+        this.buckets = new Map();
+        this.metrics = {
+            allowed: 0,
+            limited: 0,
+            limitedByScope: Object.fromEntries(Object.keys(RATE_LIMIT_SCOPES).map(scope => [scope, 0])),
+            since: Date.now()
+        };
+    }
+    
+    // Get the limits that apply in a server (guildLimits: the server's overrides)
+    getLimits(guildLimits = {}) {
+        const limits = { ...this.limits };
+        for (const scope of GUILD_RATE_LIMIT_SCOPES) {
+            if (guildLimits[scope]) limits[scope] = guildLimits[scope];
+        }
+        return limits;
+    }
+    
+    // Get a bucket with the tokens it got back since it was last used
+    getBucket(key, limit, now) {
+        let bucket = this.buckets.get(key);
+        if (!bucket) {
+            bucket = { tokens: limit.capacity, updatedAt: now, notified: false };
+            this.buckets.set(key, bucket);
+        }
+        
+        const refillMs = limit.windowMs / limit.capacity;
+        bucket.tokens = Math.min(limit.capacity, bucket.tokens + (now - bucket.updatedAt) / refillMs);
+        bucket.updatedAt = now;
+        return bucket;
+    }
+    
+    // Take a token for a request { userId, guildId, command }
+    // Returns { ok: true } or { ok: false, scope, retryAfter, notify } - retryAfter in ms until the request would pass,
+    // notify only for the first limited request since the bucket last passed (so a flood gets one notice)
+    consume(request, guildLimits = {}, now = Date.now()) {
+        const limits = this.getLimits(guildLimits);
+        const keys = {
+            user: `user:${request.userId}`,
+            command: request.command ? `command:${request.userId}:${request.command}` : null,
+            guild: request.guildId ? `guild:${request.guildId}` : null,
+            global: 'global'
+        };
+        
+        const buckets = [];
+        let limited = null;
+        for (const scope of Object.keys(RATE_LIMIT_SCOPES)) {
+            if (!keys[scope]) continue;
+            
+            const limit = limits[scope];
+            const bucket = this.getBucket(`${keys[scope]}:${limit.capacity}/${limit.windowMs}`, limit, now);
+            buckets.push(bucket);
+            
+            if (bucket.tokens < 1) {
+                const retryAfter = Math.ceil((1 - bucket.tokens) * limit.windowMs / limit.capacity);
+                if (!limited || retryAfter > limited.retryAfter) {
+                    limited = { scope, bucket, retryAfter };
+                }
+            }
+        }
+        
+        if (limited) {
+            this.metrics.limited++;
+            this.metrics.limitedByScope[limited.scope]++;
+            
+            const notify = !limited.bucket.notified;
+            limited.bucket.notified = true;
+            return { ok: false, scope: limited.scope, retryAfter: limited.retryAfter, notify };
+        }
+        
+        for (const bucket of buckets) {
+            bucket.tokens -= 1;
+            bucket.notified = false;
+        }
+        this.metrics.allowed++;
+        return { ok: true };
+    }
+    
+    // Drop buckets that have refilled completely - they behave like new ones
+    prune(now = Date.now()) {
+        for (const [key, bucket] of this.buckets) {
+            const [capacity, windowMs] = key.slice(key.lastIndexOf(':') + 1).split('/').map(Number);
+            if (bucket.tokens + (now - bucket.updatedAt) * capacity / windowMs >= capacity) {
+                this.buckets.delete(key);
+            }
+        }
+    }
+    
+    // Get the allowed and limited request counts since the start, and the number of tracked buckets
+    getMetrics() {
+        return {
+            ...this.metrics,
+            limitedByScope: { ...this.metrics.limitedByScope },
+            buckets: this.buckets.size
+        };
+    }
+}
+
+module.exports = {
+    RATE_LIMIT_SCOPES,
+    GUILD_RATE_LIMIT_SCOPES,
+    RateLimiter
+};
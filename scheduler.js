@@ -0,0 +1,229 @@
+const { zonedTimeToTimestamp, getZonedParts } = require('./timeParser');
+
+// Recurring timer schedules
+// Accepts 5-field cron ("0 9 * * 1-5") or plain English ("every weekday at 09:00",
+// "every day at 18:30", "every monday, friday at 20:00", "daily at 7:15")
+
+const DAY_NAMES = {
+    sun: 0, sunday: 0,
+    mon: 1, monday: 1,
+    tue: 2, tues: 2, tuesday: 2,
+    wed: 3, wednesday: 3,
+    thu: 4, thur: 4, thurs: 4, thursday: 4,
+    fri: 5, friday: 5,
+    sat: 6, saturday: 6
+};
+
+const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }
+];
+
+// How far ahead to look for the next run (covers yearly schedules such as "0 9 1 1 *")
+const MAX_LOOKAHEAD_DAYS = 366;
+
+// Function to build a failed parse result
+function scheduleError(code, message) {
+    return { ok: false, error: { code, message } };
+}
+
+// Function to parse a single cron value (a number, or a day name in the day-of-week field)
+function parseCronValue(text, field) {
+    if (field.name === 'day of week' && DAY_NAMES[text] !== undefined) {
+        return DAY_NAMES[text];
+    }
+    return /^\d+$/.test(text) ? parseInt(text, 10) : NaN;
+}
+
+// Function to parse one cron field (supports *, lists, ranges and steps: "*/15", "1-5", "0,30", "mon-fri")
+function parseCronField(text, field) {
+    const values = new Set();
+    
+    for (const part of text.split(',')) {
+        const [rangeText, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+        if (!Number.isInteger(step) || step < 1) {
+            return scheduleError('INVALID_CRON', `Invalid step \`${part}\` in the ${field.name} field.`);
+        }
+        
+        let start;
+        let end;
+        if (rangeText === '*') {
+            start = field.min;
+            end = field.max;
+        } else if (rangeText.includes('-')) {
+            const [startText, endText] = rangeText.split('-');
+            start = parseCronValue(startText, field);
+            end = parseCronValue(endText, field);
+        } else {
+            start = parseCronValue(rangeText, field);
+            end = stepText === undefined ? start : field.max;
+        }
+        
+        if (Number.isNaN(start) || Number.isNaN(end) || start < field.min || end > field.max || start > end) {
+            return scheduleError('INVALID_CRON', `Invalid value \`${part}\` in the ${field.name} field (allowed ${field.min}-${field.max}).`);
+        }
+        
+        for (let value = start; value <= end; value += step) {
+            // Day of week 7 is Sunday, same as 0
+            values.add(field.name === 'day of week' && value === 7 ? 0 : value);
+        }
+    }
+    
+    return { ok: true, values: [...values].sort((a, b) => a - b), any: text === '*' };
+}
+
+// Function to parse a 5-field cron expression
+function parseCron(expression) {
+    const parts = expression.trim().toLowerCase().split(/\s+/);
+    if (parts.length !== 5) {
+        return scheduleError('INVALID_CRON', `A cron schedule needs 5 fields (minute hour day month weekday), got ${parts.length}.`);
+    }
+    
+    const fields = [];
+    for (let i = 0; i < CRON_FIELDS.length; i++) {
+        const result = parseCronField(parts[i], CRON_FIELDS[i]);
+        if (!result.ok) return result;
+        fields.push(result);
+    }
+    
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields;
+    return { ok: true, fields: { minutes, hours, daysOfMonth, months, daysOfWeek } };
+}
+
+// Function to translate "every <days> at HH:MM" into a cron expression
+function naturalToCron(text) {
+    const match = text.match(/^(?:every\s+(.+?)|daily)\s+at\s+(\d{1,2})[:.](\d{2})$/);
+    if (!match) return null;
+    
+    const daysText = match[1] || 'day';
+    const hour = parseInt(match[2], 10);
+    const minute = parseInt(match[3], 10);
+    if (hour > 23 || minute > 59) return null;
+    
+    let daysOfWeek;
+    if (daysText === 'day') {
+        daysOfWeek = '*';
+    } else if (daysText === 'weekday') {
+        daysOfWeek = '1-5';
+    } else if (daysText === 'weekend') {
+        daysOfWeek = '0,6';
+    } else {
+        const names = daysText.split(/\s*(?:,|\band\b|\/)\s*/).filter(Boolean);
+        const days = names.map(name => DAY_NAMES[name.replace(/s$/, '')]);
+        if (days.length === 0 || days.some(day => day === undefined)) return null;
+        daysOfWeek = days.join(',');
+    }
+    
+    return `${minute} ${hour} * * ${daysOfWeek}`;
+}
+
+// Function to describe a parsed cron schedule in plain English
+function describeFields(fields) {
+    const { minutes, hours, daysOfMonth, months, daysOfWeek } = fields;
+    const pad = value => String(value).padStart(2, '0');
+    
+    let times;
+    if (minutes.values.length * hours.values.length <= 4) {
+        times = ` at ${hours.values.flatMap(hour => minutes.values.map(minute => `${pad(hour)}:${pad(minute)}`)).join(', ')}`;
+    } else {
+        times = `, ${minutes.values.length * hours.values.length} times a day`;
+    }
+    
+    let days = 'every day';
+    const weekdays = daysOfWeek.values.join(',');
+    if (!daysOfWeek.any && weekdays === '1,2,3,4,5') {
+        days = 'every weekday';
+    } else if (!daysOfWeek.any && weekdays === '0,6') {
+        days = 'every weekend';
+    } else if (!daysOfWeek.any) {
+        days = `every ${daysOfWeek.values.map(day => DAY_LABELS[day]).join(', ')}`;
+    }
+    if (!daysOfMonth.any) {
+        days = `${days === 'every day' ? '' : `${days} or `}on day ${daysOfMonth.values.join(', ')} of the month`;
+    }
+    if (!months.any) {
+        days = `${days} in month ${months.values.join(', ')}`;
+    }
+    
+    return `${days.trim()}${times}`;
+}
+
+// Function to parse a schedule expression (cron or plain English)
+// Returns { ok: true, schedule: { expression, cron, fields, description } } or { ok: false, error: { code, message } }
+function parseSchedule(expression) {
+    const text = String(expression || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    if (!text) {
+        return scheduleError('EMPTY', 'No schedule given.');
+    }
+    
+    const cron = naturalToCron(text) || text;
+    const result = parseCron(cron);
+    if (!result.ok) {
+        if (/^(every|daily)\b/.test(text)) {
+            return scheduleError('INVALID_SCHEDULE', `Could not understand \`${expression}\`. Use e.g. \`every weekday at 09:00\`, \`every monday, friday at 18:30\` or cron \`0 9 * * 1-5\`.`);
+        }
+        return result;
+    }
+    
+    return {
+        ok: true,
+        schedule: {
+            expression: String(expression).trim(),
+            cron,
+            fields: result.fields,
+            description: describeFields(result.fields)
+        }
+    };
+}
+
+// Function to check if a calendar day matches the schedule's day fields (cron rule: if both
+// day-of-month and day-of-week are restricted, either may match)
+function matchesDay(fields, year, month, day) {
+    if (!fields.months.values.includes(month)) return false;
+    
+    const dayOfWeek = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    const domMatch = fields.daysOfMonth.values.includes(day);
+    const dowMatch = fields.daysOfWeek.values.includes(dayOfWeek);
+    
+    if (!fields.daysOfMonth.any && !fields.daysOfWeek.any) {
+        return domMatch || dowMatch;
+    }
+    return domMatch && dowMatch;
+}
+
+// Function to get the next run time (timestamp) of a schedule after a given time, in a time zone
+function getNextRun(schedule, timeZone, after = Date.now()) {
+    const { fields } = schedule;
+    const today = getZonedParts(after, timeZone);
+    
+    for (let offset = 0; offset <= MAX_LOOKAHEAD_DAYS; offset++) {
+        const date = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+        const year = date.getUTCFullYear();
+        const month = date.getUTCMonth() + 1;
+        const day = date.getUTCDate();
+        
+        if (!matchesDay(fields, year, month, day)) continue;
+        
+        for (const hour of fields.hours.values) {
+            for (const minute of fields.minutes.values) {
+                const runTime = zonedTimeToTimestamp(year, month, day, hour, minute, 0, timeZone);
+                if (runTime > after) {
+                    return runTime;
+                }
+            }
+        }
+    }
+    
+    return null;
+}
+
+module.exports = {
+    parseSchedule,
+    getNextRun
+};
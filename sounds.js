@@ -0,0 +1,211 @@
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const ffmpegPath = require('ffmpeg-static');
+const { BOT_CONFIG } = require('./config');
+const { logger } = require('./logger');
+
+// Bundled sounds (cri.mp3, end.mp3) and per-guild uploaded sound packs
+// Sound references: a bundled file name ("cri.mp3") or an uploaded sound ("guild:<name>")
+
+const builtInDir = path.join(__dirname, BOT_CONFIG.SOUNDS_DIR);
+const guildSoundsDir = path.join(__dirname, BOT_CONFIG.DATA_DIR, 'sounds');
+
+const GUILD_SOUND_PREFIX = 'guild:';
+const SOUND_NAME_PATTERN = /^[a-z0-9_-]{1,32}$/;
+
+// How long ffmpeg may take to read an uploaded file
+const PROBE_TIMEOUT_MS = 10000;
+
+// Measured mean loudness per file (file path -> { mtime, meanVolume })
+const loudnessCache = new Map();
+
+// Function to build a failed result
+function soundError(code, message) {
+    return { ok: false, error: { code, message } };
+}
+
+// Function to get the directory holding a guild's uploaded sounds
+function getGuildSoundDir(guildId) {
+    return path.join(guildSoundsDir, guildId);
+}
+
+// Function to list a guild's uploaded sounds (sorted by name)
+function listGuildSounds(guildId) {
+    const dir = getGuildSoundDir(guildId);
+    if (!fs.existsSync(dir)) return [];
+    
+    return fs.readdirSync(dir)
+        .filter(file => BOT_CONFIG.SOUND_FORMATS.includes(path.extname(file).toLowerCase()))
+        .map(file => ({
+            name: path.basename(file, path.extname(file)),
+            file: path.join(dir, file),
+            size: fs.statSync(path.join(dir, file)).size
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Function to find one of a guild's uploaded sounds by name
+function findGuildSound(guildId, name) {
+    const key = String(name || '').trim().toLowerCase();
+    return listGuildSounds(guildId).find(sound => sound.name === key) || null;
+}
+
+// Function to resolve a sound reference to a file path (null when the sound does not exist)
+function resolveSoundPath(guildId, soundRef) {
+    if (!soundRef) return null;
+    
+    if (soundRef.startsWith(GUILD_SOUND_PREFIX)) {
+        const sound = findGuildSound(guildId, soundRef.slice(GUILD_SOUND_PREFIX.length));
+        return sound ? sound.file : null;
+    }
+    
+    const filePath = path.join(builtInDir, path.basename(soundRef));
+    return fs.existsSync(filePath) ? filePath : null;
+}
+
+// Function to read an audio file's duration with ffmpeg (resolves to ms, or null if it is not readable audio)
+function probeDuration(filePath) {
+    return new Promise(resolve => {
+        if (!ffmpegPath) {
+            resolve(null);
+            return;
+        }
+        
+        // ffmpeg exits with an error without an output file, but prints the input's duration first
+        execFile(ffmpegPath, ['-hide_banner', '-i', filePath], { timeout: PROBE_TIMEOUT_MS }, (error, stdout, stderr) => {
+            const match = String(stderr).match(/Duration: (\d+):(\d+):(\d+(?:\.\d+)?)/);
+            if (!match || !/Audio:/.test(stderr)) {
+                resolve(null);
+                return;
+            }
+            const [, hours, minutes, seconds] = match;
+            resolve(Math.round((parseInt(hours, 10) * 3600 + parseInt(minutes, 10) * 60 + parseFloat(seconds)) * 1000));
+        });
+    });
+}
+
+// Function to measure a file's mean loudness in dB with ffmpeg (resolves to null if it cannot be measured)
+function measureLoudness(filePath) {
+    let mtime;
+    try {
+        mtime = fs.statSync(filePath).mtimeMs;
+    } catch (error) {
+        return Promise.resolve(null);
+    }
+    
+    const cached = loudnessCache.get(filePath);
+    if (cached && cached.mtime === mtime) {
+        return Promise.resolve(cached.meanVolume);
+    }
+    
+    return new Promise(resolve => {
+        if (!ffmpegPath) {
+            resolve(null);
+            return;
+        }
+        
+        execFile(ffmpegPath, ['-hide_banner', '-nostats', '-i', filePath, '-af', 'volumedetect', '-f', 'null', '-'], { timeout: PROBE_TIMEOUT_MS }, (error, stdout, stderr) => {
+            const match = String(stderr).match(/mean_volume: (-?\d+(?:\.\d+)?) dB/);
+            const meanVolume = match ? parseFloat(match[1]) : null;
+            if (meanVolume !== null) {
+                loudnessCache.set(filePath, { mtime, meanVolume });
+            }
+            resolve(meanVolume);
+        });
+    });
+}
+
+// Function to get the gain (dB) that brings a file to the normalization target loudness
+// Files that cannot be measured are left as they are; the gain is capped both ways
+async function getNormalizationGain(filePath) {
+    const meanVolume = await measureLoudness(filePath);
+    if (meanVolume === null) return 0;
+    
+    const gain = BOT_CONFIG.NORMALIZE_TARGET_DB - meanVolume;
+    return Math.max(-BOT_CONFIG.MAX_NORMALIZE_GAIN_DB, Math.min(BOT_CONFIG.MAX_NORMALIZE_GAIN_DB, gain));
+}
+
+// Function to save an uploaded Discord attachment as a guild sound (replaces a sound with the same name)
+// Returns { ok: true, sound: { name, file, size, duration } } or { ok: false, error: { code, message } }
+async function saveGuildSound(guildId, name, attachment) {
+    const key = String(name || '').trim().toLowerCase();
+    if (!SOUND_NAME_PATTERN.test(key)) {
+        return soundError('INVALID_NAME', 'Sound names may only use letters, digits, `-` and `_` (up to 32 characters).');
+    }
+    
+    const extension = path.extname(attachment.name || '').toLowerCase();
+    if (!BOT_CONFIG.SOUND_FORMATS.includes(extension)) {
+        return soundError('INVALID_FORMAT', `Unsupported file type \`${extension || attachment.contentType || 'unknown'}\`. Upload ${BOT_CONFIG.SOUND_FORMATS.join(', ')}.`);
+    }
+    
+    if (attachment.size > BOT_CONFIG.MAX_SOUND_FILE_SIZE) {
+        return soundError('TOO_LARGE', `The file is too large (${Math.ceil(attachment.size / 1024)} KB). Maximum is ${BOT_CONFIG.MAX_SOUND_FILE_SIZE / 1024} KB.`);
+    }
+    
+    const existing = findGuildSound(guildId, key);
+    if (!existing && listGuildSounds(guildId).length >= BOT_CONFIG.MAX_SOUNDS_PER_GUILD) {
+        return soundError('LIMIT_REACHED', `Maximum number of sounds reached! Limit: ${BOT_CONFIG.MAX_SOUNDS_PER_GUILD} sounds per server`);
+    }
+    
+    const dir = getGuildSoundDir(guildId);
+    const tempPath = path.join(dir, `.upload-${key}${extension}`);
+    try {
+        const response = await fetch(attachment.url);
+        if (!response.ok) {
+            return soundError('DOWNLOAD_FAILED', `Could not download the file (HTTP ${response.status}).`);
+        }
+        
+        const data = Buffer.from(await response.arrayBuffer());
+        if (data.length > BOT_CONFIG.MAX_SOUND_FILE_SIZE) {
+            return soundError('TOO_LARGE', `The file is too large. Maximum is ${BOT_CONFIG.MAX_SOUND_FILE_SIZE / 1024} KB.`);
+        }
+        
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(tempPath, data);
+        
+        const duration = await probeDuration(tempPath);
+        if (duration === null) {
+            fs.unlinkSync(tempPath);
+            return soundError('INVALID_AUDIO', 'The file could not be read as audio.');
+        }
+        if (duration > BOT_CONFIG.MAX_SOUND_DURATION) {
+            fs.unlinkSync(tempPath);
+            return soundError('TOO_LONG', `The sound is too long (${(duration / 1000).toFixed(1)}s). Maximum is ${BOT_CONFIG.MAX_SOUND_DURATION / 1000}s.`);
+        }
+        
+        // Replacing a sound may change its format - drop the old file first
+        if (existing) {
+            fs.unlinkSync(existing.file);
+        }
+        const filePath = path.join(dir, `${key}${extension}`);
+        fs.renameSync(tempPath, filePath);
+        
+        return { ok: true, sound: { name: key, file: filePath, size: data.length, duration } };
+    } catch (error) {
+        logger.error(`Error saving sound ${key}`, { guildId, error });
+        if (fs.existsSync(tempPath)) {
+            fs.unlinkSync(tempPath);
+        }
+        return soundError('SAVE_FAILED', 'The sound could not be saved.');
+    }
+}
+
+// Function to delete one of a guild's uploaded sounds
+function deleteGuildSound(guildId, name) {
+    const sound = findGuildSound(guildId, name);
+    if (!sound) return false;
+    
+    fs.unlinkSync(sound.file);
+    return true;
+}
+
+module.exports = {
+    GUILD_SOUND_PREFIX,
+    listGuildSounds,
+    findGuildSound,
+    resolveSoundPath,
+    getNormalizationGain,
+    saveGuildSound,
+    deleteGuildSound
+};
@@ -0,0 +1,62 @@
+const { BOT_CONFIG } = require('./config');
+
+// Speaking queues (hand raising): members line up per text channel and take turns, each with a timer
+// Queue: { guildId, channelId, entries: [{ userId, joinedAt }], current: { userId, timerId, startedAt } | null, messageId }
+// messageId is the live queue embed (/queue list); current is the member whose turn timer runs
+
+// Function to build a failed result
+function queueError(code, message) {
+    return { ok: false, error: { code, message } };
+}
+
+// Function to create an empty queue for a channel
+function createQueue(guildId, channelId) {
+    return { guildId, channelId, entries: [], current: null, messageId: null };
+}
+
+// Function to get a member's place in the queue (1 = next, 0 = not queued)
+function getQueuePosition(queue, userId) {
+    return queue.entries.findIndex(entry => entry.userId === userId) + 1;
+}
+
+// Function to add a member to the end of the queue
+// Returns { ok: true, position } or { ok: false, error: { code, message } }
+function joinQueue(queue, userId, now = Date.now()) {
+    if (queue.current && queue.current.userId === userId) {
+        return queueError('ALREADY_SPEAKING', 'You have the floor right now!');
+    }
+    
+    const position = getQueuePosition(queue, userId);
+    if (position > 0) {
+        return queueError('ALREADY_QUEUED', `You are already in the queue (position ${position}).`);
+    }
+    
+    if (queue.entries.length >= BOT_CONFIG.MAX_QUEUE_LENGTH) {
+        return queueError('QUEUE_FULL', `The queue is full! Limit: ${BOT_CONFIG.MAX_QUEUE_LENGTH} members`);
+    }
+    
+    queue.entries.push({ userId, joinedAt: now });
+    return { ok: true, position: queue.entries.length };
+}
+
+// Function to remove a member from the queue (false if they were not queued)
+function leaveQueue(queue, userId) {
+    const position = getQueuePosition(queue, userId);
+    if (position === 0) return false;
+    
+    queue.entries.splice(position - 1, 1);
+    return true;
+}
+
+// Function to take the next member off the queue (null when nobody is waiting)
+function takeNextSpeaker(queue) {
+    return queue.entries.shift() || null;
+}
+
+module.exports = {
+    createQueue,
+    getQueuePosition,
+    joinQueue,
+    leaveQueue,
+    takeNextSpeaker
+};
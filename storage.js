@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+const { BOT_CONFIG } = require('./config');
+const { logger } = require('./logger');
+
+// Directory where persisted bot state is stored as JSON files
+const dataDir = path.join(__dirname, BOT_CONFIG.DATA_DIR);
+
+// Pending debounced writes (store name -> { timeoutId, getData })
+const pendingWrites = new Map();
+
+// Function to get the file path of a named store
+function getStorePath(name) {
+    return path.join(dataDir, `${name}.json`);
+}
+
+// Function to read a named store, falling back when it is missing or corrupt
+function readStore(name, fallback) {
+    const filePath = getStorePath(name);
+    try {
+        if (!fs.existsSync(filePath)) {
+            return fallback;
+        }
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        logger.error(`Error reading store ${name}`, { error });
+        return fallback;
+    }
+}
+
+// Function to write a named store (temp file + rename so a crash never leaves half a file)
+function writeStore(name, data) {
+    const filePath = getStorePath(name);
+    const tempPath = `${filePath}.tmp`;
+    try {
+        if (!fs.existsSync(dataDir)) {
+            fs.mkdirSync(dataDir, { recursive: true });
+        }
+        fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+        fs.renameSync(tempPath, filePath);
+        return true;
+    } catch (error) {
+        logger.error(`Error writing store ${name}`, { error });
+        return false;
+    }
+}
+
+// Function to schedule a debounced write - bursts of changes end up as one disk write
+function scheduleWrite(name, getData) {
+    const pending = pendingWrites.get(name);
+    if (pending) {
+        clearTimeout(pending.timeoutId);
+    }
+    
+    const timeoutId = setTimeout(() => {
+        pendingWrites.delete(name);
+        writeStore(name, getData());
+    }, BOT_CONFIG.STATE_SAVE_DELAY);
+    
+    pendingWrites.set(name, { timeoutId, getData });
+}
+
+// Function to write all pending stores immediately (used on shutdown)
+function flushWrites() {
+    for (const [name, pending] of pendingWrites) {
+        clearTimeout(pending.timeoutId);
+        writeStore(name, pending.getData());
+    }
+    pendingWrites.clear();
+}
+
+module.exports = {
+    readStore,
+    writeStore,
+    scheduleWrite,
+    flushWrites
+};
@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createCleanupFilter } = require('../channelCleanup');
+
+// Patterns that are accepted
+const SAFE_PATTERNS = [
+    'timer',
+    'timer (started|stopped)',
+    '^!cs \\d+m$',
+    '\\w+ finished',
+    '(ab)',
+    '(ab)+',
+    '(a+)?',
+    '(?:round \\d+)',
+    '[(a+)+]+',
+    '\\(a+\\)+',
+    '(a+){1}',
+    'x{2,}',
+    '\\d+:\\d+',
+    '\\w+\\s+\\w+',
+    '[a-z]+[0-9]+'
+];
+
+// Patterns that are refused: [pattern, expected error code]
+const UNSAFE_PATTERNS = [
+    ['(a+)+$', 'UNSAFE_PATTERN'],
+    ['(a*)*', 'UNSAFE_PATTERN'],
+    ['(a|aa)*', 'UNSAFE_PATTERN'],
+    ['(\\w*x)+', 'UNSAFE_PATTERN'],
+    ['((a+))+', 'UNSAFE_PATTERN'],
+    ['(?:a+)+', 'UNSAFE_PATTERN'],
+    ['(?<word>\\w+)+', 'UNSAFE_PATTERN'],
+    ['(a+){2,}', 'UNSAFE_PATTERN'],
+    ['(a[bc]?)*', 'UNSAFE_PATTERN'],
+    ['(a)\\1', 'UNSAFE_PATTERN'],
+    ['\\w*\\w*\\w*\\w*\\w*\\w*\\w*!', 'UNSAFE_PATTERN'],
+    ['.*\\d+', 'UNSAFE_PATTERN'],
+    ['x*X+', 'UNSAFE_PATTERN'],
+    ['\\w* ?\\w*', 'UNSAFE_PATTERN'],
+    ['\\w*(?= )\\w*', 'UNSAFE_PATTERN'],
+    ['(', 'INVALID_PATTERN'],
+    ['x'.repeat(201), 'PATTERN_TOO_LONG']
+];
+
+test('createCleanupFilter accepts safe patterns', async (t) => {
+    for (const pattern of SAFE_PATTERNS) {
+        await t.test(pattern, () => {
+            const result = createCleanupFilter({ pattern });
+            assert.equal(result.ok, true);
+            assert.equal(result.filter.pattern, pattern);
+        });
+    }
+});
+
+test('createCleanupFilter refuses patterns that can backtrack catastrophically', async (t) => {
+    for (const [pattern, code] of UNSAFE_PATTERNS) {
+        await t.test(pattern.slice(0, 20), () => {
+            const result = createCleanupFilter({ pattern });
+            assert.equal(result.ok, false);
+            assert.equal(result.error.code, code);
+        });
+    }
+});
@@ -0,0 +1,132 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDuration, parseClockTime } = require('../timeParser');
+
+const S = 1000;
+const M = 60 * S;
+const H = 60 * M;
+
+// Inputs that parse: [input, options, expected ms]
+const VALID_DURATIONS = [
+    // Compound units
+    ['1h30m', {}, H + 30 * M],
+    ['1h 30m', {}, H + 30 * M],
+    ['1h30m15s', {}, H + 30 * M + 15 * S],
+    ['90s', {}, 90 * S],
+    // Colon forms
+    ['1:30', {}, M + 30 * S],
+    ['0:45', {}, 45 * S],
+    ['1:02:30', {}, H + 2 * M + 30 * S],
+    // Decimals (dot and Polish comma)
+    ['2.5m', {}, 2.5 * M],
+    ['2,5m', {}, 2.5 * M],
+    ['1.5h', {}, 1.5 * H],
+    // Bare numbers in the default unit
+    ['90', {}, 90 * M],
+    ['90', { defaultUnit: 's' }, 90 * S],
+    ['2', { defaultUnit: 'h' }, 2 * H],
+    ['1.5', { defaultUnit: 'm' }, 1.5 * M],
+    // "in ..." phrases
+    ['in 10 minutes', {}, 10 * M],
+    ['in 1 hour and 30 minutes', {}, H + 30 * M],
+    // English unit words
+    ['10 sec', {}, 10 * S],
+    ['10 seconds', {}, 10 * S],
+    ['5 mins', {}, 5 * M],
+    ['1 minute', {}, M],
+    ['2 hrs', {}, 2 * H],
+    ['1 hour 15 minutes', {}, H + 15 * M],
+    // Polish unit words
+    ['za 10 minut', {}, 10 * M],
+    ['1 godzina i 15 minut', {}, H + 15 * M],
+    ['2 godziny', {}, 2 * H],
+    ['30 sekund', {}, 30 * S],
+    ['1 minuta', {}, M],
+    ['5 minuty', {}, 5 * M],
+    ['10 sek', {}, 10 * S],
+    ['1 godz', {}, H],
+    // Upper case and surrounding whitespace
+    ['  5M  ', {}, 5 * M]
+];
+
+// Inputs that fail: [input, options, expected error code]
+const INVALID_DURATIONS = [
+    ['', {}, 'EMPTY'],
+    ['   ', {}, 'EMPTY'],
+    [null, {}, 'EMPTY'],
+    ['1:75', {}, 'INVALID_COLON'],
+    ['1:30:60', {}, 'INVALID_COLON'],
+    ['abc', {}, 'INVALID_FORMAT'],
+    ['5m abc', {}, 'INVALID_FORMAT'],
+    ['5 parsecs', {}, 'UNKNOWN_UNIT'],
+    ['5x', {}, 'UNKNOWN_UNIT'],
+    ['5m 3m', {}, 'DUPLICATE_UNIT'],
+    ['1 minute 2 minuty', {}, 'DUPLICATE_UNIT'],
+    ['-5m', {}, 'NEGATIVE'],
+    ['0s', { minMs: S }, 'TOO_SHORT'],
+    ['25h', { maxMs: 24 * H }, 'TOO_LONG']
+];
+
+test('parseDuration accepts valid durations', async (t) => {
+    for (const [input, options, ms] of VALID_DURATIONS) {
+        await t.test(`${JSON.stringify(input)} ${JSON.stringify(options)}`, () => {
+            assert.deepEqual(parseDuration(input, options), { ok: true, ms });
+        });
+    }
+});
+
+test('parseDuration rejects invalid durations with a structured error', async (t) => {
+    for (const [input, options, code] of INVALID_DURATIONS) {
+        await t.test(`${JSON.stringify(input)} ${JSON.stringify(options)}`, () => {
+            const result = parseDuration(input, options);
+            assert.equal(result.ok, false);
+            assert.equal(result.error.code, code);
+            assert.equal(typeof result.error.message, 'string');
+        });
+    }
+});
+
+// Wall-clock times that parse (read in UTC at a fixed "now"): [input, expected ISO time]
+const NOW = Date.UTC(2026, 9, 19, 12, 0, 0);
+const VALID_CLOCK_TIMES = [
+    ['20:00', '2026-10-19T20:00:00.000Z'],
+    ['20:00:30', '2026-10-19T20:00:30.000Z'],
+    ['8pm', '2026-10-19T20:00:00.000Z'],
+    ['8:30am', '2026-10-19T08:30:00.000Z'],
+    ['2026-10-20 20:00', '2026-10-20T20:00:00.000Z'],
+    ['2028-02-29 10:00', '2028-02-29T10:00:00.000Z']
+];
+
+// Wall-clock inputs that fail: [input, options, expected error code]
+const INVALID_CLOCK_TIMES = [
+    ['', {}, 'EMPTY'],
+    ['20:00', { timeZone: 'Mars/Olympus' }, 'INVALID_TIMEZONE'],
+    ['noon', {}, 'INVALID_TIME'],
+    ['13pm', {}, 'INVALID_TIME'],
+    ['24:00', {}, 'INVALID_TIME'],
+    ['2026-13-01 20:00', {}, 'INVALID_TIME'],
+    ['2026-02-31 20:00', {}, 'INVALID_TIME'],
+    ['2026-02-29 20:00', {}, 'INVALID_TIME'],
+    ['2026-04-31 20:00', {}, 'INVALID_TIME'],
+    ['2026-10-00 20:00', {}, 'INVALID_TIME']
+];
+
+test('parseClockTime accepts valid times', async (t) => {
+    for (const [input, expected] of VALID_CLOCK_TIMES) {
+        await t.test(input, () => {
+            const result = parseClockTime(input, { timeZone: 'UTC', now: NOW });
+            assert.equal(result.ok, true);
+            assert.equal(new Date(result.targetTime).toISOString(), expected);
+        });
+    }
+});
+
+test('parseClockTime rejects invalid times with a structured error', async (t) => {
+    for (const [input, options, code] of INVALID_CLOCK_TIMES) {
+        await t.test(`${JSON.stringify(input)} ${JSON.stringify(options)}`, () => {
+            const result = parseClockTime(input, { timeZone: 'UTC', now: NOW, ...options });
+            assert.equal(result.ok, false);
+            assert.equal(result.error.code, code);
+        });
+    }
+});
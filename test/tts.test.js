@@ -0,0 +1,13 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildAnnouncement, getEngineCommand } = require('../tts');
+
+test('espeak-ng gets the announcement text on stdin, not as an argument', () => {
+    const text = buildAnnouncement({ type: 'end', label: '-w/tmp/owned.wav' }, 'en');
+    assert.ok(text.startsWith('-w/tmp/owned.wav'));
+    
+    const command = getEngineCommand(text, '/tmp/speech.wav', 'en', null);
+    assert.equal(command.ok, true);
+    assert.deepEqual(command.args, ['-v', 'en', '-w', '/tmp/speech.wav', '--stdin']);
+    assert.equal(command.input, text);
+});
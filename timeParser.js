@@ -0,0 +1,251 @@
+// Duration and wall-clock time parser for timer commands
+// Accepts: 5m, 1h30m, 1h 30m, 2.5m, 2,5m, 90 (default unit), 1:30 (mm:ss), 1:02:30 (hh:mm:ss),
+// "in 10 minutes", "1 hour and 30 minutes", "za 10 minut", "1 godzina i 15 minut"
+
+const UNIT_MS = {
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000
+};
+
+// Unit words (English and Polish) mapped to their canonical unit
+const UNIT_ALIASES = {
+    // Seconds
+    s: 's', sec: 's', secs: 's', second: 's', seconds: 's',
+    sek: 's', sekunda: 's', sekundy: 's', sekund: 's', sekunde: 's', sekundę: 's',
+    // Minutes
+    m: 'm', min: 'm', mins: 'm', minute: 'm', minutes: 'm',
+    minuta: 'm', minuty: 'm', minut: 'm', minutę: 'm',
+    // Hours
+    h: 'h', hr: 'h', hrs: 'h', hour: 'h', hours: 'h',
+    godz: 'h', godzina: 'h', godziny: 'h', godzin: 'h', godzinę: 'h'
+};
+
+// Leading words meaning "in ..." and connectors meaning "and"
+const LEADING_WORDS = ['in', 'za'];
+const CONNECTOR_WORDS = ['and', 'i'];
+
+const UNIT_HINT = 'Use s, m or h - e.g. `90s`, `5m`, `1h30m`, `2.5m`, `1:30` or `in 10 minutes`.';
+
+// Function to build a failed parse result
+function parseError(code, message, input) {
+    return { ok: false, error: { code, message, input } };
+}
+
+// Function to normalize raw input: lowercase, decimal commas, leading "in"/"za" and "and"/"i" connectors
+function normalizeInput(input) {
+    let text = String(input).trim().toLowerCase();
+    
+    // Polish decimal comma (2,5m) -> 2.5m, any other comma is a separator
+    text = text.replace(/(\d),(\d)/g, '$1.$2').replace(/,/g, ' ');
+    
+    const words = text.split(/\s+/).filter(Boolean);
+    if (words.length > 1 && LEADING_WORDS.includes(words[0])) {
+        words.shift();
+    }
+    
+    return words.filter(word => !CONNECTOR_WORDS.includes(word)).join(' ');
+}
+
+// Function to parse colon notation (mm:ss or hh:mm:ss)
+function parseColonNotation(text, input) {
+    const parts = text.split(':').map(part => parseInt(part, 10));
+    
+    // Every part after the first must be a valid minutes/seconds value
+    if (parts.slice(1).some(part => part >= 60)) {
+        return parseError('INVALID_COLON', `\`${input}\` is not a valid time - minutes and seconds after \`:\` must be below 60.`, input);
+    }
+    
+    if (parts.length === 2) {
+        const [minutes, seconds] = parts;
+        return { ok: true, ms: minutes * UNIT_MS.m + seconds * UNIT_MS.s };
+    }
+    
+    const [hours, minutes, seconds] = parts;
+    return { ok: true, ms: hours * UNIT_MS.h + minutes * UNIT_MS.m + seconds * UNIT_MS.s };
+}
+
+// Function to parse one or more "<number><unit>" pairs (e.g. 1h30m, 1 hour 30 minutes)
+function parseUnitPairs(text, input) {
+    const pairPattern = /\s*(\d+(?:\.\d+)?)\s*([^\d\s.:]+)\s*/y;
+    const seenUnits = new Set();
+    let total = 0;
+    let position = 0;
+    
+    while (position < text.length) {
+        pairPattern.lastIndex = position;
+        const match = pairPattern.exec(text);
+        if (!match) {
+            return parseError('INVALID_FORMAT', `Could not understand \`${text.slice(position).trim()}\` in \`${input}\`. ${UNIT_HINT}`, input);
+        }
+        
+        const value = parseFloat(match[1]);
+        const unit = UNIT_ALIASES[match[2]];
+        if (!unit) {
+            return parseError('UNKNOWN_UNIT', `Unknown time unit \`${match[2]}\`. ${UNIT_HINT}`, input);
+        }
+        if (seenUnits.has(unit)) {
+            return parseError('DUPLICATE_UNIT', `The unit \`${unit}\` appears more than once in \`${input}\`.`, input);
+        }
+        
+        seenUnits.add(unit);
+        total += value * UNIT_MS[unit];
+        position = pairPattern.lastIndex;
+    }
+    
+    return { ok: true, ms: Math.round(total) };
+}
+
+// Function to parse a duration string
+// Options: defaultUnit ('s' | 'm' | 'h') for bare numbers, minMs/maxMs for range checks
+// Returns { ok: true, ms } or { ok: false, error: { code, message, input } }
+function parseDuration(input, options = {}) {
+    const { defaultUnit = 'm', minMs = null, maxMs = null } = options;
+    
+    if (input === null || input === undefined || String(input).trim() === '') {
+        return parseError('EMPTY', 'No duration given.', '');
+    }
+    
+    const raw = String(input).trim();
+    const text = normalizeInput(raw);
+    let result;
+    
+    if (/^\d+(:\d{1,2}){1,2}$/.test(text)) {
+        result = parseColonNotation(text, raw);
+    } else if (/^\d+(\.\d+)?$/.test(text)) {
+        // Bare number - read as the configured default unit
+        result = { ok: true, ms: Math.round(parseFloat(text) * UNIT_MS[defaultUnit]) };
+    } else if (/^-/.test(text)) {
+        return parseError('NEGATIVE', 'Duration cannot be negative.', raw);
+    } else {
+        result = parseUnitPairs(text, raw);
+    }
+    
+    if (!result.ok) return result;
+    
+    if (minMs !== null && result.ms < minMs) {
+        return parseError('TOO_SHORT', `Minimum timer duration is ${describeLimit(minMs)}.`, raw);
+    }
+    if (maxMs !== null && result.ms > maxMs) {
+        return parseError('TOO_LONG', `Maximum timer duration is ${describeLimit(maxMs)}.`, raw);
+    }
+    
+    return result;
+}
+
+// Function to describe a range limit in words (e.g. "1 second", "24 hours")
+function describeLimit(ms) {
+    const units = [['hour', UNIT_MS.h], ['minute', UNIT_MS.m], ['second', UNIT_MS.s]];
+    for (const [name, size] of units) {
+        if (ms >= size && ms % size === 0) {
+            const value = ms / size;
+            return `${value} ${name}${value === 1 ? '' : 's'}`;
+        }
+    }
+    return `${ms} ms`;
+}
+
+// Function to check if a string is a valid IANA time zone (e.g. Europe/Warsaw, UTC)
+function isValidTimeZone(timeZone) {
+    if (!timeZone) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Function to get the wall-clock date parts of a timestamp in a time zone
+function getZonedParts(timestamp, timeZone) {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    });
+    const parts = {};
+    for (const part of formatter.formatToParts(new Date(timestamp))) {
+        if (part.type !== 'literal') {
+            parts[part.type] = parseInt(part.value, 10);
+        }
+    }
+    return parts;
+}
+
+// Function to get a time zone's UTC offset (ms) at a given timestamp
+function getTimeZoneOffset(timestamp, timeZone) {
+    const parts = getZonedParts(timestamp, timeZone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+// Function to convert a wall-clock date/time in a time zone to a timestamp (DST-aware)
+function zonedTimeToTimestamp(year, month, day, hour, minute, second, timeZone) {
+    const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+    const firstPass = guess - getTimeZoneOffset(guess, timeZone);
+    return guess - getTimeZoneOffset(firstPass, timeZone);
+}
+
+// Function to parse a wall-clock time such as 20:00, 20:00:30, 8pm, 8:30pm or 2026-10-20 20:00
+// The time is read in the given time zone; without a date it means today in that zone
+// Returns { ok: true, targetTime } or { ok: false, error: { code, message, input } }
+function parseClockTime(input, options = {}) {
+    const { timeZone = 'UTC', now = Date.now() } = options;
+    
+    if (input === null || input === undefined || String(input).trim() === '') {
+        return parseError('EMPTY', 'No time given.', '');
+    }
+    
+    const raw = String(input).trim();
+    if (!isValidTimeZone(timeZone)) {
+        return parseError('INVALID_TIMEZONE', `Unknown time zone \`${timeZone}\`. Use an IANA name such as \`Europe/Warsaw\` or \`UTC\`.`, raw);
+    }
+    
+    const match = raw.toLowerCase().match(/^(?:(\d{4})-(\d{2})-(\d{2})\s+)?(\d{1,2})(?:[:.](\d{2}))?(?::(\d{2}))?\s*(am|pm)?$/);
+    if (!match || (match[5] === undefined && !match[7])) {
+        return parseError('INVALID_TIME', `Could not understand the time \`${raw}\`. Use e.g. \`20:00\`, \`8:30pm\` or \`2026-10-20 20:00\`.`, raw);
+    }
+    
+    let hour = parseInt(match[4], 10);
+    const minute = match[5] ? parseInt(match[5], 10) : 0;
+    const second = match[6] ? parseInt(match[6], 10) : 0;
+    const meridiem = match[7];
+    
+    if (meridiem) {
+        if (hour < 1 || hour > 12) {
+            return parseError('INVALID_TIME', `\`${raw}\` is not a valid 12-hour time.`, raw);
+        }
+        hour = (hour % 12) + (meridiem === 'pm' ? 12 : 0);
+    }
+    
+    if (hour > 23 || minute > 59 || second > 59) {
+        return parseError('INVALID_TIME', `\`${raw}\` is not a valid time of day.`, raw);
+    }
+    
+    const today = getZonedParts(now, timeZone);
+    const year = match[1] ? parseInt(match[1], 10) : today.year;
+    const month = match[2] ? parseInt(match[2], 10) : today.month;
+    const day = match[3] ? parseInt(match[3], 10) : today.day;
+    
+    // Date.UTC rolls invalid days over (2026-02-31 -> March 3), so the date must come back unchanged
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return parseError('INVALID_TIME', `\`${raw}\` is not a valid date.`, raw);
+    }
+    
+    return { ok: true, targetTime: zonedTimeToTimestamp(year, month, day, hour, minute, second, timeZone) };
+}
+
+module.exports = {
+    parseDuration,
+    parseClockTime,
+    isValidTimeZone,
+    getZonedParts,
+    zonedTimeToTimestamp,
+    UNIT_ALIASES
+};
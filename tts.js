@@ -0,0 +1,192 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const config = require('./config');
+const { logger } = require('./logger');
+
+// Spoken timer announcements ("one minute remaining", "Round 3 finished") generated with a local TTS engine
+// Engines: espeak-ng (voice = espeak voice such as "en-us" or "pl") or piper (voice = model name in PIPER_MODELS_DIR)
+// Generated speech is cached as wav files under DATA_DIR/tts and played like any other sound
+
+const { BOT_CONFIG } = config;
+const cacheDir = path.join(__dirname, BOT_CONFIG.DATA_DIR, 'tts');
+
+// Default piper model per language (used when the guild has not picked a voice)
+const PIPER_DEFAULT_VOICES = {
+    en: 'en_US-lessac-medium',
+    pl: 'pl_PL-gosia-medium'
+};
+
+const VOICE_NAME_PATTERN = /^[A-Za-z0-9_+-][A-Za-z0-9_.+-]{0,63}$/;
+
+// Announcement phrases per language
+const PHRASES = {
+    en: {
+        units: {
+            h: ['one hour', 'hours'],
+            m: ['one minute', 'minutes'],
+            s: ['one second', 'seconds']
+        },
+        and: 'and',
+        warning: remaining => `${remaining} remaining`,
+        end: label => label ? `${label} finished` : 'Time is up',
+        stage: (finished, next) => `${finished} finished. Next: ${next}`
+    },
+    pl: {
+        units: {
+            h: ['jedna godzina', 'godziny', 'godzin'],
+            m: ['jedna minuta', 'minuty', 'minut'],
+            s: ['jedna sekunda', 'sekundy', 'sekund']
+        },
+        and: 'i',
+        warning: remaining => `Do końca: ${remaining}`,
+        end: label => label ? `${label} - koniec` : 'Koniec czasu',
+        stage: (finished, next) => `${finished} - koniec. Teraz: ${next}`
+    }
+};
+
+const TTS_LANGUAGES = Object.keys(PHRASES);
+
+// Function to build a failed result
+function speechError(code, message) {
+    return { ok: false, error: { code, message } };
+}
+
+// Function to pick the plural form of a unit (Polish has separate forms for 2-4 and 5+)
+function pluralUnit(forms, value) {
+    if (forms.length === 2) return forms[1];
+    const lastDigit = value % 10;
+    const lastTwoDigits = value % 100;
+    return lastDigit >= 2 && lastDigit <= 4 && (lastTwoDigits < 12 || lastTwoDigits > 14) ? forms[1] : forms[2];
+}
+
+// Function to spell a duration for speech (e.g. "one minute and 30 seconds", "2 minuty")
+function describeSpokenDuration(ms, language) {
+    const phrases = PHRASES[language] || PHRASES.en;
+    const totalSeconds = Math.round(ms / 1000);
+    const values = {
+        h: Math.floor(totalSeconds / 3600),
+        m: Math.floor((totalSeconds % 3600) / 60),
+        s: totalSeconds % 60
+    };
+    
+    const parts = Object.entries(values)
+        .filter(([, value]) => value > 0)
+        .map(([unit, value]) => value === 1 ? phrases.units[unit][0] : `${value} ${pluralUnit(phrases.units[unit], value)}`);
+    
+    return parts.length > 0 ? parts.join(` ${phrases.and} `) : phrases.units.s[0];
+}
+
+// Function to build the spoken text of a timer announcement
+// Types: warning ({ remaining, label }), end ({ label }), stage ({ finished, next })
+function buildAnnouncement(announcement, language) {
+    const phrases = PHRASES[language] || PHRASES.en;
+    
+    switch (announcement.type) {
+        case 'warning': {
+            const text = phrases.warning(describeSpokenDuration(announcement.remaining, language));
+            return announcement.label ? `${announcement.label}. ${text}` : text;
+        }
+        case 'stage':
+            return phrases.stage(announcement.finished, announcement.next);
+        default:
+            return phrases.end(announcement.label);
+    }
+}
+
+// Function to check if a voice name is safe to pass to the engine (no paths)
+function isValidVoiceName(voice) {
+    return VOICE_NAME_PATTERN.test(String(voice || '')) && !String(voice).includes('..');
+}
+
+// Function to get the engine arguments for a text (returns { args, input } or an error result - input goes to stdin)
+function getEngineCommand(text, tempPath, language, voice) {
+    if (config.TTS_ENGINE === 'piper') {
+        const model = path.join(config.PIPER_MODELS_DIR, `${voice || PIPER_DEFAULT_VOICES[language] || PIPER_DEFAULT_VOICES.en}.onnx`);
+        if (!fs.existsSync(model)) {
+            return speechError('VOICE_NOT_FOUND', `Piper voice model not found: \`${path.basename(model)}\`.`);
+        }
+        return { ok: true, args: ['--model', model, '--output_file', tempPath], input: text };
+    }
+    
+    // The text goes through stdin - as an argument a label such as "-w/some/path" would be read as an option
+    return { ok: true, args: ['-v', voice || language, '-w', tempPath, '--stdin'], input: text };
+}
+
+// Function to keep the speech cache under its size limit (oldest files go first)
+function pruneCache() {
+    try {
+        const files = fs.readdirSync(cacheDir)
+            .filter(file => file.endsWith('.wav'))
+            .map(file => ({ file: path.join(cacheDir, file), mtime: fs.statSync(path.join(cacheDir, file)).mtimeMs }))
+            .sort((a, b) => b.mtime - a.mtime);
+        
+        for (const entry of files.slice(BOT_CONFIG.TTS_CACHE_SIZE)) {
+            fs.unlinkSync(entry.file);
+        }
+    } catch (error) {
+        logger.error('Error pruning TTS cache', { error });
+    }
+}
+
+// Function to generate speech for a text with the configured engine
+// Settings: language (phrase language and default voice) and voice (engine voice, null = language default)
+// Returns a promise of { ok: true, file } or { ok: false, error: { code, message } }
+function synthesizeSpeech(text, settings = {}) {
+    const { language = config.DEFAULT_TTS_LANGUAGE, voice = null } = settings;
+    const spoken = String(text || '').trim();
+    
+    if (!spoken) {
+        return Promise.resolve(speechError('EMPTY', 'Nothing to say.'));
+    }
+    if (spoken.length > BOT_CONFIG.TTS_MAX_TEXT_LENGTH) {
+        return Promise.resolve(speechError('TEXT_TOO_LONG', `Text is too long (maximum ${BOT_CONFIG.TTS_MAX_TEXT_LENGTH} characters).`));
+    }
+    if (voice && !isValidVoiceName(voice)) {
+        return Promise.resolve(speechError('INVALID_VOICE', `Invalid voice name \`${voice}\`.`));
+    }
+    
+    const key = crypto.createHash('sha1').update(`${config.TTS_ENGINE}|${language}|${voice || ''}|${spoken}`).digest('hex');
+    const filePath = path.join(cacheDir, `${key}.wav`);
+    if (fs.existsSync(filePath)) {
+        return Promise.resolve({ ok: true, file: filePath });
+    }
+    
+    const tempPath = path.join(cacheDir, `.${key}.tmp.wav`);
+    const command = getEngineCommand(spoken, tempPath, language, voice);
+    if (!command.ok) return Promise.resolve(command);
+    
+    return new Promise(resolve => {
+        fs.mkdirSync(cacheDir, { recursive: true });
+        
+        const child = execFile(config.TTS_COMMAND, command.args, { timeout: BOT_CONFIG.TTS_TIMEOUT }, (error, stdout, stderr) => {
+            if (error || !fs.existsSync(tempPath)) {
+                if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+                
+                if (error && error.code === 'ENOENT') {
+                    resolve(speechError('ENGINE_UNAVAILABLE', `TTS engine \`${config.TTS_COMMAND}\` is not installed.`));
+                } else {
+                    resolve(speechError('SYNTHESIS_FAILED', `Speech could not be generated${stderr ? `: ${String(stderr).trim().split('\n')[0]}` : '.'}`));
+                }
+                return;
+            }
+            
+            fs.renameSync(tempPath, filePath);
+            pruneCache();
+            resolve({ ok: true, file: filePath });
+        });
+        
+        child.stdin.on('error', () => {}); // the engine may exit before reading its input
+        child.stdin.end(command.input);
+    });
+}
+
+module.exports = {
+    TTS_LANGUAGES,
+    buildAnnouncement,
+    describeSpokenDuration,
+    getEngineCommand,
+    isValidVoiceName,
+    synthesizeSpeech
+};
@@ -0,0 +1,201 @@
+const { EventEmitter } = require('events');
+const { joinVoiceChannel, entersState, VoiceConnectionStatus } = require('@discordjs/voice');
+const { BOT_CONFIG } = require('./config');
+
+// Voice session per guild: keeps the bot in its voice channel across network drops
+// A dropped connection is rejoined with exponential backoff; after the last attempt the session waits
+// for resume() (called when the gateway resumes). close() ends the session for good.
+// Events: connection (a new VoiceConnection object), status (status, session), error
+
+// How long a disconnected connection gets to recover by itself (channel move, region change)
+const SELF_RECOVERY_MS = 5000;
+
+class VoiceSession extends EventEmitter {
+    constructor(guild, channelId) {
+        super();
+        this.guild = guild;
+        this.guildId = guild.id;
+        this.channelId = channelId;
+        this.connection = null;
+        this.status = 'connecting';
+        this.attempts = 0;
+        this.lastError = null;
+        this.since = Date.now();
+        this.connectedAt = null;
+        this.closed = false;
+        this.retryTimeoutId = null;
+    }
+    
+    // Join the channel - a session that never managed to connect is closed, a connected one keeps retrying
+    async join() {
+        const connection = await this.connect();
+        if (!connection && !this.connectedAt) {
+            this.close();
+        }
+        return connection;
+    }
+    
+    // Join (or rejoin) the channel and wait until the connection is ready (resolves to null on failure)
+    async connect() {
+        this.clearRetry();
+        this.setStatus(this.attempts > 0 ? 'reconnecting' : 'connecting');
+        
+        // joinVoiceChannel rejoins an existing connection, or creates a new one after a destroyed connection
+        let connection;
+        try {
+            connection = joinVoiceChannel({
+                channelId: this.channelId,
+                guildId: this.guildId,
+                adapterCreator: this.guild.voiceAdapterCreator
+            });
+        } catch (error) {
+            this.lastError = error.message;
+            this.scheduleReconnect();
+            return null;
+        }
+        if (connection !== this.connection) {
+            this.connection = connection;
+            this.watch(connection);
+            this.emit('connection', connection);
+        }
+        
+        try {
+            await entersState(connection, VoiceConnectionStatus.Ready, BOT_CONFIG.VOICE_CONNECTION_TIMEOUT);
+            if (this.connection !== connection || this.closed) return null;
+            
+            this.attempts = 0;
+            this.lastError = null;
+            this.connectedAt = Date.now();
+            this.setStatus('ready');
+            return connection;
+        } catch (error) {
+            if (this.connection !== connection || this.closed) return null;
+            
+            this.lastError = error.message;
+            this.scheduleReconnect();
+            return null;
+        }
+    }
+    
+    // Follow a connection's state changes (listeners are attached once per connection)
+    watch(connection) {
+        connection.on('stateChange', async (oldState, newState) => {
+            if (this.connection !== connection || this.closed) return;
+            
+            if (newState.status === VoiceConnectionStatus.Ready) {
+                this.channelId = connection.joinConfig.channelId || this.channelId;
+                this.attempts = 0;
+                this.lastError = null;
+                this.setStatus('ready');
+            } else if (newState.status === VoiceConnectionStatus.Disconnected && this.status !== 'failed') {
+                // Moved to another channel or a region change - the connection recovers by itself
+                try {
+                    await Promise.race([
+                        entersState(connection, VoiceConnectionStatus.Signalling, SELF_RECOVERY_MS),
+                        entersState(connection, VoiceConnectionStatus.Connecting, SELF_RECOVERY_MS)
+                    ]);
+                } catch (error) {
+                    this.lastError = 'Disconnected from voice';
+                    this.scheduleReconnect();
+                }
+            } else if (newState.status === VoiceConnectionStatus.Destroyed && this.status !== 'failed') {
+                // Destroyed without close() - the gateway dropped the voice adapter
+                this.lastError = 'Voice connection lost';
+                this.scheduleReconnect();
+            }
+        });
+        
+        connection.on('error', error => {
+            this.lastError = error.message;
+            this.emit('error', error);
+        });
+    }
+    
+    // Schedule the next reconnect attempt with exponential backoff, or give up after the last one
+    scheduleReconnect() {
+        if (this.closed || this.retryTimeoutId) return;
+        
+        if (this.attempts >= BOT_CONFIG.VOICE_RECONNECT_ATTEMPTS) {
+            this.setStatus('failed');
+            if (this.connection && this.connection.state.status !== VoiceConnectionStatus.Destroyed) {
+                this.connection.destroy();
+            }
+            return;
+        }
+        
+        const delay = Math.min(BOT_CONFIG.VOICE_RECONNECT_BASE_DELAY * Math.pow(2, this.attempts), BOT_CONFIG.VOICE_RECONNECT_MAX_DELAY);
+        this.attempts++;
+        this.setStatus('reconnecting');
+        this.retryTimeoutId = setTimeout(() => {
+            this.retryTimeoutId = null;
+            this.connect().catch(error => {
+                this.lastError = error.message;
+                this.emit('error', error);
+            });
+        }, delay);
+    }
+    
+    // Reconnect right away if the session is not connected (e.g. after the gateway resumed)
+    resume() {
+        if (this.closed || this.status === 'ready' || this.status === 'connecting') return;
+        
+        this.attempts = 0;
+        this.connect().catch(error => {
+            this.lastError = error.message;
+            this.emit('error', error);
+        });
+    }
+    
+    // Cancel a pending reconnect attempt
+    clearRetry() {
+        if (this.retryTimeoutId) {
+            clearTimeout(this.retryTimeoutId);
+            this.retryTimeoutId = null;
+        }
+    }
+    
+    // Update the status and report it
+    setStatus(status) {
+        if (this.status === status) return;
+        this.status = status;
+        this.since = Date.now();
+        this.emit('status', status, this);
+    }
+    
+    // Check if sounds queued now will play (connected, or expected back shortly)
+    isAvailable() {
+        return !this.closed && (this.status === 'ready' || this.status === 'reconnecting' || this.status === 'connecting');
+    }
+    
+    // Describe the session for embeds (e.g. "Reconnecting (attempt 2/5)...")
+    describe() {
+        const channel = `<#${this.channelId}>`;
+        switch (this.status) {
+            case 'ready':
+                return `Connected to ${channel}`;
+            case 'connecting':
+                return `Connecting to ${channel}...`;
+            case 'reconnecting':
+                return `Reconnecting to ${channel} (attempt ${this.attempts}/${BOT_CONFIG.VOICE_RECONNECT_ATTEMPTS})... sounds will play once back`;
+            case 'failed':
+                return `Lost connection to ${channel}${this.lastError ? ` (${this.lastError})` : ''} - will rejoin when Discord reconnects`;
+            default:
+                return 'Not connected';
+        }
+    }
+    
+    // End the session and leave the channel
+    close() {
+        this.closed = true;
+        this.clearRetry();
+        this.setStatus('closed');
+        if (this.connection && this.connection.state.status !== VoiceConnectionStatus.Destroyed) {
+            this.connection.destroy();
+        }
+        this.removeAllListeners();
+    }
+}
+
+module.exports = {
+    VoiceSession
+};
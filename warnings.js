@@ -0,0 +1,109 @@
+const { parseDuration } = require('./timeParser');
+const { GUILD_SOUND_PREFIX } = require('./sounds');
+
+// Warning checkpoints fired before a timer ends
+// Accepts: "5m, 1m, 30s", "5m ping", "30s end", "10..1" (countdown every second from 10s to 1s), "off"
+// Each checkpoint may name a sound (warning, end, silent or an uploaded server sound) and "ping" for a
+// text message in the channel
+
+// Sound keywords mapped to the sound events they play (null = no sound)
+const CHECKPOINT_SOUNDS = {
+    warning: 'warning',
+    end: 'end',
+    silent: null
+};
+
+// Limits so a checkpoint list cannot flood the voice channel or the text channel
+const MAX_CHECKPOINTS = 30;
+const MAX_COUNTDOWN_SECONDS = 30;
+
+const CHECKPOINT_HINT = 'Use e.g. `5m, 1m, 30s`, `1m ping`, `30s end`, `10..1 silent ping` or `off`.';
+
+// Function to build a failed parse result
+function checkpointError(code, message, input) {
+    return { ok: false, error: { code, message, input } };
+}
+
+// Function to parse the sound/ping flags after a checkpoint time
+function parseFlags(words, entry, input, customSounds) {
+    const flags = { sound: CHECKPOINT_SOUNDS.warning, ping: false };
+    for (const word of words) {
+        if (word === 'ping') {
+            flags.ping = true;
+        } else if (word in CHECKPOINT_SOUNDS) {
+            flags.sound = CHECKPOINT_SOUNDS[word];
+        } else if (customSounds.includes(word)) {
+            flags.sound = `${GUILD_SOUND_PREFIX}${word}`;
+        } else {
+            return checkpointError('UNKNOWN_FLAG', `Unknown option \`${word}\` in \`${entry}\`. ${CHECKPOINT_HINT}`, input);
+        }
+    }
+    return { ok: true, flags };
+}
+
+// Function to parse a checkpoint list
+// Options: defaultUnit for bare numbers, maxMs (checkpoints cannot be further from the end than the longest timer),
+// customSounds (names of the server's uploaded sounds usable as checkpoint sounds)
+// Returns { ok: true, checkpoints: [{ before, sound, ping }] } (furthest from the end first) or { ok: false, error }
+function parseCheckpoints(input, options = {}) {
+    const { defaultUnit = 'm', maxMs = null, customSounds = [] } = options;
+    
+    if (input === null || input === undefined || String(input).trim() === '') {
+        return checkpointError('EMPTY', `No checkpoints given. ${CHECKPOINT_HINT}`, '');
+    }
+    
+    const raw = String(input).trim();
+    if (['off', 'none'].includes(raw.toLowerCase())) {
+        return { ok: true, checkpoints: [] };
+    }
+    
+    // Checkpoints by time before the end - a later entry for the same time overrides an earlier one
+    const byTime = new Map();
+    const entries = raw.toLowerCase().split(/[,;]/).map(entry => entry.trim()).filter(Boolean);
+    
+    for (const entry of entries) {
+        const words = entry.split(/\s+/);
+        const countdown = words[0].match(/^(\d+)\.\.(\d+)s?$/);
+        
+        if (countdown) {
+            const from = parseInt(countdown[1], 10);
+            const to = parseInt(countdown[2], 10);
+            if (to < 1 || from <= to || from > MAX_COUNTDOWN_SECONDS) {
+                return checkpointError('INVALID_COUNTDOWN', `Countdown \`${words[0]}\` must count down from at most ${MAX_COUNTDOWN_SECONDS} to at least 1 (e.g. \`10..1\`).`, raw);
+            }
+            
+            const result = parseFlags(words.slice(1), entry, raw, customSounds);
+            if (!result.ok) return result;
+            for (let second = from; second >= to; second--) {
+                byTime.set(second * 1000, { before: second * 1000, ...result.flags });
+            }
+            continue;
+        }
+        
+        // The longest leading run of words that parses as a duration is the checkpoint time
+        let parsed = null;
+        for (let count = words.length; count > 0 && !parsed; count--) {
+            const duration = parseDuration(words.slice(0, count).join(' '), { defaultUnit, minMs: 1000, maxMs });
+            if (duration.ok) {
+                parsed = { before: duration.ms, flagWords: words.slice(count) };
+            } else if (count === 1) {
+                return checkpointError(duration.error.code, `Checkpoint \`${entry}\`: ${duration.error.message}`, raw);
+            }
+        }
+        
+        const result = parseFlags(parsed.flagWords, entry, raw, customSounds);
+        if (!result.ok) return result;
+        byTime.set(parsed.before, { before: parsed.before, ...result.flags });
+    }
+    
+    if (byTime.size > MAX_CHECKPOINTS) {
+        return checkpointError('TOO_MANY_CHECKPOINTS', `A timer can have at most ${MAX_CHECKPOINTS} checkpoints.`, raw);
+    }
+    
+    return { ok: true, checkpoints: [...byTime.values()].sort((a, b) => b.before - a.before) };
+}
+
+module.exports = {
+    parseCheckpoints,
+    CHECKPOINT_SOUNDS
+};